@@ -1,5 +1,20 @@
 -- Database schema for survey application
 
+-- PDF report layouts saved from the report designer. A survey's reports use
+-- its assigned template (surveys.report_template_id), else the one marked
+-- is_default, else the built-in layout in src/lib/reportTemplates.ts.
+CREATE TABLE report_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  template JSONB NOT NULL, -- {name, page, branding, sections}
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- At most one default template
+CREATE UNIQUE INDEX report_templates_one_default ON report_templates (is_default) WHERE is_default;
+
 -- Survey definition tables
 CREATE TABLE surveys (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -8,8 +23,21 @@ CREATE TABLE surveys (
   description TEXT,
   ranges_overall_version_id UUID,
   status TEXT NOT NULL DEFAULT 'draft', -- draft, published, archived
+  randomize_questions BOOLEAN NOT NULL DEFAULT false, -- shuffle question order within each category
+  randomize_options BOOLEAN NOT NULL DEFAULT false, -- shuffle choice order (pinned_choices stay put)
+  opens_at TIMESTAMP WITH TIME ZONE, -- NULL: open as soon as published
+  closes_at TIMESTAMP WITH TIME ZONE, -- NULL: no end date
+  max_responses INTEGER CHECK (max_responses > 0), -- completed responses allowed; NULL: unlimited
+  report_template_id UUID REFERENCES report_templates(id) ON DELETE SET NULL, -- NULL: use the default template
+  benchmark_cohort_key TEXT, -- respondents.meta key to benchmark within (e.g. department); NULL: whole survey
+  email_locale TEXT NOT NULL DEFAULT 'en', -- language of the built-in report email wording and dates: en, es, fr, de
+  report_email JSONB, -- {subject, body, attachPdf}; blank subject/body use the built-in wording (emailTemplates.ts)
+  require_email_verification BOOLEAN NOT NULL DEFAULT false, -- double opt-in: reports wait until the address is confirmed
+  consent_required BOOLEAN NOT NULL DEFAULT false, -- respondents must agree to consent_text before starting
+  consent_text TEXT, -- shown on the consent step; NULL: built-in wording
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT surveys_window_check CHECK (opens_at IS NULL OR closes_at IS NULL OR opens_at < closes_at)
 );
 
 CREATE TABLE categories (
@@ -19,6 +47,9 @@ CREATE TABLE categories (
   description TEXT,
   weight NUMERIC NOT NULL DEFAULT 1.0,
   ranges_version_id UUID,
+  display_logic JSONB, -- show-if rule: {match: 'all'|'any', conditions: [{question_id, operator, values}]}
+  randomize_questions BOOLEAN, -- NULL inherits the survey setting
+  randomize_options BOOLEAN, -- NULL inherits the survey setting
   "order" INTEGER NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -30,9 +61,12 @@ CREATE TABLE questions (
   type TEXT NOT NULL, -- single, multi, scale, text
   prompt TEXT NOT NULL,
   choices JSONB, -- [{id, label, value}]
+  pinned_choices JSONB, -- labels that keep their position when options are shuffled, e.g. ["None of the above"]
   max_score NUMERIC NOT NULL,
   weight NUMERIC NOT NULL DEFAULT 1.0,
   required BOOLEAN NOT NULL DEFAULT false,
+  display_logic JSONB, -- show-if rule on earlier answers, same shape as categories.display_logic
+  validation JSONB, -- {min_selections, max_selections, min_length, max_length, pattern, pattern_message, min_value, max_value}
   image_url TEXT,
   help_text TEXT,
   scorable BOOLEAN NOT NULL DEFAULT true,
@@ -48,31 +82,62 @@ CREATE TABLE range_set_versions (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Survey snapshots for immutability: one per published version. Responses
+-- point at the snapshot they were taken against and are scored from it.
+CREATE TABLE survey_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  survey_id UUID NOT NULL REFERENCES surveys(id),
+  version INTEGER NOT NULL, -- surveys.version at publish time
+  snapshot JSONB NOT NULL, -- {survey, categories: [... questions], score_ranges}
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT survey_snapshots_survey_version_unique UNIQUE (survey_id, version)
+);
+
 -- Response tables
 CREATE TABLE respondents (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   survey_id UUID NOT NULL REFERENCES surveys(id),
-  survey_version INTEGER NOT NULL,
+  survey_version INTEGER NOT NULL, -- version of the snapshot the response was taken against
   email TEXT,
   meta JSONB, -- UTM params, source, etc.
-  consent BOOLEAN NOT NULL DEFAULT false,
-  consent_timestamp TIMESTAMP WITH TIME ZONE,
+  consent BOOLEAN NOT NULL DEFAULT false, -- agreed on the survey's consent step, or confirmed `email` through the double opt-in link
+  consent_timestamp TIMESTAMP WITH TIME ZONE, -- when they first agreed
+  report_url TEXT, -- latest signed download link for their PDF report
+  report_link_version INTEGER NOT NULL DEFAULT 1, -- signed into report links; bumping it revokes them
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+CREATE TABLE responses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  survey_id UUID NOT NULL REFERENCES surveys(id),
+  respondent_id UUID NOT NULL REFERENCES respondents(id),
+  snapshot_id UUID REFERENCES survey_snapshots(id), -- structure the response was taken against; NULL before versioning
+  completed_at TIMESTAMP WITH TIME ZONE, -- NULL while the response is a draft
+  resume_token TEXT UNIQUE, -- save-and-resume token; kept after completion so stale links get a clear answer
+  draft_answers JSONB, -- {question_id: value} saved while in progress
+  draft_position INTEGER, -- index of the question the respondent was on
+  expires_at TIMESTAMP WITH TIME ZONE, -- drafts are not resumable after this
+  presentation_seed INTEGER, -- seeds question/option shuffling so a resumed draft keeps its order
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() -- when the respondent started
+);
+
 CREATE TABLE answers (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   respondent_id UUID NOT NULL REFERENCES respondents(id),
+  response_id UUID REFERENCES responses(id),
   question_id UUID NOT NULL REFERENCES questions(id),
   value JSONB, -- answer value (could be text, number, array for multi-select)
-  presented_order INTEGER,
+  score NUMERIC, -- legacy; scores are computed from value
+  presented_order INTEGER, -- 1-based position the question was shown at
+  presented_choices JSONB, -- choice labels in the order shown, when options were shuffled
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 CREATE TABLE results (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   respondent_id UUID NOT NULL REFERENCES respondents(id),
-  per_category JSONB, -- [{category_id, score, max, percent, band_id}]
+  response_id UUID UNIQUE REFERENCES responses(id),
+  per_category JSONB, -- [{category_id, title, score, max, percent, band_id}]
   overall JSONB, -- {score, max, percent, band_id}
   completed_count INTEGER NOT NULL,
   scorable_count INTEGER NOT NULL,
@@ -90,14 +155,61 @@ CREATE TABLE report_assets (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- Survey snapshots for immutability
-CREATE TABLE survey_snapshots (
+-- PDF report generation queue. POST /api/reports/generate only inserts a
+-- job; the worker (/api/reports/worker) renders, uploads and emails it:
+--   queued → rendering → uploaded → emailed, or failed after max_attempts.
+-- When the survey requires email verification, the job starts 'unverified'
+-- (not due) and is queued once the respondent follows the emailed link.
+-- A failed stage is retried from where it stopped after a backoff; a job that
+-- is uploaded but can't be emailed (no mail transport) stays 'uploaded'.
+CREATE TABLE report_jobs (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   survey_id UUID NOT NULL REFERENCES surveys(id),
-  snapshot JSONB NOT NULL,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  respondent_id UUID NOT NULL REFERENCES respondents(id),
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('unverified', 'queued', 'rendering', 'uploaded', 'emailed', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0, -- claims so far, across stages
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- due for the worker from then; NULL: nothing left to do
+  locked_at TIMESTAMP WITH TIME ZONE, -- set while a worker holds the job; stale locks are reclaimed
+  file_name TEXT, -- object in the reports bucket, once uploaded; random, so signed links resolve the respondent here
+  serve_url TEXT, -- signed, expiring link (reportLinks.ts)
+  email_message TEXT, -- outcome of the last send
+  outbox_id UUID, -- email_outbox row its email retries reuse; cleared to send a fresh copy
+  verify_token TEXT UNIQUE, -- double opt-in link token while 'unverified'
+  verify_expires_at TIMESTAMP WITH TIME ZONE, -- the link stops working after this
+  verify_sent_at TIMESTAMP WITH TIME ZONE, -- last verification email, to throttle re-sends
+  verified_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+CREATE INDEX report_jobs_due ON report_jobs (next_attempt_at) WHERE next_attempt_at IS NOT NULL;
+CREATE INDEX report_jobs_file_name ON report_jobs (file_name) WHERE file_name IS NOT NULL;
+
+-- Every email the app sends (src/lib/outbox.ts), with its delivery outcome.
+-- Retries of the same message (e.g. a report job's email stage) update one
+-- row and count attempts; a resend is a new row.
+CREATE TABLE email_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  survey_id UUID REFERENCES surveys(id),
+  respondent_id UUID REFERENCES respondents(id),
+  report_job_id UUID REFERENCES report_jobs(id) ON DELETE SET NULL,
+  recipient TEXT NOT NULL,
+  template TEXT NOT NULL, -- report, resume, verify
+  subject TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'skipped', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT, -- from the last failed attempt
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX email_outbox_survey ON email_outbox (survey_id, created_at DESC);
+
 -- Create score_ranges table
 CREATE TABLE IF NOT EXISTS public.score_ranges (
     id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -107,6 +219,9 @@ CREATE TABLE IF NOT EXISTS public.score_ranges (
     max_score integer NOT NULL,
     color varchar(7) NOT NULL, -- Hex color code (e.g., #FF0000)
     description text NOT NULL,
+    recommendations text, -- long-form HTML shown under the band in PDF reports (sanitised when rendered)
+    image_path text, -- optional image in the assets bucket, shown with the recommendations
+    action_items jsonb NOT NULL DEFAULT '[]'::jsonb, -- ["Book a coaching session", ...]
     created_at timestamp with time zone DEFAULT now() NOT NULL,
     updated_at timestamp with time zone DEFAULT now() NOT NULL,
     CONSTRAINT score_ranges_min_max_check CHECK (min_score >= 0 AND max_score <= 100 AND min_score < max_score),
@@ -132,6 +247,21 @@ CREATE TRIGGER update_score_ranges_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION public.update_updated_at_column();
 
+CREATE TRIGGER update_report_templates_updated_at
+    BEFORE UPDATE ON public.report_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+CREATE TRIGGER update_report_jobs_updated_at
+    BEFORE UPDATE ON public.report_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
+CREATE TRIGGER update_email_outbox_updated_at
+    BEFORE UPDATE ON public.email_outbox
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_updated_at_column();
+
 -- Add RLS policies
 ALTER TABLE public.score_ranges ENABLE ROW LEVEL SECURITY;
 
@@ -150,3 +280,427 @@ CREATE POLICY "Allow authenticated users to update score ranges" ON public.score
 -- Policy to allow authenticated users to delete score ranges
 CREATE POLICY "Allow authenticated users to delete score ranges" ON public.score_ranges
     FOR DELETE USING (auth.role() = 'authenticated');
+
+-- Atomic submission used by POST /api/responses.
+-- A function body runs in a single transaction: if any insert fails, none of
+-- the respondent/response/answers rows are kept.
+CREATE OR REPLACE FUNCTION public.submit_survey_response(
+    p_survey_id uuid,
+    p_survey_version integer,
+    p_answers jsonb, -- [{question_id, value, presented_order?, presented_choices?}]
+    p_result jsonb,  -- {per_category, overall, completed_count, scorable_count}
+    p_meta jsonb DEFAULT NULL,
+    p_resume_token text DEFAULT NULL, -- completes this draft instead of starting a new response
+    p_snapshot_id uuid DEFAULT NULL,
+    p_consent boolean DEFAULT false -- agreed on the consent step
+)
+RETURNS TABLE (respondent_id uuid, response_id uuid) AS $$
+DECLARE
+    v_respondent_id uuid;
+    v_response_id uuid;
+    v_survey public.surveys%ROWTYPE;
+BEGIN
+    -- Window and quota, re-checked with the survey row locked so concurrent
+    -- submissions can't overrun max_responses
+    SELECT * INTO v_survey FROM public.surveys s WHERE s.id = p_survey_id FOR UPDATE;
+    IF (v_survey.opens_at IS NOT NULL AND now() < v_survey.opens_at)
+       OR (v_survey.closes_at IS NOT NULL AND now() >= v_survey.closes_at) THEN
+        RAISE EXCEPTION 'survey_closed';
+    END IF;
+    IF v_survey.max_responses IS NOT NULL AND (
+        SELECT count(*) FROM public.responses r
+        WHERE r.survey_id = p_survey_id AND r.completed_at IS NOT NULL
+    ) >= v_survey.max_responses THEN
+        RAISE EXCEPTION 'survey_full';
+    END IF;
+
+    IF p_resume_token IS NOT NULL THEN
+        UPDATE public.responses r
+        SET completed_at = now(), draft_answers = NULL, expires_at = NULL,
+            snapshot_id = COALESCE(p_snapshot_id, r.snapshot_id)
+        WHERE r.resume_token = p_resume_token
+          AND r.survey_id = p_survey_id
+          AND r.completed_at IS NULL
+          AND (r.expires_at IS NULL OR r.expires_at > now())
+        RETURNING r.id, r.respondent_id INTO v_response_id, v_respondent_id;
+
+        IF v_response_id IS NOT NULL AND p_consent THEN
+            UPDATE public.respondents p
+            SET consent = true, consent_timestamp = COALESCE(p.consent_timestamp, now())
+            WHERE p.id = v_respondent_id AND NOT p.consent;
+        END IF;
+    END IF;
+
+    -- No (usable) draft: a fresh respondent and response
+    IF v_response_id IS NULL THEN
+        INSERT INTO public.respondents (survey_id, survey_version, meta, consent, consent_timestamp)
+        VALUES (p_survey_id, p_survey_version, p_meta, p_consent, CASE WHEN p_consent THEN now() END)
+        RETURNING id INTO v_respondent_id;
+
+        INSERT INTO public.responses (survey_id, respondent_id, snapshot_id, completed_at)
+        VALUES (p_survey_id, v_respondent_id, p_snapshot_id, now())
+        RETURNING id INTO v_response_id;
+    END IF;
+
+    INSERT INTO public.answers (respondent_id, response_id, question_id, value, presented_order, presented_choices)
+    SELECT v_respondent_id, v_response_id, (a->>'question_id')::uuid, a->'value',
+           (a->>'presented_order')::integer, a->'presented_choices'
+    FROM jsonb_array_elements(COALESCE(p_answers, '[]'::jsonb)) AS a;
+
+    INSERT INTO public.results (respondent_id, response_id, per_category, overall, completed_count, scorable_count)
+    VALUES (
+        v_respondent_id,
+        v_response_id,
+        p_result->'per_category',
+        p_result->'overall',
+        (p_result->>'completed_count')::integer,
+        (p_result->>'scorable_count')::integer
+    );
+
+    RETURN QUERY SELECT v_respondent_id, v_response_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only POST /api/responses (service role) may submit: it validates and scores
+-- the answers first, so stored results can be trusted.
+REVOKE EXECUTE ON FUNCTION public.submit_survey_response FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.submit_survey_response TO service_role;
+
+-- Starts a save-and-resume draft: respondent plus a response with completed_at NULL.
+CREATE OR REPLACE FUNCTION public.start_survey_draft(
+    p_survey_id uuid,
+    p_survey_version integer,
+    p_resume_token text,
+    p_answers jsonb, -- {question_id: value}
+    p_position integer,
+    p_expires_at timestamp with time zone,
+    p_meta jsonb DEFAULT NULL,
+    p_seed integer DEFAULT NULL,
+    p_snapshot_id uuid DEFAULT NULL,
+    p_consent boolean DEFAULT false
+)
+RETURNS TABLE (respondent_id uuid, response_id uuid) AS $$
+DECLARE
+    v_respondent_id uuid;
+    v_response_id uuid;
+BEGIN
+    INSERT INTO public.respondents (survey_id, survey_version, meta, consent, consent_timestamp)
+    VALUES (p_survey_id, p_survey_version, p_meta, p_consent, CASE WHEN p_consent THEN now() END)
+    RETURNING id INTO v_respondent_id;
+
+    INSERT INTO public.responses (survey_id, respondent_id, snapshot_id, resume_token, draft_answers, draft_position, expires_at, presentation_seed)
+    VALUES (p_survey_id, v_respondent_id, p_snapshot_id, p_resume_token, p_answers, p_position, p_expires_at, p_seed)
+    RETURNING id INTO v_response_id;
+
+    RETURN QUERY SELECT v_respondent_id, v_response_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Drafts are started through POST /api/responses/drafts (service role) only.
+REVOKE EXECUTE ON FUNCTION public.start_survey_draft FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.start_survey_draft TO service_role;
+
+-- Publishes a survey version used by POST /api/surveys/:id/publish: stores the
+-- snapshot under the next version number, bumps surveys.version and sets the
+-- survey live, all in one transaction.
+CREATE OR REPLACE FUNCTION public.publish_survey(
+    p_survey_id uuid,
+    p_snapshot jsonb -- {survey, categories, score_ranges}
+)
+RETURNS TABLE (snapshot_id uuid, version integer) AS $$
+DECLARE
+    v_version integer;
+    v_snapshot_id uuid;
+BEGIN
+    -- Lock the survey row so concurrent publishes get distinct versions
+    PERFORM 1 FROM public.surveys s WHERE s.id = p_survey_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'survey % not found', p_survey_id;
+    END IF;
+
+    SELECT COALESCE(MAX(ss.version), 0) + 1 INTO v_version
+    FROM public.survey_snapshots ss
+    WHERE ss.survey_id = p_survey_id;
+
+    INSERT INTO public.survey_snapshots (survey_id, version, snapshot)
+    VALUES (p_survey_id, v_version, p_snapshot)
+    RETURNING id INTO v_snapshot_id;
+
+    UPDATE public.surveys
+    SET version = v_version, status = 'published', updated_at = now()
+    WHERE id = p_survey_id;
+
+    RETURN QUERY SELECT v_snapshot_id, v_version;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Publishing goes through POST /api/surveys/:id/publish (service role),
+-- which checks that the caller is an admin.
+REVOKE EXECUTE ON FUNCTION public.publish_survey FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.publish_survey TO service_role;
+
+-- Deletes a survey with its snapshots, score ranges, report assets, questions
+-- and categories in one transaction, for DELETE /api/surveys/:id. Refuses with
+-- 'survey_has_responses' once anyone has started it: their answers are scored
+-- against its snapshots. Returns false when there is no such survey.
+CREATE OR REPLACE FUNCTION public.delete_survey(p_survey_id uuid)
+RETURNS boolean AS $$
+BEGIN
+    -- Lock the survey row so no response can start while it is deleted
+    PERFORM 1 FROM public.surveys s WHERE s.id = p_survey_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM public.respondents r WHERE r.survey_id = p_survey_id) THEN
+        RAISE EXCEPTION 'survey_has_responses';
+    END IF;
+
+    DELETE FROM public.survey_snapshots WHERE survey_id = p_survey_id;
+    DELETE FROM public.score_ranges WHERE survey_id = p_survey_id;
+    DELETE FROM public.report_assets WHERE survey_id = p_survey_id;
+    DELETE FROM public.questions q
+    USING public.categories c
+    WHERE q.category_id = c.id AND c.survey_id = p_survey_id;
+    DELETE FROM public.categories WHERE survey_id = p_survey_id;
+    DELETE FROM public.surveys WHERE id = p_survey_id;
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Deleting goes through DELETE /api/surveys/:id (service role), which checks
+-- that the caller is an admin.
+REVOKE EXECUTE ON FUNCTION public.delete_survey FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.delete_survey TO service_role;
+
+-- Makes one report template the default used by surveys without their own.
+-- Clearing the old default and setting the new one happen in one transaction,
+-- so report_templates_one_default never sees two.
+CREATE OR REPLACE FUNCTION public.set_default_report_template(p_template_id uuid)
+RETURNS void AS $$
+BEGIN
+    UPDATE public.report_templates
+    SET is_default = false
+    WHERE is_default AND id <> p_template_id;
+
+    UPDATE public.report_templates
+    SET is_default = true
+    WHERE id = p_template_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'report template % not found', p_template_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Called by the template API routes (service role), which check for an admin.
+REVOKE EXECUTE ON FUNCTION public.set_default_report_template FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.set_default_report_template TO service_role;
+
+-- Hands the next due report job (or the given one, if due) to a worker and
+-- counts the attempt. SKIP LOCKED keeps concurrent workers off the same row;
+-- a lock older than 10 minutes is treated as a crashed worker. A queued job
+-- moves to 'rendering'; an uploaded one keeps its status (only the email is
+-- left). Returns no row when nothing is due.
+CREATE OR REPLACE FUNCTION public.claim_report_job(p_job_id uuid DEFAULT NULL)
+RETURNS SETOF public.report_jobs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE public.report_jobs j
+    SET status = CASE WHEN j.status = 'queued' THEN 'rendering' ELSE j.status END,
+        attempts = j.attempts + 1,
+        locked_at = now()
+    WHERE j.id = (
+        SELECT id FROM public.report_jobs
+        WHERE next_attempt_at <= now()
+          AND status IN ('queued', 'rendering', 'uploaded')
+          AND (locked_at IS NULL OR locked_at < now() - interval '10 minutes')
+          AND (p_job_id IS NULL OR id = p_job_id)
+        ORDER BY next_attempt_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the report worker (service role) claims jobs.
+REVOKE EXECUTE ON FUNCTION public.claim_report_job FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_report_job TO service_role;
+
+-- Clears saved answers from drafts past their expiry. The rows stay so
+-- analytics can still count them as started-but-not-completed.
+-- Schedule with pg_cron, e.g. SELECT cron.schedule('purge-drafts', '0 3 * * *', 'SELECT public.purge_expired_drafts()');
+CREATE OR REPLACE FUNCTION public.purge_expired_drafts()
+RETURNS integer AS $$
+DECLARE
+    v_count integer;
+BEGIN
+    UPDATE public.responses
+    SET draft_answers = NULL
+    WHERE completed_at IS NULL
+      AND expires_at <= now()
+      AND draft_answers IS NOT NULL;
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- For the scheduler (database owner) or the service role, not for clients.
+REVOKE EXECUTE ON FUNCTION public.purge_expired_drafts FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.purge_expired_drafts TO service_role;
+
+-- Average stored percent per category over a survey's completed responses
+-- (loadSurveyAverages in results.ts). Aggregated here rather than by fetching
+-- every results row, so large surveys aren't truncated by the API row limit.
+CREATE OR REPLACE FUNCTION public.survey_category_averages(p_survey_id uuid)
+RETURNS TABLE (category_id text, average numeric, responses integer) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT c->>'category_id', AVG(COALESCE((c->>'percent')::numeric, 0)), COUNT(*)::integer
+    FROM public.results res
+    JOIN public.responses resp ON resp.id = res.response_id
+    CROSS JOIN LATERAL jsonb_array_elements(COALESCE(res.per_category, '[]'::jsonb)) c
+    WHERE resp.survey_id = p_survey_id
+      AND resp.completed_at IS NOT NULL
+    GROUP BY c->>'category_id';
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Benchmarks for loadBenchmarks in benchmarks.ts: per category (by id) and
+-- 'overall', the count, average and median percent over the survey's
+-- completed responses, and how many scored below / the same as p_own
+-- ({"<category id>": percent, "overall": percent}). With a cohort key and a
+-- respondent, only respondents sharing that respondent's value for the key in
+-- respondents.meta are compared, unless fewer than p_min_cohort_size of them
+-- completed the survey.
+CREATE OR REPLACE FUNCTION public.survey_benchmarks(
+    p_survey_id uuid,
+    p_own jsonb DEFAULT '{}'::jsonb,
+    p_respondent_id uuid DEFAULT NULL,
+    p_cohort_key text DEFAULT NULL,
+    p_min_cohort_size integer DEFAULT 5
+)
+RETURNS jsonb AS $$
+DECLARE
+    v_cohort text;
+    v_cohort_size integer;
+    v_result jsonb;
+BEGIN
+    IF p_cohort_key IS NOT NULL AND p_respondent_id IS NOT NULL THEN
+        SELECT NULLIF(BTRIM(r.meta->>p_cohort_key), '') INTO v_cohort
+        FROM public.respondents r
+        WHERE r.id = p_respondent_id
+          AND r.survey_id = p_survey_id
+          AND jsonb_typeof(r.meta->p_cohort_key) IN ('string', 'number', 'boolean');
+    END IF;
+
+    IF v_cohort IS NOT NULL THEN
+        SELECT COUNT(*) INTO v_cohort_size
+        FROM public.responses resp
+        JOIN public.respondents r ON r.id = resp.respondent_id
+        WHERE resp.survey_id = p_survey_id
+          AND resp.completed_at IS NOT NULL
+          AND NULLIF(BTRIM(r.meta->>p_cohort_key), '') = v_cohort;
+        IF v_cohort_size < p_min_cohort_size THEN
+            v_cohort := NULL;
+        END IF;
+    END IF;
+
+    WITH compared AS (
+        SELECT res.per_category, res.overall
+        FROM public.results res
+        JOIN public.responses resp ON resp.id = res.response_id
+        LEFT JOIN public.respondents r ON r.id = resp.respondent_id
+        WHERE resp.survey_id = p_survey_id
+          AND resp.completed_at IS NOT NULL
+          AND (v_cohort IS NULL OR NULLIF(BTRIM(r.meta->>p_cohort_key), '') = v_cohort)
+    ),
+    scores AS (
+        SELECT c->>'category_id' AS key, COALESCE((c->>'percent')::numeric, 0) AS percent
+        FROM compared
+        CROSS JOIN LATERAL jsonb_array_elements(COALESCE(compared.per_category, '[]'::jsonb)) c
+        UNION ALL
+        SELECT 'overall', (compared.overall->>'percent')::numeric
+        FROM compared
+        WHERE compared.overall->>'percent' IS NOT NULL
+    ),
+    stats AS (
+        SELECT key, jsonb_build_object(
+            'count', COUNT(*),
+            'average', AVG(percent),
+            'median', percentile_cont(0.5) WITHIN GROUP (ORDER BY percent),
+            'below', COUNT(*) FILTER (WHERE percent < (p_own->>key)::numeric),
+            'equal', COUNT(*) FILTER (WHERE percent = (p_own->>key)::numeric)
+        ) AS stat
+        FROM scores
+        GROUP BY key
+    )
+    SELECT jsonb_build_object(
+        'cohort', CASE WHEN v_cohort IS NULL THEN NULL
+                       ELSE jsonb_build_object('key', p_cohort_key, 'value', v_cohort) END,
+        'count', (SELECT COUNT(*) FROM compared),
+        'scores', COALESCE((SELECT jsonb_object_agg(key, stat) FROM stats), '{}'::jsonb)
+    ) INTO v_result;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Called by the API routes (service role); the raw figures aren't for clients.
+REVOKE EXECUTE ON FUNCTION public.survey_benchmarks FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.survey_benchmarks TO service_role;
+
+-- Everything tied to an email address, for data-subject requests
+-- (dataSubject.ts): respondent ids from respondents.email, report_jobs.email
+-- and email_outbox.recipient, and the ids of the emails sent to it. The whole
+-- address is compared ignoring case, so nothing in it acts as a wildcard.
+CREATE OR REPLACE FUNCTION public.data_subject_matches(p_email text)
+RETURNS jsonb AS $$
+BEGIN
+    RETURN jsonb_build_object(
+        'respondent_ids', COALESCE((
+            SELECT jsonb_agg(id) FROM (
+                SELECT r.id FROM public.respondents r WHERE lower(r.email) = lower(p_email)
+                UNION
+                SELECT j.respondent_id FROM public.report_jobs j WHERE lower(j.email) = lower(p_email)
+                UNION
+                SELECT e.respondent_id FROM public.email_outbox e WHERE lower(e.recipient) = lower(p_email)
+            ) AS ids (id)
+            WHERE id IS NOT NULL
+        ), '[]'::jsonb),
+        'outbox_ids', COALESCE((
+            SELECT jsonb_agg(e.id) FROM public.email_outbox e WHERE lower(e.recipient) = lower(p_email)
+        ), '[]'::jsonb)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Only the admin privacy routes (service role) look people up by email.
+REVOKE EXECUTE ON FUNCTION public.data_subject_matches FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.data_subject_matches TO service_role;
+
+-- Results are written once at submission and never rescored in place.
+CREATE OR REPLACE FUNCTION public.prevent_results_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'results rows are immutable';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER results_immutable
+    BEFORE UPDATE ON public.results
+    FOR EACH ROW
+    EXECUTE FUNCTION public.prevent_results_update();
+
+-- Snapshots are never edited; publishing again creates a new version.
+CREATE OR REPLACE FUNCTION public.prevent_snapshot_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'survey_snapshots rows are immutable';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER survey_snapshots_immutable
+    BEFORE UPDATE ON public.survey_snapshots
+    FOR EACH ROW
+    EXECUTE FUNCTION public.prevent_snapshot_update();
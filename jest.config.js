@@ -0,0 +1,16 @@
+// jest.config.js
+const nextJest = require('next/jest');
+
+// Reuse Next's SWC transform so tests can import the TypeScript API routes directly
+const createJestConfig = nextJest({ dir: './' });
+
+/** @type {import('jest').Config} */
+const customConfig = {
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/tests/**/*.test.js'],
+  moduleNameMapper: {
+    '^@/(.*)$': '<rootDir>/src/$1',
+  },
+};
+
+module.exports = createJestConfig(customConfig);
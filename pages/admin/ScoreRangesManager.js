@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { createClient } from '@supabase/supabase-js';
+import { coverageGaps } from '../../src/lib/publishChecks';
 
 // Initialize Supabase client
 const supabase =
@@ -7,6 +8,50 @@ const supabase =
     ? createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY)
     : null;
 
+const EMPTY_RANGE = {
+  minScore: '',
+  maxScore: '',
+  color: '#3B82F6',
+  description: '',
+  recommendations: '',
+  imagePath: '',
+  actionItems: '', // one per line in the form; a JSON array in score_ranges.action_items
+};
+
+function actionItemsList(value) {
+  let items = value;
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(items) ? items.map(i => String(i ?? '').trim()).filter(Boolean) : [];
+}
+
+function assetUrl(path) {
+  return supabase && path ? supabase.storage.from('assets').getPublicUrl(path).data.publicUrl : '';
+}
+
+/**
+ * Upload a band image to the public `assets` bucket and return its object path.
+ */
+async function uploadBandImage(file, surveyId) {
+  if (!supabase) throw new Error('No Supabase client');
+  const uuid =
+    (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function')
+      ? crypto.randomUUID()
+      : String(Date.now());
+  const ext = (file.name.split('.').pop() || 'png').toLowerCase();
+  const path = `surveys/${surveyId}/bands/${uuid}.${ext}`;
+  const { error } = await supabase.storage
+    .from('assets')
+    .upload(path, file, { cacheControl: '3600', upsert: true, contentType: file.type });
+  if (error) throw error;
+  return path;
+}
+
 /**
  * ScoreRangesManager Component
  * Props:
@@ -24,13 +69,9 @@ const ScoreRangesManager = ({ surveyId, categories }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedCategory, setSelectedCategory] = useState('total');
-  const [newRange, setNewRange] = useState({
-    minScore: '',
-    maxScore: '',
-    color: '#3B82F6',
-    description: '',
-  });
+  const [newRange, setNewRange] = useState(EMPTY_RANGE);
   const [editingRange, setEditingRange] = useState(null);
+  const [imageUploading, setImageUploading] = useState(false);
 
   // Fetch categories if not provided
   useEffect(() => {
@@ -174,6 +215,13 @@ const ScoreRangesManager = ({ surveyId, categories }) => {
         return;
       }
       
+      // Long-form content for the PDF report (optional)
+      const reportContent = {
+        recommendations: newRange.recommendations.trim() || null,
+        image_path: newRange.imagePath || null,
+        action_items: actionItemsList(newRange.actionItems.split('\n')),
+      };
+
       let data, error;
       
       if (editingRange) {
@@ -184,7 +232,8 @@ const ScoreRangesManager = ({ surveyId, categories }) => {
             min_score: minScore,
             max_score: maxScore,
             color: newRange.color,
-            description: newRange.description
+            description: newRange.description,
+            ...reportContent
           })
           .eq('id', editingRange.id)
           .select();
@@ -201,7 +250,8 @@ const ScoreRangesManager = ({ surveyId, categories }) => {
             min_score: minScore,
             max_score: maxScore,
             color: newRange.color,
-            description: newRange.description
+            description: newRange.description,
+            ...reportContent
           }])
           .select();
         
@@ -233,12 +283,7 @@ const ScoreRangesManager = ({ surveyId, categories }) => {
       
       // Reset the form
       setEditingRange(null);
-      setNewRange({
-        minScore: '',
-        maxScore: '',
-        color: '#3B82F6',
-        description: ''
-      });
+      setNewRange(EMPTY_RANGE);
     } catch (err) {
       console.error('Error saving score range:', err);
       setError(err.message);
@@ -282,18 +327,35 @@ const ScoreRangesManager = ({ surveyId, categories }) => {
       minScore: range.min_score.toString(),
       maxScore: range.max_score.toString(),
       color: range.color,
-      description: range.description
+      description: range.description,
+      recommendations: range.recommendations || '',
+      imagePath: range.image_path || '',
+      actionItems: actionItemsList(range.action_items).join('\n'),
     });
   };
 
   const handleCancelEdit = () => {
     setEditingRange(null);
-    setNewRange({
-      minScore: '',
-      maxScore: '',
-      color: '#3B82F6',
-      description: ''
-    });
+    setNewRange(EMPTY_RANGE);
+  };
+
+  const handleImageSelect = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      setError('Please choose an image file');
+      return;
+    }
+    try {
+      setImageUploading(true);
+      const path = await uploadBandImage(file, surveyId);
+      setNewRange(prev => ({ ...prev, imagePath: path }));
+    } catch (err) {
+      console.error('Error uploading band image:', err);
+      setError(`Failed to upload image: ${err.message}`);
+    } finally {
+      setImageUploading(false);
+    }
   };
 
   const getCategoryName = (categoryId) => {
@@ -302,32 +364,8 @@ const ScoreRangesManager = ({ surveyId, categories }) => {
     return category ? category.title : 'Unknown Category';
   };
 
-  const checkForGaps = (ranges) => {
-    if (ranges.length === 0) return true; // No ranges means there's a gap
-    
-    // Sort ranges by min_score
-    const sortedRanges = [...ranges].sort((a, b) => a.min_score - b.min_score);
-    
-    // Check if the first range starts at 0
-    if (sortedRanges[0].min_score > 0) {
-      return true; // Gap from 0 to the first range
-    }
-    
-    // Check for gaps between ranges
-    for (let i = 0; i < sortedRanges.length - 1; i++) {
-      // If the next range doesn't start at or immediately after the current range ends, there's a gap
-      if (sortedRanges[i].max_score < sortedRanges[i + 1].min_score - 1) {
-        return true; // Gap between this range and the next
-      }
-    }
-    
-    // Check if the last range ends at 100
-    if (sortedRanges[sortedRanges.length - 1].max_score < 100) {
-      return true; // Gap from the last range to 100
-    }
-    
-    return false; // No gaps found
-  };
+  // Same rule the publish checks apply (publishChecks.ts)
+  const checkForGaps = (ranges) => coverageGaps(ranges).length > 0;
 
   const renderCoverageStatus = () => {
     const hasGaps = checkForGaps(scoreRanges);
@@ -352,6 +390,9 @@ const ScoreRangesManager = ({ surveyId, categories }) => {
   return (
     <div style={{ padding: '1rem', border: '1px solid #ddd', borderRadius: '4px', marginBottom: '2rem' }}>
       <h2>Score Ranges</h2>
+      <p style={{ marginTop: 0, fontSize: '0.85rem', color: '#555' }}>
+        Published surveys score against the ranges saved with each version; changes here apply to new responses once the survey is saved and published again.
+      </p>
 
       <div style={{ marginBottom: '1rem' }}>
         <label htmlFor="category-select" style={{ display: 'block', marginBottom: '0.5rem' }}>
@@ -483,6 +524,56 @@ const ScoreRangesManager = ({ surveyId, categories }) => {
                 </div>
               </div>
             </div>
+
+            <details style={{ marginTop: '0.75rem' }} open={!!(newRange.recommendations || newRange.imagePath || newRange.actionItems)}>
+              <summary style={{ cursor: 'pointer', fontWeight: 600 }}>Report content (optional)</summary>
+              <p style={{ fontSize: '0.85rem', color: '#555' }}>
+                Shown under this band in the PDF report: in the summary for total-score ranges and in the category details for category ranges.
+              </p>
+              <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '0.75rem' }}>
+                <div>
+                  <label htmlFor="recommendations" style={{ display: 'block', marginBottom: '0.25rem' }}>
+                    Recommendations (HTML; merge fields like {'{{overall.percent}}'} work here):
+                  </label>
+                  <textarea
+                    id="recommendations"
+                    value={newRange.recommendations}
+                    onChange={(e) => setNewRange({ ...newRange, recommendations: e.target.value })}
+                    rows="6"
+                    placeholder="<p>Focus on ...</p>"
+                    style={{ width: '100%', padding: '0.5rem', border: '1px solid #ddd', borderRadius: '4px', fontFamily: 'ui-monospace, monospace', fontSize: '0.85rem' }}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="action-items" style={{ display: 'block', marginBottom: '0.25rem' }}>
+                    Action items (one per line):
+                  </label>
+                  <textarea
+                    id="action-items"
+                    value={newRange.actionItems}
+                    onChange={(e) => setNewRange({ ...newRange, actionItems: e.target.value })}
+                    rows="6"
+                    style={{ width: '100%', padding: '0.5rem', border: '1px solid #ddd', borderRadius: '4px', fontFamily: 'inherit' }}
+                  />
+                </div>
+              </div>
+              <div style={{ marginTop: '0.5rem', display: 'flex', alignItems: 'center', gap: '0.75rem', flexWrap: 'wrap' }}>
+                <span>Image:</span>
+                {newRange.imagePath ? (
+                  <>
+                    <img src={assetUrl(newRange.imagePath)} alt="" style={{ maxHeight: 60, maxWidth: 160, border: '1px solid #ddd', borderRadius: 4 }} />
+                    <button
+                      onClick={() => setNewRange({ ...newRange, imagePath: '' })}
+                      style={{ padding: '0.25rem 0.5rem', border: '1px solid #ddd', background: '#fff', borderRadius: '4px', cursor: 'pointer' }}
+                    >
+                      Remove
+                    </button>
+                  </>
+                ) : null}
+                <input type="file" accept="image/*" onChange={handleImageSelect} disabled={imageUploading} />
+                {imageUploading && <span style={{ color: '#4f46e5' }}>Uploading...</span>}
+              </div>
+            </details>
           </div>
 
           <div>
@@ -533,6 +624,16 @@ const ScoreRangesManager = ({ surveyId, categories }) => {
                         }}>
                           {range.description}
                         </div>
+                        {(range.recommendations || range.image_path || actionItemsList(range.action_items).length > 0) && (
+                          <div style={{ marginTop: '0.25rem', fontSize: '0.8rem', color: '#666' }}>
+                            Report content:{' '}
+                            {[
+                              range.recommendations && 'recommendations',
+                              range.image_path && 'image',
+                              actionItemsList(range.action_items).length > 0 && `${actionItemsList(range.action_items).length} action item(s)`,
+                            ].filter(Boolean).join(', ')}
+                          </div>
+                        )}
                       </td>
                       <td style={{ border: '1px solid #ddd', padding: '0.5rem' }}>
                         <div style={{ display: 'flex', gap: '0.5rem' }}>
@@ -3,6 +3,8 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import { createClient } from '@supabase/supabase-js';
 import ScoreRangesManager from './ScoreRangesManager'; // keep your existing relative path
+import PublishProblems from '../../src/components/PublishProblems';
+import { adminFetch } from '../../src/lib/adminFetch';
 
 // Only create Supabase client if environment variables are available
 const supabase =
@@ -10,6 +12,17 @@ const supabase =
     ? createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY)
     : null;
 
+const STATUS_COLORS = { draft: '#9ca3af', published: '#16a34a', archived: '#4b5563' };
+
+const STATUS_BUTTON = {
+  padding: '0.25rem 0.6rem',
+  fontSize: 12,
+  color: 'white',
+  border: 'none',
+  borderRadius: 4,
+  cursor: 'pointer',
+};
+
 export default function Dashboard() {
   const router = useRouter();
 
@@ -18,6 +31,8 @@ export default function Dashboard() {
   const [error, setError] = useState('');
   const [creating, setCreating] = useState(false);
   const [deletingId, setDeletingId] = useState(null);
+  const [statusBusyId, setStatusBusyId] = useState(null);
+  const [publishProblems, setPublishProblems] = useState({}); // { [surveyId]: problems from the last publish attempt }
 
   // local “edit” state used to render ScoreRangesManager like your current page
   const [editingSurvey, setEditingSurvey] = useState(null);
@@ -36,7 +51,7 @@ export default function Dashboard() {
         }
         const { data, error: qErr } = await supabase
           .from('surveys')
-          .select('id, title, created_at, updated_at')
+          .select('id, title, status, version, created_at, updated_at')
           .order('created_at', { ascending: false });
 
         if (qErr) throw qErr;
@@ -120,7 +135,7 @@ export default function Dashboard() {
       const { data, error: insErr } = await supabase
         .from('surveys')
         .insert([{ title }])
-        .select('id, title, created_at, updated_at')
+        .select('id, title, status, version, created_at, updated_at')
         .single();
 
       if (insErr) throw insErr;
@@ -134,44 +149,71 @@ export default function Dashboard() {
   }
 
   // ---------------------------
-  // Delete survey (safe cascade: questions → categories → survey)
+  // Lifecycle: draft → published (after the server-side checks) → archived
   // ---------------------------
-  async function deleteSurvey(id) {
-    if (!id) return;
-    const ok = confirm('Delete this survey and all its categories/questions? This cannot be undone.');
-    if (!ok) return;
+  async function publishSurvey(id) {
+    try {
+      setStatusBusyId(id);
+      setPublishProblems(prev => ({ ...prev, [id]: [] }));
+
+      const resp = await adminFetch(supabase, `/api/surveys/${id}/publish`, { method: 'POST' });
+      const body = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        if (Array.isArray(body.problems)) {
+          setPublishProblems(prev => ({ ...prev, [id]: body.problems }));
+          return;
+        }
+        throw new Error(body.error || 'Failed to publish survey.');
+      }
+
+      setSurveys(prev => prev.map(s => (s.id === id ? { ...s, status: 'published', version: body.version } : s)));
+    } catch (e) {
+      setError(e.message || 'Failed to publish survey.');
+    } finally {
+      setStatusBusyId(null);
+    }
+  }
+
+  // Unpublish (back to draft) and archive need no checks; responses and
+  // snapshots are kept either way.
+  async function setSurveyStatus(id, status) {
+    if (status === 'archived' && !confirm('Archive this survey? It will stop accepting responses and leave the public list.')) return;
 
     try {
       if (!supabase) {
         setError('Supabase client not initialized. Please check environment variables.');
         return;
       }
-      setDeletingId(id);
+      setStatusBusyId(id);
+      const { error: upErr } = await supabase.from('surveys').update({ status }).eq('id', id);
+      if (upErr) throw upErr;
 
-      // 1) collect categories for this survey
-      const { data: cats, error: catErr } = await supabase
-        .from('categories')
-        .select('id')
-        .eq('survey_id', id);
+      setSurveys(prev => prev.map(s => (s.id === id ? { ...s, status } : s)));
+      setPublishProblems(prev => ({ ...prev, [id]: [] }));
+    } catch (e) {
+      setError(e.message || 'Failed to update survey status.');
+    } finally {
+      setStatusBusyId(null);
+    }
+  }
 
-      if (catErr) throw catErr;
+  // ---------------------------
+  // Delete survey (server-side, in one transaction; refused once it has responses)
+  // ---------------------------
+  async function deleteSurvey(id) {
+    if (!id) return;
+    const ok = confirm('Delete this survey and all its categories/questions? This cannot be undone.');
+    if (!ok) return;
 
-      const categoryIds = (cats || []).map(c => c.id);
+    try {
+      setDeletingId(id);
 
-      // 2) delete questions under these categories
-      if (categoryIds.length > 0) {
-        const { error: qDelErr } = await supabase.from('questions').delete().in('category_id', categoryIds);
-        if (qDelErr) throw qDelErr;
+      const resp = await adminFetch(supabase, `/api/surveys/${id}`, { method: 'DELETE' });
+      if (!resp.ok) {
+        const body = await resp.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to delete survey.');
       }
 
-      // 3) delete categories
-      const { error: cDelErr } = await supabase.from('categories').delete().eq('survey_id', id);
-      if (cDelErr) throw cDelErr;
-
-      // 4) delete survey
-      const { error: sDelErr } = await supabase.from('surveys').delete().eq('id', id);
-      if (sDelErr) throw sDelErr;
-
       setSurveys(prev => prev.filter(s => s.id !== id));
 
       // clean up edit panel if it was open for this survey
@@ -215,6 +257,20 @@ export default function Dashboard() {
             Open PDF Report Designer
           </button>
 
+          <button
+            onClick={() => router.push('/admin/privacy')}
+            style={{
+              padding: '0.75rem 1.25rem',
+              backgroundColor: '#4b5563',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer',
+            }}
+          >
+            Privacy requests
+          </button>
+
           <button
             onClick={createSurvey}
             disabled={creating}
@@ -260,6 +316,65 @@ export default function Dashboard() {
               <div style={{ fontSize: 12, color: '#6b7280' }}>{fmtDate(survey.created_at)}</div>
             </div>
 
+            {/* Lifecycle */}
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+              <span
+                style={{
+                  fontSize: 12,
+                  fontWeight: 600,
+                  padding: '0.15rem 0.5rem',
+                  borderRadius: 999,
+                  color: 'white',
+                  backgroundColor: STATUS_COLORS[survey.status] || STATUS_COLORS.draft,
+                }}
+              >
+                {survey.status || 'draft'}
+                {survey.status === 'published' && survey.version ? ` · v${survey.version}` : ''}
+              </span>
+
+              {survey.status !== 'published' && (
+                <button
+                  onClick={() => publishSurvey(survey.id)}
+                  disabled={statusBusyId === survey.id}
+                  style={{ ...STATUS_BUTTON, backgroundColor: '#16a34a' }}
+                >
+                  {statusBusyId === survey.id ? 'Checking…' : 'Publish'}
+                </button>
+              )}
+              {survey.status === 'published' && (
+                <button
+                  onClick={() => setSurveyStatus(survey.id, 'draft')}
+                  disabled={statusBusyId === survey.id}
+                  style={{ ...STATUS_BUTTON, backgroundColor: '#d97706' }}
+                >
+                  Unpublish
+                </button>
+              )}
+              {survey.status !== 'archived' && (
+                <button
+                  onClick={() => setSurveyStatus(survey.id, 'archived')}
+                  disabled={statusBusyId === survey.id}
+                  style={{ ...STATUS_BUTTON, backgroundColor: '#6b7280' }}
+                >
+                  Archive
+                </button>
+              )}
+              {survey.status === 'archived' && (
+                <button
+                  onClick={() => setSurveyStatus(survey.id, 'draft')}
+                  disabled={statusBusyId === survey.id}
+                  style={{ ...STATUS_BUTTON, backgroundColor: '#2563eb' }}
+                >
+                  Restore to draft
+                </button>
+              )}
+            </div>
+
+            <PublishProblems
+              problems={publishProblems[survey.id]}
+              onDismiss={() => setPublishProblems(prev => ({ ...prev, [survey.id]: [] }))}
+            />
+
             {/* Survey URL for embedding */}
             <div style={{ 
               backgroundColor: '#f8f9fa', 
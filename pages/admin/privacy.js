@@ -0,0 +1,164 @@
+// pages/admin/privacy.js
+// Data-subject requests: look up everyone who used an email address, download
+// their data, or erase it (delete, or anonymise to keep survey statistics).
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import { createClient } from '@supabase/supabase-js';
+import { adminFetch } from '../../src/lib/adminFetch';
+
+const supabase = process.env.NEXT_PUBLIC_SUPABASE_URL && process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
+  ? createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
+    )
+  : null;
+
+const buttonStyle = {
+  padding: '0.5rem 1rem',
+  marginRight: '0.5rem',
+  border: 'none',
+  borderRadius: '4px',
+  color: 'white',
+  cursor: 'pointer'
+};
+
+const ERASE_CONFIRM = {
+  delete: 'Permanently delete everything stored for this address, including their responses and PDF reports?',
+  anonymize:
+    'Remove the email address, metadata, free-text answers, emails and PDF reports? Scored answers and results are kept without anything that identifies the person.'
+};
+
+export default function PrivacyPage() {
+  const router = useRouter();
+  const [email, setEmail] = useState('');
+  const [found, setFound] = useState(null); // { email, respondents } from the last lookup
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const request = async (url, init) => {
+    const resp = await adminFetch(supabase, url, init);
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data?.error || `Request failed (${resp.status})`);
+    return data;
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const lookup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      setFound(await request(`/api/data-subjects?email=${encodeURIComponent(email.trim())}`));
+    });
+  };
+
+  const download = () =>
+    run(async () => {
+      const data = await request(`/api/data-subjects/export?email=${encodeURIComponent(found.email)}`);
+      const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `data-export-${data.exportedAt.slice(0, 10)}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    });
+
+  const erase = (mode) => {
+    if (!window.confirm(ERASE_CONFIRM[mode])) return;
+    run(async () => {
+      const { summary } = await request('/api/data-subjects/erase', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: found.email, mode })
+      });
+      setMessage(
+        `${mode === 'delete' ? 'Deleted' : 'Anonymised'} ${summary.respondents} respondent(s); removed ${summary.reportJobs} report job(s), ` +
+          `${summary.emails} email(s) and ${summary.files} PDF file(s).`
+      );
+      setFound(await request(`/api/data-subjects?email=${encodeURIComponent(found.email)}`));
+    });
+  };
+
+  return (
+    <div style={{ padding: '2rem', fontFamily: 'sans-serif', maxWidth: 900 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '2rem' }}>
+        <h1 style={{ margin: 0 }}>Privacy requests</h1>
+        <button
+          onClick={() => router.push('/admin/dashboard')}
+          style={{ ...buttonStyle, backgroundColor: '#6c757d' }}
+        >
+          Back to Dashboard
+        </button>
+      </div>
+
+      <form onSubmit={lookup} style={{ display: 'flex', gap: '0.5rem', marginBottom: '1.5rem' }}>
+        <input
+          type="email"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="person@example.com"
+          style={{ flex: 1, padding: '0.6rem' }}
+        />
+        <button type="submit" disabled={busy} style={{ ...buttonStyle, backgroundColor: '#007bff' }}>
+          Look up
+        </button>
+      </form>
+
+      {error && <p style={{ color: '#dc3545' }}>{error}</p>}
+      {message && <p style={{ color: '#28a745' }}>{message}</p>}
+
+      {found && !found.respondents.length && <p>Nothing is stored for {found.email}.</p>}
+
+      {found && found.respondents.length > 0 && (
+        <>
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '1.5rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+                <th style={{ padding: '0.5rem' }}>Survey</th>
+                <th style={{ padding: '0.5rem' }}>Started</th>
+                <th style={{ padding: '0.5rem' }}>Completed</th>
+                <th style={{ padding: '0.5rem' }}>Consent</th>
+                <th style={{ padding: '0.5rem' }}>PDF reports</th>
+              </tr>
+            </thead>
+            <tbody>
+              {found.respondents.map((r) => (
+                <tr key={r.respondentId} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '0.5rem' }}>{r.surveyTitle || r.surveyId}</td>
+                  <td style={{ padding: '0.5rem' }}>{r.startedAt ? new Date(r.startedAt).toLocaleString() : '—'}</td>
+                  <td style={{ padding: '0.5rem' }}>{r.completed ? 'Yes' : 'No'}</td>
+                  <td style={{ padding: '0.5rem' }}>
+                    {r.consent ? `Yes${r.consentAt ? ` (${new Date(r.consentAt).toLocaleString()})` : ''}` : 'No'}
+                  </td>
+                  <td style={{ padding: '0.5rem' }}>{r.reports}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <button onClick={download} disabled={busy} style={{ ...buttonStyle, backgroundColor: '#007bff' }}>
+            Download data (JSON)
+          </button>
+          <button onClick={() => erase('anonymize')} disabled={busy} style={{ ...buttonStyle, backgroundColor: '#fd7e14' }}>
+            Anonymise
+          </button>
+          <button onClick={() => erase('delete')} disabled={busy} style={{ ...buttonStyle, backgroundColor: '#dc3545' }}>
+            Delete everything
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -3,6 +3,10 @@ import { useEffect, useMemo, useState } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
 import { createClient } from '@supabase/supabase-js';
+import { adminFetch } from '../../../src/lib/adminFetch';
+import ReportSectionEditor from '../../../src/components/ReportSectionEditor';
+import { availableMergeFields } from '../../../src/lib/mergeFields';
+import { DEFAULT_TEMPLATE, normalizeTemplate } from '../../../src/lib/reportTemplates';
 
 // Initialize Supabase client (same pattern as question images)
 const supabase =
@@ -14,10 +18,10 @@ const supabase =
     : null;
 
 /**
- * Upload a logo file to the public `assets` bucket and return the public URL.
- * Uses the same pattern as question image uploads.
+ * Upload an image to the public `assets` bucket under `folder` and return its
+ * object path and public URL. Uses the same pattern as question image uploads.
  */
-async function uploadLogo(file, surveyId) {
+async function uploadAsset(file, surveyId, folder) {
   if (!supabase) throw new Error('No Supabase client');
   if (!file) throw new Error('No file provided');
 
@@ -28,8 +32,8 @@ async function uploadLogo(file, surveyId) {
 
   const ext = (file.name.split('.').pop() || 'png').toLowerCase();
   const path = surveyId 
-    ? `surveys/${surveyId}/logos/${uuid}.${ext}`
-    : `logos/${uuid}.${ext}`;
+    ? `surveys/${surveyId}/${folder}/${uuid}.${ext}`
+    : `${folder}/${uuid}.${ext}`;
 
   const { error } = await supabase
     .storage
@@ -42,105 +46,235 @@ async function uploadLogo(file, surveyId) {
 
   if (error) throw error;
   
-  // Get public URL
-  const { data: urlData } = supabase.storage
-    .from('assets')
-    .getPublicUrl(path);
+  return { path, publicUrl: assetPublicUrl(path) };
+}
 
-  return urlData.publicUrl;
+function assetPublicUrl(path) {
+  if (!supabase || !path) return '';
+  return supabase.storage.from('assets').getPublicUrl(path).data.publicUrl;
 }
 
-// ---- Template schema (kept intentionally simple & explicit) ----
-const DEFAULT_TEMPLATE = {
-  name: 'Default Template',
-  page: {
-    size: 'A4', // 'A4' | 'Letter'
-    orientation: 'portrait', // 'portrait' | 'landscape'
-    margin: { top: 18, right: 14, bottom: 18, left: 14 }, // mm
-  },
-  branding: {
-    logoUrl: '',
-    primaryColor: '#111827',
-    accentColor: '#4f46e5',
-  },
-  sections: [
-    { key: 'cover',        enabled: true },
-    { key: 'summary',      enabled: true },
-    { key: 'donutChart',   enabled: true },
-    { key: 'categories',   enabled: true },
-    { key: 'categoryText', enabled: true },
-    { key: 'responses',    enabled: false },
-  ],
-};
+/**
+ * Upload a logo file to the public `assets` bucket and return the public URL.
+ */
+async function uploadLogo(file, surveyId) {
+  const { publicUrl } = await uploadAsset(file, surveyId, 'logos');
+  return publicUrl;
+}
 
 const ALL_SECTION_META = {
   cover:        { label: 'Cover' },
   summary:      { label: 'Summary (total % + band text)' },
-  donutChart:   { label: 'Score Overview (donut)' },
+  donutChart:   { label: 'Score Overview (chart)' },
+  radarChart:   { label: 'Radar vs survey average (with score bands)' },
+  benchmarks:   { label: 'How you compare (average, median, percentile)' },
   categories:   { label: 'Categories (per-category %)' },
   categoryText: { label: 'Category text (per-category band descriptions)' },
   responses:    { label: 'Responses (answers table)' },
 };
 
+// Custom sections added from the designer (see ReportSection in reportTemplates.ts)
+const CUSTOM_SECTION_META = {
+  text:      { label: 'Text', create: () => ({ html: '<p></p>' }) },
+  image:     { label: 'Image', create: () => ({ path: '', alt: '', width: 100 }) },
+  chart:     { label: 'Chart', create: () => ({ chart: 'bar', title: '' }) },
+  pageBreak: { label: 'Page break', create: () => ({}) },
+};
+
+function sectionLabel(s) {
+  if (!s.type) return ALL_SECTION_META[s.key]?.label || s.key;
+  const base = CUSTOM_SECTION_META[s.type]?.label || s.type;
+  if (s.type === 'text') {
+    const snippet = (s.html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return snippet ? `${base}: ${snippet.length > 40 ? `${snippet.slice(0, 40)}…` : snippet}` : base;
+  }
+  if (s.type === 'image' && s.alt) return `${base}: ${s.alt}`;
+  if (s.type === 'chart' && s.title) return `${base}: ${s.title}`;
+  return base;
+}
+
+// Drawn as SVG by src/lib/svgCharts.ts when the report is rendered
+const CHART_OPTIONS = [
+  { value: 'donut', label: 'Donut' },
+  { value: 'bar', label: 'Bar' },
+  { value: 'radar', label: 'Radar' },
+];
+
+function newSectionKey() {
+  return `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
 function clamp(n, lo, hi) {
   const x = Number(n);
   return Number.isFinite(x) ? Math.max(lo, Math.min(hi, x)) : lo;
 }
 
+async function requestJson(url, options) {
+  const resp = await adminFetch(supabase, url, options);
+  const data = resp.status === 204 ? {} : await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(data?.error || `Request failed (${resp.status})`);
+  return data;
+}
+
+const jsonOptions = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
 export default function PdfReportDesigner() {
   const router = useRouter();
   const surveyId = router.query.surveyId ? String(router.query.surveyId) : null;
-  const storageKey = `report-template:${surveyId || 'global'}`;
 
+  const [templates, setTemplates] = useState([]);
+  const [selectedId, setSelectedId] = useState(null); // null: new, unsaved template
   const [template, setTemplate] = useState(DEFAULT_TEMPLATE);
-  const [loadedKey, setLoadedKey] = useState(storageKey);
+  const [isDefault, setIsDefault] = useState(false);
+  const [assignedId, setAssignedId] = useState(null); // survey's own template, when ?surveyId is set
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [loadError, setLoadError] = useState('');
   const [savedMessage, setSavedMessage] = useState('');
   const [logoUploading, setLogoUploading] = useState(false);
   const [logoUploadError, setLogoUploadError] = useState('');
   const [dragOver, setDragOver] = useState(false);
+  const [previewHtml, setPreviewHtml] = useState('');
+  const [previewError, setPreviewError] = useState('');
+  const [previewRespondentId, setPreviewRespondentId] = useState('');
+  const [pdfLoading, setPdfLoading] = useState(false);
+  const [editingKey, setEditingKey] = useState(null);
+  const [categoryTitles, setCategoryTitles] = useState([]);
+
+  function flash(message, ms = 2500) {
+    setSavedMessage(message);
+    setTimeout(() => setSavedMessage(''), ms);
+  }
+
+  function selectTemplate(row) {
+    if (!row) {
+      setSelectedId(null);
+      setTemplate({ ...DEFAULT_TEMPLATE, name: 'New template' });
+      setIsDefault(false);
+      return;
+    }
+    setSelectedId(row.id);
+    setTemplate({ ...normalizeTemplate(row.template), name: row.name });
+    setIsDefault(!!row.is_default);
+  }
 
-  // Load from localStorage on mount / when surveyId changes
+  // Load saved templates (and the survey's assignment) on mount / when surveyId changes.
+  // Opens the survey's own template, else the default, else the first saved one.
   useEffect(() => {
-    try {
-      const raw = window.localStorage.getItem(storageKey);
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        if (parsed && typeof parsed === 'object') {
-          setTemplate(safeMergeTemplate(parsed));
-          setLoadedKey(storageKey);
-          return;
+    if (!router.isReady) return;
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setLoadError('');
+      try {
+        const { templates: rows = [] } = await requestJson('/api/reports/templates');
+        const assigned = surveyId
+          ? (await requestJson(`/api/surveys/${surveyId}/report-template`)).templateId
+          : null;
+        if (cancelled) return;
+        setTemplates(rows);
+        setAssignedId(assigned);
+        selectTemplate(
+          rows.find(r => r.id === assigned) || rows.find(r => r.is_default) || rows[0] || null
+        );
+      } catch (e) {
+        if (!cancelled) setLoadError(e.message || 'Failed to load templates');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [router.isReady, surveyId]);
+
+  const previewBody = useMemo(
+    () => ({
+      template,
+      surveyId: surveyId || undefined,
+      respondentId: (surveyId && previewRespondentId.trim()) || undefined,
+    }),
+    [template, surveyId, previewRespondentId]
+  );
+
+  // Re-render the preview shortly after every change; a newer change cancels
+  // the request for an older one.
+  useEffect(() => {
+    if (loading) return;
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const resp = await adminFetch(supabase, '/api/reports/preview', { ...jsonOptions('POST', previewBody), signal: controller.signal });
+        if (!resp.ok) {
+          const data = await resp.json().catch(() => ({}));
+          throw new Error(data?.error || `Preview failed (${resp.status})`);
         }
+        setPreviewHtml(await resp.text());
+        setPreviewError('');
+      } catch (e) {
+        if (e.name !== 'AbortError') setPreviewError(e.message || 'Preview failed');
       }
-    } catch {
-      // ignore parse errors and fall back to defaults
-    }
-    setTemplate(DEFAULT_TEMPLATE);
-    setLoadedKey(storageKey);
-  }, [storageKey]);
-
-  // Normalise incoming objects against DEFAULT_TEMPLATE
-  function safeMergeTemplate(incoming) {
-    const t = { ...DEFAULT_TEMPLATE, ...incoming };
-    t.page = {
-      ...DEFAULT_TEMPLATE.page,
-      ...(incoming.page || {}),
-      margin: { ...DEFAULT_TEMPLATE.page.margin, ...(incoming.page?.margin || {}) },
+    }, 300);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
     };
-    t.branding = { ...DEFAULT_TEMPLATE.branding, ...(incoming.branding || {}) };
-    
-    // Ensure all sections from DEFAULT_TEMPLATE are included
-    const existingSections = Array.isArray(incoming.sections) ? incoming.sections : [];
-    const mergedSections = DEFAULT_TEMPLATE.sections.map(defaultSection => {
-      const existingSection = existingSections.find(s => s.key === defaultSection.key);
-      return existingSection || defaultSection;
-    });
-    
-    // Filter to only valid sections and ensure proper structure
-    t.sections = mergedSections
-      .filter(s => ALL_SECTION_META[s.key])
-      .map(s => ({ key: s.key, enabled: !!s.enabled }));
-    
-    return t;
+  }, [previewBody, loading]);
+
+  async function openPdfPreview() {
+    setPdfLoading(true);
+    try {
+      const resp = await adminFetch(supabase, '/api/reports/preview', jsonOptions('POST', { ...previewBody, format: 'pdf' }));
+      if (!resp.ok) {
+        const data = await resp.json().catch(() => ({}));
+        throw new Error(data?.error || `Preview failed (${resp.status})`);
+      }
+      const url = URL.createObjectURL(await resp.blob());
+      window.open(url, '_blank', 'noopener');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (e) {
+      setPreviewError(e.message || 'Failed to render PDF');
+    } finally {
+      setPdfLoading(false);
+    }
+  }
+
+  // Category titles for the {{category.<title>.…}} merge fields
+  useEffect(() => {
+    if (!supabase || !surveyId) {
+      setCategoryTitles([]);
+      return;
+    }
+    supabase
+      .from('categories')
+      .select('title, order')
+      .eq('survey_id', surveyId)
+      .order('order', { ascending: true })
+      .then(({ data }) => setCategoryTitles((data || []).map(c => c.title).filter(Boolean)));
+  }, [surveyId]);
+
+  const mergeFields = useMemo(() => availableMergeFields(categoryTitles), [categoryTitles]);
+
+  function addCustomSection(type) {
+    const section = { key: newSectionKey(), enabled: true, type, ...CUSTOM_SECTION_META[type].create() };
+    setTemplate(prev => ({ ...prev, sections: [...prev.sections, section] }));
+    setEditingKey(type === 'pageBreak' ? null : section.key);
+  }
+
+  function updateSection(key, patch) {
+    setTemplate(prev => ({
+      ...prev,
+      sections: prev.sections.map(s => (s.key === key ? { ...s, ...patch } : s)),
+    }));
+  }
+
+  function removeSection(key) {
+    setTemplate(prev => ({ ...prev, sections: prev.sections.filter(s => s.key !== key) }));
+    if (editingKey === key) setEditingKey(null);
   }
 
   function updateSectionEnabled(key, enabled) {
@@ -162,45 +296,76 @@ export default function PdfReportDesigner() {
     });
   }
 
-  function saveTemplate() {
+  async function saveTemplate(toSave = template, message = 'Template saved') {
+    const name = (toSave.name || '').trim();
+    if (!name) {
+      flash('Give the template a name before saving');
+      return;
+    }
+    setSaving(true);
     try {
-      window.localStorage.setItem(storageKey, JSON.stringify(template));
-      setSavedMessage(`Saved to ${storageKey}`);
-      setTimeout(() => setSavedMessage(''), 2000);
+      const body = { name, template: toSave, isDefault };
+      const { template: row } = selectedId
+        ? await requestJson(`/api/reports/templates/${selectedId}`, jsonOptions('PUT', body))
+        : await requestJson('/api/reports/templates', jsonOptions('POST', body));
+
+      // Only one template can be the default, so refresh the whole list
+      const { templates: rows = [] } = await requestJson('/api/reports/templates');
+      setTemplates(rows);
+      selectTemplate(rows.find(r => r.id === row.id) || row);
+      flash(message, 4000);
     } catch (e) {
-      setSavedMessage('Failed to save template');
-      setTimeout(() => setSavedMessage(''), 2500);
+      flash(e.message || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function deleteTemplate() {
+    if (!selectedId) return;
+    if (!window.confirm(`Delete "${template.name}"? Surveys using it will fall back to the default template.`)) return;
+    try {
+      await requestJson(`/api/reports/templates/${selectedId}`, { method: 'DELETE' });
+      const rest = templates.filter(t => t.id !== selectedId);
+      setTemplates(rest);
+      if (assignedId === selectedId) setAssignedId(null);
+      selectTemplate(rest.find(r => r.is_default) || rest[0] || null);
+      flash('Template deleted');
+    } catch (e) {
+      flash(e.message || 'Failed to delete template');
+    }
+  }
+
+  async function assignToSurvey(templateId) {
+    if (!surveyId) return;
+    try {
+      await requestJson(`/api/surveys/${surveyId}/report-template`, jsonOptions('PUT', { templateId }));
+      setAssignedId(templateId);
+      flash(templateId ? 'This survey now uses this template' : 'This survey now uses the default template');
+    } catch (e) {
+      flash(e.message || 'Failed to assign template');
     }
   }
 
   function resetToDefault() {
-    setTemplate(DEFAULT_TEMPLATE);
+    setTemplate(prev => ({ ...DEFAULT_TEMPLATE, name: prev.name }));
   }
 
   function updateToLatestTemplate() {
-    // Force merge with latest template to ensure new sections are included
+    // Merge with the latest built-in template so new sections are included, then save
     const currentSectionKeys = template.sections.map(s => s.key);
-    const updatedTemplate = safeMergeTemplate(template);
-    const newSectionKeys = updatedTemplate.sections.map(s => s.key);
-    
-    console.log('Current sections:', currentSectionKeys);
-    console.log('Updated sections:', newSectionKeys);
-    
+    const updatedTemplate = { ...normalizeTemplate(template), name: template.name };
+    const addedSections = updatedTemplate.sections
+      .map(s => s.key)
+      .filter(key => !currentSectionKeys.includes(key));
+
     setTemplate(updatedTemplate);
-    
-    // Save the updated template immediately with the new data
-    try {
-      window.localStorage.setItem(storageKey, JSON.stringify(updatedTemplate));
-      const addedSections = newSectionKeys.filter(key => !currentSectionKeys.includes(key));
-      const message = addedSections.length > 0 
+    saveTemplate(
+      updatedTemplate,
+      addedSections.length > 0
         ? `Template updated! Added: ${addedSections.join(', ')}`
-        : 'Template updated (no new sections added)';
-      setSavedMessage(message);
-      setTimeout(() => setSavedMessage(''), 4000);
-    } catch (e) {
-      setSavedMessage('Failed to save updated template');
-      setTimeout(() => setSavedMessage(''), 2500);
-    }
+        : 'Template updated (no new sections added)'
+    );
   }
 
   // Logo upload handlers
@@ -262,12 +427,12 @@ export default function PdfReportDesigner() {
   };
 
   const enabledSections = useMemo(
-    () => template.sections.filter(s => s.enabled).map(s => s.key),
+    () => template.sections.filter(s => s.enabled).map(sectionLabel),
     [template.sections]
   );
 
   return (
-    <div style={{ maxWidth: 980, margin: '0 auto', padding: '24px', fontFamily: 'system-ui, sans-serif' }}>
+    <div style={{ maxWidth: 1280, margin: '0 auto', padding: '24px', fontFamily: 'system-ui, sans-serif' }}>
       <header style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 16 }}>
         <div>
           <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 8 }}>
@@ -291,11 +456,14 @@ export default function PdfReportDesigner() {
           </div>
           <h1 style={{ margin: 0 }}>PDF Report Designer</h1>
           <div style={{ color: '#666', fontSize: 14 }}>
-            Storage key: <code>{storageKey}</code>
+            {selectedId ? <>Editing <b>{template.name}</b>{isDefault ? ' (default)' : ''}</> : 'New template (not saved yet)'}
           </div>
           {surveyId ? (
-            <div style={{ marginTop: 6 }}>
-              <Link href="/admin/reports/designer" style={{ fontSize: 14 }}>Switch to global template</Link>
+            <div style={{ marginTop: 6, fontSize: 14 }}>
+              This survey uses:{' '}
+              <b>{assignedId ? (templates.find(t => t.id === assignedId)?.name || 'its own template') : 'the default template'}</b>
+              {' · '}
+              <Link href="/admin/reports/designer" style={{ fontSize: 14 }}>Manage templates without a survey</Link>
             </div>
           ) : null}
         </div>
@@ -312,14 +480,65 @@ export default function PdfReportDesigner() {
             style={{ padding: '8px 12px', borderRadius: 6, border: '1px solid #ddd', background: '#fff', cursor: 'pointer' }}>
             Reset to default
           </button>
-          <button onClick={saveTemplate}
-            style={{ padding: '8px 12px', borderRadius: 6, border: 'none', background: '#111827', color: '#fff', cursor: 'pointer' }}>
-            Save
+          <button onClick={() => saveTemplate()} disabled={saving || loading}
+            style={{ padding: '8px 12px', borderRadius: 6, border: 'none', background: '#111827', color: '#fff', cursor: saving || loading ? 'not-allowed' : 'pointer' }}>
+            {saving ? 'Saving…' : 'Save'}
           </button>
         </div>
       </header>
 
       {savedMessage ? <div style={{ marginTop: 10, color: '#0a7' }}>{savedMessage}</div> : null}
+      {loadError ? <div style={{ marginTop: 10, color: '#dc3545' }}>{loadError}</div> : null}
+
+      <div style={{ marginTop: 16, padding: 16, border: '1px solid #eee', borderRadius: 8, display: 'flex', flexWrap: 'wrap', alignItems: 'flex-end', gap: 12 }}>
+        <label>
+          <div style={{ fontSize: 13, color: '#555' }}>Template</div>
+          <select
+            value={selectedId || ''}
+            disabled={loading}
+            onChange={e => selectTemplate(templates.find(t => t.id === e.target.value) || null)}
+            style={{ padding: 8, borderRadius: 6, border: '1px solid #ddd', minWidth: 200 }}
+          >
+            {templates.map(t => (
+              <option key={t.id} value={t.id}>{t.name}{t.is_default ? ' (default)' : ''}</option>
+            ))}
+            <option value="">+ New template</option>
+          </select>
+        </label>
+        <label>
+          <div style={{ fontSize: 13, color: '#555' }}>Name</div>
+          <input
+            type="text"
+            value={template.name}
+            onChange={e => setTemplate(prev => ({ ...prev, name: e.target.value }))}
+            style={{ padding: 8, borderRadius: 6, border: '1px solid #ddd', minWidth: 200 }}
+          />
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 14, paddingBottom: 8 }}>
+          <input type="checkbox" checked={isDefault} onChange={e => setIsDefault(e.target.checked)} />
+          Default for surveys without their own template
+        </label>
+        <div style={{ display: 'flex', gap: 8, marginLeft: 'auto' }}>
+          {surveyId && selectedId && assignedId !== selectedId ? (
+            <button onClick={() => assignToSurvey(selectedId)}
+              style={{ padding: '8px 12px', borderRadius: 6, border: '1px solid #4f46e5', background: '#fff', color: '#4f46e5', cursor: 'pointer', fontSize: 14 }}>
+              Use for this survey
+            </button>
+          ) : null}
+          {surveyId && assignedId ? (
+            <button onClick={() => assignToSurvey(null)}
+              style={{ padding: '8px 12px', borderRadius: 6, border: '1px solid #ddd', background: '#fff', cursor: 'pointer', fontSize: 14 }}>
+              Use default instead
+            </button>
+          ) : null}
+          {selectedId ? (
+            <button onClick={deleteTemplate}
+              style={{ padding: '8px 12px', borderRadius: 6, border: '1px solid #dc3545', background: '#fff', color: '#dc3545', cursor: 'pointer', fontSize: 14 }}>
+              Delete
+            </button>
+          ) : null}
+        </div>
+      </div>
 
       <section style={{ marginTop: 24, display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 20 }}>
         {/* Left column: Controls */}
@@ -481,61 +700,125 @@ export default function PdfReportDesigner() {
             <h2 style={{ marginTop: 0 }}>Sections & order</h2>
             <div style={{ display: 'grid', gap: 10 }}>
               {template.sections.map((s, idx) => {
-                const label = ALL_SECTION_META[s.key]?.label || s.key;
+                const label = sectionLabel(s);
                 return (
-                  <div key={s.key} style={{ display: 'flex', alignItems: 'center', gap: 10, border: '1px solid #eee', borderRadius: 6, padding: 10 }}>
-                    <input
-                      id={`sec-${s.key}`}
-                      type="checkbox"
-                      checked={!!s.enabled}
-                      onChange={e => updateSectionEnabled(s.key, e.target.checked)}
-                    />
-                    <label htmlFor={`sec-${s.key}`} style={{ flex: 1 }}>{label}</label>
-                    <div style={{ display: 'flex', gap: 6 }}>
-                      <button
-                        onClick={() => moveSection(s.key, 'up')}
-                        disabled={idx === 0}
-                        title="Move up"
-                        style={{ padding: '6px 8px', borderRadius: 6, border: '1px solid #ddd', background: '#fff', cursor: idx === 0 ? 'not-allowed' : 'pointer' }}
-                      >↑</button>
-                      <button
-                        onClick={() => moveSection(s.key, 'down')}
-                        disabled={idx === template.sections.length - 1}
-                        title="Move down"
-                        style={{ padding: '6px 8px', borderRadius: 6, border: '1px solid #ddd', background: '#fff', cursor: idx === template.sections.length - 1 ? 'not-allowed' : 'pointer' }}
-                      >↓</button>
+                  <div key={s.key} style={{ border: '1px solid #eee', borderRadius: 6, padding: 10, background: s.type ? '#fcfcff' : '#fff' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                      <input
+                        id={`sec-${s.key}`}
+                        type="checkbox"
+                        checked={!!s.enabled}
+                        onChange={e => updateSectionEnabled(s.key, e.target.checked)}
+                      />
+                      <label htmlFor={`sec-${s.key}`} style={{ flex: 1 }}>{label}</label>
+                      {s.key === 'donutChart' || s.type === 'chart' ? (
+                        <select
+                          value={s.chart || 'donut'}
+                          onChange={e => updateSection(s.key, { chart: e.target.value })}
+                          title="Chart type"
+                          style={{ padding: 6, borderRadius: 6, border: '1px solid #ddd', fontSize: 13 }}
+                        >
+                          {CHART_OPTIONS.map(o => (
+                            <option key={o.value} value={o.value}>{o.label}</option>
+                          ))}
+                        </select>
+                      ) : null}
+                      <div style={{ display: 'flex', gap: 6 }}>
+                        {s.type && s.type !== 'pageBreak' ? (
+                          <button
+                            onClick={() => setEditingKey(editingKey === s.key ? null : s.key)}
+                            style={{ padding: '6px 8px', borderRadius: 6, border: '1px solid #ddd', background: '#fff', cursor: 'pointer', fontSize: 13 }}
+                          >{editingKey === s.key ? 'Done' : 'Edit'}</button>
+                        ) : null}
+                        {s.type ? (
+                          <button
+                            onClick={() => removeSection(s.key)}
+                            title="Remove section"
+                            style={{ padding: '6px 8px', borderRadius: 6, border: '1px solid #f1c0c5', background: '#fff', color: '#dc3545', cursor: 'pointer' }}
+                          >✕</button>
+                        ) : null}
+                        <button
+                          onClick={() => moveSection(s.key, 'up')}
+                          disabled={idx === 0}
+                          title="Move up"
+                          style={{ padding: '6px 8px', borderRadius: 6, border: '1px solid #ddd', background: '#fff', cursor: idx === 0 ? 'not-allowed' : 'pointer' }}
+                        >↑</button>
+                        <button
+                          onClick={() => moveSection(s.key, 'down')}
+                          disabled={idx === template.sections.length - 1}
+                          title="Move down"
+                          style={{ padding: '6px 8px', borderRadius: 6, border: '1px solid #ddd', background: '#fff', cursor: idx === template.sections.length - 1 ? 'not-allowed' : 'pointer' }}
+                        >↓</button>
+                      </div>
                     </div>
+                    {s.type && editingKey === s.key ? (
+                      <div style={{ marginTop: 10 }}>
+                        <ReportSectionEditor
+                          section={s}
+                          mergeFields={mergeFields}
+                          onChange={patch => updateSection(s.key, patch)}
+                          onUploadImage={async file => (await uploadAsset(file, surveyId, 'report-images')).path}
+                          imageUrl={assetPublicUrl}
+                        />
+                      </div>
+                    ) : null}
                   </div>
                 );
               })}
             </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 12, fontSize: 14 }}>
+              Add section:
+              {Object.entries(CUSTOM_SECTION_META).map(([type, meta]) => (
+                <button
+                  key={type}
+                  onClick={() => addCustomSection(type)}
+                  style={{ padding: '6px 10px', borderRadius: 6, border: '1px solid #4f46e5', background: '#f8f9ff', color: '#4f46e5', cursor: 'pointer', fontSize: 13 }}
+                >+ {meta.label}</button>
+              ))}
+            </div>
           </div>
         </div>
 
-        {/* Right column: Live outline */}
-        <div style={{ padding: 16, border: '1px solid #eee', borderRadius: 8 }}>
-          <h2 style={{ marginTop: 0 }}>Live outline preview</h2>
-          <div style={{ fontSize: 14, color: '#666' }}>
-            <div>Template name: <b>{template.name || 'Untitled'}</b></div>
-            <div>Page: {template.page.size}, {template.page.orientation}</div>
-            <div>Margins (mm): top {template.page.margin.top}, right {template.page.margin.right}, bottom {template.page.margin.bottom}, left {template.page.margin.left}</div>
-            <div>Branding: primary {template.branding.primaryColor}, accent {template.branding.accentColor}</div>
+        {/* Right column: Live preview (rendered by /api/reports/preview) */}
+        <div style={{ padding: 16, border: '1px solid #eee', borderRadius: 8, alignSelf: 'start', position: 'sticky', top: 16 }}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+            <h2 style={{ margin: 0 }}>Live preview</h2>
+            <button onClick={openPdfPreview} disabled={pdfLoading}
+              style={{ padding: '6px 10px', borderRadius: 6, border: '1px solid #ddd', background: '#fff', cursor: pdfLoading ? 'not-allowed' : 'pointer', fontSize: 13 }}>
+              {pdfLoading ? 'Rendering PDF…' : 'Open as PDF'}
+            </button>
           </div>
-          <ol style={{ marginTop: 12 }}>
-            {template.sections.map((s) => (
-              <li key={s.key} style={{ opacity: s.enabled ? 1 : 0.4 }}>
-                {ALL_SECTION_META[s.key]?.label || s.key} {s.enabled ? '' : '(disabled)'}
-              </li>
-            ))}
-          </ol>
-          <div style={{ marginTop: 16, padding: 12, borderLeft: '4px solid #4f46e5', background: '#f8f9fa', borderRadius: 6 }}>
-            Enabled order for this template:
-            <div style={{ marginTop: 6 }}>
-              {enabledSections.length ? enabledSections.join(' → ') : <i>No sections enabled</i>}
-            </div>
+          <div style={{ marginTop: 6, fontSize: 13, color: '#666' }}>
+            {surveyId
+              ? (previewRespondentId.trim() ? 'Showing this respondent’s real scores.' : 'Showing sample scores on this survey’s categories.')
+              : 'Showing a sample survey with sample scores.'}
+          </div>
+          {surveyId ? (
+            <label style={{ display: 'block', marginTop: 8 }}>
+              <div style={{ fontSize: 12, color: '#555' }}>Respondent ID (optional, for real data)</div>
+              <input
+                type="text"
+                value={previewRespondentId}
+                onChange={e => setPreviewRespondentId(e.target.value)}
+                style={{ width: '100%', padding: 6, borderRadius: 6, border: '1px solid #ddd', fontSize: 13 }}
+              />
+            </label>
+          ) : null}
+          {previewError ? <div style={{ marginTop: 8, color: '#dc3545', fontSize: 13 }}>{previewError}</div> : null}
+          <div style={{ marginTop: 10, height: 720, overflow: 'hidden', border: '1px solid #eee', borderRadius: 6, background: '#e5e7eb' }}>
+            {/* Rendered at 75% so a full page width fits the column */}
+            <iframe
+              title="Report preview"
+              srcDoc={previewHtml}
+              sandbox=""
+              style={{ width: '133.33%', height: 960, border: 'none', transform: 'scale(0.75)', transformOrigin: '0 0' }}
+            />
+          </div>
+          <div style={{ marginTop: 10, fontSize: 13, color: '#666' }}>
+            Enabled order: {enabledSections.length ? enabledSections.join(' → ') : <i>No sections enabled</i>}
           </div>
-          <div style={{ marginTop: 16, fontSize: 13, color: '#666' }}>
-            Tip: pass <code>?surveyId=&lt;id&gt;</code> to target a specific survey, otherwise the template is stored under <b>global</b>.
+          <div style={{ marginTop: 10, fontSize: 13, color: '#666' }}>
+            Tip: pass <code>?surveyId=&lt;id&gt;</code> to choose which template a specific survey uses; surveys without one use the <b>default</b> template.
           </div>
         </div>
       </section>
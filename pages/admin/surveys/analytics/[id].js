@@ -4,6 +4,8 @@ import { createClient } from '@supabase/supabase-js';
 import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend, PointElement, LineElement, ArcElement } from 'chart.js';
 import { Bar, Line, Pie } from 'react-chartjs-2';
 import DonutChart from '../../../../src/components/DonutChart';
+import RadarChart from '../../../../src/components/RadarChart';
+import { groupRanges, listSnapshots, structureFromSnapshot } from '../../../../src/lib/snapshots';
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend, PointElement, LineElement, ArcElement);
 
@@ -21,13 +23,18 @@ export default function SurveyAnalyticsPage() {
   const [survey, setSurvey] = useState(null);
   const [categories, setCategories] = useState([]);
   const [responses, setResponses] = useState([]);
-  const [allResponses, setAllResponses] = useState([]); // Store all responses
+  const [allResponses, setAllResponses] = useState([]); // Store all completed responses
+  const [startedResponses, setStartedResponses] = useState([]); // Drafts + completed, for started vs completed
+  const [allStartedResponses, setAllStartedResponses] = useState([]);
   const [answers, setAnswers] = useState([]);
   const [allAnswers, setAllAnswers] = useState([]); // Store all answers
+  const [resultsByResponse, setResultsByResponse] = useState({}); // { [responseId]: results row }
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [scoreRanges, setScoreRanges] = useState({ categories: {}, total: [] });
+  const [snapshots, setSnapshots] = useState([]); // published versions, newest first
+  const [versionFilter, setVersionFilter] = useState('all'); // snapshot id or 'all'
   
   // Date range filtering states
   const [startDate, setStartDate] = useState('');
@@ -38,7 +45,7 @@ export default function SurveyAnalyticsPage() {
     if (id) {
       fetchSurveyData();
     }
-  }, [id]);
+  }, [id, versionFilter]);
 
   const fetchSurveyData = async () => {
     if (!supabase) {
@@ -58,30 +65,48 @@ export default function SurveyAnalyticsPage() {
       if (surveyError) throw surveyError;
       setSurvey(surveyData);
 
-      // Fetch categories with questions
-      const { data: categoriesData, error: categoriesError } = await supabase
-        .from('categories')
-        .select('*, questions(*)')
-        .eq('survey_id', id)
-        .order('order');
+      // Questions and ranges from the selected published version (the latest
+      // for "all versions"); surveys never published since versioning read live
+      const versions = await listSnapshots(supabase, id);
+      setSnapshots(versions);
+      const chosen = versions.find(v => v.id === versionFilter) || versions[0];
 
-      if (categoriesError) throw categoriesError;
-      setCategories(categoriesData || []);
+      if (chosen) {
+        const structure = structureFromSnapshot(chosen);
+        setCategories(structure.categories);
+        setScoreRanges(groupRanges(structure.ranges));
+      } else {
+        const { data: categoriesData, error: categoriesError } = await supabase
+          .from('categories')
+          .select('*, questions(*)')
+          .eq('survey_id', id)
+          .order('order');
+
+        if (categoriesError) throw categoriesError;
+        setCategories(categoriesData || []);
+        setScoreRanges(await getScoreRanges());
+      }
 
       // Fetch responses
-      const { data: responsesData, error: responsesError } = await supabase
+      let responsesQuery = supabase
         .from('responses')
         .select('*')
-        .eq('survey_id', id)
+        .eq('survey_id', id);
+      if (versionFilter !== 'all') responsesQuery = responsesQuery.eq('snapshot_id', versionFilter);
+      const { data: responsesData, error: responsesError } = await responsesQuery
         .order('completed_at', { ascending: false });
 
       if (responsesError) throw responsesError;
-      setAllResponses(responsesData || []); // Store all responses
-      setResponses(responsesData || []); // Initially show all responses
+      // Drafts (completed_at null) only count towards "started"
+      const completedData = (responsesData || []).filter(r => r.completed_at);
+      setAllStartedResponses(responsesData || []);
+      setStartedResponses(responsesData || []);
+      setAllResponses(completedData); // Store all responses
+      setResponses(completedData); // Initially show all responses
 
       // Fetch answers
-      if (responsesData && responsesData.length > 0) {
-        const responseIds = responsesData.map(r => r.id);
+      if (completedData.length > 0) {
+        const responseIds = completedData.map(r => r.id);
         const { data: answersData, error: answersError } = await supabase
           .from('answers')
           .select('*')
@@ -90,11 +115,22 @@ export default function SurveyAnalyticsPage() {
         if (answersError) throw answersError;
         setAllAnswers(answersData || []); // Store all answers
         setAnswers(answersData || []); // Initially show all answers
+
+        // Stored scores written at submission time (authoritative)
+        const { data: resultsData, error: resultsError } = await supabase
+          .from('results')
+          .select('*')
+          .in('response_id', responseIds);
+
+        if (resultsError) throw resultsError;
+        const byResponse = {};
+        (resultsData || []).forEach(r => (byResponse[r.response_id] = r));
+        setResultsByResponse(byResponse);
+      } else {
+        setAllAnswers([]);
+        setAnswers([]);
+        setResultsByResponse({});
       }
-      
-      // Fetch score ranges
-      const ranges = await getScoreRanges();
-      setScoreRanges(ranges);
     } catch (err) {
       console.error('Error in fetchSurveyData:', err);
       setError(err.message);
@@ -108,14 +144,16 @@ export default function SurveyAnalyticsPage() {
     if (!startDate && !endDate) {
       // No date filter applied, show all data
       setResponses(allResponses);
+      setStartedResponses(allStartedResponses);
       setAnswers(allAnswers);
       setDateFilterApplied(false);
       return;
     }
 
     let filteredResponses = [...allResponses];
+    let filteredStarted = [...allStartedResponses];
 
-    // Apply date filtering
+    // Apply date filtering (started responses by when they were started)
     if (startDate) {
       const start = new Date(startDate);
       start.setHours(0, 0, 0, 0); // Start of day
@@ -123,6 +161,7 @@ export default function SurveyAnalyticsPage() {
         const responseDate = new Date(response.completed_at);
         return responseDate >= start;
       });
+      filteredStarted = filteredStarted.filter(response => new Date(response.created_at) >= start);
     }
 
     if (endDate) {
@@ -132,6 +171,7 @@ export default function SurveyAnalyticsPage() {
         const responseDate = new Date(response.completed_at);
         return responseDate <= end;
       });
+      filteredStarted = filteredStarted.filter(response => new Date(response.created_at) <= end);
     }
 
     // Filter answers based on filtered responses
@@ -141,14 +181,24 @@ export default function SurveyAnalyticsPage() {
     );
 
     setResponses(filteredResponses);
+    setStartedResponses(filteredStarted);
     setAnswers(filteredAnswers);
     setDateFilterApplied(true);
   };
 
+  const changeVersion = (value) => {
+    // Date filters apply to the loaded set, so start the new version unfiltered
+    setStartDate('');
+    setEndDate('');
+    setDateFilterApplied(false);
+    setVersionFilter(value);
+  };
+
   const clearDateFilter = () => {
     setStartDate('');
     setEndDate('');
     setResponses(allResponses);
+    setStartedResponses(allStartedResponses);
     setAnswers(allAnswers);
     setDateFilterApplied(false);
   };
@@ -193,18 +243,10 @@ export default function SurveyAnalyticsPage() {
     }
   };
 
+  // Share of started responses (including saved drafts) that were submitted
   const getCompletionRate = () => {
-    if (responses.length === 0) return 0;
-    
-    const totalQuestions = categories.reduce((sum, category) => sum + category.questions.length, 0);
-    if (totalQuestions === 0) return 0;
-    
-    const completedResponses = responses.filter(response => {
-      const responseAnswers = answers.filter(answer => answer.response_id === response.id);
-      return responseAnswers.length >= totalQuestions;
-    });
-    
-    return Math.round((completedResponses.length / responses.length) * 100);
+    if (startedResponses.length === 0) return 0;
+    return Math.round((responses.length / startedResponses.length) * 100);
   };
 
   const getAverageCompletionTime = () => {
@@ -228,24 +270,26 @@ export default function SurveyAnalyticsPage() {
     };
   };
 
-  const getCategoryScores = () => {
+  const getCategoryScores = (inView = responses) => {
+    // Average the stored per-category percentages over the responses in view,
+    // matched by category id so a category renamed in a later version still lines up
+    const totals = {};
+    const counts = {};
+
+    inView.forEach(response => {
+      const result = resultsByResponse[response.id];
+      (result?.per_category || []).forEach(c => {
+        totals[c.category_id] = (totals[c.category_id] || 0) + Number(c.percent || 0);
+        counts[c.category_id] = (counts[c.category_id] || 0) + 1;
+      });
+    });
+
     const categoryScores = {};
-    
     categories.forEach(category => {
-      const categoryAnswers = answers.filter(answer => {
-        const question = category.questions.find(q => q.id === answer.question_id);
-        return question && question.scorable;
-      });
-      
-      if (categoryAnswers.length > 0) {
-        const totalScore = categoryAnswers.reduce((sum, answer) => sum + (answer.score || 0), 0);
-        const maxPossibleScore = categoryAnswers.length * 5; // Assuming max score is 5
-        categoryScores[category.title] = totalScore / maxPossibleScore; // Convert to 0-1 range for percentage calculation
-      } else {
-        categoryScores[category.title] = 0;
-      }
+      const n = counts[category.id] || 0;
+      categoryScores[category.title] = n ? totals[category.id] / n / 100 : 0; // 0-1 range for percentage calculation
     });
-    
+
     return categoryScores;
   };
 
@@ -321,7 +365,7 @@ export default function SurveyAnalyticsPage() {
       questionAnswers.forEach(answer => {
         if (question.type === 'checkbox') {
           // For checkboxes, the value might contain multiple choices
-          const selectedChoices = answer.value.split(', ');
+          const selectedChoices = Array.isArray(answer.value) ? answer.value : String(answer.value).split(', ');
           selectedChoices.forEach(choice => {
             if (choiceCounts[choice] !== undefined) {
               choiceCounts[choice]++;
@@ -371,7 +415,7 @@ export default function SurveyAnalyticsPage() {
   };
 
   const exportToCSV = () => {
-    let csvContent = "Response ID,Respondent ID,Question ID,Answer,Score,Completed At\n";
+    let csvContent = "Response ID,Respondent ID,Question ID,Answer,Score,Total %,Presented Order,Presented Choices,Completed At\n";
     
     // Use filtered data when date filter is applied
     const dataToExport = dateFilterApplied ? answers : allAnswers;
@@ -380,7 +424,8 @@ export default function SurveyAnalyticsPage() {
     dataToExport.forEach(answer => {
       const response = responsesToExport.find(r => r.id === answer.response_id);
       if (response) {
-        csvContent += `${response.id},${response.respondent_id},${answer.question_id},"${answer.value}",${answer.score || ''},${response.completed_at}\n`;
+        const total = resultsByResponse[response.id]?.overall?.percent;
+        csvContent += `${response.id},${response.respondent_id},${answer.question_id},"${answer.value}",${answer.score || ''},${total ?? ''},${answer.presented_order ?? ''},"${(answer.presented_choices || []).join(' | ')}",${response.completed_at}\n`;
       }
     });
     
@@ -398,6 +443,10 @@ export default function SurveyAnalyticsPage() {
 
   const responsesByDate = getResponsesByDate();
   const categoryScores = getCategoryScores();
+  // With a date filter, the radar compares the filtered responses to all of them
+  const overallAverages = dateFilterApplied
+    ? Object.fromEntries(Object.entries(getCategoryScores(allResponses)).map(([title, score]) => [title, score * 100]))
+    : {};
   const completionRate = getCompletionRate();
   const avgCompletionTime = getAverageCompletionTime();
 
@@ -465,6 +514,25 @@ export default function SurveyAnalyticsPage() {
         </div>
       </div>
 
+      {snapshots.length > 0 && (
+        <div style={{ marginBottom: '1rem' }}>
+          <label htmlFor="version-filter" style={{ marginRight: '0.5rem', fontWeight: 'bold' }}>Survey version:</label>
+          <select
+            id="version-filter"
+            value={versionFilter}
+            onChange={(e) => changeVersion(e.target.value)}
+            style={{ padding: '0.5rem', border: '1px solid #ddd', borderRadius: '4px' }}
+          >
+            <option value="all">All versions (questions as of v{snapshots[0].version})</option>
+            {snapshots.map(v => (
+              <option key={v.id} value={v.id}>
+                v{v.version} — published {new Date(v.created_at).toLocaleDateString()}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {/* Date Range Filter */}
       <div style={{ 
         backgroundColor: '#f8f9fa', 
@@ -587,7 +655,11 @@ export default function SurveyAnalyticsPage() {
       {/* Overview Metrics */}
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem', marginBottom: '2rem' }}>
         <div style={{ backgroundColor: '#f8f9fa', padding: '1rem', borderRadius: '4px', textAlign: 'center' }}>
-          <h3>Total Responses</h3>
+          <h3>Started</h3>
+          <p style={{ fontSize: '2rem', margin: '0' }}>{startedResponses.length}</p>
+        </div>
+        <div style={{ backgroundColor: '#f8f9fa', padding: '1rem', borderRadius: '4px', textAlign: 'center' }}>
+          <h3>Completed</h3>
           <p style={{ fontSize: '2rem', margin: '0' }}>{responses.length}</p>
         </div>
         <div style={{ backgroundColor: '#f8f9fa', padding: '1rem', borderRadius: '4px', textAlign: 'center' }}>
@@ -622,6 +694,28 @@ export default function SurveyAnalyticsPage() {
         </div>
       </div>
 
+      {/* Category profile - Radar Chart */}
+      {Object.keys(categoryScores).length >= 3 && (
+        <div style={{ marginBottom: '2rem' }}>
+          <h2>Category Profile</h2>
+          <div style={{ backgroundColor: '#fff', padding: '1rem', borderRadius: '4px', border: '1px solid #ddd' }}>
+            <RadarChart
+              categoryScores={categoryScores}
+              averages={overallAverages}
+              scoreRanges={scoreRanges}
+              categories={categories}
+              showTitle={false}
+              seriesLabel="Selected dates"
+              averageLabel="All responses"
+            />
+            <p style={{ margin: '0.5rem 0 0 0', color: '#6c757d', fontSize: '0.9rem', textAlign: 'center' }}>
+              Average score per category; each axis is shaded by that category&apos;s score ranges.
+              {dateFilterApplied ? ' The dashed outline is the average over all responses.' : ''}
+            </p>
+          </div>
+        </div>
+      )}
+
       {/* Question Analytics */}
       <div>
         <h2>Question Analytics</h2>
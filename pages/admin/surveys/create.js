@@ -3,6 +3,7 @@
 import { useState } from 'react';
 import { useRouter } from 'next/router';
 import { createClient } from '@supabase/supabase-js';
+import { adminFetch } from '../../../src/lib/adminFetch';
 
 const supabase = process.env.NEXT_PUBLIC_SUPABASE_URL && process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
   ? createClient(
@@ -283,7 +284,8 @@ export default function CreateSurvey() {
         .insert({
           title: survey.title,
           description: survey.description,
-          status: survey.status
+          // Published surveys go live through the publish endpoint below
+          status: survey.status === 'published' ? 'draft' : survey.status
         })
         .select()
         .single();
@@ -332,6 +334,17 @@ export default function CreateSurvey() {
         }
       }
 
+      if (survey.status === 'published') {
+        const publishRes = await adminFetch(supabase, `/api/surveys/${surveyData.id}/publish`, { method: 'POST' });
+        if (!publishRes.ok) {
+          const body = await publishRes.json().catch(() => ({}));
+          const problems = Array.isArray(body.problems) ? body.problems.map(p => `\n• ${p.message}`).join('') : '';
+          alert(`Survey saved as a draft, but it could not be published:${problems || ` ${body.error || 'unknown error'}`}\n\nFix these from the editor, then publish.`);
+          router.push(`/admin/surveys/edit/${surveyData.id}`);
+          return;
+        }
+      }
+
       alert('Survey created successfully!');
       router.push('/admin/dashboard');
 
@@ -1,6 +1,16 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import { createClient } from '@supabase/supabase-js';
+import { DEFAULT_CONSENT_TEXT } from '../../../../src/components/ConsentStep';
+import DisplayLogicEditor from '../../../../src/components/DisplayLogicEditor';
+import PublishProblems from '../../../../src/components/PublishProblems';
+import QuestionRulesEditor from '../../../../src/components/QuestionRulesEditor';
+import ReportEmailEditor from '../../../../src/components/ReportEmailEditor';
+import { adminFetch } from '../../../../src/lib/adminFetch';
+import { parseDisplayLogic } from '../../../../src/lib/displayLogic';
+import { emailLocale, normalizeReportEmail } from '../../../../src/lib/emailTemplates';
+import { availableMergeFields } from '../../../../src/lib/mergeFields';
+import { describeRuleProblem, parseRules } from '../../../../src/lib/questionRules';
 
 const supabase =
   process.env.NEXT_PUBLIC_SUPABASE_URL && process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
@@ -39,6 +49,25 @@ async function uploadQuestionImage(file, surveyId) {
   return path; // save this into questions.image_path
 }
 
+/** ISO timestamp → value for a datetime-local input (in the admin's time zone). */
+function toLocalInput(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '';
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/** datetime-local value → ISO timestamp, or null when empty. */
+function fromLocalInput(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/** Rules as stored in questions.validation; null when the question has none. */
+function validationFor(question) {
+  const rules = parseRules(question.validation);
+  return Object.keys(rules).length ? rules : null;
+}
+
 export default function EditSurveyPage() {
   const router = useRouter();
   const { id } = router.query;
@@ -47,11 +76,23 @@ export default function EditSurveyPage() {
     title: '',
     description: '',
     survey_footer: '', // ADDED
-    status: 'draft'
+    status: 'draft',
+    randomize_questions: false,
+    randomize_options: false,
+    opens_at: '',       // datetime-local values; empty means no limit
+    closes_at: '',
+    max_responses: '',
+    benchmark_cohort_key: '', // respondents.meta key; empty compares with the whole survey
+    email_locale: 'en',
+    report_email: normalizeReportEmail(null), // blank subject/body: built-in wording
+    require_email_verification: false,
+    consent_required: false,
+    consent_text: '' // empty: built-in wording (ConsentStep.js)
   });
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [publishProblems, setPublishProblems] = useState([]); // failed pre-publish checks
 
   useEffect(() => {
     if (id) {
@@ -80,7 +121,19 @@ export default function EditSurveyPage() {
         title: surveyData.title,
         description: surveyData.description,
         survey_footer: surveyData.survey_footer || '', // ADDED
-        status: surveyData.status
+        status: surveyData.status,
+        version: surveyData.version,
+        randomize_questions: !!surveyData.randomize_questions,
+        randomize_options: !!surveyData.randomize_options,
+        opens_at: toLocalInput(surveyData.opens_at),
+        closes_at: toLocalInput(surveyData.closes_at),
+        max_responses: surveyData.max_responses ?? '',
+        benchmark_cohort_key: surveyData.benchmark_cohort_key || '',
+        email_locale: emailLocale(surveyData.email_locale),
+        report_email: normalizeReportEmail(surveyData.report_email),
+        require_email_verification: !!surveyData.require_email_verification,
+        consent_required: !!surveyData.consent_required,
+        consent_text: surveyData.consent_text || ''
       });
 
       // Fetch categories with questions
@@ -98,6 +151,9 @@ export default function EditSurveyPage() {
         title: category.title,
         description: category.description,
         weight: category.weight,
+        displayLogic: parseDisplayLogic(category.display_logic),
+        randomizeQuestions: category.randomize_questions ?? null,
+        randomizeOptions: category.randomize_options ?? null,
         questions: (category.questions || []).map(question => {
           // Safely parse JSON fields with fallbacks
           let choices = [];
@@ -152,9 +208,12 @@ export default function EditSurveyPage() {
             type: question.type,
             choices,
             choiceScores,
+            pinnedChoices: Array.isArray(question.pinned_choices) ? question.pinned_choices : [],
             maxScore: question.max_score,
             weight: question.weight,
             required: question.required,
+            validation: parseRules(question.validation),
+            displayLogic: parseDisplayLogic(question.display_logic),
             scorable: question.scorable,
             imagePath: question.image_path || '' // ADDED
           };
@@ -172,7 +231,30 @@ export default function EditSurveyPage() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    // Rules that can never be satisfied would lock respondents out; catch them here
+    for (let i = 0; i < categories.length; i++) {
+      for (let j = 0; j < categories[i].questions.length; j++) {
+        const problem = describeRuleProblem(parseRules(categories[i].questions[j].validation));
+        if (problem) {
+          alert(`Category ${i + 1}, question ${j + 1}: ${problem}`);
+          return;
+        }
+      }
+    }
+
+    if (survey.opens_at && survey.closes_at && new Date(survey.closes_at) <= new Date(survey.opens_at)) {
+      alert('The closing date must be after the opening date.');
+      return;
+    }
+    const maxResponses = survey.max_responses === '' ? null : Number(survey.max_responses);
+    if (maxResponses !== null && (!Number.isInteger(maxResponses) || maxResponses < 1)) {
+      alert('Maximum responses must be a whole number of at least 1, or left empty for no limit.');
+      return;
+    }
+
     setLoading(true);
+    setPublishProblems([]);
     
     if (!supabase) {
       setError('Database connection not available');
@@ -188,7 +270,20 @@ export default function EditSurveyPage() {
           title: survey.title,
           description: survey.description,
           survey_footer: survey.survey_footer, // ADDED
-          status: survey.status
+          // Going live happens through the publish endpoint below, once the
+          // questions are saved, so respondents never see a half-saved survey
+          ...(survey.status !== 'published' && { status: survey.status }),
+          randomize_questions: survey.randomize_questions,
+          randomize_options: survey.randomize_options,
+          opens_at: fromLocalInput(survey.opens_at),
+          closes_at: fromLocalInput(survey.closes_at),
+          max_responses: maxResponses,
+          benchmark_cohort_key: survey.benchmark_cohort_key.trim() || null,
+          email_locale: survey.email_locale,
+          report_email: normalizeReportEmail(survey.report_email),
+          require_email_verification: survey.require_email_verification,
+          consent_required: survey.consent_required,
+          consent_text: survey.consent_text.trim() || null
         })
         .eq('id', id);
 
@@ -208,6 +303,9 @@ export default function EditSurveyPage() {
               title: category.title,
               description: category.description,
               weight: category.weight,
+              display_logic: parseDisplayLogic(category.displayLogic),
+              randomize_questions: category.randomizeQuestions,
+              randomize_options: category.randomizeOptions,
               order: i + 1
             })
             .eq('id', category.id)
@@ -223,6 +321,9 @@ export default function EditSurveyPage() {
               title: category.title,
               description: category.description,
               weight: category.weight,
+              display_logic: parseDisplayLogic(category.displayLogic),
+              randomize_questions: category.randomizeQuestions,
+              randomize_options: category.randomizeOptions,
               order: i + 1,
               survey_id: id
             })
@@ -248,9 +349,12 @@ export default function EditSurveyPage() {
                 type: question.type,
                 choices: choicesArray,
                 choice_scores: choiceScoresArray,
+                pinned_choices: question.pinnedChoices.filter(label => question.choices.includes(label)),
                 max_score: question.maxScore,
                 weight: question.weight,
                 required: question.required,
+                validation: validationFor(question),
+                display_logic: parseDisplayLogic(question.displayLogic),
                 scorable: question.scorable,
                 order: j + 1,
                 image_path: question.imagePath || null // ADDED
@@ -267,9 +371,12 @@ export default function EditSurveyPage() {
                 type: question.type,
                 choices: choicesArray,
                 choice_scores: choiceScoresArray,
+                pinned_choices: question.pinnedChoices.filter(label => question.choices.includes(label)),
                 max_score: question.maxScore,
                 weight: question.weight,
                 required: question.required,
+                validation: validationFor(question),
+                display_logic: parseDisplayLogic(question.displayLogic),
                 scorable: question.scorable,
                 order: j + 1,
                 category_id: categoryId,
@@ -281,6 +388,22 @@ export default function EditSurveyPage() {
         }
       }
 
+      // Saving a published survey publishes a new version; responses already
+      // collected stay bound to the snapshot they were taken against
+      if (survey.status === 'published') {
+        const publishRes = await adminFetch(supabase, `/api/surveys/${id}/publish`, { method: 'POST' });
+        if (!publishRes.ok) {
+          const body = await publishRes.json().catch(() => ({}));
+          if (Array.isArray(body.problems)) {
+            // Edits are saved; stay here so the problems can be fixed
+            setPublishProblems(body.problems);
+            setLoading(false);
+            return;
+          }
+          throw new Error(body.error || 'Saved, but publishing the new version failed');
+        }
+      }
+
       router.push('/admin/dashboard');
     } catch (err) {
       console.error('Error in handleSubmit:', err);
@@ -295,6 +418,9 @@ export default function EditSurveyPage() {
       title: '',
       description: '',
       weight: 1,
+      displayLogic: null,
+      randomizeQuestions: null,
+      randomizeOptions: null,
       questions: []
     }]);
   };
@@ -318,9 +444,12 @@ export default function EditSurveyPage() {
       type: 'text',
       choices: [],
       choiceScores: [],
+      pinnedChoices: [],
       maxScore: 5,
       weight: 1,
       required: true,
+      validation: {},
+      displayLogic: null,
       scorable: true,
       imagePath: '' // ADDED
     });
@@ -344,9 +473,13 @@ export default function EditSurveyPage() {
 
   const updateQuestionChoice = (categoryIndex, questionIndex, choiceIndex, value) => {
     const newCategories = [...categories];
-    const newChoices = [...newCategories[categoryIndex].questions[questionIndex].choices];
+    const question = newCategories[categoryIndex].questions[questionIndex];
+    const newChoices = [...question.choices];
+    const oldLabel = newChoices[choiceIndex];
     newChoices[choiceIndex] = value;
-    newCategories[categoryIndex].questions[questionIndex].choices = newChoices;
+    question.choices = newChoices;
+    // Pins are stored by label, so follow the rename
+    question.pinnedChoices = question.pinnedChoices.map(label => (label === oldLabel ? value : label));
     setCategories(newCategories);
   };
 
@@ -358,6 +491,16 @@ export default function EditSurveyPage() {
     setCategories(newCategories);
   };
 
+  const toggleChoicePin = (categoryIndex, questionIndex, choiceIndex) => {
+    const newCategories = [...categories];
+    const question = newCategories[categoryIndex].questions[questionIndex];
+    const label = question.choices[choiceIndex];
+    question.pinnedChoices = question.pinnedChoices.includes(label)
+      ? question.pinnedChoices.filter(p => p !== label)
+      : [...question.pinnedChoices, label];
+    setCategories(newCategories);
+  };
+
   const addQuestionChoice = (categoryIndex, questionIndex) => {
     const newCategories = [...categories];
     newCategories[categoryIndex].questions[questionIndex].choices.push('');
@@ -369,13 +512,24 @@ export default function EditSurveyPage() {
     const newCategories = [...categories];
     const newChoices = [...newCategories[categoryIndex].questions[questionIndex].choices];
     const newChoiceScores = [...newCategories[categoryIndex].questions[questionIndex].choiceScores];
-    newChoices.splice(choiceIndex, 1);
+    const [removed] = newChoices.splice(choiceIndex, 1);
     newChoiceScores.splice(choiceIndex, 1);
+    newCategories[categoryIndex].questions[questionIndex].pinnedChoices =
+      newCategories[categoryIndex].questions[questionIndex].pinnedChoices.filter(p => p !== removed);
     newCategories[categoryIndex].questions[questionIndex].choices = newChoices;
     newCategories[categoryIndex].questions[questionIndex].choiceScores = newChoiceScores;
     setCategories(newCategories);
   };
 
+  // Saved questions before a position; display rules may only reference these
+  const questionsBefore = (categoryIndex, questionIndex) => {
+    const earlier = categories
+      .slice(0, categoryIndex)
+      .flatMap(c => c.questions)
+      .concat(categories[categoryIndex].questions.slice(0, questionIndex));
+    return earlier.filter(q => q.id);
+  };
+
   if (loading) return <div>Loading...</div>;
   if (error) return <div>Error: {error}</div>;
 
@@ -428,6 +582,136 @@ export default function EditSurveyPage() {
               <option value="published">Published</option>
               <option value="archived">Archived</option>
             </select>
+            {survey.status === 'published' && (
+              <p style={{ margin: '0.5rem 0 0', fontSize: '0.85rem', color: '#555' }}>
+                {survey.version ? `Currently version ${survey.version}. ` : ''}
+                Saving publishes a new version; existing responses keep the questions and scoring they were answered with.
+              </p>
+            )}
+            {publishProblems.length > 0 && (
+              <div style={{ marginTop: '0.5rem' }}>
+                <PublishProblems
+                  problems={publishProblems}
+                  title="Your changes were saved, but the survey was not published:"
+                  onDismiss={() => setPublishProblems([])}
+                />
+              </div>
+            )}
+          </div>
+
+          <div style={{ marginTop: '1rem', display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '1rem' }}>
+            <div>
+              <label htmlFor="opens-at">Opens (optional):</label>
+              <input
+                id="opens-at"
+                type="datetime-local"
+                value={survey.opens_at}
+                onChange={(e) => setSurvey({ ...survey, opens_at: e.target.value })}
+                style={{ width: '100%', padding: '0.75rem' }}
+              />
+            </div>
+            <div>
+              <label htmlFor="closes-at">Closes (optional):</label>
+              <input
+                id="closes-at"
+                type="datetime-local"
+                value={survey.closes_at}
+                onChange={(e) => setSurvey({ ...survey, closes_at: e.target.value })}
+                style={{ width: '100%', padding: '0.75rem' }}
+              />
+            </div>
+            <div>
+              <label htmlFor="max-responses">Maximum responses (optional):</label>
+              <input
+                id="max-responses"
+                type="number"
+                min="1"
+                step="1"
+                value={survey.max_responses}
+                onChange={(e) => setSurvey({ ...survey, max_responses: e.target.value })}
+                placeholder="No limit"
+                style={{ width: '100%', padding: '0.75rem' }}
+              />
+            </div>
+          </div>
+
+          <div style={{ marginTop: '1rem', display: 'flex', gap: '1.5rem' }}>
+            <label>
+              <input
+                type="checkbox"
+                checked={survey.randomize_questions}
+                onChange={(e) => setSurvey({ ...survey, randomize_questions: e.target.checked })}
+              />{' '}
+              Shuffle question order (within each category)
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={survey.randomize_options}
+                onChange={(e) => setSurvey({ ...survey, randomize_options: e.target.checked })}
+              />{' '}
+              Shuffle answer options
+            </label>
+          </div>
+
+          <div style={{ marginTop: '1rem' }}>
+            <label>
+              <input
+                type="checkbox"
+                checked={survey.consent_required}
+                onChange={(e) => setSurvey({ ...survey, consent_required: e.target.checked })}
+              />{' '}
+              Ask respondents for consent before they start
+            </label>
+            {survey.consent_required && (
+              <textarea
+                value={survey.consent_text}
+                onChange={(e) => setSurvey({ ...survey, consent_text: e.target.value })}
+                placeholder={DEFAULT_CONSENT_TEXT}
+                rows={4}
+                style={{ display: 'block', width: '100%', padding: '0.75rem', marginTop: '0.5rem' }}
+              />
+            )}
+          </div>
+
+          <div style={{ marginTop: '1rem' }}>
+            <label htmlFor="benchmark-cohort">Benchmark cohort (optional):</label>
+            <input
+              id="benchmark-cohort"
+              type="text"
+              value={survey.benchmark_cohort_key}
+              onChange={(e) => setSurvey({ ...survey, benchmark_cohort_key: e.target.value })}
+              placeholder="e.g. department"
+              style={{ width: '100%', padding: '0.75rem' }}
+            />
+            <p style={{ margin: '0.5rem 0 0', fontSize: '0.85rem', color: '#555' }}>
+              A respondent metadata field. Each respondent&apos;s scores are compared with others who have the same
+              value; groups of fewer than 5 responses are compared with the whole survey instead.
+            </p>
+          </div>
+
+          <div style={{ marginTop: '1.5rem' }}>
+            <h3 style={{ marginBottom: '0.5rem' }}>Report email</h3>
+            <ReportEmailEditor
+              locale={survey.email_locale}
+              settings={survey.report_email}
+              mergeFields={availableMergeFields(categories.map(c => c.title).filter(Boolean), { email: true })}
+              onChange={({ locale, settings }) =>
+                setSurvey({
+                  ...survey,
+                  ...(locale !== undefined && { email_locale: locale }),
+                  ...(settings !== undefined && { report_email: settings })
+                })
+              }
+            />
+            <label style={{ display: 'block', marginTop: '0.75rem' }}>
+              <input
+                type="checkbox"
+                checked={survey.require_email_verification}
+                onChange={(e) => setSurvey({ ...survey, require_email_verification: e.target.checked })}
+              />{' '}
+              Confirm the address before sending a report (double opt-in)
+            </label>
           </div>
         </div>
         
@@ -500,6 +784,35 @@ export default function EditSurveyPage() {
                   style={{ width: '100%', padding: '0.5rem' }}
                 />
               </div>
+
+              <div style={{ marginBottom: '1rem', display: 'flex', gap: '1rem' }}>
+                {[
+                  ['randomizeQuestions', 'Question order'],
+                  ['randomizeOptions', 'Option order']
+                ].map(([field, label]) => (
+                  <div key={field} style={{ flex: 1 }}>
+                    <label>{label}:</label>
+                    <select
+                      value={category[field] == null ? 'inherit' : category[field] ? 'shuffle' : 'fixed'}
+                      onChange={(e) =>
+                        updateCategory(categoryIndex, field, e.target.value === 'inherit' ? null : e.target.value === 'shuffle')
+                      }
+                      style={{ width: '100%', padding: '0.5rem' }}
+                    >
+                      <option value="inherit">Same as survey</option>
+                      <option value="shuffle">Shuffle</option>
+                      <option value="fixed">Fixed</option>
+                    </select>
+                  </div>
+                ))}
+              </div>
+
+              <DisplayLogicEditor
+                subject="category"
+                logic={category.displayLogic}
+                sources={questionsBefore(categoryIndex, 0)}
+                onChange={(logic) => updateCategory(categoryIndex, 'displayLogic', logic)}
+              />
               
               <div style={{ marginBottom: '1rem' }}>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
@@ -566,6 +879,17 @@ export default function EditSurveyPage() {
                       </select>
                     </div>
                     
+                    <QuestionRulesEditor
+                      question={question}
+                      onChange={(field, value) => updateQuestion(categoryIndex, questionIndex, field, value)}
+                    />
+
+                    <DisplayLogicEditor
+                      logic={question.displayLogic}
+                      sources={questionsBefore(categoryIndex, questionIndex)}
+                      onChange={(logic) => updateQuestion(categoryIndex, questionIndex, 'displayLogic', logic)}
+                    />
+
                     {(question.type === 'radio' || question.type === 'checkbox' || question.type === 'select') && (
                       <div style={{ marginBottom: '0.5rem' }}>
                         <label>Choices:</label>
@@ -586,6 +910,17 @@ export default function EditSurveyPage() {
                               placeholder="Score"
                               min="0"
                             />
+                            <label
+                              title="Keep this option in place when options are shuffled"
+                              style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', fontSize: 13, whiteSpace: 'nowrap' }}
+                            >
+                              <input
+                                type="checkbox"
+                                checked={question.pinnedChoices.includes(choice)}
+                                onChange={() => toggleChoicePin(categoryIndex, questionIndex, choiceIndex)}
+                              />
+                              Pin
+                            </label>
                             <button
                               type="button"
                               onClick={() => removeQuestionChoice(categoryIndex, questionIndex, choiceIndex)}
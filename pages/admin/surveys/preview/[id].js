@@ -1,6 +1,8 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useRouter } from 'next/router';
 import { createClient } from '@supabase/supabase-js';
+import QuestionInput from '../../../../src/components/QuestionInput';
+import { visibleQuestionIds } from '../../../../src/lib/displayLogic';
 
 const supabase = process.env.NEXT_PUBLIC_SUPABASE_URL && process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
   ? createClient(
@@ -17,6 +19,8 @@ export default function PreviewSurveyPage() {
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [answers, setAnswers] = useState({}); // preview-only answers, drive the display rules
+  const [showHidden, setShowHidden] = useState(false);
 
   useEffect(() => {
     if (id) {
@@ -58,6 +62,7 @@ export default function PreviewSurveyPage() {
         title: category.title,
         description: category.description,
         weight: category.weight,
+        display_logic: category.display_logic,
         questions: category.questions.map(question => {
           // Safely parse JSON fields with fallbacks
           let choices = [];
@@ -95,7 +100,8 @@ export default function PreviewSurveyPage() {
             maxScore: question.max_score,
             weight: question.weight,
             required: question.required,
-            scorable: question.scorable
+            scorable: question.scorable,
+            display_logic: question.display_logic
           };
         })
       }));
@@ -109,67 +115,22 @@ export default function PreviewSurveyPage() {
     }
   };
 
-  const renderQuestion = (question) => {
-    switch (question.type) {
-      case 'text':
-        return (
-          <input
-            type="text"
-            disabled
-            style={{ width: '100%', padding: '0.5rem', border: '1px solid #ddd', borderRadius: '4px' }}
-          />
-        );
-      case 'textarea':
-        return (
-          <textarea
-            disabled
-            rows={4}
-            style={{ width: '100%', padding: '0.5rem', border: '1px solid #ddd', borderRadius: '4px' }}
-          />
-        );
-      case 'radio':
-        return (
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
-            {question.choices.map((choice, index) => (
-              <label key={index} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                <input type="radio" name={`question-${question.id}`} disabled />
-                {choice}
-              </label>
-            ))}
-          </div>
-        );
-      case 'checkbox':
-        return (
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
-            {question.choices.map((choice, index) => (
-              <label key={index} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                <input type="checkbox" disabled />
-                {choice}
-              </label>
-            ))}
-          </div>
-        );
-      case 'select':
-        return (
-          <select disabled style={{ width: '100%', padding: '0.5rem', border: '1px solid #ddd', borderRadius: '4px' }}>
-            <option value="">Select an option</option>
-            {question.choices.map((choice, index) => (
-              <option key={index} value={choice}>{choice}</option>
-            ))}
-          </select>
-        );
-      case 'rating':
-        return (
-          <div style={{ display: 'flex', gap: '0.5rem' }}>
-            {[...Array(question.maxScore)].map((_, i) => (
-              <span key={i} style={{ fontSize: '1.5rem', cursor: 'pointer' }}>★</span>
-            ))}
-          </div>
-        );
-      default:
-        return null;
-    }
-  };
+  const visibleIds = useMemo(() => visibleQuestionIds(categories, answers), [categories, answers]);
+  const hiddenCount = categories.reduce(
+    (sum, c) => sum + c.questions.filter(q => !visibleIds.has(String(q.id))).length,
+    0
+  );
+
+  const setAnswer = (questionId, value) => setAnswers(prev => ({ ...prev, [questionId]: value }));
+
+  const renderQuestion = (question) => (
+    <QuestionInput
+      question={{ ...question, options: question.choices }}
+      value={answers[question.id]}
+      onChange={(value) => setAnswer(question.id, value)}
+      onPick={(value) => setAnswer(question.id, value)}
+    />
+  );
 
   if (loading) return <div>Loading...</div>;
   if (error) return <div>Error: {error}</div>;
@@ -211,8 +172,28 @@ export default function PreviewSurveyPage() {
         </span>
       </div>
       
+      <div style={{ marginBottom: '2rem', padding: '0.75rem', backgroundColor: '#f8f9fa', borderRadius: '4px', fontSize: '0.9rem' }}>
+        Answer questions to try out display rules; nothing is saved.
+        {hiddenCount > 0 && (
+          <>
+            {' '}{hiddenCount} question{hiddenCount !== 1 ? 's are' : ' is'} currently hidden.
+            <label style={{ marginLeft: '0.5rem' }}>
+              <input type="checkbox" checked={showHidden} onChange={(e) => setShowHidden(e.target.checked)} /> Show hidden
+            </label>
+          </>
+        )}
+        {Object.keys(answers).length > 0 && (
+          <button type="button" onClick={() => setAnswers({})} style={{ marginLeft: '0.75rem' }}>
+            Reset answers
+          </button>
+        )}
+      </div>
+
       <form>
-        {categories.map((category, categoryIndex) => (
+        {categories.map((category, categoryIndex) => {
+          const shownQuestions = category.questions.filter(q => showHidden || visibleIds.has(String(q.id)));
+          if (category.questions.length && !shownQuestions.length) return null;
+          return (
           <div key={categoryIndex} style={{ marginBottom: '2rem' }}>
             <h2 style={{ marginBottom: '1rem' }}>{category.title}</h2>
             
@@ -221,20 +202,24 @@ export default function PreviewSurveyPage() {
             )}
             
             <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
-              {category.questions.map((question, questionIndex) => (
-                <div key={questionIndex}>
+              {shownQuestions.map((question, questionIndex) => (
+                <div key={questionIndex} style={visibleIds.has(String(question.id)) ? undefined : { opacity: 0.45 }}>
                   <div style={{ marginBottom: '0.5rem' }}>
                     <label style={{ fontWeight: 'bold' }}>
                       {question.prompt}
                       {question.required && <span style={{ color: 'red' }}> *</span>}
                     </label>
+                    {!visibleIds.has(String(question.id)) && (
+                      <span style={{ marginLeft: '0.5rem', fontSize: '0.8rem', color: '#666' }}>(hidden by display rule)</span>
+                    )}
                   </div>
                   {renderQuestion(question)}
                 </div>
               ))}
             </div>
           </div>
-        ))}
+          );
+        })}
         
         <div style={{ marginTop: '2rem', textAlign: 'center' }}>
           <button
@@ -1,6 +1,16 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
 import { createClient } from '@supabase/supabase-js';
+import { adminFetch } from '../../../../src/lib/adminFetch';
+
+const RESEND_POLL_MS = 2000;
+
+const EMAIL_STATUS_STYLE = {
+  sent: { label: 'Sent', color: '#28a745' },
+  skipped: { label: 'Not sent (no mail transport)', color: '#6c757d' },
+  failed: { label: 'Failed', color: '#dc3545' },
+  pending: { label: 'Sending…', color: '#6c757d' }
+};
 
 const supabase = process.env.NEXT_PUBLIC_SUPABASE_URL && process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
   ? createClient(
@@ -17,6 +27,10 @@ export default function ViewResponsesPage() {
   const [responses, setResponses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // respondent id → { url, expiresAt } | { revoked: true } | { error }
+  const [reportLinks, setReportLinks] = useState({});
+  const [emails, setEmails] = useState([]); // delivery log, newest first
+  const [resending, setResending] = useState({}); // respondent id → job id while a resend runs
 
   useEffect(() => {
     if (id) {
@@ -48,11 +62,13 @@ export default function ViewResponsesPage() {
         .from('responses')
         .select('*, answers(*)')
         .eq('survey_id', id)
+        .not('completed_at', 'is', null) // drafts are still in progress
         .order('created_at', { ascending: false });
 
       if (responsesError) throw responsesError;
       
       setResponses(responsesData || []);
+      await fetchEmails();
     } catch (err) {
       console.error('Error in fetchSurveyData:', err);
       setError(err.message);
@@ -61,6 +77,91 @@ export default function ViewResponsesPage() {
     }
   };
 
+  const fetchEmails = useCallback(async () => {
+    try {
+      const resp = await adminFetch(supabase, `/api/surveys/${id}/emails`);
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(data?.error || 'Could not load the email log');
+      setEmails(data.emails || []);
+    } catch (err) {
+      console.error('Error loading email log:', err);
+    }
+  }, [id]);
+
+  // Refresh the log once each resend's job has finished
+  useEffect(() => {
+    const pending = Object.entries(resending);
+    if (!pending.length) return undefined;
+    const timer = setTimeout(async () => {
+      const done = [];
+      for (const [respondentId, jobId] of pending) {
+        try {
+          const resp = await fetch(`/api/reports/jobs/${jobId}`);
+          const data = await resp.json().catch(() => ({}));
+          if (!resp.ok || data.job?.done) done.push(respondentId);
+        } catch {
+          // try again on the next tick
+        }
+      }
+      await fetchEmails();
+      setResending(prev => {
+        const next = { ...prev };
+        done.forEach(r => delete next[r]);
+        return next;
+      });
+    }, RESEND_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [resending, fetchEmails]);
+
+  const resendReport = async (respondentId) => {
+    try {
+      const resp = await adminFetch(supabase, `/api/respondents/${respondentId}/resend-report`, { method: 'POST' });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(data?.error || `Request failed (${resp.status})`);
+      setResending(prev => ({ ...prev, [respondentId]: data.jobId }));
+    } catch (err) {
+      setReportLinks(prev => ({ ...prev, [respondentId]: { error: err.message } }));
+    }
+  };
+
+  const latestReportEmail = (respondentId) =>
+    emails.find(e => e.respondentId === respondentId && e.template === 'report') || null;
+
+  const regenerateReportLink = async (respondentId) => {
+    if (!window.confirm('Create a new report link? Links sent to this respondent before will stop working.')) return;
+    try {
+      const resp = await adminFetch(supabase, `/api/respondents/${respondentId}/report-link`, { method: 'POST' });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(data?.error || `Request failed (${resp.status})`);
+      setReportLinks(prev => ({ ...prev, [respondentId]: data }));
+    } catch (err) {
+      setReportLinks(prev => ({ ...prev, [respondentId]: { error: err.message } }));
+    }
+  };
+
+  const revokeReportLinks = async (respondentId) => {
+    if (!window.confirm('Revoke all report links sent to this respondent?')) return;
+    try {
+      const resp = await adminFetch(supabase, `/api/respondents/${respondentId}/report-link`, { method: 'DELETE' });
+      if (!resp.ok) {
+        const data = await resp.json().catch(() => ({}));
+        throw new Error(data?.error || `Request failed (${resp.status})`);
+      }
+      setReportLinks(prev => ({ ...prev, [respondentId]: { revoked: true } }));
+    } catch (err) {
+      setReportLinks(prev => ({ ...prev, [respondentId]: { error: err.message } }));
+    }
+  };
+
+  const linkButtonStyle = {
+    padding: '0.25rem 0.75rem',
+    marginRight: '0.5rem',
+    backgroundColor: 'white',
+    border: '1px solid #ccc',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  };
+
   const formatDate = (dateString) => {
     const options = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
     return new Date(dateString).toLocaleDateString(undefined, options);
@@ -122,7 +223,7 @@ export default function ViewResponsesPage() {
                         <div style={{ fontWeight: 'bold', marginBottom: '0.25rem' }}>
                           Question {index + 1}:
                         </div>
-                        <div>{answer.value || 'No answer provided'}</div>
+                        <div>{(Array.isArray(answer.value) ? answer.value.join(', ') : answer.value) || 'No answer provided'}</div>
                         {answer.score !== undefined && answer.score !== null && (
                           <div style={{ marginTop: '0.25rem', fontSize: '0.9rem', color: '#666' }}>
                             Score: {answer.score}
@@ -135,6 +236,55 @@ export default function ViewResponsesPage() {
               ) : (
                 <p>No answers found for this response.</p>
               )}
+
+              <div style={{ marginTop: '1rem', fontSize: '0.9rem' }}>
+                {(() => {
+                  const email = latestReportEmail(response.respondent_id);
+                  if (!email) return <div style={{ marginBottom: '0.5rem', color: '#666' }}>No report emailed yet.</div>;
+                  const style = EMAIL_STATUS_STYLE[email.status] || EMAIL_STATUS_STYLE.pending;
+                  return (
+                    <div style={{ marginBottom: '0.5rem' }}>
+                      Report email to {email.recipient}:{' '}
+                      <strong style={{ color: style.color }}>{style.label}</strong>
+                      <span style={{ color: '#666' }}>
+                        {' '}· {email.attempts} attempt{email.attempts !== 1 ? 's' : ''}
+                        {(email.sentAt || email.lastAttemptAt) && ` · ${formatDate(email.sentAt || email.lastAttemptAt)}`}
+                      </span>
+                      {email.status === 'failed' && email.error && (
+                        <div style={{ color: '#dc3545' }}>{email.error}</div>
+                      )}
+                    </div>
+                  );
+                })()}
+                <button
+                  type="button"
+                  style={linkButtonStyle}
+                  disabled={!!resending[response.respondent_id]}
+                  onClick={() => resendReport(response.respondent_id)}
+                >
+                  {resending[response.respondent_id] ? 'Resending…' : 'Resend report'}
+                </button>
+                <button type="button" style={linkButtonStyle} onClick={() => regenerateReportLink(response.respondent_id)}>
+                  New report link
+                </button>
+                <button type="button" style={linkButtonStyle} onClick={() => revokeReportLinks(response.respondent_id)}>
+                  Revoke report links
+                </button>
+                {reportLinks[response.respondent_id]?.url && (
+                  <div style={{ marginTop: '0.5rem', wordBreak: 'break-all' }}>
+                    <a href={reportLinks[response.respondent_id].url} target="_blank" rel="noopener noreferrer">
+                      {reportLinks[response.respondent_id].url}
+                    </a>
+                    <div style={{ color: '#666' }}>Expires {formatDate(reportLinks[response.respondent_id].expiresAt)}</div>
+                  </div>
+                )}
+                {reportLinks[response.respondent_id]?.revoked && (
+                  <div style={{ marginTop: '0.5rem', color: '#666' }}>Report links revoked.</div>
+                )}
+                {reportLinks[response.respondent_id]?.error && (
+                  <div style={{ marginTop: '0.5rem', color: '#dc3545' }}>{reportLinks[response.respondent_id].error}</div>
+                )}
+              </div>
             </div>
           ))}
         </div>
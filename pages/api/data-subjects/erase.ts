@@ -0,0 +1,46 @@
+// pages/api/data-subjects/erase.ts
+// Erases an email address's data (dataSubject.eraseDataSubject), including
+// their PDF reports in storage. Admins only (adminAuth.ts).
+//   POST { email, mode: 'delete' | 'anonymize' } → 200 { summary }; 404 when
+//        nothing matches
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../src/lib/adminAuth';
+import { eraseDataSubject, normalizeEmail, type EraseMode } from '../../../src/lib/dataSubject';
+import { getServerSupabase } from '../../../src/lib/supabaseServer';
+
+const MODES: EraseMode[] = ['delete', 'anonymize'];
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  if (!req.headers['content-type']?.toString().includes('application/json')) {
+    res.status(415).json({ error: 'Unsupported Media Type', required: 'application/json' });
+    return;
+  }
+
+  const { email: rawEmail, mode } = (req.body || {}) as { email?: unknown; mode?: unknown };
+  const email = normalizeEmail(rawEmail);
+  if (!email || !MODES.includes(mode as EraseMode)) {
+    res.status(400).json({ error: 'A valid email address and mode are required', modes: MODES });
+    return;
+  }
+
+  try {
+    const summary = await eraseDataSubject(getServerSupabase(), email, mode as EraseMode);
+    if (!summary.respondents && !summary.emails) {
+      res.status(404).json({ error: 'No data found for this email address' });
+      return;
+    }
+    res.status(200).json({ summary });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error erasing data subject:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,41 @@
+// pages/api/data-subjects/export.ts
+// Downloads everything stored about an email address as one JSON file:
+// respondents, responses, answers, results, report jobs, emails and the PDF
+// reports (base64). Admins only (adminAuth.ts).
+//   GET ?email=… → 200 attachment; 404 when nothing matches
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../src/lib/adminAuth';
+import { exportDataSubject, normalizeEmail } from '../../../src/lib/dataSubject';
+import { getServerSupabase } from '../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  const email = normalizeEmail(req.query['email']);
+  if (!email) {
+    res.status(400).json({ error: 'A valid email address is required' });
+    return;
+  }
+
+  try {
+    const data = await exportDataSubject(getServerSupabase(), email);
+    if (!data.respondents.length && !data.otherEmails.length) {
+      res.status(404).json({ error: 'No data found for this email address' });
+      return;
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="data-export-${data.exportedAt.slice(0, 10)}.json"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json(data);
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error exporting data subject:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,33 @@
+// pages/api/data-subjects/index.ts
+// Looks up everyone who used an email address (dataSubject.ts), for the admin
+// privacy tool. Admins only (adminAuth.ts).
+//   GET ?email=… → 200 { email, respondents: [{ respondentId, surveyTitle, … }] }
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../src/lib/adminAuth';
+import { lookupDataSubject, normalizeEmail } from '../../../src/lib/dataSubject';
+import { getServerSupabase } from '../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  const email = normalizeEmail(req.query['email']);
+  if (!email) {
+    res.status(400).json({ error: 'A valid email address is required' });
+    return;
+  }
+
+  try {
+    const respondents = await lookupDataSubject(getServerSupabase(), email);
+    res.status(200).json({ email, respondents });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error looking up data subject:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,44 @@
+// pages/api/reports/jobs/[id].ts
+// Progress of a queued report, polled by the results page.
+//   GET → { job: { id, status, done, attempts, emailMessage, error, nextAttemptAt } }
+// status is queued, rendering, uploaded, emailed or failed; `done` is true
+// once nothing more will happen. A job that is due but not being worked on
+// (e.g. waiting for a retry) gets the worker started again.
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { getReportJob, isJobDone, jobStatusView, kickReportWorker } from '../../../../src/lib/reportJobs';
+import { getServerSupabase } from '../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const jobId = req.query['id'];
+  if (typeof jobId !== 'string' || !jobId) {
+    res.status(400).json({ error: 'Missing job id' });
+    return;
+  }
+
+  try {
+    const job = await getReportJob(getServerSupabase(), jobId);
+    if (!job) {
+      res.status(404).json({ error: 'Report job not found' });
+      return;
+    }
+
+    // Same rule as claim_report_job: locks older than 10 minutes are abandoned
+    const now = Date.now();
+    const free = !job.locked_at || now - new Date(job.locked_at).getTime() > 10 * 60 * 1000;
+    const due = !isJobDone(job) && free && !!job.next_attempt_at && new Date(job.next_attempt_at).getTime() <= now;
+    if (due) await kickReportWorker(job.id);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({ job: jobStatusView(job) });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error loading report job:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,155 @@
+// pages/api/reports/preview.ts
+// Live preview for the report designer: renders a (possibly unsaved) template
+// with buildHtmlReport and returns the HTML, or the PDF with format: 'pdf'.
+//   POST { template?, surveyId?, respondentId?, format?: 'html' | 'pdf' }
+// With surveyId and respondentId the preview shows that respondent's real
+// scores; with only surveyId, sample scores on that survey's categories and
+// band text; with neither, a generic sample survey. Without a template the
+// survey's resolved template (or the built-in one) is used.
+// Nothing is stored or emailed. Admins only (adminAuth.ts).
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../src/lib/adminAuth';
+import { loadBenchmarks } from '../../../src/lib/benchmarks';
+import { buildHtmlReport, reportDataFromScores, sampleReportData, type ReportData } from '../../../src/lib/reportHtml';
+import { renderPdf } from '../../../src/lib/reportPdf';
+import {
+  DEFAULT_TEMPLATE,
+  normalizeTemplate,
+  resolveReportTemplate,
+  type ReportTemplate,
+} from '../../../src/lib/reportTemplates';
+import { loadRespondentScores, loadSurveyAverages } from '../../../src/lib/results';
+import { loadSurveyStructure } from '../../../src/lib/snapshots';
+import { getServerSupabase } from '../../../src/lib/supabaseServer';
+
+const PAGE_MM = { A4: [210, 297], Letter: [215.9, 279.4] } as const;
+
+// The PDF gets its page size and margins from page.pdf(); in the browser the
+// HTML is shown on a page-sized sheet with the same margins instead.
+function withPageFrame(html: string, template: ReportTemplate): string {
+  const [w, h] = PAGE_MM[template.page.size];
+  const [width, height] = template.page.orientation === 'landscape' ? [h, w] : [w, h];
+  const m = template.page.margin;
+  const css = `<style>
+    html { background: #e5e7eb; }
+    body { box-sizing: border-box; width: ${width}mm; min-height: ${height}mm; margin: 16px auto;
+      padding: ${m.top}mm ${m.right}mm ${m.bottom}mm ${m.left}mm; background: #fff;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.15); }
+    .page-break { margin: 12px 0; border-top: 1px dashed #9ca3af; }
+  </style>`;
+  return html.replace('</head>', `${css}\n</head>`);
+}
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  if (!req.headers['content-type']?.toString().includes('application/json')) {
+    res.status(415).json({ error: 'Unsupported Media Type', required: 'application/json' });
+    return;
+  }
+
+  const { template: templateData, surveyId, respondentId, format = 'html' } = (req.body || {}) as {
+    template?: unknown;
+    surveyId?: unknown;
+    respondentId?: unknown;
+    format?: unknown;
+  };
+
+  if (format !== 'html' && format !== 'pdf') {
+    res.status(400).json({ error: "format must be 'html' or 'pdf'" });
+    return;
+  }
+  if (respondentId && !surveyId) {
+    res.status(400).json({ error: 'respondentId needs a surveyId' });
+    return;
+  }
+
+  try {
+    let surveyTitle = 'Sample survey';
+    let respondentEmail: string | null = 'respondent@example.com';
+    let template: ReportTemplate = templateData && typeof templateData === 'object'
+      ? normalizeTemplate(templateData)
+      : DEFAULT_TEMPLATE;
+    let data: ReportData;
+
+    if (typeof surveyId === 'string' && surveyId) {
+      const supabase = getServerSupabase();
+
+      const { data: survey, error: sErr } = await supabase
+        .from('surveys')
+        .select('id, title, report_template_id, benchmark_cohort_key')
+        .eq('id', surveyId)
+        .single();
+      if (sErr || !survey) {
+        res.status(404).json({ error: 'Survey not found' });
+        return;
+      }
+      surveyTitle = survey.title || 'Survey';
+      if (!templateData) template = await resolveReportTemplate(supabase, survey.report_template_id);
+
+      if (typeof respondentId === 'string' && respondentId) {
+        const scored = await loadRespondentScores(supabase, surveyId, respondentId);
+        if (!scored) {
+          res.status(404).json({ error: 'No completed response found for this respondent' });
+          return;
+        }
+        const categoryAverages = await loadSurveyAverages(supabase, surveyId, scored.categories);
+        data = reportDataFromScores({ ...scored, categoryAverages });
+        data.benchmarks = await loadBenchmarks(supabase, {
+          surveyId,
+          categories: scored.categories,
+          categoryPercents: scored.categoryPercents,
+          totalPercent: scored.totalPercent,
+          respondentId,
+          cohortKey: survey.benchmark_cohort_key,
+        });
+
+        const { data: respondent } = await supabase
+          .from('respondents')
+          .select('email')
+          .eq('id', respondentId)
+          .maybeSingle();
+        respondentEmail = respondent?.email ?? null;
+      } else {
+        const structure = await loadSurveyStructure(supabase, surveyId);
+        data = sampleReportData(structure.categories, structure.ranges);
+        // Real averages once the survey has results; made-up ones until then
+        const categoryAverages = await loadSurveyAverages(supabase, surveyId, structure.categories);
+        if (Object.keys(categoryAverages).length) data.categoryAverages = categoryAverages;
+      }
+    } else {
+      data = sampleReportData();
+    }
+
+    const html = buildHtmlReport({
+      template,
+      surveyTitle,
+      generatedAt: new Date().toLocaleString(),
+      ...data,
+      respondentEmail,
+      assetUrl: path => getServerSupabase().storage.from('assets').getPublicUrl(path).data.publicUrl,
+    });
+
+    res.setHeader('Cache-Control', 'no-store');
+    if (format === 'pdf') {
+      const pdf = await renderPdf(html, template);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', 'inline; filename="report-preview.pdf"');
+      res.status(200).send(Buffer.from(pdf));
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.status(200).send(withPageFrame(html, template));
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error previewing report:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
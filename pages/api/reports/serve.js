@@ -1,5 +1,9 @@
 // pages/api/reports/serve.js
+// Streams a stored PDF report for a signed link (reportLinks.ts).
+//   GET ?token=… → the PDF; 403 for a missing, tampered or revoked token,
+//       410 once it has expired
 import { createClient } from '@supabase/supabase-js';
+import { lookupReportLink } from '../../../src/lib/reportLinks';
 
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
 const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -14,33 +18,32 @@ const supabase = createClient(supabaseUrl || '', serviceRoleKey || '');
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    let { fileName } = req.query;
+    let { token } = req.query;
+    if (Array.isArray(token)) token = token[0];
 
-    // Normalise query value to a string
-    if (Array.isArray(fileName)) fileName = fileName[0];
-
-    if (!fileName || typeof fileName !== 'string') {
-      return res.status(400).json({ error: 'Missing or invalid fileName parameter' });
+    if (!supabaseUrl || !serviceRoleKey) {
+      return res.status(500).json({ error: 'Server misconfiguration (Supabase env vars missing)' });
     }
 
-    // Basic validation to avoid malformed keys
-    if (fileName.startsWith('/') || fileName.includes('..') || fileName.trim() === '') {
-      return res.status(400).json({ error: 'Invalid fileName parameter' });
+    const link = await lookupReportLink(supabase, token);
+    if (link.state === 'expired') {
+      return res.status(410).json({ error: 'This report link has expired. Request a new one.' });
     }
-
-    if (!supabaseUrl || !serviceRoleKey) {
-      return res.status(500).json({ error: 'Server misconfiguration (Supabase env vars missing)' });
+    if (link.state !== 'valid') {
+      return res.status(403).json({ error: 'This report link is not valid.' });
     }
+    const { fileName } = link;
 
     console.log('Serving report file:', fileName);
 
     // Download the PDF from the private bucket
     const { data, error } = await supabase.storage
-      .from('survey-reports')
+      .from(process.env.SUPABASE_REPORTS_BUCKET || 'survey-reports')
       .download(fileName);
 
     if (error || !data) {
@@ -0,0 +1,81 @@
+// pages/api/reports/templates/[id].ts
+// One report designer template. Admins only (adminAuth.ts).
+//   GET    → { template }
+//   PUT    { name?, template?, isDefault? } → { template }
+//   DELETE → 204; surveys assigned to it fall back to the default template
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../../src/lib/adminAuth';
+import { getReportTemplate, readTemplateInput } from '../../../../src/lib/reportTemplates';
+import { getServerSupabase } from '../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET' && req.method !== 'PUT' && req.method !== 'DELETE') {
+    res.setHeader('Allow', 'GET, PUT, DELETE');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  const templateId = req.query['id'];
+  if (typeof templateId !== 'string' || !templateId) {
+    res.status(400).json({ error: 'Missing template id' });
+    return;
+  }
+
+  try {
+    const supabase = getServerSupabase();
+
+    const existing = await getReportTemplate(supabase, templateId);
+    if (!existing) {
+      res.status(404).json({ error: 'Template not found' });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      res.status(200).json({ template: existing });
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      const { error: delErr } = await supabase.from('report_templates').delete().eq('id', templateId);
+      if (delErr) throw delErr;
+      res.status(204).end();
+      return;
+    }
+
+    if (!req.headers['content-type']?.toString().includes('application/json')) {
+      res.status(415).json({ error: 'Unsupported Media Type', required: 'application/json' });
+      return;
+    }
+
+    const { input, error } = readTemplateInput(req.body, true);
+    if (error !== undefined) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    const patch: Record<string, unknown> = {};
+    if (input.name !== undefined) patch['name'] = input.name;
+    if (input.template !== undefined) {
+      patch['template'] = { ...input.template, name: input.name ?? existing.name };
+    }
+    // Clearing the flag is a plain update; setting it also clears the old default
+    if (input.isDefault === false) patch['is_default'] = false;
+
+    if (Object.keys(patch).length) {
+      const { error: updErr } = await supabase.from('report_templates').update(patch).eq('id', templateId);
+      if (updErr) throw updErr;
+    }
+    if (input.isDefault === true && !existing.is_default) {
+      const { error: rpcErr } = await supabase.rpc('set_default_report_template', { p_template_id: templateId });
+      if (rpcErr) throw rpcErr;
+    }
+
+    res.status(200).json({ template: await getReportTemplate(supabase, templateId) });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error updating report template:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
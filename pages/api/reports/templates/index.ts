@@ -0,0 +1,67 @@
+// pages/api/reports/templates/index.ts
+// Report designer templates (see src/lib/reportTemplates.ts).
+//   GET  → { templates: [{ id, name, template, is_default, ... }] }
+//   POST { name, template?, isDefault? } → 201 { template }
+// Marking a template as the default goes through set_default_report_template
+// so only one row is ever the default. Admins only (adminAuth.ts).
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../../src/lib/adminAuth';
+import {
+  DEFAULT_TEMPLATE,
+  listReportTemplates,
+  readTemplateInput,
+} from '../../../../src/lib/reportTemplates';
+import { getServerSupabase } from '../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  try {
+    const supabase = getServerSupabase();
+
+    if (req.method === 'GET') {
+      res.status(200).json({ templates: await listReportTemplates(supabase) });
+      return;
+    }
+
+    if (!req.headers['content-type']?.toString().includes('application/json')) {
+      res.status(415).json({ error: 'Unsupported Media Type', required: 'application/json' });
+      return;
+    }
+
+    const { input, error } = readTemplateInput(req.body, false);
+    if (error !== undefined) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    const { data: row, error: insErr } = await supabase
+      .from('report_templates')
+      .insert({
+        name: input.name,
+        template: { ...(input.template || DEFAULT_TEMPLATE), name: input.name },
+        is_default: false,
+      })
+      .select('id, name, template, is_default, created_at, updated_at')
+      .single();
+    if (insErr || !row) throw insErr || new Error('Template was not saved');
+
+    if (input.isDefault) {
+      const { error: rpcErr } = await supabase.rpc('set_default_report_template', { p_template_id: row.id });
+      if (rpcErr) throw rpcErr;
+      row.is_default = true;
+    }
+
+    res.status(201).json({ template: row });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error saving report template:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,65 @@
+// pages/api/reports/verify.ts
+// Confirms a respondent's email address for a report on a survey that
+// requires verification (emailVerification.ts).
+//   GET  ?token=…      → 200 { state, email, surveyTitle }
+//   POST { token }     → 200 { jobId, status, statusUrl } and the report is
+//                        queued; confirming twice is harmless
+// Unknown tokens are 404, expired or replaced ones 410. Confirmation needs
+// the POST so that mail scanners prefetching the link don't confirm it.
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { confirmVerification, isVerifyToken, lookupVerification } from '../../../src/lib/emailVerification';
+import { kickReportWorker } from '../../../src/lib/reportJobs';
+import { getServerSupabase } from '../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (req.method === 'POST' && !req.headers['content-type']?.toString().includes('application/json')) {
+    res.status(415).json({ error: 'Unsupported Media Type', required: 'application/json' });
+    return;
+  }
+
+  const token = req.method === 'GET' ? req.query['token'] : (req.body || {}).token;
+  if (!isVerifyToken(token)) {
+    res.status(404).json({ error: 'Verification link not found' });
+    return;
+  }
+
+  try {
+    const supabase = getServerSupabase();
+    const found = await lookupVerification(supabase, token);
+    if (found.state === 'missing') {
+      res.status(404).json({ error: 'Verification link not found' });
+      return;
+    }
+    if (found.state === 'expired') {
+      res.status(410).json({ error: 'This verification link has expired. Request your report again.' });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      const { data: survey } = await supabase
+        .from('surveys')
+        .select('title')
+        .eq('id', found.job.survey_id)
+        .maybeSingle();
+      res.status(200).json({ state: found.state, email: found.job.email, surveyTitle: survey?.title || 'Survey' });
+      return;
+    }
+
+    let job = found.job;
+    if (found.state === 'pending') {
+      job = await confirmVerification(supabase, job);
+      await kickReportWorker(job.id);
+    }
+    res.status(200).json({ jobId: job.id, status: job.status, statusUrl: `/api/reports/jobs/${job.id}` });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error verifying email:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,43 @@
+// pages/api/reports/worker.ts
+// Processes queued report jobs (reportJobs.ts): render and upload, then
+// email, with retries and backoff recorded on each job.
+//   POST { jobId? } → { processed: [{ id, status }] }; with jobId only that
+//        job (if it is due), otherwise up to a few of the oldest due jobs
+//   GET  → same as POST without a jobId, for schedulers
+// /api/reports/generate and the job status endpoint start it for new and due
+// jobs; schedule it as well (e.g. a Vercel cron every minute) so retries run
+// after the respondent has left. When CRON_SECRET is set, requests must send
+// `Authorization: Bearer <CRON_SECRET>` (Vercel cron does this itself).
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { getSiteUrl } from '../../../src/lib/baseUrl';
+import { runDueReportJobs } from '../../../src/lib/reportJobs';
+import { getServerSupabase } from '../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const secret = process.env['CRON_SECRET'];
+  if (secret && req.headers.authorization !== `Bearer ${secret}`) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  const jobId = req.method === 'POST' ? (req.body || {}).jobId : undefined;
+  if (jobId !== undefined && (typeof jobId !== 'string' || !jobId)) {
+    res.status(400).json({ error: 'jobId must be a job id' });
+    return;
+  }
+
+  try {
+    const processed = await runDueReportJobs(getServerSupabase(), getSiteUrl(), { jobId: jobId ?? null });
+    res.status(200).json({ processed: processed.map(j => ({ id: j.id, status: j.status })) });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error processing report jobs:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,56 @@
+// pages/api/respondents/[id]/report-link.ts
+// Admin control over a respondent's signed report links (reportLinks.ts).
+// Admins only (adminAuth.ts).
+//   POST   → { url, expiresAt }: a fresh link to their latest report; links
+//            issued before stop working
+//   DELETE → 204; every link issued so far stops working
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../../src/lib/adminAuth';
+import { getSiteUrl } from '../../../../src/lib/baseUrl';
+import { issueReportLink, latestReportFile, revokeReportLinks } from '../../../../src/lib/reportLinks';
+import { getServerSupabase } from '../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    res.setHeader('Allow', 'POST, DELETE');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  const respondentId = req.query['id'];
+  if (typeof respondentId !== 'string' || !respondentId) {
+    res.status(400).json({ error: 'Missing respondent id' });
+    return;
+  }
+
+  try {
+    const supabase = getServerSupabase();
+
+    if (req.method === 'DELETE') {
+      if (!(await revokeReportLinks(supabase, respondentId))) {
+        res.status(404).json({ error: 'Respondent not found' });
+        return;
+      }
+      res.status(204).end();
+      return;
+    }
+
+    const fileName = await latestReportFile(supabase, respondentId);
+    if (!fileName || !(await revokeReportLinks(supabase, respondentId))) {
+      res.status(404).json({ error: 'No report found for this respondent' });
+      return;
+    }
+
+    const link = await issueReportLink(supabase, getSiteUrl(), { fileName, respondentId });
+    const { error: updErr } = await supabase.from('respondents').update({ report_url: link.url }).eq('id', respondentId);
+    if (updErr) throw updErr;
+
+    res.status(200).json(link);
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error updating report link:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,41 @@
+// pages/api/respondents/[id]/resend-report.ts
+// Emails a respondent their latest report again (reportJobs.resendReport).
+// Admins only (adminAuth.ts).
+//   POST → 202 { jobId, status, statusUrl }; 404 when they never requested a
+//          report
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../../src/lib/adminAuth';
+import { getSiteUrl } from '../../../../src/lib/baseUrl';
+import { kickReportWorker, resendReport } from '../../../../src/lib/reportJobs';
+import { getServerSupabase } from '../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  const respondentId = req.query['id'];
+  if (typeof respondentId !== 'string' || !respondentId) {
+    res.status(400).json({ error: 'Missing respondent id' });
+    return;
+  }
+
+  try {
+    const job = await resendReport(getServerSupabase(), getSiteUrl(), respondentId);
+    if (!job) {
+      res.status(404).json({ error: 'No report has been requested for this respondent' });
+      return;
+    }
+    await kickReportWorker(job.id);
+
+    res.status(202).json({ jobId: job.id, status: job.status, statusUrl: `/api/reports/jobs/${job.id}` });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error resending report:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,75 @@
+// pages/api/responses/drafts/[token]/email.ts
+// Emails the respondent a "resume where you left off" link for an active draft.
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { getSiteUrl } from '../../../../../src/lib/baseUrl';
+import { isResumeToken, loadDraft } from '../../../../../src/lib/drafts';
+import { sendRecordedMail } from '../../../../../src/lib/outbox';
+import { getServerSupabase } from '../../../../../src/lib/supabaseServer';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!req.headers['content-type']?.toString().includes('application/json')) {
+    res.status(415).json({ error: 'Unsupported Media Type', required: 'application/json' });
+    return;
+  }
+
+  const token = req.query['token'];
+  if (!isResumeToken(token)) {
+    res.status(404).json({ error: 'Draft not found' });
+    return;
+  }
+
+  const { email } = (req.body || {}) as { email?: string };
+  if (typeof email !== 'string' || !EMAIL_RE.test(email.trim())) {
+    res.status(400).json({ error: 'A valid email is required' });
+    return;
+  }
+
+  try {
+    const supabase = getServerSupabase();
+    const lookup = await loadDraft(supabase, token);
+    if (lookup.state !== 'active') {
+      res.status(lookup.state === 'missing' ? 404 : 410).json({ error: 'Draft is no longer available' });
+      return;
+    }
+
+    const { data: survey } = await supabase
+      .from('surveys')
+      .select('title')
+      .eq('id', lookup.draft.survey_id)
+      .maybeSingle();
+
+    const resumeUrl = `${getSiteUrl()}/surveys/take/${lookup.draft.survey_id}?resume=${token}`;
+    const expires = lookup.draft.expires_at ? new Date(lookup.draft.expires_at).toUTCString() : null;
+
+    const message = {
+      to: email.trim(),
+      subject: `Continue ${survey?.title || 'your survey'}`,
+      html: `
+        <p>Hi,</p>
+        <p>Your answers have been saved. Pick up where you left off here:</p>
+        <p><a href="${resumeUrl}">${resumeUrl}</a></p>
+        ${expires ? `<p>This link works until ${expires}.</p>` : ''}
+        <p>Thanks!</p>
+      `,
+    };
+    const mail = await sendRecordedMail(supabase, message, {
+      template: 'resume',
+      surveyId: lookup.draft.survey_id,
+      respondentId: lookup.draft.respondent_id,
+    });
+
+    res.status(200).json({ emailSent: mail.sent, emailMessage: mail.message });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error emailing resume link:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,88 @@
+// pages/api/responses/drafts/[token]/index.ts
+// GET restores a draft for the take page; PUT saves progress and pushes the
+// expiry forward. Expired or already-submitted drafts answer 410 so the client
+// can drop its stored token and start fresh.
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { draftExpiry, isResumeToken, loadDraft, sanitizeDraftAnswers } from '../../../../../src/lib/drafts';
+import { loadSurveyStructure } from '../../../../../src/lib/snapshots';
+import { getServerSupabase } from '../../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    res.setHeader('Allow', 'GET, PUT');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (req.method === 'PUT' && !req.headers['content-type']?.toString().includes('application/json')) {
+    res.status(415).json({ error: 'Unsupported Media Type', required: 'application/json' });
+    return;
+  }
+
+  const token = req.query['token'];
+  if (!isResumeToken(token)) {
+    res.status(404).json({ error: 'Draft not found' });
+    return;
+  }
+
+  try {
+    const supabase = getServerSupabase();
+    const lookup = await loadDraft(supabase, token);
+
+    if (lookup.state === 'missing') {
+      res.status(404).json({ error: 'Draft not found' });
+      return;
+    }
+    if (lookup.state !== 'active') {
+      res.status(410).json({
+        error: lookup.state === 'expired' ? 'Draft has expired' : 'Survey was already submitted',
+        state: lookup.state,
+      });
+      return;
+    }
+
+    const { draft } = lookup;
+
+    if (req.method === 'GET') {
+      // Whether the consent step was already agreed to when the draft started
+      const { data: respondent, error: pErr } = await supabase
+        .from('respondents')
+        .select('consent')
+        .eq('id', draft.respondent_id)
+        .maybeSingle();
+      if (pErr) throw pErr;
+
+      res.status(200).json({
+        surveyId: draft.survey_id,
+        snapshotId: draft.snapshot_id,
+        answers: draft.draft_answers || {},
+        position: draft.draft_position ?? 0,
+        seed: draft.presentation_seed,
+        expiresAt: draft.expires_at,
+        consent: !!respondent?.consent,
+      });
+      return;
+    }
+
+    const { answers, position } = (req.body || {}) as { answers?: unknown; position?: unknown };
+    const { categories } = await loadSurveyStructure(supabase, draft.survey_id, draft.snapshot_id);
+    const expiresAt = draftExpiry();
+
+    const { error: updErr } = await supabase
+      .from('responses')
+      .update({
+        draft_answers: sanitizeDraftAnswers(categories, answers),
+        draft_position: Number.isInteger(position) ? position : draft.draft_position ?? 0,
+        expires_at: expiresAt,
+      })
+      .eq('id', draft.id)
+      .is('completed_at', null);
+    if (updErr) throw updErr;
+
+    res.status(200).json({ token, expiresAt });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error saving draft:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,97 @@
+// pages/api/responses/drafts/index.ts
+// Starts a save-and-resume draft for a published survey. The respondent and a
+// response row with completed_at null are created together (see
+// start_survey_draft in survey_schema.sql); the returned token is the only way
+// back to the draft. Drafts can only be started while the survey is open, and
+// after the consent step on surveys that have one.
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { loadAvailability } from '../../../../src/lib/availability';
+import { draftExpiry, newResumeToken, sanitizeDraftAnswers } from '../../../../src/lib/drafts';
+import { loadSurveyStructure } from '../../../../src/lib/snapshots';
+import { getServerSupabase } from '../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!req.headers['content-type']?.toString().includes('application/json')) {
+    res.status(415).json({ error: 'Unsupported Media Type', required: 'application/json' });
+    return;
+  }
+
+  try {
+    const { surveyId, snapshotId, answers, position, seed, meta, consent } = (req.body || {}) as {
+      surveyId?: string;
+      snapshotId?: unknown;
+      answers?: unknown;
+      position?: unknown;
+      seed?: unknown;
+      meta?: Record<string, unknown>;
+      consent?: unknown;
+    };
+
+    if (!surveyId) {
+      res.status(400).json({ error: 'Missing required fields', requiredFields: ['surveyId'] });
+      return;
+    }
+
+    const supabase = getServerSupabase();
+
+    const { data: survey, error: sErr } = await supabase
+      .from('surveys')
+      .select('id, version, status, opens_at, closes_at, max_responses, consent_required')
+      .eq('id', surveyId)
+      .single();
+    if (sErr || !survey) {
+      res.status(404).json({ error: 'Survey not found' });
+      return;
+    }
+    if (survey.status !== 'published') {
+      res.status(409).json({ error: 'Survey is not accepting responses' });
+      return;
+    }
+
+    const availability = await loadAvailability(supabase, survey);
+    if (availability.state !== 'open') {
+      res.status(409).json({ error: availability.message, state: availability.state });
+      return;
+    }
+    if (survey.consent_required && consent !== true) {
+      res.status(422).json({ error: 'Consent is required to take this survey' });
+      return;
+    }
+
+    // The version the respondent is looking at, so a publish mid-survey
+    // doesn't move their draft onto different questions
+    const structure = await loadSurveyStructure(
+      supabase,
+      surveyId,
+      typeof snapshotId === 'string' ? snapshotId : null
+    );
+    const token = newResumeToken();
+    const expiresAt = draftExpiry();
+
+    const { error: rpcErr } = await supabase.rpc('start_survey_draft', {
+      p_survey_id: surveyId,
+      p_survey_version: structure.version ?? survey.version ?? 1,
+      p_resume_token: token,
+      p_answers: sanitizeDraftAnswers(structure.categories, answers),
+      p_position: Number.isInteger(position) ? position : 0,
+      p_expires_at: expiresAt,
+      p_meta: meta && typeof meta === 'object' ? meta : null,
+      p_seed: Number.isInteger(seed) ? seed : null,
+      p_snapshot_id: structure.snapshotId,
+      p_consent: consent === true,
+    });
+    if (rpcErr) throw rpcErr;
+
+    res.status(201).json({ token, expiresAt, snapshotId: structure.snapshotId });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error starting draft:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
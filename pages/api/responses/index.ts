@@ -0,0 +1,135 @@
+// pages/api/responses/index.ts
+// Accepts a completed survey, validates it, persists respondent + response +
+// answers + the scored `results` row in one transaction (see
+// submit_survey_response in survey_schema.sql) and returns the scores. When a
+// resumeToken is sent, the respondent's draft row becomes the completed response.
+// Answers are validated and scored against the survey snapshot the respondent
+// was shown (the draft's, else the one the client names, else the latest).
+// Surveys outside their open/close window or over their quota answer 409;
+// surveys with a consent step need `consent: true` (recorded on the respondent).
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { loadAvailability } from '../../../src/lib/availability';
+import { isResumeToken, loadDraft } from '../../../src/lib/drafts';
+import { buildResult, resultPercents } from '../../../src/lib/results';
+import { loadSurveyStructure } from '../../../src/lib/snapshots';
+import { getServerSupabase } from '../../../src/lib/supabaseServer';
+import { validateSubmission } from '../../../src/lib/submission';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!req.headers['content-type']?.toString().includes('application/json')) {
+    res.status(415).json({ error: 'Unsupported Media Type', required: 'application/json' });
+    return;
+  }
+
+  try {
+    const { surveyId, snapshotId, answers, meta, resumeToken, consent } = (req.body || {}) as {
+      surveyId?: string;
+      snapshotId?: unknown;
+      answers?: unknown;
+      meta?: Record<string, unknown>;
+      resumeToken?: unknown;
+      consent?: unknown;
+    };
+
+    if (!surveyId || !Array.isArray(answers)) {
+      res.status(400).json({
+        error: 'Missing required fields',
+        requiredFields: ['surveyId', 'answers'],
+      });
+      return;
+    }
+
+    const supabase = getServerSupabase();
+
+    const { data: survey, error: sErr } = await supabase
+      .from('surveys')
+      .select('id, version, status, opens_at, closes_at, max_responses, consent_required')
+      .eq('id', surveyId)
+      .single();
+    if (sErr || !survey) {
+      res.status(404).json({ error: 'Survey not found' });
+      return;
+    }
+    if (survey.status !== 'published') {
+      res.status(409).json({ error: 'Survey is not accepting responses' });
+      return;
+    }
+
+    const availability = await loadAvailability(supabase, survey);
+    if (availability.state !== 'open') {
+      res.status(409).json({ error: availability.message, state: availability.state });
+      return;
+    }
+    if (survey.consent_required && consent !== true) {
+      res.status(422).json({ error: 'Consent is required to take this survey' });
+      return;
+    }
+
+    const token = isResumeToken(resumeToken) ? resumeToken : null;
+    const lookup = token ? await loadDraft(supabase, token) : null;
+    const draftSnapshotId = lookup?.state === 'active' && lookup.draft.survey_id === surveyId
+      ? lookup.draft.snapshot_id
+      : null;
+    const structure = await loadSurveyStructure(
+      supabase,
+      surveyId,
+      draftSnapshotId || (typeof snapshotId === 'string' ? snapshotId : null)
+    );
+    const { categories, ranges } = structure;
+
+    const validation = validateSubmission(categories, answers);
+    if (!validation.ok) {
+      res.status(422).json({ error: 'Invalid submission', errors: validation.errors });
+      return;
+    }
+
+    const result = buildResult(categories, validation.answers, ranges);
+
+    // Single round-trip: the function body runs in one transaction, so a failed
+    // answers/results insert rolls back the respondent and response rows too.
+    const { data: created, error: rpcErr } = await supabase.rpc('submit_survey_response', {
+      p_survey_id: surveyId,
+      p_survey_version: structure.version ?? survey.version ?? 1,
+      p_answers: validation.answers,
+      p_result: result,
+      p_meta: meta && typeof meta === 'object' ? meta : null,
+      p_resume_token: token,
+      p_snapshot_id: structure.snapshotId,
+      p_consent: consent === true,
+    });
+    if (rpcErr) {
+      // Closed or filled up between the check above and the insert
+      if (rpcErr.message === 'survey_closed' || rpcErr.message === 'survey_full') {
+        const state = rpcErr.message === 'survey_full' ? 'full' : 'closed';
+        const latest = await loadAvailability(supabase, survey);
+        res.status(409).json({ error: latest.message || 'Survey is not accepting responses', state });
+        return;
+      }
+      throw rpcErr;
+    }
+
+    const row = Array.isArray(created) ? created[0] : created;
+    if (!row?.response_id) throw new Error('Submission was not saved');
+
+    const { categoryPercents, totalPercent } = resultPercents(result);
+
+    res.status(201).json({
+      responseId: row.response_id,
+      respondentId: row.respondent_id,
+      snapshotId: structure.snapshotId,
+      categoryPercents,
+      totalPercent,
+      result,
+    });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error saving response:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
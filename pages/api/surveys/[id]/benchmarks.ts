@@ -0,0 +1,72 @@
+// pages/api/surveys/[id]/benchmarks.ts
+// Average, median and percentile rank per category over a survey's completed
+// responses (benchmarks.ts). Only aggregates leave the server.
+//   GET ?respondentId=… → { benchmarks }: compared with the respondent's
+//       cohort when the survey sets benchmark_cohort_key, with their
+//       percentile rank in each category
+//   GET (no respondentId) → { benchmarks } for the whole survey, without
+//       percentile ranks
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { loadBenchmarks } from '../../../../src/lib/benchmarks';
+import { loadRespondentScores } from '../../../../src/lib/results';
+import { loadSurveyStructure } from '../../../../src/lib/snapshots';
+import { getServerSupabase } from '../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const surveyId = req.query['id'];
+  const respondentId = req.query['respondentId'];
+  if (typeof surveyId !== 'string' || !surveyId) {
+    res.status(400).json({ error: 'Missing survey id' });
+    return;
+  }
+  if (respondentId !== undefined && (typeof respondentId !== 'string' || !respondentId)) {
+    res.status(400).json({ error: 'respondentId must be a single id' });
+    return;
+  }
+
+  try {
+    const supabase = getServerSupabase();
+
+    const { data: survey, error: sErr } = await supabase
+      .from('surveys')
+      .select('id, benchmark_cohort_key')
+      .eq('id', surveyId)
+      .single();
+    if (sErr || !survey) {
+      res.status(404).json({ error: 'Survey not found' });
+      return;
+    }
+
+    if (respondentId) {
+      const scored = await loadRespondentScores(supabase, surveyId, respondentId);
+      if (!scored) {
+        res.status(404).json({ error: 'No completed response found for this respondent' });
+        return;
+      }
+      const benchmarks = await loadBenchmarks(supabase, {
+        surveyId,
+        categories: scored.categories,
+        categoryPercents: scored.categoryPercents,
+        totalPercent: scored.totalPercent,
+        respondentId,
+        cohortKey: survey.benchmark_cohort_key,
+      });
+      res.status(200).json({ benchmarks });
+      return;
+    }
+
+    const { categories } = await loadSurveyStructure(supabase, surveyId);
+    const benchmarks = await loadBenchmarks(supabase, { surveyId, categories, categoryPercents: {} });
+    res.status(200).json({ benchmarks });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error loading benchmarks:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,35 @@
+// pages/api/surveys/[id]/emails.ts
+// Delivery log of the emails sent for a survey (outbox.ts), newest first.
+// Admins only (adminAuth.ts).
+//   GET → { emails: [{ id, respondentId, reportJobId, recipient, template,
+//         subject, status, attempts, error, lastAttemptAt, sentAt, createdAt }] }
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../../src/lib/adminAuth';
+import { loadSurveyOutbox, outboxView } from '../../../../src/lib/outbox';
+import { getServerSupabase } from '../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  const surveyId = req.query['id'];
+  if (typeof surveyId !== 'string' || !surveyId) {
+    res.status(400).json({ error: 'Missing survey id' });
+    return;
+  }
+
+  try {
+    const rows = await loadSurveyOutbox(getServerSupabase(), surveyId);
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({ emails: rows.map(outboxView) });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error loading email log:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
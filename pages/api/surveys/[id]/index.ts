@@ -0,0 +1,47 @@
+// pages/api/surveys/[id]/index.ts
+// DELETE removes a survey with its categories, questions, score ranges and
+// published snapshots in one transaction (see delete_survey in
+// survey_schema.sql). A survey anyone has started is kept: 409, archive it
+// instead. Admins only (adminAuth.ts).
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../../src/lib/adminAuth';
+import { getServerSupabase } from '../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'DELETE') {
+    res.setHeader('Allow', 'DELETE');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  const surveyId = req.query['id'];
+  if (typeof surveyId !== 'string' || !surveyId) {
+    res.status(400).json({ error: 'Missing survey id' });
+    return;
+  }
+
+  try {
+    const { data: deleted, error: rpcErr } = await getServerSupabase().rpc('delete_survey', {
+      p_survey_id: surveyId,
+    });
+    if (rpcErr) {
+      if (rpcErr.message === 'survey_has_responses') {
+        res.status(409).json({ error: 'This survey has responses and cannot be deleted. Archive it instead.' });
+        return;
+      }
+      throw rpcErr;
+    }
+    if (!deleted) {
+      res.status(404).json({ error: 'Survey not found' });
+      return;
+    }
+
+    res.status(204).end();
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error deleting survey:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
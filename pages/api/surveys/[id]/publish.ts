@@ -0,0 +1,67 @@
+// pages/api/surveys/[id]/publish.ts
+// Publishes the survey as it currently stands: copies categories, questions
+// and score ranges into a new survey_snapshots row, bumps surveys.version and
+// marks the survey published in one transaction (see publish_survey in
+// survey_schema.sql). New responses are taken against this snapshot; earlier
+// responses keep the snapshot they were taken against. A survey that fails
+// the pre-publish checks (publishChecks.ts) is left as it is and the problems
+// are returned with a 422. Admins only (adminAuth.ts).
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../../src/lib/adminAuth';
+import { checkSurveyForPublish, findMissingImages } from '../../../../src/lib/publishChecks';
+import { buildSnapshot } from '../../../../src/lib/snapshots';
+import { getServerSupabase } from '../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  const surveyId = req.query['id'];
+  if (typeof surveyId !== 'string' || !surveyId) {
+    res.status(400).json({ error: 'Missing survey id' });
+    return;
+  }
+
+  try {
+    const supabase = getServerSupabase();
+
+    const { data: survey, error: sErr } = await supabase
+      .from('surveys')
+      .select('id')
+      .eq('id', surveyId)
+      .single();
+    if (sErr || !survey) {
+      res.status(404).json({ error: 'Survey not found' });
+      return;
+    }
+
+    const snapshot = await buildSnapshot(supabase, surveyId);
+
+    const missingImages = await findMissingImages(supabase, snapshot.categories);
+    const problems = checkSurveyForPublish(snapshot.categories, snapshot.score_ranges, missingImages);
+    if (problems.length) {
+      res.status(422).json({ error: 'Survey is not ready to publish', problems });
+      return;
+    }
+
+    const { data: published, error: rpcErr } = await supabase.rpc('publish_survey', {
+      p_survey_id: surveyId,
+      p_snapshot: snapshot,
+    });
+    if (rpcErr) throw rpcErr;
+
+    const row = Array.isArray(published) ? published[0] : published;
+    if (!row?.snapshot_id) throw new Error('Snapshot was not saved');
+
+    res.status(201).json({ snapshotId: row.snapshot_id, version: row.version });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error publishing survey:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,73 @@
+// pages/api/surveys/[id]/report-template.ts
+// Which report template a survey's PDF reports use. Admins only (adminAuth.ts).
+//   GET → { templateId, template }: the assigned template id (null when the
+//         survey follows the default) and the layout reports will actually use
+//   PUT { templateId: string | null } → { templateId }; null clears the
+//         assignment so the survey follows the default template again
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../../src/lib/adminAuth';
+import { getReportTemplate, resolveReportTemplate } from '../../../../src/lib/reportTemplates';
+import { getServerSupabase } from '../../../../src/lib/supabaseServer';
+
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    res.setHeader('Allow', 'GET, PUT');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!(await requireAdmin(req, res))) return;
+
+  const surveyId = req.query['id'];
+  if (typeof surveyId !== 'string' || !surveyId) {
+    res.status(400).json({ error: 'Missing survey id' });
+    return;
+  }
+
+  try {
+    const supabase = getServerSupabase();
+
+    const { data: survey, error: sErr } = await supabase
+      .from('surveys')
+      .select('id, report_template_id')
+      .eq('id', surveyId)
+      .single();
+    if (sErr || !survey) {
+      res.status(404).json({ error: 'Survey not found' });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      const templateId = survey.report_template_id ?? null;
+      res.status(200).json({ templateId, template: await resolveReportTemplate(supabase, templateId) });
+      return;
+    }
+
+    if (!req.headers['content-type']?.toString().includes('application/json')) {
+      res.status(415).json({ error: 'Unsupported Media Type', required: 'application/json' });
+      return;
+    }
+
+    const templateId = (req.body || {}).templateId;
+    if (templateId !== null && (typeof templateId !== 'string' || !templateId)) {
+      res.status(400).json({ error: 'templateId must be a template id or null' });
+      return;
+    }
+    if (templateId && !(await getReportTemplate(supabase, templateId))) {
+      res.status(404).json({ error: 'Template not found' });
+      return;
+    }
+
+    const { error: updErr } = await supabase
+      .from('surveys')
+      .update({ report_template_id: templateId })
+      .eq('id', surveyId);
+    if (updErr) throw updErr;
+
+    res.status(200).json({ templateId });
+  } catch (err: any) {
+    // eslint-disable-next-line no-console
+    console.error('Error assigning report template:', err);
+    res.status(500).json({ error: err?.message || 'Internal Server Error' });
+  }
+}
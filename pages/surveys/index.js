@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { createClient } from '@supabase/supabase-js';
+import { loadAvailability } from '../../src/lib/availability';
 
 const supabase = process.env.NEXT_PUBLIC_SUPABASE_URL && process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
   ? createClient(
@@ -8,6 +9,20 @@ const supabase = process.env.NEXT_PUBLIC_SUPABASE_URL && process.env.NEXT_PUBLIC
     )
   : null;
 
+function formatDate(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/** One-line schedule/quota note for an open survey, or '' when there is nothing to say. */
+function openNote(survey, availability) {
+  const parts = [];
+  if (survey.closes_at) parts.push(`Closes ${formatDate(survey.closes_at)}`);
+  if (availability.remaining != null) {
+    parts.push(`${availability.remaining} ${availability.remaining === 1 ? 'place' : 'places'} left`);
+  }
+  return parts.join(' · ');
+}
+
 export default function SurveysPage() {
   const [surveys, setSurveys] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -32,8 +47,12 @@ export default function SurveysPage() {
         .order('created_at', { ascending: false });
 
       if (error) throw error;
-      
-      setSurveys(data || []);
+
+      // Window and quota for each survey (responses are only counted for surveys with a quota)
+      const withAvailability = await Promise.all(
+        (data || []).map(async (survey) => ({ ...survey, availability: await loadAvailability(supabase, survey) }))
+      );
+      setSurveys(withAvailability);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -59,20 +78,41 @@ export default function SurveysPage() {
               <h2>{survey.title}</h2>
               
               <p style={{ marginBottom: '1rem', color: '#666' }}>{survey.description}</p>
-              
-              <a
-                href={`/surveys/take/${survey.id}`}
-                style={{
-                  display: 'inline-block',
-                  padding: '0.5rem 1rem',
-                  backgroundColor: '#007bff',
-                  color: 'white',
-                  textDecoration: 'none',
-                  borderRadius: '4px'
-                }}
-              >
-                Take Survey
-              </a>
+
+              {survey.availability.state === 'open' ? (
+                <>
+                  {openNote(survey, survey.availability) && (
+                    <p style={{ margin: '0 0 1rem', fontSize: '0.9rem', color: '#555' }}>
+                      {openNote(survey, survey.availability)}
+                    </p>
+                  )}
+                  <a
+                    href={`/surveys/take/${survey.id}`}
+                    style={{
+                      display: 'inline-block',
+                      padding: '0.5rem 1rem',
+                      backgroundColor: '#007bff',
+                      color: 'white',
+                      textDecoration: 'none',
+                      borderRadius: '4px'
+                    }}
+                  >
+                    Take Survey
+                  </a>
+                </>
+              ) : (
+                <span
+                  style={{
+                    display: 'inline-block',
+                    padding: '0.5rem 1rem',
+                    backgroundColor: '#e9ecef',
+                    color: '#495057',
+                    borderRadius: '4px'
+                  }}
+                >
+                  {survey.availability.state === 'not_open' ? `Opens ${formatDate(survey.opens_at)}` : 'Closed'}
+                </span>
+              )}
             </div>
           ))}
         </div>
@@ -2,13 +2,37 @@ import { useState, useEffect, useMemo } from 'react';
 import { useRouter } from 'next/router';
 import { createClient } from '@supabase/supabase-js';
 import { computeScores } from '../../../src/lib/scoring';
+import { loadSurveyAverages } from '../../../src/lib/results';
+import { groupRanges, loadSurveyStructure } from '../../../src/lib/snapshots';
 import DonutChart from '../../../src/components/DonutChart';
+import RadarChart from '../../../src/components/RadarChart';
 
 const supabase = createClient(
   process.env.NEXT_PUBLIC_SUPABASE_URL,
   process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
 );
 
+const REPORT_POLL_MS = 2000;
+
+function reportStatusText(job) {
+  switch (job.status) {
+    case 'unverified':
+      return "We've sent a confirmation link to your email. Your report will be sent once you confirm it.";
+    case 'queued':
+      return job.attempts ? 'Something went wrong; trying again shortly…' : 'Waiting to start…';
+    case 'rendering':
+      return 'Creating your report…';
+    case 'uploaded':
+      return job.done ? 'Your report is ready.' : 'Report created; sending the email…';
+    case 'emailed':
+      return 'Your report has been emailed to you.';
+    case 'failed':
+      return `We couldn't create your report${job.error ? `: ${job.error}` : '.'}`;
+    default:
+      return '';
+  }
+}
+
 export default function SurveyResultsPage() {
   const router = useRouter();
   const { id } = router.query;
@@ -19,15 +43,18 @@ export default function SurveyResultsPage() {
   const [categories, setCategories] = useState([]);
   const [responses, setResponses] = useState([]);
   const [answers, setAnswers] = useState([]);
+  const [storedResult, setStoredResult] = useState(null); // results row written at submission
   const [scoreRanges, setScoreRanges] = useState({ categories: {}, total: [] });
+  const [surveyAverages, setSurveyAverages] = useState({}); // { [categoryTitle]: percent } over all responses
+  const [benchmarks, setBenchmarks] = useState(null); // average/median/percentile vs cohort (/api/surveys/[id]/benchmarks)
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [email, setEmail] = useState('');
   const [emailSubmitted, setEmailSubmitted] = useState(false);
   const [submittingEmail, setSubmittingEmail] = useState(false);
   const [emailError, setEmailError] = useState('');
-  const [serveUrl, setServeUrl] = useState('');       // ← show a link if API returns one
   const [emailMessage, setEmailMessage] = useState(''); // ← show API message
+  const [reportJob, setReportJob] = useState(null); // queued report: { id, status, done, ... } from /api/reports/jobs/[id]
 
   useEffect(() => {
     if (id) {
@@ -50,6 +77,24 @@ export default function SurveyResultsPage() {
     }
   }, [id, respondentId, responseId]);
 
+  // Poll the queued report until the worker has finished with it
+  useEffect(() => {
+    if (!reportJob || reportJob.done) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const resp = await fetch(`/api/reports/jobs/${reportJob.id}`);
+        const data = await resp.json().catch(() => ({}));
+        if (!resp.ok) throw new Error(data?.error || 'Could not check the report status');
+        setReportJob(data.job);
+        if (data.job.emailMessage) setEmailMessage(String(data.job.emailMessage));
+      } catch (err) {
+        console.error(err);
+        setReportJob(prev => ({ ...prev })); // try again on the next tick
+      }
+    }, REPORT_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [reportJob]);
+
   async function fetchMostRecentResponse() {
     try {
       console.log('🔄 FETCHING MOST RECENT RESPONSE (fallback mode)');
@@ -74,6 +119,7 @@ export default function SurveyResultsPage() {
         .from('responses')
         .select('*')
         .eq('survey_id', id)
+        .not('completed_at', 'is', null)
         .order('completed_at', { ascending: false })
         .limit(1);
       if (rErr) throw rErr;
@@ -124,14 +170,6 @@ export default function SurveyResultsPage() {
       if (sErr) throw sErr;
       setSurvey(surveyData);
 
-      const { data: categoriesData, error: cErr } = await supabase
-        .from('categories')
-        .select('*, questions(*)')
-        .eq('survey_id', id)
-        .order('order');
-      if (cErr) throw cErr;
-      setCategories(categoriesData || []);
-
       // Use responseId if available, otherwise use respondentId for backward compatibility
       const actualResponseId = responseId || respondentId;
       
@@ -170,13 +208,37 @@ export default function SurveyResultsPage() {
         });
         
         setAnswers(answersData || []);
+
+        const { data: resultData, error: resErr } = await supabase
+          .from('results')
+          .select('*')
+          .eq('response_id', actualResponseId)
+          .maybeSingle();
+        if (resErr) throw resErr;
+        setStoredResult(resultData || null);
       } else {
         console.log('❌ No responses found for actualResponseId:', actualResponseId);
         setAnswers([]);
       }
 
-      const ranges = await fetchScoreRanges(id);
-      setScoreRanges(ranges);
+      // Questions and ranges as they were when this response was taken
+      const structure = await loadSurveyStructure(supabase, id, responsesData?.[0]?.snapshot_id);
+      setCategories(structure.categories);
+      setScoreRanges(groupRanges(structure.ranges));
+
+      // The comparisons are optional; the page works without them
+      try {
+        setSurveyAverages(await loadSurveyAverages(supabase, id, structure.categories));
+      } catch (avgErr) {
+        console.error('Error loading survey averages:', avgErr);
+      }
+      const ownRespondentId = responsesData?.[0]?.respondent_id;
+      if (ownRespondentId) {
+        fetch(`/api/surveys/${id}/benchmarks?respondentId=${encodeURIComponent(ownRespondentId)}`)
+          .then(resp => (resp.ok ? resp.json() : null))
+          .then(data => setBenchmarks(data?.benchmarks || null))
+          .catch(bErr => console.error('Error loading benchmarks:', bErr));
+      }
     } catch (err) {
       console.error(err);
       setError(err.message);
@@ -185,36 +247,17 @@ export default function SurveyResultsPage() {
     }
   }
 
-  async function fetchScoreRanges(surveyId) {
-    try {
-      const { data: categoryRanges, error: catErr } = await supabase
-        .from('score_ranges')
-        .select('*')
-        .eq('survey_id', surveyId)
-        .not('category_id', 'is', null);
-      if (catErr) throw catErr;
-
-      const { data: totalRanges, error: totErr } = await supabase
-        .from('score_ranges')
-        .select('*')
-        .eq('survey_id', surveyId)
-        .is('category_id', null);
-      if (totErr) throw totErr;
-
-      const rangesByCategory = {};
-      categoryRanges.forEach(r => {
-        if (!rangesByCategory[r.category_id]) rangesByCategory[r.category_id] = [];
-        rangesByCategory[r.category_id].push(r);
+  const getCategoryScores = () => {
+    // Prefer the score stored at submission; rescoring is only for responses
+    // saved before results were persisted.
+    if (storedResult?.per_category) {
+      const catScores = {};
+      storedResult.per_category.forEach(c => {
+        catScores[c.title] = Number(c.percent || 0) / 100;
       });
-
-      return { categories: rangesByCategory, total: totalRanges || [] };
-    } catch (err) {
-      console.error(err);
-      return { categories: {}, total: [] };
+      return catScores;
     }
-  }
 
-  const getCategoryScores = () => {
     try {
       console.log('=== COMPREHENSIVE SCORING ANALYSIS ===');
       console.log('📊 Raw answers from database:', answers);
@@ -339,43 +382,15 @@ export default function SurveyResultsPage() {
           surveyId: id,
           respondentId: recentResponse.respondent_id,
           email,
-          // Include category scores and responses for the report
-          categoryScores: (() => {
-            const scores = getCategoryScores();
-            const percentages = {};
-            Object.entries(scores).forEach(([title, score]) => {
-              percentages[title] = score * 100; // Convert to percentage
-            });
-            return percentages;
-          })(),
-          userResponses: {}, // Could be enhanced to include actual responses
-          // Load template from localStorage (same pattern as designer)
-          template: (() => {
-            try {
-              // Try survey-specific template first
-              const surveyTemplateKey = `report-template:${id}`;
-              let templateData = window.localStorage.getItem(surveyTemplateKey);
-              
-              // Fall back to global template if survey-specific doesn't exist
-              if (!templateData) {
-                const globalTemplateKey = 'report-template:global';
-                templateData = window.localStorage.getItem(globalTemplateKey);
-              }
-              
-              return templateData ? JSON.parse(templateData) : null;
-            } catch (e) {
-              console.warn('Failed to load template from localStorage:', e);
-              return null;
-            }
-          })(),
+          // Scores, answers and the report template are loaded by the API itself
         }),
       });
 
       const data = await resp.json().catch(() => ({}));
       if (!resp.ok) throw new Error(data?.error || 'Failed to generate report');
 
-      if (data?.serveUrl) setServeUrl(String(data.serveUrl));
-      if (data?.emailMessage) setEmailMessage(String(data.emailMessage));
+      // The report is generated in the background; the effect above polls it
+      setReportJob({ id: data.jobId, status: data.status, done: false });
       setEmailSubmitted(true);
     } catch (err) {
       console.error(err);
@@ -402,12 +417,19 @@ export default function SurveyResultsPage() {
       {survey.description && <p style={{ color: '#666' }}>{survey.description}</p>}
 
       <h2>Category Scores</h2>
+      {benchmarks?.count > 0 && (
+        <p style={{ color: '#666', marginTop: 0 }}>
+          Compared with {benchmarks.cohort ? `respondents with ${benchmarks.cohort.key} “${benchmarks.cohort.value}”` : 'all respondents'}{' '}
+          ({benchmarks.count} completed {benchmarks.count === 1 ? 'response' : 'responses'}).
+        </p>
+      )}
       <div style={{ display: 'grid', gap: '1rem', marginBottom: '2rem' }}>
         {Object.entries(categoryScores).map(([category, score]) => {
           const cat = categories?.find(c => c.title === category);
           const ranges = scoreRanges.categories[cat?.id] || [];
           const range = getScoreRange(score, ranges);
           const percentage = Math.round(score * 100);
+          const benchmark = benchmarks?.categories?.[category];
           
           return (
             <div
@@ -449,6 +471,15 @@ export default function SurveyResultsPage() {
                   No description available for this score range.
                 </div>
               )}
+              {benchmark && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem 1.25rem', marginTop: '0.75rem', fontSize: '0.9rem', color: '#495057' }}>
+                  <span>Average <strong>{Math.round(benchmark.average)}%</strong></span>
+                  <span>Median <strong>{Math.round(benchmark.median)}%</strong></span>
+                  {benchmark.percentile != null && (
+                    <span>Higher than <strong>{benchmark.percentile}%</strong> of respondents</span>
+                  )}
+                </div>
+              )}
             </div>
           );
         })}
@@ -465,16 +496,29 @@ export default function SurveyResultsPage() {
         />
       </div>
 
+      {/* Category profile against the survey average and score bands */}
+      {Object.keys(categoryScores).length >= 3 && (
+        <div style={{ marginBottom: '2rem' }}>
+          <RadarChart
+            categoryScores={categoryScores}
+            averages={surveyAverages}
+            scoreRanges={scoreRanges}
+            categories={categories}
+            title={Object.keys(surveyAverages).length ? 'Compared with the survey average' : 'Your category profile'}
+          />
+        </div>
+      )}
+
       <h2 style={{ marginTop: '2rem' }}>Request Detailed Report</h2>
       {emailSubmitted ? (
         <div style={{ padding: '1rem', background: '#d4edda', color: '#155724', borderRadius: 4 }}>
           Thank you! Your detailed report will be sent shortly.
-          {emailMessage ? <div style={{ marginTop: 8 }}>{emailMessage}</div> : null}
-          {serveUrl ? (
-            <div style={{ marginTop: 8 }}>
-              <a href={serveUrl} target="_blank" rel="noreferrer">View report</a>
+          {reportJob ? (
+            <div style={{ marginTop: 8, color: reportJob.status === 'failed' ? '#721c24' : undefined }}>
+              {reportStatusText(reportJob)}
             </div>
           ) : null}
+          {emailMessage ? <div style={{ marginTop: 8 }}>{emailMessage}</div> : null}
         </div>
       ) : (
         <form onSubmit={handleEmailSubmit}>
@@ -1,7 +1,19 @@
 // pages/surveys/take/[id].js
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { useRouter } from 'next/router';
 import { createClient } from '@supabase/supabase-js';
+import ConsentStep from '../../../src/components/ConsentStep';
+import QuestionInput, { AUTO_ADVANCE_TYPES } from '../../../src/components/QuestionInput';
+import SaveForLater from '../../../src/components/SaveForLater';
+import SurveyClosed from '../../../src/components/SurveyClosed';
+import SurveyReview from '../../../src/components/SurveyReview';
+import { loadAvailability } from '../../../src/lib/availability';
+import { visibleQuestionIds } from '../../../src/lib/displayLogic';
+import { clearLocalDraft, readLocalDraft, writeLocalDraft } from '../../../src/lib/draftStorage';
+import { checkAnswer } from '../../../src/lib/questionRules';
+import { effectiveSettings, newSeed, orderOptions, orderQuestions } from '../../../src/lib/randomization';
+import { normalizeQuestionType } from '../../../src/lib/scoring';
+import { loadSurveyStructure } from '../../../src/lib/snapshots';
 
 const supabase =
   process.env.NEXT_PUBLIC_SUPABASE_URL && process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
@@ -45,111 +57,78 @@ function parseChoiceScores(value) {
   } catch {}
   return [];
 }
-async function handleFinish(nextAnswers, surveyId, router) {
-  try {
-    console.log('🚀 === SURVEY SUBMISSION STARTED ===');
-    console.log('📝 Raw nextAnswers object:', nextAnswers);
-    console.log('📋 Answers breakdown:');
-    
-    // Count answers by category for debugging
-    const answersByCategory = {};
-    Object.entries(nextAnswers).forEach(([questionId, value]) => {
-      console.log(`  Question ${questionId}: "${value}"`);
-      // We'll identify category in the database debug
-    });
-    
-    console.log('🔢 Total answers to save:', Object.keys(nextAnswers).length);
-    
-    if (!supabase) {
-      console.error('No Supabase client available');
-      router.push(`/surveys/results/${surveyId}`);
-      return;
-    }
-
-    // Create a respondent entry
-    const { data: respondent, error: respError } = await supabase
-      .from('respondents')
-      .insert({ 
-        survey_id: surveyId,
-        survey_version: 1 // Add required survey_version field
-      })
-      .select()
-      .single();
-    
-    if (respError) {
-      console.error('Error creating respondent:', respError);
-      router.push(`/surveys/results/${surveyId}`);
-      return;
-    }
-
-    console.log('✅ Created respondent:', respondent);
-
-    // Create a response entry
-    const { data: response, error: responseError } = await supabase
-      .from('responses')
-      .insert({
-        survey_id: surveyId,
-        respondent_id: respondent.id,
-        completed_at: new Date().toISOString()
-      })
-      .select()
-      .single();
-    
-    if (responseError) {
-      console.error('Error creating response:', responseError);
-      router.push(`/surveys/results/${surveyId}`);
-      return;
-    }
+/**
+ * Submit the finished survey through the server, which validates, persists and
+ * scores it in one go against the snapshot the respondent was shown. Throws
+ * with the API's message so the page can show it instead of navigating to an
+ * empty results page.
+ */
+async function handleFinish(nextAnswers, surveyId, router, { token, snapshotId, consent }, presentation = {}) {
+  const answers = Object.entries(nextAnswers)
+    .filter(([, value]) => value != null)
+    .map(([questionId, value]) => ({ question_id: questionId, value, ...presentation[questionId] }));
+
+  const resp = await fetch('/api/responses', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      surveyId,
+      snapshotId: snapshotId || undefined,
+      answers,
+      resumeToken: token || undefined,
+      consent: !!consent,
+    }),
+  });
+  const data = await resp.json().catch(() => ({}));
+
+  if (!resp.ok) {
+    const err = new Error(data?.error || 'Failed to submit survey');
+    // Per-question validation errors from the server, shown on the review page
+    err.questionErrors = Array.isArray(data?.errors) ? data.errors : [];
+    // Closed or full while the respondent was answering
+    if (resp.status === 409 && data?.state) err.closed = { state: data.state, message: data.error };
+    throw err;
+  }
 
-    console.log('✅ Created response:', response);
-
-    // Save all answers
-    const timestamp = new Date().toISOString();
-    const answerEntries = Object.entries(nextAnswers)
-      .filter(([questionId, value]) => value != null)
-      .map(([questionId, value]) => ({
-        question_id: questionId,
-        response_id: response.id,
-        respondent_id: respondent.id, // Add required respondent_id field
-        value: value,
-        // Don't save score here - let the scoring library calculate it
-        score: null,
-        // Add timestamp to verify this is a new save
-        created_at: timestamp
-      }));
-
-    console.log('🔥 SAVING NEW ANSWERS at', timestamp);
-    console.log('📦 Answer entries to save:', answerEntries);
-    console.log('🔍 Detailed answer entries:');
-    answerEntries.forEach((entry, index) => {
-      console.log(`  Entry ${index + 1}: Question ${entry.question_id} = "${entry.value}"`);
+  clearLocalDraft(surveyId);
+  router.push(`/surveys/results/${surveyId}?responseId=${data.responseId}`);
+}
+/**
+ * Save progress to the draft API: PUT to an existing draft, or start one when
+ * there is no token yet (or the old one expired). Resolves to { token, expiresAt }.
+ */
+async function saveDraft({ token, surveyId, snapshotId, answers, position, seed, consent }) {
+  const body = JSON.stringify({ surveyId, snapshotId, answers, position, seed, consent: !!consent });
+  if (token) {
+    const resp = await fetch(`/api/responses/drafts/${encodeURIComponent(token)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body,
     });
-
-    if (answerEntries.length > 0) {
-      const { data: savedAnswers, error: answersError } = await supabase
-        .from('answers')
-        .insert(answerEntries)
-        .select();
-      
-      if (answersError) {
-        console.error('❌ Error saving answers:', answersError);
-      } else {
-        console.log('✅ Saved answers successfully! Database returned:');
-        savedAnswers?.forEach((saved, index) => {
-          console.log(`  Saved ${index + 1}: Question ${saved.question_id} = "${saved.value}" (ID: ${saved.id})`);
-        });
-      }
-    }
-
-    console.log('🎯 Navigating to results page with responseId:', response.id);
-    // Navigate to results with the specific response
-    router.push(`/surveys/results/${surveyId}?responseId=${response.id}`);
-  } catch (error) {
-    console.error('💥 Error in handleFinish:', error);
-    // Still navigate even if saving fails
-    router.push(`/surveys/results/${surveyId}`);
+    if (resp.ok) return resp.json();
+    if (resp.status !== 404 && resp.status !== 410) throw new Error('Failed to save progress');
   }
+  const resp = await fetch('/api/responses/drafts', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+  });
+  if (!resp.ok) throw new Error('Failed to save progress');
+  return resp.json();
+}
+
+/**
+ * Look up a saved draft. Returns the draft, `null` when the server says it is
+ * gone (unknown, expired or already submitted), or throws when the server
+ * could not be reached so the caller can fall back to the local copy.
+ */
+async function fetchDraft(token) {
+  const resp = await fetch(`/api/responses/drafts/${encodeURIComponent(token)}`);
+  if (resp.ok) return resp.json();
+  if (resp.status === 404 || resp.status === 410) return null;
+  throw new Error('Failed to load saved progress');
 }
+
 /** Build a public URL for an object in the `assets` bucket (bucket is public). */
 function getPublicImageUrl(pathInBucket) {
   if (!supabase || !pathInBucket) return null;
@@ -174,13 +153,26 @@ function getPublicImageUrl(pathInBucket) {
 export default function TakeSurveyPage() {
   const router = useRouter();
   const { id: surveyId } = router.query;
+  const resumeParam = typeof router.query.resume === 'string' ? router.query.resume : null;
 
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [survey, setSurvey] = useState(null);
   const [flatQs, setFlatQs] = useState([]);
   const [i, setI] = useState(0);             // active question index
-  const [answers, setAnswers] = useState({}); // { [questionId]: label }
+  const [answers, setAnswers] = useState({}); // { [questionId]: label | label[] | number | text }
+  const [reviewing, setReviewing] = useState(false);      // showing the final review page
+  const [editingFromReview, setEditingFromReview] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState('');
+  const [fieldError, setFieldError] = useState('');       // rule violation on the current question
+  const [serverErrors, setServerErrors] = useState({});   // { [questionId]: message } from a rejected submit
+  const [draftReady, setDraftReady] = useState(false);    // saved progress restored; autosave may start
+  const [saveStatus, setSaveStatus] = useState('idle');   // see SaveForLater
+  const [closed, setClosed] = useState(null);             // { state, message } when not accepting responses
+  const [consented, setConsented] = useState(false);      // agreed on the consent step (or restored draft did)
+  const draftRef = useRef({ token: null, expiresAt: null, seed: null, snapshotId: null, consent: false });
+  const saveChain = useRef(Promise.resolve());            // serialises draft saves
 
   useEffect(() => {
     if (!surveyId) return;
@@ -205,51 +197,128 @@ export default function TakeSurveyPage() {
         if (sErr) throw sErr;
         setSurvey(s);
 
-        // 2) Categories (title+description for left column)
-        const { data: cats, error: cErr } = await supabase
-          .from('categories')
-          .select('id, title, description, weight, "order"')
-          .eq('survey_id', surveyId)
-          .order('order', { ascending: true });
-        if (cErr) throw cErr;
-
-        // 3) Questions (include image_path)
-        const catIds = (cats || []).map((c) => c.id);
-        const { data: qs, error: qErr } = await supabase
-          .from('questions')
-          .select('id, category_id, prompt, type, required, scorable, weight, "order", max_score, choices, choice_scores, image_path')
-          .in('category_id', catIds.length ? catIds : ['00000000-0000-0000-0000-000000000000'])
-          .order('order', { ascending: true });
-        if (qErr) throw qErr;
+        // Outside its open/close window or over quota: show the closed screen
+        const availability = await loadAvailability(supabase, s);
+        if (availability.state !== 'open') {
+          setClosed(availability);
+          return;
+        }
+
+        // 2) Saved progress: the server draft (from ?resume= or this browser),
+        //    falling back to the local copy if the draft API is unreachable
+        const local = readLocalDraft(surveyId);
+        const token = resumeParam || local?.token || null;
+        let restored = null;
+        let serverGone = false;
+        if (token) {
+          try {
+            const draft = await fetchDraft(token);
+            if (draft && draft.surveyId === String(surveyId)) {
+              restored = draft;
+              draftRef.current = {
+                token,
+                expiresAt: draft.expiresAt,
+                seed: draft.seed ?? local?.seed,
+                snapshotId: draft.snapshotId ?? null,
+                consent: !!draft.consent,
+              };
+            } else if (token === local?.token) {
+              serverGone = true;
+            }
+          } catch (e) {
+            console.warn('Could not load saved progress; using this device’s copy', e);
+          }
+        }
+        if (serverGone) clearLocalDraft(surveyId);
+        if (!restored && local && !serverGone) {
+          restored = local;
+          draftRef.current = {
+            token: local.token,
+            expiresAt: local.expiresAt,
+            seed: local.seed,
+            snapshotId: local.snapshotId ?? null,
+            consent: !!local.consent,
+          };
+        }
+        setConsented(!!draftRef.current.consent);
+
+        // 3) Questions from the published snapshot — the draft's version when
+        //    resuming, so a re-publish mid-survey doesn't change the questions
+        const structure = await loadSurveyStructure(supabase, surveyId, draftRef.current.snapshotId);
+        draftRef.current = { ...draftRef.current, snapshotId: structure.snapshotId };
+        const settings = structure.survey || s;
+        const cats = structure.categories;
 
         // 4) Normalise to a flat, ordered array
         const flat = [];
-        (cats || []).forEach((c) => {
-          const qsForCat = (qs || []).filter((q) => q.category_id === c.id);
-          qsForCat.forEach((q) => {
+        cats.forEach((c) => {
+          (c.questions || []).forEach((q) => {
             const options = parseChoices(q.choices);
             const scores = parseChoiceScores(q.choice_scores);
             const optionScores = {};
             options.forEach((label, idx) => (optionScores[label] = Number(scores[idx] ?? 0)));
             flat.push({
               id: String(q.id),
+              canonicalIndex: flat.length, // authored position; display logic is evaluated in this order
               categoryId: String(c.id),
               categoryTitle: c.title,
               categoryDescription: c.description,
+              categoryLogic: c.display_logic ?? null,
               prompt: q.prompt,
+              type: normalizeQuestionType(q.type),
+              maxScore: Number(q.max_score) || 5,
               options,
+              pinnedChoices: parseChoices(q.pinned_choices),
               optionScores,
               required: !!q.required,
+              validation: q.validation ?? null,
+              displayLogic: q.display_logic ?? null,
               scorable: !!q.scorable,
               imagePath: q.image_path || null, // used to render the right image
             });
           });
         });
 
-        setFlatQs(flat);
         const init = {};
         flat.forEach((q) => (init[q.id] = null));
+
+        // 5) Presentation order, seeded per respondent so a resumed draft
+        //    (whose position is an index into this order) looks the same
+        if (!Number.isInteger(draftRef.current.seed)) {
+          draftRef.current = { ...draftRef.current, seed: newSeed() };
+        }
+        const seed = draftRef.current.seed;
+        const ordered = orderQuestions(
+          settings,
+          cats.map((c) => ({
+            id: String(c.id),
+            randomize_questions: c.randomize_questions,
+            randomize_options: c.randomize_options,
+            questions: flat
+              .filter((q) => q.categoryId === String(c.id))
+              .map((q) => ({ id: q.id, display_logic: q.displayLogic, q })),
+          })),
+          seed
+        );
+        const presented = ordered.flatMap((c) => {
+          const { randomize_options } = effectiveSettings(settings, c);
+          return c.questions.map(({ q }) =>
+            randomize_options && q.options.length > 1
+              ? { ...q, options: orderOptions(q.options, q.pinnedChoices, q.canonicalIndex, seed), optionsShuffled: true }
+              : q
+          );
+        });
+        setFlatQs(presented);
+
+        if (restored) {
+          Object.entries(restored.answers || {}).forEach(([qid, value]) => {
+            if (qid in init) init[qid] = value;
+          });
+          setI(Math.max(0, Math.min(Number(restored.position) || 0, presented.length - 1)));
+        }
+
         setAnswers(init);
+        setDraftReady(true);
 
         if (!flat.length) setError('This survey has no questions.');
       } catch (e) {
@@ -259,43 +328,315 @@ export default function TakeSurveyPage() {
         setLoading(false);
       }
     })();
-  }, [surveyId]);
+  }, [surveyId, resumeParam]);
+
+  // Autosave: a local copy straight away, the server draft after a short pause
+  useEffect(() => {
+    if (!draftReady || submitting || !surveyId) return undefined;
+    const answered = Object.values(answers).some((v) => v != null && v !== '' && !(Array.isArray(v) && !v.length));
+    if (!answered && !draftRef.current.token) return undefined;
+
+    writeLocalDraft(surveyId, { ...draftRef.current, answers, position: i });
+    setSaveStatus('saving');
+    const timer = setTimeout(() => {
+      saveChain.current = saveChain.current.then(async () => {
+        try {
+          const saved = await saveDraft({ ...draftRef.current, surveyId, answers, position: i });
+          draftRef.current = { ...draftRef.current, token: saved.token, expiresAt: saved.expiresAt };
+          writeLocalDraft(surveyId, { ...draftRef.current, answers, position: i });
+          setSaveStatus('saved');
+        } catch (e) {
+          console.warn('Draft save failed; kept on this device', e);
+          setSaveStatus('local');
+        }
+      });
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [answers, i, draftReady, submitting, surveyId]);
+
+  const emailResumeLink = async (email) => {
+    await saveChain.current;
+    if (!draftRef.current.token) {
+      const saved = await saveDraft({ ...draftRef.current, surveyId, answers, position: i });
+      draftRef.current = { ...draftRef.current, token: saved.token, expiresAt: saved.expiresAt };
+      writeLocalDraft(surveyId, { ...draftRef.current, answers, position: i });
+    }
+    const resp = await fetch(`/api/responses/drafts/${encodeURIComponent(draftRef.current.token)}/email`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email }),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data?.error || 'Email could not be sent.');
+    return data;
+  };
+
+  // flatQs regrouped (in authored order) into the categories → questions shape displayLogic.ts walks
+  const logicTree = useMemo(() => {
+    const cats = [];
+    [...flatQs].sort((a, b) => a.canonicalIndex - b.canonicalIndex).forEach((q) => {
+      let cat = cats[cats.length - 1];
+      if (!cat || cat.id !== q.categoryId) {
+        cat = { id: q.categoryId, display_logic: q.categoryLogic, questions: [] };
+        cats.push(cat);
+      }
+      cat.questions.push({ id: q.id, display_logic: q.displayLogic });
+    });
+    return cats;
+  }, [flatQs]);
+
+  // Questions the respondent's answers so far leave visible (skip logic)
+  const visibleIds = useMemo(() => visibleQuestionIds(logicTree, answers), [logicTree, answers]);
+  const visibleQs = useMemo(() => flatQs.filter((q) => visibleIds.has(q.id)), [flatQs, visibleIds]);
 
   const currentQ = useMemo(() => flatQs[i] || null, [flatQs, i]);
-  const progress = useMemo(
-    () => (flatQs.length ? Math.round(((i + 1) / flatQs.length) * 100) : 0),
-    [flatQs, i]
-  );
+  const position = currentQ ? visibleQs.indexOf(currentQ) : -1;
+  const progress = visibleQs.length ? Math.round(((position + 1) / visibleQs.length) * 100) : 0;
   const imgUrl = currentQ?.imagePath ? getPublicImageUrl(currentQ.imagePath) : null;
 
-  const onPick = (label) => {
-  if (!currentQ) return;
-
-  console.log(`🎯 USER SELECTED: "${label}" for question ${currentQ.id} (${currentQ.prompt?.substring(0, 50)}...)`);
-  console.log(`📝 Available options for this question:`, currentQ.options);
-  
-  const next = { ...answers, [currentQ.id]: label };
-  setAnswers(next);
-  
-  console.log(`📋 Updated answers state:`, next);
-
-  if (i < flatQs.length - 1) {
-    // go to next question
-    setTimeout(() => setI((v) => v + 1), 0);
-  } else {
-    // ✅ last question → finish
-    console.log('🏁 LAST QUESTION ANSWERED! Calling handleFinish...');
-    handleFinish(next, surveyId, router);
-  }
-};
+  // Nearest visible question at or after `from` (or before it when `step` is -1)
+  const findVisible = (from, step = 1, ids = visibleIds) => {
+    for (let j = from; j >= 0 && j < flatQs.length; j += step) {
+      if (ids.has(flatQs[j].id)) return j;
+    }
+    return -1;
+  };
+
+  // If an answer change hides the question we're on (e.g. a restored draft),
+  // move to the next one that is still shown.
+  useEffect(() => {
+    if (!currentQ || visibleIds.has(currentQ.id)) return;
+    const shown = (j) => visibleIds.has(flatQs[j].id);
+    let next = i;
+    while (next < flatQs.length && !shown(next)) next += 1;
+    let prev = i;
+    while (prev >= 0 && !shown(prev)) prev -= 1;
+    if (next < flatQs.length) setI(next);
+    else if (prev >= 0) setI(prev);
+  }, [currentQ, visibleIds, flatQs, i]);
+
+  // First visible question of each shown category, for the jump list
+  const categoryStops = useMemo(() => {
+    const stops = [];
+    visibleQs.forEach((q) => {
+      if (!stops.length || stops[stops.length - 1].categoryId !== q.categoryId) {
+        stops.push({ categoryId: q.categoryId, title: q.categoryTitle, index: flatQs.indexOf(q) });
+      }
+    });
+    return stops;
+  }, [flatQs, visibleQs]);
+
+  // Rule violations for every shown question, checked again before confirming
+  const issues = useMemo(() => {
+    const out = {};
+    visibleQs.forEach((q) => {
+      const violation = checkAnswer(q, answers[q.id]);
+      if (violation) out[q.id] = violation.message;
+      else if (serverErrors[q.id]) out[q.id] = serverErrors[q.id];
+    });
+    return out;
+  }, [visibleQs, answers, serverErrors]);
+
+  const goTo = (idx) => {
+    setReviewing(false);
+    setFieldError('');
+    const target = findVisible(Math.max(0, Math.min(idx, flatQs.length - 1)));
+    if (target >= 0) setI(target);
+  };
+
+  // `value` is passed by onPick, whose state update hasn't landed yet
+  const goNext = (value = answers[currentQ?.id]) => {
+    const violation = currentQ ? checkAnswer(currentQ, value) : null;
+    if (violation) {
+      setFieldError(violation.message);
+      return;
+    }
+    setFieldError('');
+
+    // The new answer may reveal or hide what comes next
+    const ids = currentQ ? visibleQuestionIds(logicTree, { ...answers, [currentQ.id]: value }) : visibleIds;
+    const next = findVisible(i + 1, 1, ids);
+
+    if (editingFromReview || next < 0) {
+      // ✅ last question (or an edit from the review page) → review
+      setEditingFromReview(false);
+      setReviewing(true);
+    } else {
+      // go to next question
+      setTimeout(() => setI(next), 0);
+    }
+  };
+
+  const goPrev = () => {
+    setFieldError('');
+    const prev = findVisible(i - 1, -1);
+    if (prev >= 0) setI(prev);
+  };
+
+  // Single-click answers (radio, rating) record and move on straight away
+  const onPick = (value) => {
+    if (!currentQ) return;
+    setAnswers((prev) => ({ ...prev, [currentQ.id]: value }));
+    clearServerError(currentQ.id);
+    goNext(value);
+  };
+
+  // Multi-step answers (checkbox, select, text) wait for the Next button
+  const onChange = (value) => {
+    if (!currentQ) return;
+    setAnswers((prev) => ({ ...prev, [currentQ.id]: value }));
+    clearServerError(currentQ.id);
+    setFieldError('');
+  };
+
+  const clearServerError = (questionId) => {
+    if (!serverErrors[questionId]) return;
+    setServerErrors((prev) => {
+      const next = { ...prev };
+      delete next[questionId];
+      return next;
+    });
+  };
+
+  const editFromReview = (idx) => {
+    setEditingFromReview(true);
+    goTo(idx);
+  };
+
+  const submit = async (finalAnswers) => {
+    setSubmitting(true);
+    setSubmitError('');
+    try {
+      await saveChain.current;
+      // Answers to questions skip logic has since hidden are not submitted
+      const shown = Object.fromEntries(Object.entries(finalAnswers).filter(([qid]) => visibleIds.has(qid)));
+      // Order actually shown, for order-bias analysis (answers.presented_order)
+      const presentation = {};
+      visibleQs.forEach((q, idx) => {
+        presentation[q.id] = q.optionsShuffled
+          ? { presented_order: idx + 1, presented_choices: q.options }
+          : { presented_order: idx + 1 };
+      });
+      await handleFinish(shown, surveyId, router, draftRef.current, presentation);
+    } catch (e) {
+      console.error(e);
+      if (e.closed) {
+        setClosed(e.closed);
+        setSubmitting(false);
+        return;
+      }
+      const byQuestion = {};
+      (e.questionErrors || []).forEach((err) => {
+        if (err.question_id) byQuestion[err.question_id] = err.message;
+      });
+      setServerErrors(byQuestion);
+      setSubmitError(e.message || 'Failed to submit survey.');
+      setSubmitting(false);
+    }
+  };
 
 
   if (loading) return <div style={{ padding: '2rem' }}>Loading…</div>;
+  if (closed) return <SurveyClosed title={survey?.title} availability={closed} />;
   if (error) return <div style={{ padding: '2rem', color: 'crimson' }}>{error}</div>;
   if (!survey || !currentQ) return <div style={{ padding: '2rem' }}>Nothing to display.</div>;
+  if (survey.consent_required && !consented) {
+    return (
+      <ConsentStep
+        title={survey.title}
+        text={survey.consent_text}
+        onAccept={() => {
+          draftRef.current = { ...draftRef.current, consent: true };
+          setConsented(true);
+        }}
+      />
+    );
+  }
+
+  const navButtonStyle = {
+    padding: '0.6rem 1.5rem',
+    fontSize: 16,
+    border: 'none',
+    borderRadius: 4,
+  };
+
+  const submitErrorBox = submitError ? (
+    <div style={{ marginTop: 16, textAlign: 'center', color: 'crimson' }}>
+      <div>{submitError}</div>
+      <button
+        type="button"
+        onClick={() => submit(answers)}
+        disabled={submitting}
+        style={{ marginTop: 8, padding: '0.5rem 1rem' }}
+      >
+        Try again
+      </button>
+    </div>
+  ) : null;
+
+  const jumpList = categoryStops.length > 1 ? (
+    <nav style={{ maxWidth: 1200, margin: '0 auto 24px', display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+      {categoryStops.map((stop) => {
+        const active = !reviewing && currentQ.categoryId === stop.categoryId;
+        return (
+          <button
+            key={stop.categoryId}
+            type="button"
+            onClick={() => goTo(stop.index)}
+            disabled={submitting}
+            style={{
+              padding: '0.35rem 0.9rem',
+              fontSize: 13,
+              borderRadius: 16,
+              border: `1px solid ${active ? '#2c6fb7' : '#d6cfc2'}`,
+              background: active ? '#2c6fb7' : 'transparent',
+              color: active ? '#fff' : '#555',
+              cursor: 'pointer',
+            }}
+          >
+            {stop.title}
+          </button>
+        );
+      })}
+      <button
+        type="button"
+        onClick={() => setReviewing(true)}
+        disabled={submitting}
+        style={{
+          padding: '0.35rem 0.9rem',
+          fontSize: 13,
+          borderRadius: 16,
+          border: `1px solid ${reviewing ? '#2c6fb7' : '#d6cfc2'}`,
+          background: reviewing ? '#2c6fb7' : 'transparent',
+          color: reviewing ? '#fff' : '#555',
+          cursor: 'pointer',
+        }}
+      >
+        Review
+      </button>
+    </nav>
+  ) : null;
+
+  if (reviewing) {
+    return (
+      <div style={{ padding: '2rem', fontFamily: 'sans-serif', background: '#fbf4e9', minHeight: '100vh' }}>
+        {jumpList}
+        <SurveyReview
+          questions={visibleQs}
+          answers={answers}
+          onEdit={(idx) => editFromReview(flatQs.indexOf(visibleQs[idx]))}
+          onConfirm={() => submit(answers)}
+          issues={issues}
+          submitting={submitting}
+        />
+        {submitErrorBox}
+      </div>
+    );
+  }
 
   return (
     <div style={{ padding: '2rem', fontFamily: 'sans-serif', background: '#fbf4e9', minHeight: '100vh' }}>
+      {jumpList}
       <div
         style={{
           display: 'grid',
@@ -322,49 +663,59 @@ export default function TakeSurveyPage() {
 
           <h2 style={{ fontSize: 36, lineHeight: 1.25, fontWeight: 600, margin: '0 0 28px 0', color: '#333' }}>
             {currentQ.prompt}
+            {currentQ.required ? <span style={{ color: 'crimson' }} title="Required"> *</span> : null}
           </h2>
 
-          <div
-            style={{
-              display: 'grid',
-              gridTemplateColumns: 'repeat(3, minmax(0,1fr))',
-              gap: 24,
-              alignItems: 'center',
-              marginBottom: 40,
-            }}
-          >
-            {(currentQ.options || []).slice(0, 3).map((opt, idx) => {
-              const checked = answers[currentQ.id] === opt;
-              return (
-                <label
-                  key={idx}
-                  style={{
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: 8,
-                    cursor: 'pointer',
-                    justifyContent: 'center',
-                    fontSize: 16,
-                    color: '#333',
-                  }}
-                >
-                  <input
-                    type="radio"
-                    name={`q-${currentQ.id}`}
-                    value={opt}
-                    checked={checked}
-                    onChange={() => onPick(opt)}
-                    style={{ transform: 'scale(1.2)' }}
-                  />
-                  <span>{opt}</span>
-                </label>
-              );
-            })}
+          <div style={{ marginBottom: 40 }}>
+            <QuestionInput
+              question={currentQ}
+              value={answers[currentQ.id]}
+              onChange={onChange}
+              onPick={onPick}
+              disabled={submitting}
+            />
+
+            {fieldError || serverErrors[currentQ.id] ? (
+              <div role="alert" style={{ marginTop: 12, color: 'crimson' }}>
+                {fieldError || serverErrors[currentQ.id]}
+              </div>
+            ) : null}
+
+            <div style={{ marginTop: 24, display: 'flex', justifyContent: 'space-between' }}>
+              <button
+                type="button"
+                onClick={goPrev}
+                disabled={submitting || position <= 0}
+                style={{
+                  ...navButtonStyle,
+                  backgroundColor: 'transparent',
+                  color: position <= 0 ? '#aaa' : '#2c6fb7',
+                  cursor: position <= 0 ? 'default' : 'pointer',
+                }}
+              >
+                ← Previous
+              </button>
+              <button
+                type="button"
+                onClick={() => goNext()}
+                disabled={submitting}
+                style={{
+                  ...navButtonStyle,
+                  backgroundColor: AUTO_ADVANCE_TYPES.has(currentQ.type) ? 'transparent' : '#2c6fb7',
+                  color: AUTO_ADVANCE_TYPES.has(currentQ.type) ? '#2c6fb7' : 'white',
+                  cursor: 'pointer',
+                }}
+              >
+                {editingFromReview || position === visibleQs.length - 1 ? 'Review answers →' : 'Next →'}
+              </button>
+            </div>
           </div>
 
           <div style={{ textAlign: 'center', color: '#333' }}>
-            <small>{progress}% Complete</small>
+            <small>{`Question ${position + 1} of ${visibleQs.length} · ${progress}% Complete`}</small>
           </div>
+
+          <SaveForLater status={saveStatus} onEmail={emailResumeLink} disabled={submitting} />
         </div>
 
         {/* RIGHT: Image */}
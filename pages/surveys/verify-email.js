@@ -0,0 +1,84 @@
+// pages/surveys/verify-email.js
+// Landing page for the double opt-in link in the verification email. Opening
+// the link only shows the address; the report is queued when the respondent
+// presses the button, so link scanners that prefetch it don't confirm it.
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+
+const buttonStyle = {
+  padding: '0.75rem 1.5rem',
+  backgroundColor: '#007bff',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  marginTop: '1rem'
+};
+
+export default function VerifyEmailPage() {
+  const router = useRouter();
+  const { token } = router.query;
+
+  const [info, setInfo] = useState(null);
+  const [error, setError] = useState('');
+  const [confirming, setConfirming] = useState(false);
+  const [confirmed, setConfirmed] = useState(false);
+
+  useEffect(() => {
+    if (!router.isReady) return;
+    if (typeof token !== 'string') {
+      setError('This verification link is incomplete.');
+      return;
+    }
+    fetch(`/api/reports/verify?token=${encodeURIComponent(token)}`)
+      .then(async res => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'This verification link is not valid.');
+        setInfo(data);
+        setConfirmed(data.state === 'verified');
+      })
+      .catch(err => setError(err.message));
+  }, [router.isReady, token]);
+
+  const confirm = async () => {
+    setConfirming(true);
+    setError('');
+    try {
+      const res = await fetch('/api/reports/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Could not confirm your email.');
+      setConfirmed(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setConfirming(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: '2rem', fontFamily: 'sans-serif', maxWidth: '800px', margin: '0 auto', textAlign: 'center' }}>
+      <h1>Confirm your email</h1>
+      {error && <p style={{ color: '#c00' }}>{error}</p>}
+      {!error && !info && <p>Loading…</p>}
+      {info && confirmed && (
+        <p style={{ fontSize: '1.2rem' }}>
+          Thanks! Your {info.surveyTitle} report is on its way to <strong>{info.email}</strong>.
+        </p>
+      )}
+      {info && !confirmed && (
+        <>
+          <p style={{ fontSize: '1.2rem' }}>
+            Send your {info.surveyTitle} report to <strong>{info.email}</strong>?
+          </p>
+          <button onClick={confirm} disabled={confirming} style={buttonStyle}>
+            {confirming ? 'Confirming…' : 'Send my report'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
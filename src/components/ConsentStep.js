@@ -0,0 +1,60 @@
+// src/components/ConsentStep.js
+// Shown before the first question on surveys with a consent step
+// (surveys.consent_required). The respondent has to tick the box to start;
+// the answer is sent with their draft and submission and recorded on the
+// respondent.
+import { useState } from 'react';
+
+export const DEFAULT_CONSENT_TEXT =
+  'Your answers, and your email address if you ask for a report, are stored so we can score the survey and send you your results. ' +
+  'You can ask us at any time for a copy of your data or for it to be deleted.';
+
+/**
+ * Props:
+ * - title: survey title
+ * - text: survey's consent wording (plain text); blank uses DEFAULT_CONSENT_TEXT
+ * - onAccept(): called once the box is ticked and the respondent continues
+ */
+export default function ConsentStep({ title, text, onAccept }) {
+  const [agreed, setAgreed] = useState(false);
+
+  return (
+    <div style={{ minHeight: '60vh', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '2rem' }}>
+      <div
+        style={{
+          maxWidth: 560,
+          background: '#fff',
+          border: '1px solid #e5e0d6',
+          borderRadius: 8,
+          padding: '2rem 2.5rem',
+        }}
+      >
+        {title && <div style={{ fontSize: 14, color: '#777', marginBottom: 8 }}>{title}</div>}
+        <h1 style={{ fontSize: 24, margin: '0 0 12px' }}>Before you start</h1>
+        <p style={{ color: '#555', margin: '0 0 20px', whiteSpace: 'pre-wrap', lineHeight: 1.5 }}>
+          {text?.trim() || DEFAULT_CONSENT_TEXT}
+        </p>
+        <label style={{ display: 'block', marginBottom: 20 }}>
+          <input type="checkbox" checked={agreed} onChange={(e) => setAgreed(e.target.checked)} />{' '}
+          I agree
+        </label>
+        <button
+          type="button"
+          onClick={onAccept}
+          disabled={!agreed}
+          style={{
+            padding: '0.6rem 1.5rem',
+            fontSize: 16,
+            border: 'none',
+            borderRadius: 4,
+            backgroundColor: agreed ? '#2c6fb7' : '#9aa3af',
+            color: 'white',
+            cursor: agreed ? 'pointer' : 'not-allowed',
+          }}
+        >
+          Start survey →
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+// src/components/DisplayLogicEditor.js
+// Authoring UI for a show-if rule (questions.display_logic / categories.display_logic).
+// Conditions can only point at earlier, saved questions so the take flow can
+// evaluate them in order.
+import { normalizeQuestionType } from '../lib/scoring';
+
+const OPERATOR_LABELS = {
+  in: 'is one of',
+  not_in: 'is not one of',
+  answered: 'is answered',
+  not_answered: 'is not answered',
+  gte: 'is at least',
+  lte: 'is at most',
+};
+
+const CHOICE_TYPES = new Set(['radio', 'checkbox', 'select']);
+
+const smallButton = {
+  padding: '0.25rem 0.5rem',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+};
+
+/**
+ * Props:
+ * - logic: { match, conditions: [{ question_id, operator, values }] } or null
+ * - onChange(logic | null)
+ * - sources: earlier questions this rule may reference ({ id, prompt, type, choices })
+ * - subject: 'question' | 'category' (wording only)
+ */
+export default function DisplayLogicEditor({ logic, onChange, sources, subject = 'question' }) {
+  const conditions = logic?.conditions || [];
+  const match = logic?.match === 'any' ? 'any' : 'all';
+  const byId = new Map(sources.map((q) => [String(q.id), q]));
+
+  const update = (nextConditions, nextMatch = match) =>
+    onChange(nextConditions.length ? { match: nextMatch, conditions: nextConditions } : null);
+
+  const setCondition = (idx, patch) =>
+    update(conditions.map((c, i) => (i === idx ? { ...c, ...patch } : c)));
+
+  const addCondition = () =>
+    update([...conditions, { question_id: sources[0] ? String(sources[0].id) : '', operator: 'in', values: [] }]);
+
+  const removeCondition = (idx) => update(conditions.filter((_, i) => i !== idx));
+
+  const renderValues = (cond, idx) => {
+    if (cond.operator === 'answered' || cond.operator === 'not_answered') return null;
+    const source = byId.get(String(cond.question_id));
+    const type = normalizeQuestionType(source?.type);
+    const values = cond.values || [];
+
+    if (cond.operator === 'gte' || cond.operator === 'lte') {
+      return (
+        <input
+          type="number"
+          value={values[0] ?? ''}
+          onChange={(e) => setCondition(idx, { values: e.target.value === '' ? [] : [Number(e.target.value)] })}
+          style={{ width: 90, padding: '0.35rem' }}
+        />
+      );
+    }
+
+    if (source && CHOICE_TYPES.has(type)) {
+      const toggle = (choice) =>
+        setCondition(idx, {
+          values: values.includes(choice) ? values.filter((v) => v !== choice) : [...values, choice],
+        });
+      return (
+        <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+          {(source.choices || []).map((choice, cIdx) => (
+            <label key={cIdx} style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 13 }}>
+              <input type="checkbox" checked={values.includes(choice)} onChange={() => toggle(choice)} />
+              {choice || <em>(empty)</em>}
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    return (
+      <input
+        type="text"
+        value={values.join(', ')}
+        onChange={(e) =>
+          setCondition(idx, { values: e.target.value.split(',').map((v) => v.trim()).filter(Boolean) })
+        }
+        placeholder="Comma-separated values"
+        style={{ flex: 1, minWidth: 160, padding: '0.35rem' }}
+      />
+    );
+  };
+
+  return (
+    <div style={{ marginBottom: '0.5rem', padding: '0.5rem', background: '#f8f9fa', borderRadius: '4px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+        <span style={{ fontSize: 13 }}>
+          {conditions.length ? (
+            <>
+              Show this {subject} only if{' '}
+              {conditions.length > 1 ? (
+                <select value={match} onChange={(e) => update(conditions, e.target.value)} style={{ padding: '0.2rem' }}>
+                  <option value="all">all</option>
+                  <option value="any">any</option>
+                </select>
+              ) : null}
+              {conditions.length > 1 ? ' of these hold:' : ':'}
+            </>
+          ) : (
+            `This ${subject} is always shown.`
+          )}
+        </span>
+        <button
+          type="button"
+          onClick={addCondition}
+          disabled={!sources.length}
+          title={sources.length ? '' : 'Conditions can only use earlier questions that have been saved.'}
+          style={{ ...smallButton, backgroundColor: sources.length ? '#17a2b8' : '#adb5bd' }}
+        >
+          Add Condition
+        </button>
+      </div>
+
+      {conditions.map((cond, idx) => {
+        const missing = cond.question_id && !byId.has(String(cond.question_id));
+        return (
+          <div key={idx} style={{ marginTop: '0.5rem' }}>
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+              <select
+                value={cond.question_id}
+                onChange={(e) => setCondition(idx, { question_id: e.target.value, values: [] })}
+                style={{ maxWidth: 280, padding: '0.35rem' }}
+              >
+                {missing ? <option value={cond.question_id}>(deleted or later question)</option> : null}
+                {sources.map((q) => (
+                  <option key={q.id} value={String(q.id)}>
+                    {q.prompt || '(untitled question)'}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={cond.operator}
+                onChange={(e) => setCondition(idx, { operator: e.target.value, values: [] })}
+                style={{ padding: '0.35rem' }}
+              >
+                {Object.entries(OPERATOR_LABELS).map(([op, label]) => (
+                  <option key={op} value={op}>{label}</option>
+                ))}
+              </select>
+              {renderValues(cond, idx)}
+              <button type="button" onClick={() => removeCondition(idx)} style={{ ...smallButton, backgroundColor: '#dc3545' }}>
+                Remove
+              </button>
+            </div>
+            {missing ? (
+              <div style={{ fontSize: 12, color: '#dc3545', marginTop: 2 }}>
+                This condition refers to a question that is not before this {subject}; it will never match.
+              </div>
+            ) : null}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
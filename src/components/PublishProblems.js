@@ -0,0 +1,46 @@
+// src/components/PublishProblems.js
+// The list of pre-publish check failures returned by POST
+// /api/surveys/:id/publish, shown wherever an admin can publish.
+
+/**
+ * Props:
+ * - problems: [{ code, message }] (renders nothing when empty)
+ * - title: heading above the list
+ * - onDismiss(): optional; shows a close button
+ */
+export default function PublishProblems({ problems, title = 'This survey cannot be published yet:', onDismiss }) {
+  if (!problems || !problems.length) return null;
+
+  return (
+    <div
+      role="alert"
+      style={{
+        backgroundColor: '#fff4f4',
+        border: '1px solid #f5c2c7',
+        color: '#842029',
+        borderRadius: 4,
+        padding: '0.75rem 1rem',
+        fontSize: '0.9rem',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem' }}>
+        <strong>{title}</strong>
+        {onDismiss && (
+          <button
+            type="button"
+            onClick={onDismiss}
+            aria-label="Dismiss"
+            style={{ background: 'none', border: 'none', color: '#842029', cursor: 'pointer' }}
+          >
+            ✕
+          </button>
+        )}
+      </div>
+      <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+        {problems.map((p, idx) => (
+          <li key={idx}>{p.message}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+// src/components/QuestionInput.js
+// Renders the answer control for one question, for every type the survey
+// editor can author. Values are emitted in the shape scoring.ts expects:
+//   radio/select → label string, checkbox → array of labels,
+//   rating → number, text/textarea → string.
+import { normalizeQuestionType } from '../lib/scoring';
+
+// Types where a single click is a complete answer, so the take flow can move on.
+export const AUTO_ADVANCE_TYPES = new Set(['radio', 'rating']);
+
+function ratingSteps(question) {
+  const max = Number(question.maxScore);
+  return Number.isFinite(max) && max >= 1 ? Math.min(Math.round(max), 10) : 5;
+}
+
+/**
+ * Props:
+ * - question: { id, type, options, maxScore }
+ * - value: current answer (see shapes above)
+ * - onChange(value): answer edited but not final (typing, ticking a box)
+ * - onPick(value): a single-click answer was chosen
+ * - disabled (bool)
+ */
+export default function QuestionInput({ question, value, onChange, onPick, disabled = false }) {
+  const type = normalizeQuestionType(question.type);
+  const options = question.options || [];
+
+  const optionLabelStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    cursor: disabled ? 'default' : 'pointer',
+    fontSize: 16,
+    color: '#333',
+  };
+
+  switch (type) {
+    case 'radio':
+      return (
+        <div
+          style={{
+            display: 'grid',
+            gridTemplateColumns: `repeat(${Math.min(Math.max(options.length, 1), 3)}, minmax(0,1fr))`,
+            gap: 24,
+            alignItems: 'center',
+          }}
+        >
+          {options.map((opt, idx) => (
+            <label key={idx} style={{ ...optionLabelStyle, justifyContent: 'center' }}>
+              <input
+                type="radio"
+                name={`q-${question.id}`}
+                value={opt}
+                checked={value === opt}
+                onChange={() => onPick(opt)}
+                disabled={disabled}
+                style={{ transform: 'scale(1.2)' }}
+              />
+              <span>{opt}</span>
+            </label>
+          ))}
+        </div>
+      );
+
+    case 'checkbox': {
+      const selected = Array.isArray(value) ? value : [];
+      const toggle = (opt) =>
+        onChange(selected.includes(opt) ? selected.filter((s) => s !== opt) : [...selected, opt]);
+      return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+          {options.map((opt, idx) => (
+            <label key={idx} style={optionLabelStyle}>
+              <input
+                type="checkbox"
+                value={opt}
+                checked={selected.includes(opt)}
+                onChange={() => toggle(opt)}
+                disabled={disabled}
+                style={{ transform: 'scale(1.2)' }}
+              />
+              <span>{opt}</span>
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    case 'select':
+      return (
+        <select
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value || null)}
+          disabled={disabled}
+          style={{ width: '100%', padding: '0.75rem', fontSize: 16, borderRadius: 4, border: '1px solid #ccc' }}
+        >
+          <option value="">Select an option</option>
+          {options.map((opt, idx) => (
+            <option key={idx} value={opt}>{opt}</option>
+          ))}
+        </select>
+      );
+
+    case 'rating': {
+      const steps = ratingSteps(question);
+      return (
+        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+          {Array.from({ length: steps }, (_, idx) => idx + 1).map((n) => {
+            const active = Number(value) === n;
+            return (
+              <button
+                key={n}
+                type="button"
+                onClick={() => onPick(n)}
+                disabled={disabled}
+                aria-pressed={active}
+                style={{
+                  width: 44,
+                  height: 44,
+                  borderRadius: '50%',
+                  border: `2px solid ${active ? '#2c6fb7' : '#ccc'}`,
+                  background: active ? '#2c6fb7' : '#fff',
+                  color: active ? '#fff' : '#333',
+                  fontSize: 16,
+                  cursor: disabled ? 'default' : 'pointer',
+                }}
+              >
+                {n}
+              </button>
+            );
+          })}
+        </div>
+      );
+    }
+
+    case 'textarea':
+      return (
+        <textarea
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          rows={5}
+          style={{ width: '100%', padding: '0.75rem', fontSize: 16, borderRadius: 4, border: '1px solid #ccc' }}
+        />
+      );
+
+    case 'text':
+    default:
+      return (
+        <input
+          type="text"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={disabled}
+          style={{ width: '100%', padding: '0.75rem', fontSize: 16, borderRadius: 4, border: '1px solid #ccc' }}
+        />
+      );
+  }
+}
@@ -0,0 +1,92 @@
+// src/components/QuestionRulesEditor.js
+// "Required" toggle plus the validation rules that apply to the question's type.
+// Rules are kept in the shape questions.validation stores (see questionRules.ts).
+import { describeRuleProblem, parseRules } from '../lib/questionRules';
+import { normalizeQuestionType } from '../lib/scoring';
+
+const RULE_FIELDS = {
+  checkbox: [
+    { key: 'min_selections', label: 'Min selections' },
+    { key: 'max_selections', label: 'Max selections' },
+  ],
+  text: [
+    { key: 'min_length', label: 'Min length' },
+    { key: 'max_length', label: 'Max length' },
+  ],
+  rating: [
+    { key: 'min_value', label: 'Min rating' },
+    { key: 'max_value', label: 'Max rating' },
+  ],
+};
+RULE_FIELDS.textarea = RULE_FIELDS.text;
+
+/**
+ * Props:
+ * - question: editor question state ({ type, required, validation })
+ * - onChange(field, value): same signature as the page's updateQuestion
+ */
+export default function QuestionRulesEditor({ question, onChange }) {
+  const type = normalizeQuestionType(question.type);
+  const rules = question.validation || {};
+  const fields = RULE_FIELDS[type] || [];
+  const isText = type === 'text' || type === 'textarea';
+  const problem = describeRuleProblem(parseRules(rules));
+
+  const setRule = (key, value) => onChange('validation', { ...rules, [key]: value });
+
+  return (
+    <div style={{ marginBottom: '0.5rem' }}>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <input
+          type="checkbox"
+          checked={!!question.required}
+          onChange={(e) => onChange('required', e.target.checked)}
+        />
+        Required
+      </label>
+
+      {fields.length || isText ? (
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginTop: '0.5rem' }}>
+          {fields.map((f) => (
+            <div key={f.key} style={{ flex: 1, minWidth: 120 }}>
+              <label style={{ fontSize: 13 }}>{f.label}:</label>
+              <input
+                type="number"
+                min="0"
+                value={rules[f.key] ?? ''}
+                onChange={(e) => setRule(f.key, e.target.value === '' ? null : Number(e.target.value))}
+                style={{ width: '100%', padding: '0.5rem' }}
+              />
+            </div>
+          ))}
+          {isText ? (
+            <>
+              <div style={{ flex: 2, minWidth: 200 }}>
+                <label style={{ fontSize: 13 }}>Pattern (regex):</label>
+                <input
+                  type="text"
+                  value={rules.pattern ?? ''}
+                  onChange={(e) => setRule('pattern', e.target.value)}
+                  style={{ width: '100%', padding: '0.5rem' }}
+                  placeholder="e.g. [A-Z]{2}\d{4}"
+                />
+              </div>
+              <div style={{ flex: 2, minWidth: 200 }}>
+                <label style={{ fontSize: 13 }}>Pattern message:</label>
+                <input
+                  type="text"
+                  value={rules.pattern_message ?? ''}
+                  onChange={(e) => setRule('pattern_message', e.target.value)}
+                  style={{ width: '100%', padding: '0.5rem' }}
+                  placeholder="Shown when the pattern does not match"
+                />
+              </div>
+            </>
+          ) : null}
+        </div>
+      ) : null}
+
+      {problem ? <div style={{ marginTop: 4, fontSize: 13, color: '#dc3545' }}>{problem}</div> : null}
+    </div>
+  );
+}
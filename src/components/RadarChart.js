@@ -0,0 +1,67 @@
+// src/components/RadarChart.js
+// Radar of category scores over the survey average, with each axis shaded by
+// the category's score ranges. Draws the same SVG as the PDF report
+// (radarChartSvg in src/lib/svgCharts.ts), so what respondents see on screen
+// matches their report. Labels are escaped and colours validated there.
+import { useMemo } from 'react';
+import { radarChartSvg } from '../lib/svgCharts';
+
+/**
+ * Props:
+ * - categoryScores: { [categoryTitle]: 0–1 score }, as for DonutChart
+ * - averages: { [categoryTitle]: 0–100 percent } to compare against (optional)
+ * - scoreRanges: { categories: { [categoryId]: ranges[] } }
+ * - categories: [{ id, title }], to find each title's ranges
+ * - title: heading; showTitle: false hides it
+ * - seriesLabel / averageLabel: legend text
+ * - size: max width in px
+ */
+export default function RadarChart({
+  categoryScores,
+  averages = {},
+  scoreRanges,
+  categories,
+  title = 'Compared with the survey average',
+  showTitle = true,
+  seriesLabel = 'Your score',
+  averageLabel = 'Survey average',
+  size = 460,
+}) {
+  const svg = useMemo(() => {
+    const data = Object.entries(categoryScores || {}).map(([categoryTitle, score]) => {
+      const category = categories?.find(c => c.title === categoryTitle);
+      const ranges = [...(scoreRanges?.categories?.[category?.id] || [])].sort((a, b) => a.min_score - b.min_score);
+      const percent = Math.round(score * 100);
+      const range = ranges.find(r => percent >= r.min_score && percent <= r.max_score);
+      return {
+        label: categoryTitle,
+        percent,
+        color: range?.color || '#6c757d',
+        average: averages[categoryTitle] ?? null,
+        bands: ranges.map(r => ({ min: r.min_score, max: r.max_score, color: r.color })),
+      };
+    });
+    return data.length ? radarChartSvg(data, { seriesLabel, averageLabel }) : '';
+  }, [categoryScores, averages, scoreRanges, categories, seriesLabel, averageLabel]);
+
+  if (!svg) return null;
+
+  return (
+    <div style={{
+      width: '100%',
+      maxWidth: size,
+      margin: '0 auto',
+      padding: '1rem',
+      borderRadius: '8px',
+      backgroundColor: '#f8f9fa',
+      border: '1px solid #e9ecef',
+    }}>
+      {showTitle && (
+        <h3 style={{ textAlign: 'center', marginBottom: '1rem', fontSize: '1.2rem', color: '#333', fontWeight: 'bold' }}>
+          {title}
+        </h3>
+      )}
+      <div dangerouslySetInnerHTML={{ __html: svg }} />
+    </div>
+  );
+}
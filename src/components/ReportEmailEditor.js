@@ -0,0 +1,94 @@
+// src/components/ReportEmailEditor.js
+// Report email settings on the survey edit page: the language of the built-in
+// wording, an optional subject and HTML body with {{merge fields}}, and
+// whether to attach the PDF instead of linking it. Blank fields fall back to
+// the built-in wording, shown as placeholders (emailTemplates.ts).
+import { useRef } from 'react';
+import { EMAIL_LOCALES, builtInReportEmail, emailLocale } from '../lib/emailTemplates';
+
+const LOCALE_NAMES = { en: 'English', es: 'Español', fr: 'Français', de: 'Deutsch' };
+
+const inputStyle = { width: '100%', padding: '0.75rem' };
+
+/**
+ * Props:
+ * - locale: 'en' | 'es' | 'fr' | 'de'
+ * - settings: { subject, body, attachPdf }
+ * - mergeFields: field names offered for insertion, e.g. ['survey.title', 'report.url', ...]
+ * - onChange: ({ locale?, settings? }) => void
+ */
+export default function ReportEmailEditor({ locale, settings, mergeFields = [], onChange }) {
+  const bodyRef = useRef(null);
+  const builtIn = builtInReportEmail(emailLocale(locale), settings.attachPdf);
+
+  const update = patch => onChange({ settings: { ...settings, ...patch } });
+
+  // Inserts at the body's cursor
+  function insertField(field) {
+    const el = bodyRef.current;
+    const body = settings.body || '';
+    const start = el ? el.selectionStart : body.length;
+    const end = el ? el.selectionEnd : body.length;
+    update({ body: body.slice(0, start) + `{{${field}}}` + body.slice(end) });
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: '0.75rem' }}>
+      <div style={{ display: 'flex', gap: '1.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+        <label>
+          Language:{' '}
+          <select value={emailLocale(locale)} onChange={e => onChange({ locale: e.target.value })}>
+            {EMAIL_LOCALES.map(l => (
+              <option key={l} value={l}>{LOCALE_NAMES[l]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={settings.attachPdf} onChange={e => update({ attachPdf: e.target.checked })} />{' '}
+          Attach the PDF instead of linking to it
+        </label>
+      </div>
+
+      <div>
+        <label htmlFor="report-email-subject">Subject (optional):</label>
+        <input
+          id="report-email-subject"
+          type="text"
+          value={settings.subject}
+          onChange={e => update({ subject: e.target.value })}
+          placeholder={builtIn.subject}
+          style={inputStyle}
+        />
+      </div>
+
+      <div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <label htmlFor="report-email-body">Body (optional, HTML):</label>
+          <select
+            value=""
+            onChange={e => e.target.value && insertField(e.target.value)}
+            style={{ padding: 4, fontSize: 13 }}
+          >
+            <option value="">Insert field…</option>
+            {mergeFields.map(f => (
+              <option key={f} value={f}>{f}</option>
+            ))}
+          </select>
+        </div>
+        <textarea
+          id="report-email-body"
+          ref={bodyRef}
+          rows={6}
+          value={settings.body}
+          onChange={e => update({ body: e.target.value })}
+          placeholder={builtIn.body}
+          style={{ ...inputStyle, fontFamily: 'ui-monospace, monospace', fontSize: 13 }}
+        />
+        <p style={{ margin: '0.5rem 0 0', fontSize: '0.85rem', color: '#555' }}>
+          Leave blank to use the built-in wording in the chosen language. {'{{report.url}}'} is the download link
+          and {'{{report.expires}}'} the date it stops working.
+        </p>
+      </div>
+    </div>
+  );
+}
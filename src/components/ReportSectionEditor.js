@@ -0,0 +1,162 @@
+// src/components/ReportSectionEditor.js
+// Editor for one custom report section in the PDF report designer: rich text
+// (HTML with a small formatting toolbar and {{merge fields}}), an image from
+// the `assets` bucket, a chart heading, or a page break. The HTML is sanitised when the report
+// is rendered (sanitizeHtml.ts), so the preview shows exactly what survives.
+import { useRef, useState } from 'react';
+
+const FORMATS = [
+  { label: 'B', title: 'Bold', before: '<strong>', after: '</strong>' },
+  { label: 'I', title: 'Italic', before: '<em>', after: '</em>' },
+  { label: 'H', title: 'Heading', before: '<h2>', after: '</h2>' },
+  { label: '¶', title: 'Paragraph', before: '<p>', after: '</p>' },
+  { label: '•', title: 'Bulleted list', before: '<ul>\n  <li>', after: '</li>\n</ul>' },
+  { label: '🔗', title: 'Link', before: '<a href="https://">', after: '</a>' },
+];
+
+const inputStyle = { width: '100%', padding: 8, borderRadius: 6, border: '1px solid #ddd', fontSize: 14 };
+const toolButton = { padding: '4px 8px', borderRadius: 4, border: '1px solid #ddd', background: '#fff', cursor: 'pointer', fontSize: 13 };
+
+/**
+ * Props:
+ * - section: { key, type: 'text' | 'image' | 'chart' | 'pageBreak', html?, path?, alt?, width?, chart?, title? }
+ * - mergeFields: field names offered for insertion, e.g. ['survey.title', ...]
+ * - onChange: (patch) => void, merged into the section
+ * - onUploadImage: async (file) => object path in the `assets` bucket
+ * - imageUrl: (path) => public URL, for the thumbnail
+ */
+export default function ReportSectionEditor({ section, mergeFields = [], onChange, onUploadImage, imageUrl }) {
+  const textRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const [uploadError, setUploadError] = useState('');
+
+  // Wraps the selection (or inserts at the cursor) and keeps it selected
+  function insert(before, after = '') {
+    const el = textRef.current;
+    const html = section.html || '';
+    const start = el ? el.selectionStart : html.length;
+    const end = el ? el.selectionEnd : html.length;
+    const next = html.slice(0, start) + before + html.slice(start, end) + after + html.slice(end);
+    onChange({ html: next });
+    requestAnimationFrame(() => {
+      if (!el) return;
+      el.focus();
+      el.setSelectionRange(start + before.length, end + before.length);
+    });
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      setUploadError('Please choose an image file');
+      return;
+    }
+    setUploading(true);
+    setUploadError('');
+    try {
+      onChange({ path: await onUploadImage(file) });
+    } catch (err) {
+      setUploadError(err.message || 'Failed to upload image');
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  if (section.type === 'pageBreak') {
+    return (
+      <div style={{ fontSize: 13, color: '#666' }}>
+        Starts a new page in the PDF. Shown as a dashed line in the preview.
+      </div>
+    );
+  }
+
+  if (section.type === 'chart') {
+    return (
+      <div style={{ display: 'grid', gap: 8 }}>
+        <label>
+          <div style={{ fontSize: 12, color: '#555' }}>Heading (optional)</div>
+          <input
+            type="text"
+            value={section.title || ''}
+            onChange={e => onChange({ title: e.target.value })}
+            placeholder="Your scores at a glance"
+            style={inputStyle}
+          />
+        </label>
+        <div style={{ fontSize: 12, color: '#888' }}>
+          Shows every category&apos;s score in its score range colour. Radar charts need at least three categories;
+          with fewer they are drawn as bars.
+        </div>
+      </div>
+    );
+  }
+
+  if (section.type === 'image') {
+    return (
+      <div style={{ display: 'grid', gap: 8 }}>
+        {section.path ? (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+            <img src={imageUrl(section.path)} alt={section.alt || ''} style={{ maxHeight: 60, maxWidth: 160, border: '1px solid #ddd', borderRadius: 4 }} />
+            <code style={{ fontSize: 12, color: '#666', wordBreak: 'break-all' }}>{section.path}</code>
+          </div>
+        ) : (
+          <div style={{ fontSize: 13, color: '#999' }}>No image chosen yet.</div>
+        )}
+        <input type="file" accept="image/*" onChange={handleFile} disabled={uploading} />
+        {uploading ? <div style={{ fontSize: 12, color: '#4f46e5' }}>Uploading...</div> : null}
+        {uploadError ? <div style={{ fontSize: 12, color: '#dc3545' }}>{uploadError}</div> : null}
+        <label>
+          <div style={{ fontSize: 12, color: '#555' }}>Alt text</div>
+          <input type="text" value={section.alt || ''} onChange={e => onChange({ alt: e.target.value })} style={inputStyle} />
+        </label>
+        <label>
+          <div style={{ fontSize: 12, color: '#555' }}>Width (% of page content): {section.width ?? 100}</div>
+          <input
+            type="range"
+            min={10}
+            max={100}
+            step={5}
+            value={section.width ?? 100}
+            onChange={e => onChange({ width: Number(e.target.value) })}
+            style={{ width: '100%' }}
+          />
+        </label>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: 8 }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center' }}>
+        {FORMATS.map(f => (
+          <button key={f.title} type="button" title={f.title} onClick={() => insert(f.before, f.after)} style={toolButton}>
+            {f.label}
+          </button>
+        ))}
+        <select
+          value=""
+          onChange={e => e.target.value && insert(`{{${e.target.value}}}`)}
+          style={{ padding: 4, borderRadius: 4, border: '1px solid #ddd', fontSize: 13 }}
+        >
+          <option value="">Insert field…</option>
+          {mergeFields.map(f => (
+            <option key={f} value={f}>{f}</option>
+          ))}
+        </select>
+      </div>
+      <textarea
+        ref={textRef}
+        rows={8}
+        value={section.html || ''}
+        onChange={e => onChange({ html: e.target.value })}
+        placeholder="<p>Thanks for taking {{survey.title}}. Your overall score was {{overall.percent}}%.</p>"
+        style={{ ...inputStyle, fontFamily: 'ui-monospace, monospace', fontSize: 13 }}
+      />
+      <div style={{ fontSize: 12, color: '#888' }}>
+        Percents are whole numbers without the % sign; <code>band</code> is the score range text. Scripts, event
+        handlers and non-http(s) links are removed when the report is rendered.
+      </div>
+    </div>
+  );
+}
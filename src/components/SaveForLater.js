@@ -0,0 +1,76 @@
+// src/components/SaveForLater.js
+// Autosave status for the take flow plus an "email me a link" form so a
+// respondent can resume on another device.
+import { useState } from 'react';
+
+const STATUS_TEXT = {
+  idle: '',
+  saving: 'Saving…',
+  saved: 'Progress saved',
+  local: 'Progress saved on this device only',
+};
+
+/**
+ * Props:
+ * - status: 'idle' | 'saving' | 'saved' | 'local'
+ * - onEmail(email): resolves to { emailSent, emailMessage } or throws
+ * - disabled (bool)
+ */
+export default function SaveForLater({ status = 'idle', onEmail, disabled = false }) {
+  const [open, setOpen] = useState(false);
+  const [email, setEmail] = useState('');
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const send = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setMessage('');
+    try {
+      const res = await onEmail(email.trim());
+      setMessage(res?.emailSent ? `We sent a link to ${email.trim()}.` : res?.emailMessage || 'Email could not be sent.');
+    } catch (err) {
+      setMessage(err.message || 'Email could not be sent.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: 16, fontSize: 14, color: '#666' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
+        <span aria-live="polite">{STATUS_TEXT[status] || ''}</span>
+        <button
+          type="button"
+          onClick={() => setOpen((v) => !v)}
+          disabled={disabled}
+          style={{ background: 'none', border: 'none', color: '#2c6fb7', textDecoration: 'underline', cursor: 'pointer', fontSize: 14 }}
+        >
+          Finish later
+        </button>
+      </div>
+
+      {open ? (
+        <form onSubmit={send} style={{ marginTop: 8, display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+          <input
+            type="email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="you@example.com"
+            disabled={sending || disabled}
+            style={{ flex: 1, minWidth: 200, padding: '0.5rem', fontSize: 14, borderRadius: 4, border: '1px solid #ccc' }}
+          />
+          <button
+            type="submit"
+            disabled={sending || disabled || !email.trim()}
+            style={{ padding: '0.5rem 1rem', fontSize: 14, backgroundColor: '#2c6fb7', color: 'white', border: 'none', borderRadius: 4, cursor: 'pointer' }}
+          >
+            {sending ? 'Sending…' : 'Email me a resume link'}
+          </button>
+          {message ? <div style={{ width: '100%' }}>{message}</div> : null}
+        </form>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+// src/components/SurveyClosed.js
+// Shown instead of the questions when a survey isn't accepting responses:
+// before it opens, after it closes, or once its response quota is reached.
+import Link from 'next/link';
+
+const HEADINGS = {
+  not_open: 'This survey isn’t open yet',
+  closed: 'This survey is closed',
+  full: 'This survey is closed',
+};
+
+/**
+ * Props:
+ * - title: survey title
+ * - availability: { state, message } from availability.ts
+ */
+export default function SurveyClosed({ title, availability }) {
+  return (
+    <div style={{ minHeight: '60vh', display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '2rem' }}>
+      <div
+        style={{
+          maxWidth: 520,
+          textAlign: 'center',
+          background: '#fff',
+          border: '1px solid #e5e0d6',
+          borderRadius: 8,
+          padding: '2rem 2.5rem',
+        }}
+      >
+        {title && <div style={{ fontSize: 14, color: '#777', marginBottom: 8 }}>{title}</div>}
+        <h1 style={{ fontSize: 24, margin: '0 0 12px' }}>{HEADINGS[availability?.state] || HEADINGS.closed}</h1>
+        <p style={{ color: '#555', margin: '0 0 20px' }}>
+          {availability?.message || 'This survey is not accepting responses right now.'}
+        </p>
+        <p style={{ color: '#555', margin: '0 0 24px' }}>Thank you for your interest.</p>
+        <Link href="/surveys" style={{ color: '#2c6fb7' }}>
+          See other surveys
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+// src/components/SurveyReview.js
+// Final review step of the take flow: every answer grouped by category, with an
+// "Edit" link per question. Nothing is submitted until the respondent confirms.
+
+export function formatAnswer(value) {
+  if (value == null || value === '') return null;
+  if (Array.isArray(value)) return value.length ? value.join(', ') : null;
+  return String(value);
+}
+
+/**
+ * Props:
+ * - questions: flat, ordered questions ({ id, prompt, categoryId, categoryTitle })
+ * - answers: { [questionId]: value }
+ * - onEdit(index): jump back to the question at that index
+ * - onConfirm(): submit the survey
+ * - issues: { [questionId]: message } for answers that fail required/validation rules
+ * - submitting (bool)
+ */
+export default function SurveyReview({ questions, answers, onEdit, onConfirm, issues = {}, submitting = false }) {
+  const groups = [];
+  questions.forEach((q, index) => {
+    let group = groups[groups.length - 1];
+    if (!group || group.categoryId !== q.categoryId) {
+      group = { categoryId: q.categoryId, title: q.categoryTitle, items: [] };
+      groups.push(group);
+    }
+    group.items.push({ q, index });
+  });
+
+  const unanswered = questions.filter((q) => formatAnswer(answers[q.id]) == null).length;
+  const issueCount = Object.keys(issues).length;
+
+  return (
+    <div style={{ maxWidth: 800, margin: '0 auto' }}>
+      <h2 style={{ fontSize: 32, fontWeight: 600, margin: '0 0 8px 0', color: '#333' }}>Review your answers</h2>
+      <p style={{ color: '#666', marginTop: 0 }}>
+        Check your answers below. You can change any of them before submitting.
+      </p>
+
+      {groups.map((group) => (
+        <div key={group.categoryId} style={{ marginTop: 24 }}>
+          <div style={{ letterSpacing: 1, fontSize: 12, textTransform: 'uppercase', color: '#555', marginBottom: 8 }}>
+            {group.title}
+          </div>
+          {group.items.map(({ q, index }) => {
+            const shown = formatAnswer(answers[q.id]);
+            return (
+              <div
+                key={q.id}
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'flex-start',
+                  gap: 16,
+                  padding: '12px 0',
+                  borderBottom: '1px solid #e5ded2',
+                }}
+              >
+                <div>
+                  <div style={{ color: '#333', fontWeight: 500 }}>{q.prompt}</div>
+                  <div style={{ marginTop: 4, color: shown ? '#2c6fb7' : '#999', fontStyle: shown ? 'normal' : 'italic' }}>
+                    {shown ?? 'Not answered'}
+                  </div>
+                  {issues[q.id] ? (
+                    <div style={{ marginTop: 4, color: 'crimson', fontSize: 14 }}>{issues[q.id]}</div>
+                  ) : null}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => onEdit(index)}
+                  disabled={submitting}
+                  style={{ background: 'none', border: 'none', color: '#2c6fb7', textDecoration: 'underline', cursor: 'pointer', fontSize: 14 }}
+                >
+                  Edit
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+
+      {issueCount > 0 ? (
+        <div role="alert" style={{ marginTop: 24, color: 'crimson' }}>
+          {issueCount} answer{issueCount !== 1 ? 's need' : ' needs'} attention before you can submit.
+        </div>
+      ) : unanswered > 0 ? (
+        <div style={{ marginTop: 24, color: '#8a5a00' }}>
+          {unanswered} question{unanswered !== 1 ? 's are' : ' is'} not answered.
+        </div>
+      ) : null}
+
+      <div style={{ marginTop: 32, textAlign: 'right' }}>
+        <button
+          type="button"
+          onClick={onConfirm}
+          disabled={submitting || issueCount > 0}
+          style={{
+            padding: '0.75rem 1.75rem',
+            fontSize: 16,
+            backgroundColor: '#2c6fb7',
+            color: 'white',
+            border: 'none',
+            borderRadius: 4,
+            opacity: issueCount > 0 ? 0.6 : 1,
+            cursor: submitting || issueCount > 0 ? 'default' : 'pointer',
+          }}
+        >
+          {submitting ? 'Submitting…' : 'Confirm and submit'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+// src/lib/adminAuth.ts
+// Admin-only API routes. The routes use the service-role client, which gets
+// around row-level security, so they check the caller themselves: the admin
+// pages send the Supabase session's access token as a bearer token, and the
+// user it belongs to must have role 'admin' in their app_metadata. Only the
+// service role can set app_metadata, so signing up doesn't make anyone an
+// admin:
+//   update auth.users set raw_app_meta_data = raw_app_meta_data || '{"role":"admin"}' where email = '…';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSupabase } from './supabaseServer';
+
+export type AdminCheck =
+  | { ok: true; userId: string }
+  | { ok: false; status: 401 | 403; error: string };
+
+export const ADMIN_ROLE = 'admin';
+
+function bearerToken(req: NextApiRequest): string | null {
+  const header = req.headers['authorization'];
+  const match = typeof header === 'string' ? /^Bearer\s+(\S+)$/i.exec(header) : null;
+  return match?.[1] ?? null;
+}
+
+export async function checkAdmin(req: NextApiRequest): Promise<AdminCheck> {
+  const token = bearerToken(req);
+  if (!token) return { ok: false, status: 401, error: 'Sign in as an admin to do this' };
+
+  const { data, error } = await getServerSupabase().auth.getUser(token);
+  if (error || !data?.user) return { ok: false, status: 401, error: 'Your session has expired; sign in again' };
+
+  if (data.user.app_metadata?.['role'] !== ADMIN_ROLE) {
+    return { ok: false, status: 403, error: 'Admins only' };
+  }
+  return { ok: true, userId: data.user.id };
+}
+
+// Answers 401/403 and returns false unless the caller is an admin.
+export async function requireAdmin(req: NextApiRequest, res: NextApiResponse): Promise<boolean> {
+  const check = await checkAdmin(req);
+  if (!check.ok) res.status(check.status).json({ error: check.error });
+  return check.ok;
+}
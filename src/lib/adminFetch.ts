@@ -0,0 +1,16 @@
+// src/lib/adminFetch.ts
+// fetch() for the admin-only API routes (adminAuth.ts): adds the signed-in
+// admin's Supabase access token as a bearer token.
+import type { SupabaseClient } from '@supabase/supabase-js';
+
+export async function adminFetch(
+  supabase: SupabaseClient | null,
+  url: string,
+  init: RequestInit = {}
+): Promise<Response> {
+  const { data } = supabase ? await supabase.auth.getSession() : { data: { session: null } };
+  const token = data.session?.access_token;
+  const headers = new Headers(init.headers);
+  if (token) headers.set('Authorization', `Bearer ${token}`);
+  return fetch(url, { ...init, headers });
+}
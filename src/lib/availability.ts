@@ -0,0 +1,78 @@
+// src/lib/availability.ts
+// Whether a published survey is accepting responses right now: its optional
+// opens_at/closes_at window and max_responses quota. Used by the listing, the
+// take page and the submission/draft APIs; submit_survey_response re-checks
+// the same rules inside its transaction so a quota can't be overrun.
+import type { SupabaseClient } from '@supabase/supabase-js';
+
+export type AvailabilitySettings = {
+  opens_at?: string | null;
+  closes_at?: string | null;
+  max_responses?: number | null;
+};
+
+export type AvailabilityState = 'open' | 'not_open' | 'closed' | 'full';
+
+export type Availability = {
+  state: AvailabilityState;
+  message: string;     // respondent-facing, e.g. for the "survey is closed" screen
+  remaining: number | null;   // responses left under the quota; null when unlimited
+};
+
+function formatWhen(iso: string): string {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function validTime(value: string | null | undefined): number | null {
+  if (!value) return null;
+  const t = new Date(value).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+export function quotaOf(settings: AvailabilitySettings): number | null {
+  const n = Number(settings.max_responses);
+  return settings.max_responses != null && Number.isInteger(n) && n > 0 ? n : null;
+}
+
+export function surveyAvailability(
+  settings: AvailabilitySettings,
+  completedCount: number,
+  now: Date = new Date()
+): Availability {
+  const opens = validTime(settings.opens_at);
+  const closes = validTime(settings.closes_at);
+  const quota = quotaOf(settings);
+  const remaining = quota == null ? null : Math.max(0, quota - completedCount);
+
+  if (opens != null && now.getTime() < opens) {
+    return { state: 'not_open', message: `This survey opens on ${formatWhen(settings.opens_at as string)}.`, remaining };
+  }
+  if (closes != null && now.getTime() >= closes) {
+    return { state: 'closed', message: 'This survey is closed and no longer accepting responses.', remaining };
+  }
+  if (remaining === 0) {
+    return { state: 'full', message: 'This survey has reached its response limit and is now closed.', remaining };
+  }
+  return { state: 'open', message: '', remaining };
+}
+
+// Completed (not draft) responses, the number the quota counts against.
+export async function countCompletedResponses(supabase: SupabaseClient, surveyId: string): Promise<number> {
+  const { count, error } = await supabase
+    .from('responses')
+    .select('id', { count: 'exact', head: true })
+    .eq('survey_id', surveyId)
+    .not('completed_at', 'is', null);
+  if (error) throw error;
+  return count ?? 0;
+}
+
+// Availability for one survey row, counting responses only when a quota is set.
+export async function loadAvailability(
+  supabase: SupabaseClient,
+  survey: AvailabilitySettings & { id: string },
+  now: Date = new Date()
+): Promise<Availability> {
+  const completed = quotaOf(survey) == null ? 0 : await countCompletedResponses(supabase, survey.id);
+  return surveyAvailability(survey, completed, now);
+}
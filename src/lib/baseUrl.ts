@@ -0,0 +1,61 @@
+// src/lib/baseUrl.ts
+// Public origin of the app, used to build links that leave the site (emailed
+// report and resume links).
+import type { NextApiRequest } from 'next';
+
+export function getBaseUrl(req: NextApiRequest): string {
+  // Priority 1: Check request headers for origin
+  const hdr = req.headers?.origin?.toString().replace(/\/$/, '');
+  if (hdr && hdr !== 'null') {
+    console.log('[getBaseUrl] Using request origin:', hdr);
+    return hdr;
+  }
+
+  // Priority 2: Check request headers for host (construct full URL)
+  const host = req.headers?.host?.toString();
+  if (host && host !== 'localhost:3000') {
+    const protocol = req.headers['x-forwarded-proto'] === 'https' ? 'https' : 'http';
+    const baseFromHost = `${protocol}://${host}`;
+    console.log('[getBaseUrl] Using host header:', baseFromHost);
+    return baseFromHost;
+  }
+
+  return getSiteUrl();
+}
+
+// The site's origin from server configuration alone, never from request
+// headers: for requests the server makes to itself and links it sends out.
+export function getSiteUrl(): string {
+  // Priority 1: Use NEXT_PUBLIC_SITE_URL environment variable
+  const fromEnv = (process.env['NEXT_PUBLIC_SITE_URL'] || '').replace(/\/$/, '');
+  if (fromEnv) {
+    console.log('[getSiteUrl] Using NEXT_PUBLIC_SITE_URL:', fromEnv);
+    return fromEnv;
+  }
+
+  // Priority 2: Use Vercel URL for production
+  const fromVercel = process.env['VERCEL_URL'] ? `https://${process.env['VERCEL_URL']}` : '';
+  if (fromVercel) {
+    console.log('[getSiteUrl] Using VERCEL_URL:', fromVercel);
+    return fromVercel;
+  }
+
+  // Priority 3: Check if we're in Vercel production environment
+  if (process.env['VERCEL'] === '1' && process.env['VERCEL_ENV'] === 'production') {
+    // Last resort: use the configured site URL from env
+    const prodUrl = 'https://answer-trap-survey.vercel.app';
+    console.log('[getSiteUrl] Using fallback production URL:', prodUrl);
+    return prodUrl;
+  }
+
+  // Fallback: localhost for development
+  console.log('[getSiteUrl] Falling back to localhost:3000');
+  return 'http://localhost:3000';
+}
+
+// The report worker endpoint (reportJobs.ts). WORKER_URL overrides it, e.g.
+// with an internal address; the worker secret is only ever sent here.
+export function getWorkerUrl(): string {
+  const fromEnv = (process.env['WORKER_URL'] || '').replace(/\/$/, '');
+  return fromEnv || `${getSiteUrl()}/api/reports/worker`;
+}
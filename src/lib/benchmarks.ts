@@ -0,0 +1,90 @@
+// src/lib/benchmarks.ts
+// How a respondent's scores compare with everyone else's: average, median and
+// percentile rank per category (and overall), over the stored results of
+// completed responses. A survey can set benchmark_cohort_key to compare each
+// respondent only with respondents who share their value for that key in
+// respondents.meta (e.g. "department"); cohorts smaller than MIN_COHORT_SIZE
+// fall back to the whole survey so small groups can't be singled out.
+import type { SupabaseClient } from '@supabase/supabase-js';
+
+export const MIN_COHORT_SIZE = 5;
+
+export type Benchmark = {
+  average: number;
+  median: number;
+  percentile: number | null; // % of responses scoring below, ties counted half; null without an own score
+  count: number;
+};
+
+export type Benchmarks = {
+  cohort: { key: string; value: string } | null; // null: compared with every completed response
+  count: number;                                  // responses compared against
+  categories: Record<string, Benchmark>;          // by category title
+  overall: Benchmark | null;
+};
+
+// One category's (or the overall) aggregates from survey_benchmarks: below and
+// equal count the responses scoring under / the same as the respondent.
+export type BenchmarkStats = { count: number; average: number; median: number; below: number; equal: number };
+
+const round2 = (n: number) => Number(n.toFixed(2));
+
+// Percentile rank is the % of responses scoring below, ties counted half.
+export function toBenchmark(stats: BenchmarkStats, own?: number | null): Benchmark {
+  const n = Number(stats.count) || 0;
+  return {
+    average: n ? round2(Number(stats.average)) : 0,
+    median: n ? round2(Number(stats.median)) : 0,
+    percentile: own != null && n ? Math.round(((Number(stats.below) + Number(stats.equal) / 2) / n) * 100) : null,
+    count: n,
+  };
+}
+
+// The aggregation runs in the database (survey_benchmarks in
+// survey_schema.sql), so only the figures come back however many responses
+// there are.
+export async function loadBenchmarks(
+  supabase: SupabaseClient,
+  params: {
+    surveyId: string;
+    categories: Array<{ id: string; title: string }>;
+    categoryPercents: Record<string, number>;
+    totalPercent?: number | null;
+    respondentId?: string | null;
+    cohortKey?: string | null;
+  }
+): Promise<Benchmarks> {
+  const { surveyId, categories, categoryPercents, totalPercent, respondentId, cohortKey } = params;
+
+  const own: Record<string, number> = {};
+  for (const c of categories) {
+    const percent = categoryPercents[c.title];
+    if (percent != null) own[c.id] = Number(percent);
+  }
+  if (totalPercent != null) own['overall'] = Number(totalPercent);
+
+  const { data, error } = await supabase.rpc('survey_benchmarks', {
+    p_survey_id: surveyId,
+    p_own: own,
+    p_respondent_id: respondentId || null,
+    p_cohort_key: cohortKey || null,
+    p_min_cohort_size: MIN_COHORT_SIZE,
+  });
+  if (error) throw error;
+  const result = (data || {}) as { cohort?: Benchmarks['cohort']; count?: number; scores?: Record<string, BenchmarkStats> };
+  const scores = result.scores || {};
+
+  const out: Record<string, Benchmark> = {};
+  for (const c of categories) {
+    const stats = scores[c.id];
+    if (stats?.count) out[c.title] = toBenchmark(stats, categoryPercents[c.title]);
+  }
+  const overall = scores['overall'];
+
+  return {
+    cohort: result.cohort ?? null,
+    count: Number(result.count) || 0,
+    categories: out,
+    overall: overall?.count ? toBenchmark(overall, totalPercent) : null,
+  };
+}
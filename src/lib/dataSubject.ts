@@ -0,0 +1,263 @@
+// src/lib/dataSubject.ts
+// GDPR data-subject requests, by email address. A person's respondents are
+// those whose respondents.email matches, plus any the address was used for
+// in a report request or an email (report_jobs.email, email_outbox.recipient)
+// — a respondent who only asked for a resume link never has respondents.email
+// set. Export collects everything stored about them, including their PDF
+// reports; erase either deletes it all or anonymises it, keeping answers to
+// scored questions and results for survey statistics but dropping the email,
+// metadata, free-text answers, report jobs, emails and PDFs.
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { normalizeQuestionType } from './scoring';
+import type { SurveySnapshot } from './snapshots';
+
+export type EraseMode = 'delete' | 'anonymize';
+
+// Rows deleted (answers: cleared, when anonymising) and files removed
+export type EraseSummary = {
+  respondents: number;
+  responses: number;
+  answers: number;
+  results: number;
+  reportJobs: number;
+  emails: number;
+  files: number;
+};
+
+type Row = Record<string, any>;
+
+// Free-text answers may hold anything the respondent typed, names included
+const FREE_TEXT_TYPES = new Set(['text', 'textarea']);
+
+export function normalizeEmail(value: unknown): string | null {
+  if (typeof value !== 'string') return null;
+  const email = value.trim();
+  return /^[^\s@]+@[^\s@]+$/.test(email) ? email : null;
+}
+
+function reportsBucket(): string {
+  return process.env['SUPABASE_REPORTS_BUCKET'] || 'survey-reports';
+}
+
+async function selectRows(query: PromiseLike<{ data: unknown; error: unknown }>): Promise<Row[]> {
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []) as Row[];
+}
+
+type Matches = { respondentIds: string[]; outboxIds: string[] };
+
+// Case-insensitive match on the whole address (data_subject_matches in
+// docs/survey_schema.sql), with no wildcards: `*`, `%` and `_` are literal.
+async function findMatches(supabase: SupabaseClient, email: string): Promise<Matches> {
+  const { data, error } = await supabase.rpc('data_subject_matches', { p_email: email });
+  if (error) throw error;
+  const ids = (data || {}) as { respondent_ids?: string[]; outbox_ids?: string[] };
+  return { respondentIds: ids.respondent_ids || [], outboxIds: ids.outbox_ids || [] };
+}
+
+export async function findRespondentIds(supabase: SupabaseClient, email: string): Promise<string[]> {
+  return (await findMatches(supabase, email)).respondentIds;
+}
+
+// What the admin tool lists before exporting or erasing.
+export async function lookupDataSubject(supabase: SupabaseClient, email: string) {
+  const ids = await findRespondentIds(supabase, email);
+  if (!ids.length) return [];
+
+  const respondents = await selectRows(
+    supabase.from('respondents').select('id, survey_id, email, consent, consent_timestamp, created_at').in('id', ids)
+  );
+  const surveyIds = [...new Set(respondents.map(r => r['survey_id']))];
+  const [surveys, responses, jobs] = await Promise.all([
+    selectRows(supabase.from('surveys').select('id, title').in('id', surveyIds)),
+    selectRows(supabase.from('responses').select('respondent_id, completed_at').in('respondent_id', ids)),
+    selectRows(supabase.from('report_jobs').select('respondent_id, file_name').in('respondent_id', ids)),
+  ]);
+  const titles = new Map(surveys.map(s => [s['id'], s['title']]));
+
+  return respondents.map(r => ({
+    respondentId: r['id'] as string,
+    surveyId: r['survey_id'] as string,
+    surveyTitle: (titles.get(r['survey_id']) as string | undefined) ?? null,
+    email: (r['email'] as string | null) ?? null,
+    consent: !!r['consent'],
+    consentAt: (r['consent_timestamp'] as string | null) ?? null,
+    startedAt: (r['created_at'] as string | null) ?? null,
+    completed: responses.some(x => x['respondent_id'] === r['id'] && x['completed_at']),
+    reports: jobs.filter(j => j['respondent_id'] === r['id'] && j['file_name']).length,
+  }));
+}
+
+async function loadRelated(supabase: SupabaseClient, { respondentIds: ids, outboxIds }: Matches) {
+  const [responses, answers, results, reportJobs, byRespondent, byRecipient] = await Promise.all([
+    selectRows(supabase.from('responses').select('*').in('respondent_id', ids)),
+    selectRows(supabase.from('answers').select('*').in('respondent_id', ids)),
+    selectRows(supabase.from('results').select('*').in('respondent_id', ids)),
+    selectRows(supabase.from('report_jobs').select('*').in('respondent_id', ids)),
+    selectRows(supabase.from('email_outbox').select('*').in('respondent_id', ids)),
+    outboxIds.length ? selectRows(supabase.from('email_outbox').select('*').in('id', outboxIds)) : Promise.resolve([]),
+  ]);
+  const emails = [...byRespondent, ...byRecipient.filter(e => !byRespondent.some(b => b['id'] === e['id']))];
+  return { responses, answers, results, reportJobs, emails };
+}
+
+async function questionsById(supabase: SupabaseClient, answers: Row[]): Promise<Map<string, Row>> {
+  const ids = [...new Set(answers.map(a => a['question_id']))];
+  if (!ids.length) return new Map();
+  const questions = await selectRows(supabase.from('questions').select('id, prompt, type').in('id', ids));
+  return new Map(questions.map(q => [q['id'], q]));
+}
+
+// Question types by response id, then question id, as the respondent saw them:
+// from the snapshot each response was taken against. The live questions may
+// have been edited or removed since, so they aren't used.
+async function answeredQuestionTypes(supabase: SupabaseClient, responses: Row[]): Promise<Map<string, Map<string, string>>> {
+  const snapshotIds = [...new Set(responses.map(r => r['snapshot_id']).filter(Boolean))];
+  if (!snapshotIds.length) return new Map();
+  const snapshots = await selectRows(supabase.from('survey_snapshots').select('id, snapshot').in('id', snapshotIds));
+
+  const bySnapshot = new Map(
+    snapshots.map(row => {
+      const questions = ((row['snapshot'] as SurveySnapshot | null)?.categories || []).flatMap(c => c.questions || []);
+      return [row['id'], new Map(questions.map(q => [q.id, normalizeQuestionType(q.type)]))];
+    })
+  );
+  const types = new Map<string, Map<string, string>>();
+  for (const r of responses) {
+    const questionTypes = bySnapshot.get(r['snapshot_id']);
+    if (questionTypes) types.set(r['id'], questionTypes);
+  }
+  return types;
+}
+
+/**
+ * Everything stored about the person, grouped by respondent, with their PDF
+ * reports base64-encoded under `files`. Resume and verification tokens are
+ * left out: they are credentials, not personal data.
+ */
+export async function exportDataSubject(supabase: SupabaseClient, email: string) {
+  const matches = await findMatches(supabase, email);
+  const ids = matches.respondentIds;
+  const respondents = ids.length ? await selectRows(supabase.from('respondents').select('*').in('id', ids)) : [];
+  const related = ids.length
+    ? await loadRelated(supabase, matches)
+    : { responses: [], answers: [], results: [], reportJobs: [], emails: [] };
+  const surveys = respondents.length
+    ? await selectRows(
+        supabase.from('surveys').select('id, title').in('id', [...new Set(respondents.map(r => r['survey_id']))])
+      )
+    : [];
+  const questions = await questionsById(supabase, related.answers);
+
+  const files: { respondentId: string; fileName: string; contentType: string; base64: string }[] = [];
+  for (const job of related.reportJobs) {
+    if (!job['file_name']) continue;
+    const { data, error } = await supabase.storage.from(reportsBucket()).download(job['file_name']);
+    if (error || !data) continue; // already removed from the bucket
+    files.push({
+      respondentId: job['respondent_id'],
+      fileName: job['file_name'],
+      contentType: 'application/pdf',
+      base64: Buffer.from(await data.arrayBuffer()).toString('base64'),
+    });
+  }
+
+  const of = (rows: Row[], id: string) => rows.filter(r => r['respondent_id'] === id);
+  return {
+    email,
+    exportedAt: new Date().toISOString(),
+    respondents: respondents.map(r => ({
+      respondent: r,
+      survey: surveys.find(s => s['id'] === r['survey_id']) ?? null,
+      responses: of(related.responses, r['id']).map(({ resume_token: _token, ...rest }) => rest),
+      answers: of(related.answers, r['id']).map(a => ({ ...a, question: questions.get(a['question_id'])?.['prompt'] ?? null })),
+      results: of(related.results, r['id']),
+      reportJobs: of(related.reportJobs, r['id']).map(({ verify_token: _token, ...rest }) => rest),
+      emails: of(related.emails, r['id']),
+    })),
+    // Emails to the address that aren't tied to one of their respondents
+    otherEmails: related.emails.filter(e => !e['respondent_id'] || !ids.includes(e['respondent_id'])),
+    files,
+  };
+}
+
+/**
+ * Removes the person's data. Their PDFs are deleted from storage and their
+ * report jobs and emails from the database in both modes; 'delete' removes
+ * the respondents with their responses, answers and results, 'anonymize'
+ * keeps those for survey statistics without anything that identifies them.
+ * Not transactional: if a step fails, running it again finishes the job.
+ */
+export async function eraseDataSubject(
+  supabase: SupabaseClient,
+  email: string,
+  mode: EraseMode
+): Promise<EraseSummary> {
+  const matches = await findMatches(supabase, email);
+  const ids = matches.respondentIds;
+  const related = ids.length
+    ? await loadRelated(supabase, matches)
+    : { responses: [], answers: [], results: [], reportJobs: [], emails: [] };
+
+  const fileNames = related.reportJobs.map(j => j['file_name']).filter((f): f is string => typeof f === 'string');
+  if (fileNames.length) {
+    const { error } = await supabase.storage.from(reportsBucket()).remove(fileNames);
+    if (error) throw error;
+  }
+
+  const remove = async (table: string, column: string, values: string[]) => {
+    if (!values.length) return;
+    const { error } = await supabase.from(table).delete().in(column, values);
+    if (error) throw error;
+  };
+
+  await remove('email_outbox', 'id', related.emails.map(e => e['id']));
+  await remove('report_jobs', 'id', related.reportJobs.map(j => j['id']));
+
+  let answers = related.answers.length;
+  if (mode === 'delete') {
+    await remove('results', 'respondent_id', ids);
+    await remove('answers', 'respondent_id', ids);
+    await remove('responses', 'respondent_id', ids);
+    await remove('respondents', 'id', ids);
+  } else if (ids.length) {
+    // Kept only when the snapshot shows a scored question; answers whose
+    // type can't be resolved are cleared along with free text
+    const types = await answeredQuestionTypes(supabase, related.responses);
+    const cleared = related.answers
+      .filter(a => {
+        if (a['value'] == null) return false;
+        const type = types.get(a['response_id'])?.get(a['question_id']);
+        return !type || FREE_TEXT_TYPES.has(type);
+      })
+      .map(a => a['id']);
+    answers = cleared.length;
+    if (cleared.length) {
+      const { error } = await supabase.from('answers').update({ value: null }).in('id', cleared);
+      if (error) throw error;
+    }
+
+    const { error: rErr } = await supabase
+      .from('responses')
+      .update({ resume_token: null, draft_answers: null })
+      .in('respondent_id', ids);
+    if (rErr) throw rErr;
+
+    const { error: pErr } = await supabase
+      .from('respondents')
+      .update({ email: null, meta: null, report_url: null })
+      .in('id', ids);
+    if (pErr) throw pErr;
+  }
+
+  return {
+    respondents: ids.length,
+    responses: mode === 'delete' ? related.responses.length : 0,
+    answers,
+    results: mode === 'delete' ? related.results.length : 0,
+    reportJobs: related.reportJobs.length,
+    emails: related.emails.length,
+    files: fileNames.length,
+  };
+}
@@ -0,0 +1,125 @@
+// src/lib/displayLogic.ts
+// Show-if rules for questions and categories (questions.display_logic,
+// categories.display_logic). A rule lists conditions on earlier answers; the
+// question or whole category is shown only when they hold. Hidden questions are
+// skipped by the take flow, ignored by validation and left out of scoring.
+
+export type ConditionOperator = 'in' | 'not_in' | 'answered' | 'not_answered' | 'gte' | 'lte';
+
+export type DisplayCondition = {
+  question_id: string;
+  operator: ConditionOperator;
+  values?: Array<string | number>;   // 'in' / 'not_in' choices, or the bound for 'gte' / 'lte'
+};
+
+export type DisplayLogic = {
+  match: 'all' | 'any';
+  conditions: DisplayCondition[];
+};
+
+type LogicQuestion = { id: string; display_logic?: unknown };
+type LogicCategory = { id: string; display_logic?: unknown; questions?: LogicQuestion[] | null };
+
+export const CONDITION_OPERATORS: ConditionOperator[] = ['in', 'not_in', 'answered', 'not_answered', 'gte', 'lte'];
+
+// Accepts jsonb, a JSON string or editor state; returns null when there is no usable rule.
+export function parseDisplayLogic(input: unknown): DisplayLogic | null {
+  let raw: unknown = input;
+  if (typeof raw === 'string') {
+    try { raw = JSON.parse(raw); } catch { return null; }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+  const src = raw as Record<string, unknown>;
+  const list = Array.isArray(src['conditions']) ? src['conditions'] : [];
+  const conditions: DisplayCondition[] = [];
+  for (const c of list) {
+    if (!c || typeof c !== 'object') continue;
+    const cond = c as Record<string, unknown>;
+    const qid = cond['question_id'];
+    const op = cond['operator'] as ConditionOperator;
+    if (typeof qid !== 'string' || !qid || !CONDITION_OPERATORS.includes(op)) continue;
+    const values = Array.isArray(cond['values'])
+      ? (cond['values'] as unknown[]).filter((v): v is string | number => typeof v === 'string' || typeof v === 'number')
+      : [];
+    conditions.push({ question_id: qid, operator: op, values });
+  }
+  if (!conditions.length) return null;
+  return { match: src['match'] === 'any' ? 'any' : 'all', conditions };
+}
+
+function isAnswered(value: unknown): boolean {
+  if (value == null) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+function conditionHolds(cond: DisplayCondition, value: unknown): boolean {
+  const answered = isAnswered(value);
+  const wanted = (cond.values || []).map(v => String(v).trim());
+
+  switch (cond.operator) {
+    case 'answered':
+      return answered;
+    case 'not_answered':
+      return !answered;
+    case 'in':
+    case 'not_in': {
+      if (!answered) return cond.operator === 'not_in';
+      const picked = (Array.isArray(value) ? value : [value]).map(v => String(v).trim());
+      const hit = picked.some(v => wanted.includes(v));
+      return cond.operator === 'in' ? hit : !hit;
+    }
+    case 'gte':
+    case 'lte': {
+      const n = Number(value);
+      const bound = Number(wanted[0]);
+      if (!answered || !Number.isFinite(n) || !Number.isFinite(bound)) return false;
+      return cond.operator === 'gte' ? n >= bound : n <= bound;
+    }
+    default:
+      return true;
+  }
+}
+
+export function ruleHolds(logic: unknown, answers: Record<string, unknown>): boolean {
+  const rule = parseDisplayLogic(logic);
+  if (!rule) return true;
+  const results = rule.conditions.map(c => conditionHolds(c, answers[c.question_id]));
+  return rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+}
+
+/**
+ * Ids of the questions a respondent would see, given their answers so far.
+ * Walks the survey in order so a condition on a hidden question sees it as
+ * unanswered (hiding A also hides anything that depends on A).
+ */
+export function visibleQuestionIds(
+  categories: LogicCategory[],
+  answers: Record<string, unknown>
+): Set<string> {
+  const visible = new Set<string>();
+  const seen: Record<string, unknown> = {};
+
+  for (const cat of categories) {
+    const catShown = ruleHolds(cat.display_logic, seen);
+    for (const q of cat.questions || []) {
+      const qid = String(q.id);
+      if (catShown && ruleHolds(q.display_logic, seen)) {
+        visible.add(qid);
+        seen[qid] = answers[qid];
+      }
+    }
+  }
+  return visible;
+}
+
+// Keyed answer map from the { question_id, value } rows used by scoring and submission.
+export function answerValueMap(answers: Array<{ question_id: string; value?: unknown }>): Record<string, unknown> {
+  const out: Record<string, unknown> = {};
+  answers.forEach(a => {
+    out[String(a.question_id)] = a.value;
+  });
+  return out;
+}
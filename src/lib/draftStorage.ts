@@ -0,0 +1,64 @@
+// src/lib/draftStorage.ts
+// Browser-side copy of an in-progress response. It holds the server resume
+// token when there is one, and the answers themselves so progress survives a
+// refresh even if the draft API is unreachable.
+
+export type LocalDraft = {
+  token: string | null;
+  answers: Record<string, unknown>;
+  position: number;
+  savedAt: string;
+  expiresAt: string | null;   // from the server; local-only drafts use LOCAL_TTL_MS
+  seed?: number | null;       // presentation order seed (see randomization.ts)
+  snapshotId?: string | null; // survey version the answers belong to (see snapshots.ts)
+  consent?: boolean;          // agreed on the survey's consent step
+};
+
+// Used when the server never confirmed a draft (and so never sent an expiry).
+const LOCAL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function storageKey(surveyId: string): string {
+  return `survey-draft:${surveyId}`;
+}
+
+function storage(): Storage | null {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null; // disabled storage (private mode, blocked cookies)
+  }
+}
+
+export function readLocalDraft(surveyId: string, now: Date = new Date()): LocalDraft | null {
+  const store = storage();
+  if (!store) return null;
+  try {
+    const raw = store.getItem(storageKey(surveyId));
+    if (!raw) return null;
+    const draft = JSON.parse(raw) as LocalDraft;
+    const expires = draft.expiresAt
+      ? new Date(draft.expiresAt).getTime()
+      : new Date(draft.savedAt).getTime() + LOCAL_TTL_MS;
+    if (!Number.isFinite(expires) || expires <= now.getTime()) {
+      store.removeItem(storageKey(surveyId));
+      return null;
+    }
+    return draft;
+  } catch {
+    return null;
+  }
+}
+
+export function writeLocalDraft(surveyId: string, draft: Omit<LocalDraft, 'savedAt'>): void {
+  const store = storage();
+  if (!store) return;
+  try {
+    store.setItem(storageKey(surveyId), JSON.stringify({ ...draft, savedAt: new Date().toISOString() }));
+  } catch {
+    // quota exceeded — the server copy (if any) still has the answers
+  }
+}
+
+export function clearLocalDraft(surveyId: string): void {
+  storage()?.removeItem(storageKey(surveyId));
+}
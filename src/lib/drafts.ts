@@ -0,0 +1,85 @@
+// src/lib/drafts.ts
+// In-progress ("draft") responses. A draft is a responses row with
+// completed_at null, a random resume_token the respondent keeps (URL, local
+// storage, email) and an expires_at that slides forward on every save.
+import { randomBytes } from 'node:crypto';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import type { SurveyCategory } from './surveyData';
+
+export type DraftAnswers = Record<string, unknown>;
+
+export type DraftRow = {
+  id: string;
+  survey_id: string;
+  respondent_id: string;
+  snapshot_id: string | null;
+  resume_token: string | null;
+  draft_answers: DraftAnswers | null;
+  draft_position: number | null;
+  expires_at: string | null;
+  completed_at: string | null;
+  presentation_seed: number | null;
+};
+
+export type DraftLookup =
+  | { state: 'active'; draft: DraftRow }
+  | { state: 'missing' | 'expired' | 'completed'; draft: DraftRow | null };
+
+const DEFAULT_TTL_HOURS = 24 * 7;
+
+// DRAFT_TTL_HOURS controls how long an untouched draft stays resumable.
+export function draftTtlMs(): number {
+  const hours = Number(process.env['DRAFT_TTL_HOURS']);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+export function draftExpiry(now: Date = new Date()): string {
+  return new Date(now.getTime() + draftTtlMs()).toISOString();
+}
+
+export function newResumeToken(): string {
+  return randomBytes(24).toString('base64url');
+}
+
+// Resume tokens are URL-safe base64 of 24 random bytes; reject anything else
+// before it reaches a query.
+export function isResumeToken(value: unknown): value is string {
+  return typeof value === 'string' && /^[A-Za-z0-9_-]{32}$/.test(value);
+}
+
+/**
+ * Keeps only answers to questions in this survey. Drafts are partial, so no
+ * required/rule checks here — those run on the final submission.
+ */
+export function sanitizeDraftAnswers(categories: SurveyCategory[], input: unknown): DraftAnswers {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return {};
+  const known = new Set<string>();
+  categories.forEach(c => (c.questions || []).forEach(q => known.add(String(q.id))));
+
+  const out: DraftAnswers = {};
+  Object.entries(input as Record<string, unknown>).forEach(([qid, value]) => {
+    if (known.has(qid) && value != null) out[qid] = value;
+  });
+  return out;
+}
+
+export async function loadDraft(
+  supabase: SupabaseClient,
+  token: string,
+  now: Date = new Date()
+): Promise<DraftLookup> {
+  const { data, error } = await supabase
+    .from('responses')
+    .select('id, survey_id, respondent_id, snapshot_id, resume_token, draft_answers, draft_position, expires_at, completed_at, presentation_seed')
+    .eq('resume_token', token)
+    .maybeSingle();
+  if (error) throw error;
+
+  const draft = (data as DraftRow | null) ?? null;
+  if (!draft) return { state: 'missing', draft: null };
+  if (draft.completed_at) return { state: 'completed', draft };
+  if (draft.expires_at && new Date(draft.expires_at).getTime() <= now.getTime()) {
+    return { state: 'expired', draft };
+  }
+  return { state: 'active', draft };
+}
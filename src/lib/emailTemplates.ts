@@ -0,0 +1,128 @@
+// src/lib/emailTemplates.ts
+// Subject and body of the report email. Each survey picks a language
+// (surveys.email_locale) for the built-in wording and date formats, and may
+// override the subject and/or body and choose to attach the PDF instead of
+// linking it (surveys.report_email). Both take {{merge.fields}}
+// (mergeFields.ts); the body is admin-written HTML and is sanitised like
+// report sections, the subject is plain text. The double opt-in email that
+// asks respondents to confirm their address uses built-in wording only.
+import { escapeHtml, fillMergeFields, type MergeContext } from './mergeFields';
+import { sanitizeHtml } from './sanitizeHtml';
+
+export const EMAIL_LOCALES = ['en', 'es', 'fr', 'de'] as const;
+export type EmailLocale = (typeof EMAIL_LOCALES)[number];
+
+// What the editor stores in surveys.report_email; blank fields use the
+// built-in wording.
+export type ReportEmailSettings = {
+  subject: string;
+  body: string;
+  attachPdf: boolean;
+};
+
+export type ReportEmail = { subject: string; html: string };
+
+type BuiltInEmail = { subject: string; linked: string; attached: string };
+
+const BUILT_IN: Record<EmailLocale, BuiltInEmail> = {
+  en: {
+    subject: 'Your report for {{survey.title}}',
+    linked:
+      '<p>Hi,</p><p>Your PDF report is ready. You can download it here:</p><p><a href="{{report.url}}">{{report.url}}</a></p><p>The link works until {{report.expires}}.</p><p>Thanks!</p>',
+    attached: '<p>Hi,</p><p>Your PDF report for {{survey.title}} is attached.</p><p>Thanks!</p>',
+  },
+  es: {
+    subject: 'Tu informe de {{survey.title}}',
+    linked:
+      '<p>Hola:</p><p>Tu informe en PDF está listo. Puedes descargarlo aquí:</p><p><a href="{{report.url}}">{{report.url}}</a></p><p>El enlace funciona hasta el {{report.expires}}.</p><p>¡Gracias!</p>',
+    attached: '<p>Hola:</p><p>Adjuntamos tu informe en PDF de {{survey.title}}.</p><p>¡Gracias!</p>',
+  },
+  fr: {
+    subject: 'Votre rapport pour {{survey.title}}',
+    linked:
+      '<p>Bonjour,</p><p>Votre rapport PDF est prêt. Vous pouvez le télécharger ici :</p><p><a href="{{report.url}}">{{report.url}}</a></p><p>Le lien est valable jusqu’au {{report.expires}}.</p><p>Merci !</p>',
+    attached: '<p>Bonjour,</p><p>Vous trouverez ci-joint votre rapport PDF pour {{survey.title}}.</p><p>Merci !</p>',
+  },
+  de: {
+    subject: 'Ihr Bericht zu {{survey.title}}',
+    linked:
+      '<p>Hallo,</p><p>Ihr PDF-Bericht ist fertig. Sie können ihn hier herunterladen:</p><p><a href="{{report.url}}">{{report.url}}</a></p><p>Der Link ist bis zum {{report.expires}} gültig.</p><p>Vielen Dank!</p>',
+    attached: '<p>Hallo,</p><p>Im Anhang finden Sie Ihren PDF-Bericht zu {{survey.title}}.</p><p>Vielen Dank!</p>',
+  },
+};
+
+const VERIFY: Record<EmailLocale, { subject: string; body: string }> = {
+  en: {
+    subject: 'Confirm your email for {{survey.title}}',
+    body: '<p>Hi,</p><p>Please confirm that you want your {{survey.title}} report sent to this address:</p><p><a href="{{verify.url}}">{{verify.url}}</a></p><p>The link works until {{verify.expires}}. If you didn’t ask for this report, ignore this email.</p>',
+  },
+  es: {
+    subject: 'Confirma tu correo para {{survey.title}}',
+    body: '<p>Hola:</p><p>Confirma que quieres recibir tu informe de {{survey.title}} en esta dirección:</p><p><a href="{{verify.url}}">{{verify.url}}</a></p><p>El enlace funciona hasta el {{verify.expires}}. Si no has pedido este informe, ignora este correo.</p>',
+  },
+  fr: {
+    subject: 'Confirmez votre adresse pour {{survey.title}}',
+    body: '<p>Bonjour,</p><p>Confirmez que vous souhaitez recevoir votre rapport {{survey.title}} à cette adresse :</p><p><a href="{{verify.url}}">{{verify.url}}</a></p><p>Le lien est valable jusqu’au {{verify.expires}}. Si vous n’avez pas demandé ce rapport, ignorez cet e-mail.</p>',
+  },
+  de: {
+    subject: 'Bestätigen Sie Ihre E-Mail-Adresse für {{survey.title}}',
+    body: '<p>Hallo,</p><p>Bitte bestätigen Sie, dass Ihr Bericht zu {{survey.title}} an diese Adresse gesendet werden soll:</p><p><a href="{{verify.url}}">{{verify.url}}</a></p><p>Der Link ist bis zum {{verify.expires}} gültig. Wenn Sie diesen Bericht nicht angefordert haben, ignorieren Sie diese E-Mail.</p>',
+  },
+};
+
+const MAX_SUBJECT = 200;
+const MAX_BODY = 20000;
+
+export function emailLocale(value: unknown): EmailLocale {
+  return (EMAIL_LOCALES as readonly unknown[]).includes(value) ? (value as EmailLocale) : 'en';
+}
+
+export function normalizeReportEmail(raw: unknown): ReportEmailSettings {
+  const r = raw && typeof raw === 'object' && !Array.isArray(raw) ? (raw as Record<string, unknown>) : {};
+  return {
+    subject: typeof r['subject'] === 'string' ? r['subject'].replace(/\s*[\r\n]+\s*/g, ' ').trim().slice(0, MAX_SUBJECT) : '',
+    body: typeof r['body'] === 'string' ? r['body'].trim().slice(0, MAX_BODY) : '',
+    attachPdf: r['attachPdf'] === true,
+  };
+}
+
+// The wording the email would use with nothing overridden, for the editor.
+export function builtInReportEmail(locale: EmailLocale, attachPdf: boolean): { subject: string; body: string } {
+  const b = BUILT_IN[locale];
+  return { subject: b.subject, body: attachPdf ? b.attached : b.linked };
+}
+
+export function formatEmailDate(date: Date | string, locale: EmailLocale): string {
+  return new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(new Date(date));
+}
+
+export function renderReportEmail(
+  settings: ReportEmailSettings,
+  locale: EmailLocale,
+  ctx: MergeContext
+): ReportEmail {
+  const fallback = builtInReportEmail(locale, settings.attachPdf);
+  const subject = fillMergeFields(settings.subject || fallback.subject, ctx, { plain: true });
+  return {
+    subject: subject.replace(/\s*[\r\n]+\s*/g, ' ').trim(),
+    html: sanitizeHtml(fillMergeFields(settings.body || fallback.body, ctx)),
+  };
+}
+
+export function renderVerificationEmail(
+  locale: EmailLocale,
+  ctx: { surveyTitle: string; verifyUrl: string; verifyExpires: string }
+): ReportEmail {
+  const values: Record<string, string> = {
+    'survey.title': ctx.surveyTitle,
+    'verify.url': ctx.verifyUrl,
+    'verify.expires': ctx.verifyExpires,
+  };
+  const fill = (text: string, escape: (v: string) => string) =>
+    text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, field: string) => escape(values[field] ?? ''));
+  const { subject, body } = VERIFY[locale];
+  return {
+    subject: fill(subject, v => v.replace(/\s*[\r\n]+\s*/g, ' ')),
+    html: sanitizeHtml(fill(body, escapeHtml)),
+  };
+}
@@ -0,0 +1,152 @@
+// src/lib/emailVerification.ts
+// Double opt-in for report emails. On surveys with require_email_verification,
+// a report request for an address the respondent hasn't confirmed becomes an
+// 'unverified' report job (never claimed by the worker) and a verification
+// email goes to that address instead. Following the link records consent on
+// the respondent and queues the job; later requests for the same address go
+// straight through.
+import { randomBytes } from 'node:crypto';
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { emailLocale, formatEmailDate, renderVerificationEmail } from './emailTemplates';
+import { sendRecordedMail } from './outbox';
+import type { ReportJob } from './reportJobs';
+
+export type VerificationLookup =
+  | { state: 'pending' | 'verified' | 'expired'; job: ReportJob }
+  | { state: 'missing'; job: null };
+
+const DEFAULT_TTL_HOURS = 48;
+
+// Asking again within this long returns the pending job without another email
+export const VERIFY_RESEND_MS = 60 * 1000;
+
+// EMAIL_VERIFY_TTL_HOURS controls how long a verification link works.
+export function verifyTtlMs(): number {
+  const hours = Number(process.env['EMAIL_VERIFY_TTL_HOURS']);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+// Same shape as resume tokens: URL-safe base64 of 24 random bytes
+export function isVerifyToken(value: unknown): value is string {
+  return typeof value === 'string' && /^[A-Za-z0-9_-]{32}$/.test(value);
+}
+
+export function sameEmail(a: string | null | undefined, b: string | null | undefined): boolean {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Whether the respondent has already confirmed this address. Checked against
+// their confirmed jobs rather than respondents.consent, which the survey's
+// consent step sets too.
+export async function isEmailVerified(supabase: SupabaseClient, respondentId: string, email: string): Promise<boolean> {
+  const { data, error } = await supabase
+    .from('report_jobs')
+    .select('email')
+    .eq('respondent_id', respondentId)
+    .not('verified_at', 'is', null);
+  if (error) throw error;
+  return (data || []).some(j => sameEmail(j.email, email));
+}
+
+async function updateJob(supabase: SupabaseClient, jobId: string, patch: Partial<ReportJob>): Promise<ReportJob> {
+  const { data, error } = await supabase.from('report_jobs').update(patch).eq('id', jobId).select().single();
+  if (error) throw error;
+  return data as ReportJob;
+}
+
+/**
+ * Creates (or reuses) the respondent's unverified report job for `email` and
+ * sends the verification link, at most once per VERIFY_RESEND_MS. A pending
+ * request for a different address is replaced. The link carries a live
+ * token, so `siteUrl` must come from configuration (getSiteUrl), never from
+ * the request.
+ */
+export async function requestVerification(
+  supabase: SupabaseClient,
+  siteUrl: string,
+  input: { surveyId: string; respondentId: string; email: string; surveyTitle: string; locale?: string | null }
+): Promise<ReportJob> {
+  const now = Date.now();
+  const { data: pending, error } = await supabase
+    .from('report_jobs')
+    .select('*')
+    .eq('respondent_id', input.respondentId)
+    .eq('status', 'unverified')
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+
+  let job: ReportJob | null = null;
+  for (const p of (pending || []) as ReportJob[]) {
+    const live = p.verify_expires_at && new Date(p.verify_expires_at).getTime() > now;
+    if (!job && live && sameEmail(p.email, input.email)) {
+      job = p;
+    } else {
+      await updateJob(supabase, p.id, { status: 'failed', last_error: 'Replaced by a newer request' });
+    }
+  }
+
+  if (job?.verify_sent_at && now - new Date(job.verify_sent_at).getTime() < VERIFY_RESEND_MS) return job;
+
+  const expiresAt = new Date(now + verifyTtlMs()).toISOString();
+  if (job) {
+    job = await updateJob(supabase, job.id, { verify_expires_at: expiresAt });
+  } else {
+    const { data, error: insErr } = await supabase
+      .from('report_jobs')
+      .insert({
+        survey_id: input.surveyId,
+        respondent_id: input.respondentId,
+        email: input.email,
+        status: 'unverified',
+        next_attempt_at: null,
+        verify_token: randomBytes(24).toString('base64url'),
+        verify_expires_at: expiresAt,
+      })
+      .select()
+      .single();
+    if (insErr) throw insErr;
+    job = data as ReportJob;
+  }
+
+  const locale = emailLocale(input.locale);
+  const message = renderVerificationEmail(locale, {
+    surveyTitle: input.surveyTitle,
+    verifyUrl: `${siteUrl}/surveys/verify-email?token=${job.verify_token}`,
+    verifyExpires: formatEmailDate(expiresAt, locale),
+  });
+  await sendRecordedMail(supabase, { to: input.email, ...message }, {
+    template: 'verify',
+    surveyId: input.surveyId,
+    respondentId: input.respondentId,
+    reportJobId: job.id,
+  });
+  return updateJob(supabase, job.id, { verify_sent_at: new Date().toISOString() });
+}
+
+export async function lookupVerification(
+  supabase: SupabaseClient,
+  token: string,
+  now: Date = new Date()
+): Promise<VerificationLookup> {
+  const { data, error } = await supabase.from('report_jobs').select('*').eq('verify_token', token).maybeSingle();
+  if (error) throw error;
+
+  const job = (data as ReportJob | null) ?? null;
+  if (!job) return { state: 'missing', job: null };
+  if (job.verified_at) return { state: 'verified', job };
+  if (job.status !== 'unverified' || !job.verify_expires_at || new Date(job.verify_expires_at).getTime() <= now.getTime()) {
+    return { state: 'expired', job };
+  }
+  return { state: 'pending', job };
+}
+
+// Records consent for the address and releases the report to the worker.
+export async function confirmVerification(supabase: SupabaseClient, job: ReportJob): Promise<ReportJob> {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('respondents')
+    .update({ email: job.email, consent: true, consent_timestamp: now })
+    .eq('id', job.respondent_id);
+  if (error) throw error;
+  return updateJob(supabase, job.id, { status: 'queued', next_attempt_at: now, verified_at: now });
+}
@@ -0,0 +1,157 @@
+// src/lib/mailer.ts
+// Email delivery behind a small transport interface, chosen from env vars:
+//   MAIL_TRANSPORT=smtp  nodemailer SMTP from MAIL_HOST/PORT/SECURE/USER/PASS
+//                        (or the older GMAIL_EMAIL + GMAIL_APP_PASSWORD)
+//   MAIL_TRANSPORT=http  JSON POST to MAIL_HTTP_URL with MAIL_HTTP_API_KEY as a
+//                        bearer token, for HTTP email providers
+//   MAIL_TRANSPORT=file  writes each message to MAIL_OUTBOX_DIR (default
+//                        .mail-outbox) instead of sending it; for dev and tests
+// Without MAIL_TRANSPORT, SMTP is used when it is configured and email is
+// skipped otherwise. Sending is best-effort: callers get a status message
+// instead of an exception so a mail outage never fails the request that
+// triggered it.
+import { randomBytes } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+
+export type MailAttachment = {
+  filename: string;
+  content: Buffer;
+  contentType: string;
+};
+
+export type MailMessage = {
+  to: string;
+  subject: string;
+  html: string;
+  attachments?: MailAttachment[];
+};
+
+export type MailStatus = {
+  sent: boolean;
+  message: string;
+  skipped?: boolean; // no transport configured; retrying won't help
+};
+
+export type MailTransport = {
+  name: string;
+  // Resolves once the message is accepted; throws when it isn't
+  send(msg: MailMessage & { from: string }): Promise<void>;
+};
+
+function mailFrom(): string {
+  return process.env['MAIL_FROM'] || process.env['GMAIL_EMAIL'] || 'no-reply@example.com';
+}
+
+export function smtpTransport(): MailTransport | null {
+  const gmail = !process.env['MAIL_HOST'] && process.env['GMAIL_EMAIL'] && process.env['GMAIL_APP_PASSWORD'];
+  const host = process.env['MAIL_HOST'] || (gmail ? 'smtp.gmail.com' : '');
+  if (!host) return null;
+
+  const secure =
+    gmail ||
+    String(process.env['MAIL_SECURE'] || '').toLowerCase() === 'true' ||
+    Number(process.env['MAIL_PORT']) === 465;
+  const user = gmail ? process.env['GMAIL_EMAIL'] : process.env['MAIL_USER'];
+  const pass = gmail ? process.env['GMAIL_APP_PASSWORD'] : process.env['MAIL_PASS'];
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number(process.env['MAIL_PORT'] || (secure ? 465 : 587)),
+    secure: !!secure,
+    auth: user && pass ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(msg) {
+      const info = await transporter.sendMail(msg);
+      if (!info?.messageId) throw new Error('Email not confirmed sent.');
+    },
+  };
+}
+
+export function httpTransport(): MailTransport | null {
+  const url = process.env['MAIL_HTTP_URL'];
+  if (!url) return null;
+  const apiKey = process.env['MAIL_HTTP_API_KEY'];
+
+  return {
+    name: 'http',
+    async send(msg) {
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          from: msg.from,
+          to: msg.to,
+          subject: msg.subject,
+          html: msg.html,
+          attachments: (msg.attachments || []).map(a => ({
+            filename: a.filename,
+            contentType: a.contentType,
+            content: a.content.toString('base64'),
+          })),
+        }),
+        signal: AbortSignal.timeout(15000),
+      });
+      if (!resp.ok) throw new Error(`Email provider responded ${resp.status}`);
+    },
+  };
+}
+
+// One JSON file per message (attachments beside it), named so they sort by time.
+export function fileTransport(dir = process.env['MAIL_OUTBOX_DIR'] || '.mail-outbox'): MailTransport {
+  return {
+    name: 'file',
+    async send(msg) {
+      await mkdir(dir, { recursive: true });
+      const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${randomBytes(4).toString('hex')}`;
+      const attachments = [];
+      for (const a of msg.attachments || []) {
+        const file = `${id}-${path.basename(a.filename)}`;
+        await writeFile(path.join(dir, file), a.content);
+        attachments.push({ filename: a.filename, contentType: a.contentType, size: a.content.length, file });
+      }
+      const { from, to, subject, html } = msg;
+      await writeFile(path.join(dir, `${id}.json`), JSON.stringify({ from, to, subject, html, attachments }, null, 2));
+    },
+  };
+}
+
+export function mailTransportFromEnv(): MailTransport | null {
+  switch ((process.env['MAIL_TRANSPORT'] || '').toLowerCase()) {
+    case 'file':
+      return fileTransport();
+    case 'http':
+      return httpTransport();
+    case 'smtp':
+    case '':
+      return smtpTransport();
+    default:
+      return null;
+  }
+}
+
+export async function sendMail(
+  msg: MailMessage,
+  transport: MailTransport | null = mailTransportFromEnv()
+): Promise<MailStatus> {
+  if (!transport) {
+    // No transport configured — skip cleanly
+    return { sent: false, skipped: true, message: 'Email skipped: no mail transport configured.' };
+  }
+
+  try {
+    await transport.send({ ...msg, from: mailFrom() });
+    return { sent: true, message: transport.name === 'file' ? 'Email written to the outbox.' : 'Email sent.' };
+  } catch (e: any) {
+    // eslint-disable-next-line no-console
+    console.error(`Email send failed via ${transport.name} (continuing):`, e);
+    return { sent: false, message: `Email failed: ${e?.message || 'unknown error'}` };
+  }
+}
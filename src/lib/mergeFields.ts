@@ -0,0 +1,86 @@
+// src/lib/mergeFields.ts
+// {{merge.fields}} for custom text sections in report templates:
+//   {{survey.title}}  {{respondent.email}}  {{report.date}}
+//   {{overall.percent}}  {{overall.band}}
+//   {{category.<title>.percent}}  {{category.<title>.band}}
+// Report emails also get {{report.url}} and {{report.expires}}.
+// Percents are whole numbers without the % sign; `band` is the matching score
+// range's description. Values are HTML-escaped (except in plain-text fields
+// such as email subjects); unknown fields render empty.
+
+export type MergeContext = {
+  surveyTitle: string;
+  respondentEmail?: string | null;
+  generatedAt: string;
+  totalPercent: number;
+  totalBand?: string | null;
+  categoryPercents: Record<string, number>;
+  categoryBands: Record<string, string | null | undefined>;
+  reportUrl?: string | null;
+  reportExpires?: string | null;
+};
+
+const FIELD = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+export function escapeHtml(s: string): string {
+  return s
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+function percent(n: number | undefined): string {
+  return n == null || !Number.isFinite(Number(n)) ? '' : String(Math.round(Number(n)));
+}
+
+function lookup(field: string, ctx: MergeContext): string {
+  switch (field) {
+    case 'survey.title':
+      return ctx.surveyTitle;
+    case 'respondent.email':
+      return ctx.respondentEmail || '';
+    case 'report.date':
+      return ctx.generatedAt;
+    case 'overall.percent':
+      return percent(ctx.totalPercent);
+    case 'overall.band':
+      return ctx.totalBand || '';
+    case 'report.url':
+      return ctx.reportUrl || '';
+    case 'report.expires':
+      return ctx.reportExpires || '';
+  }
+
+  // category.<title>.<prop>; titles may themselves contain dots or spaces
+  if (field.startsWith('category.')) {
+    const rest = field.slice('category.'.length);
+    const dot = rest.lastIndexOf('.');
+    const title = rest.slice(0, dot);
+    const prop = rest.slice(dot + 1);
+    if (dot > 0 && Object.prototype.hasOwnProperty.call(ctx.categoryPercents, title)) {
+      if (prop === 'percent') return percent(ctx.categoryPercents[title]);
+      if (prop === 'band') return ctx.categoryBands[title] || '';
+    }
+  }
+  return '';
+}
+
+export function fillMergeFields(text: string, ctx: MergeContext, opts: { plain?: boolean } = {}): string {
+  const format = opts.plain ? (v: string) => v : escapeHtml;
+  return String(text ?? '').replace(FIELD, (_, field: string) => format(lookup(field, ctx)));
+}
+
+// The fields an editor can offer for a survey with these category titles.
+export function availableMergeFields(categoryTitles: string[] = [], opts: { email?: boolean } = {}): string[] {
+  return [
+    'survey.title',
+    'respondent.email',
+    'report.date',
+    ...(opts.email ? ['report.url', 'report.expires'] : []),
+    'overall.percent',
+    'overall.band',
+    ...categoryTitles.flatMap(t => [`category.${t}.percent`, `category.${t}.band`]),
+  ];
+}
@@ -0,0 +1,124 @@
+// src/lib/outbox.ts
+// Delivery log for outgoing email (`email_outbox`). Messages are recorded
+// before they are handed to the transport and updated with the outcome, so
+// failures are visible to admins rather than only in the server logs.
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { sendMail, type MailMessage, type MailStatus } from './mailer';
+
+export type OutboxStatus = 'pending' | 'sent' | 'skipped' | 'failed';
+export type OutboxTemplate = 'report' | 'resume' | 'verify';
+
+export type OutboxMessage = {
+  id: string;
+  survey_id: string | null;
+  respondent_id: string | null;
+  report_job_id: string | null;
+  recipient: string;
+  template: OutboxTemplate;
+  subject: string;
+  status: OutboxStatus;
+  attempts: number;
+  error: string | null;
+  last_attempt_at: string | null;
+  sent_at: string | null;
+  created_at?: string;
+};
+
+export type OutboxMeta = {
+  template: OutboxTemplate;
+  surveyId?: string | null;
+  respondentId?: string | null;
+  reportJobId?: string | null;
+};
+
+export async function createOutboxMessage(
+  supabase: SupabaseClient,
+  msg: Pick<MailMessage, 'to' | 'subject'>,
+  meta: OutboxMeta
+): Promise<OutboxMessage> {
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .insert({
+      survey_id: meta.surveyId ?? null,
+      respondent_id: meta.respondentId ?? null,
+      report_job_id: meta.reportJobId ?? null,
+      recipient: msg.to,
+      template: meta.template,
+      subject: msg.subject,
+      status: 'pending',
+      attempts: 0,
+    })
+    .select()
+    .single();
+  if (error) throw error;
+  return data as OutboxMessage;
+}
+
+export async function getOutboxMessage(supabase: SupabaseClient, id: string): Promise<OutboxMessage | null> {
+  const { data, error } = await supabase.from('email_outbox').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  return (data as OutboxMessage) || null;
+}
+
+// Sends `msg` as (another attempt at) the recorded message and stores the outcome.
+export async function deliverOutboxMessage(
+  supabase: SupabaseClient,
+  outbox: OutboxMessage,
+  msg: MailMessage
+): Promise<MailStatus> {
+  const mail = await sendMail(msg);
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('email_outbox')
+    .update({
+      recipient: msg.to,
+      subject: msg.subject,
+      status: mail.sent ? 'sent' : mail.skipped ? 'skipped' : 'failed',
+      attempts: outbox.attempts + 1,
+      error: mail.sent ? null : mail.message,
+      last_attempt_at: now,
+      ...(mail.sent ? { sent_at: now } : {}),
+    })
+    .eq('id', outbox.id);
+  if (error) {
+    // The email itself went out (or not) regardless; don't turn a log failure into a resend
+    // eslint-disable-next-line no-console
+    console.error('Could not record email delivery:', error.message);
+  }
+  return mail;
+}
+
+// Records and sends a one-off message.
+export async function sendRecordedMail(supabase: SupabaseClient, msg: MailMessage, meta: OutboxMeta): Promise<MailStatus> {
+  const outbox = await createOutboxMessage(supabase, msg, meta);
+  return deliverOutboxMessage(supabase, outbox, msg);
+}
+
+// What the admin delivery log shows.
+export function outboxView(row: OutboxMessage) {
+  return {
+    id: row.id,
+    respondentId: row.respondent_id,
+    reportJobId: row.report_job_id,
+    recipient: row.recipient,
+    template: row.template,
+    subject: row.subject,
+    status: row.status,
+    attempts: row.attempts,
+    error: row.error,
+    lastAttemptAt: row.last_attempt_at,
+    sentAt: row.sent_at,
+    createdAt: row.created_at ?? null,
+  };
+}
+
+export async function loadSurveyOutbox(supabase: SupabaseClient, surveyId: string): Promise<OutboxMessage[]> {
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .select('*')
+    .eq('survey_id', surveyId)
+    .order('created_at', { ascending: false })
+    .limit(1000);
+  if (error) throw error;
+  return (data || []) as OutboxMessage[];
+}
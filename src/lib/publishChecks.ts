@@ -0,0 +1,153 @@
+// src/lib/publishChecks.ts
+// Checks a survey must pass before it can be published (see
+// pages/api/surveys/[id]/publish.ts). Each problem carries a message written
+// for the admin, naming the category/question it is about.
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { normalizeQuestionType, parseArrayish } from './scoring';
+import type { SurveyCategory, SurveyQuestion } from './surveyData';
+
+export type PublishProblem = {
+  code: 'no_categories' | 'empty_category' | 'no_choices' | 'choice_scores_mismatch' | 'range_gap' | 'image_missing';
+  message: string;
+  category_id?: string;
+  question_id?: string;
+};
+
+type RangeLike = { category_id?: string | null; min_score: number; max_score: number };
+
+type ImageQuestion = SurveyQuestion & { image_path?: string | null; image_url?: string | null };
+
+const CHOICE_TYPES = new Set(['radio', 'select', 'checkbox']);
+
+/**
+ * Uncovered stretches of 0–100. Bounds are whole percents (pickRange rounds
+ * the score), so 0–49 followed by 50–100 leaves no gap.
+ */
+export function coverageGaps(ranges: RangeLike[]): Array<{ from: number; to: number }> {
+  const gaps: Array<{ from: number; to: number }> = [];
+  let next = 0;
+  [...ranges]
+    .sort((a, b) => Number(a.min_score) - Number(b.min_score))
+    .forEach(r => {
+      if (Number(r.min_score) > next) gaps.push({ from: next, to: Number(r.min_score) - 1 });
+      next = Math.max(next, Number(r.max_score) + 1);
+    });
+  if (next <= 100) gaps.push({ from: next, to: 100 });
+  return gaps;
+}
+
+function describeGaps(gaps: Array<{ from: number; to: number }>): string {
+  return gaps.map(g => (g.from === g.to ? `${g.from}%` : `${g.from}–${g.to}%`)).join(', ');
+}
+
+function questionLabel(category: SurveyCategory, index: number, question: SurveyQuestion): string {
+  const prompt = String(question.prompt || '').trim();
+  const short = prompt.length > 40 ? `${prompt.slice(0, 40)}…` : prompt;
+  return `"${category.title}", question ${index + 1}${short ? ` ("${short}")` : ''}`;
+}
+
+function isScorable(q: SurveyQuestion): boolean {
+  return q.scorable !== false;
+}
+
+/**
+ * Problems with a survey's structure and score ranges. `missingImages` holds
+ * the ids of questions whose image could not be found (see findMissingImages).
+ */
+export function checkSurveyForPublish(
+  categories: SurveyCategory[],
+  ranges: RangeLike[],
+  missingImages: Set<string> = new Set()
+): PublishProblem[] {
+  const problems: PublishProblem[] = [];
+
+  if (!categories.length) {
+    problems.push({ code: 'no_categories', message: 'The survey has no categories.' });
+  }
+
+  categories.forEach(category => {
+    const questions = category.questions || [];
+    if (!questions.length) {
+      problems.push({
+        code: 'empty_category',
+        message: `Category "${category.title}" has no questions.`,
+        category_id: category.id,
+      });
+    }
+
+    questions.forEach((q, idx) => {
+      const where = { category_id: category.id, question_id: q.id };
+
+      if (CHOICE_TYPES.has(normalizeQuestionType(q.type))) {
+        const choices = parseArrayish(q.choices);
+        const scores = parseArrayish(q.choice_scores);
+        if (!choices.length) {
+          problems.push({ code: 'no_choices', message: `${questionLabel(category, idx, q)} has no choices.`, ...where });
+        } else if (isScorable(q) && scores.length !== choices.length) {
+          problems.push({
+            code: 'choice_scores_mismatch',
+            message: `${questionLabel(category, idx, q)} has ${choices.length} choice(s) but ${scores.length} score(s).`,
+            ...where,
+          });
+        }
+      }
+
+      if (missingImages.has(String(q.id))) {
+        problems.push({ code: 'image_missing', message: `${questionLabel(category, idx, q)}: the image could not be found.`, ...where });
+      }
+    });
+  });
+
+  // Every band the report can land in must exist: overall, and each category
+  // that is scored at all
+  const overallGaps = coverageGaps(ranges.filter(r => r.category_id == null));
+  if (overallGaps.length) {
+    problems.push({ code: 'range_gap', message: `Overall score ranges do not cover ${describeGaps(overallGaps)}.` });
+  }
+  categories
+    .filter(category => (category.questions || []).some(isScorable))
+    .forEach(category => {
+      const gaps = coverageGaps(ranges.filter(r => r.category_id === category.id));
+      if (gaps.length) {
+        problems.push({
+          code: 'range_gap',
+          message: `Score ranges for "${category.title}" do not cover ${describeGaps(gaps)}.`,
+          category_id: category.id,
+        });
+      }
+    });
+
+  return problems;
+}
+
+async function urlResolves(url: string): Promise<boolean> {
+  try {
+    const resp = await fetch(url, { method: 'HEAD' });
+    return resp.ok;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Ids of questions whose image doesn't resolve: `image_path` objects missing
+ * from the public `assets` bucket, or `image_url`s that don't answer.
+ */
+export async function findMissingImages(supabase: SupabaseClient, categories: SurveyCategory[]): Promise<Set<string>> {
+  const missing = new Set<string>();
+  const questions = categories.flatMap(c => (c.questions || []) as ImageQuestion[]);
+
+  for (const q of questions) {
+    const path = q.image_path ? String(q.image_path).trim() : '';
+    const url = q.image_url ? String(q.image_url).trim() : '';
+    if (path) {
+      const ok = /^https?:\/\//i.test(path)
+        ? await urlResolves(path)
+        : !(await supabase.storage.from('assets').download(path.replace(/^assets\//, ''))).error;
+      if (!ok) missing.add(String(q.id));
+    } else if (url && !(await urlResolves(url))) {
+      missing.add(String(q.id));
+    }
+  }
+  return missing;
+}
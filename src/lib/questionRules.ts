@@ -0,0 +1,147 @@
+// src/lib/questionRules.ts
+// Required-answer and per-question validation rules. The editor stores rules in
+// questions.validation; the take page and the submission API both check answers
+// with checkAnswer() so respondents see the same messages the server returns.
+import { normalizeQuestionType } from './scoring';
+
+export type QuestionRules = {
+  min_selections?: number;   // checkbox
+  max_selections?: number;   // checkbox
+  min_length?: number;       // text, textarea
+  max_length?: number;       // text, textarea
+  pattern?: string;          // text, textarea (JS regex source, whole value)
+  pattern_message?: string;  // shown instead of the generic pattern message
+  min_value?: number;        // rating
+  max_value?: number;        // rating
+};
+
+export type RuleViolation = {
+  code: string;
+  message: string;
+};
+
+type RuleQuestion = {
+  type?: unknown;
+  required?: boolean | null | undefined;
+  validation?: unknown;
+};
+
+const NUMERIC_RULES = [
+  'min_selections',
+  'max_selections',
+  'min_length',
+  'max_length',
+  'min_value',
+  'max_value',
+] as const;
+
+function toNumber(v: unknown): number | null {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Rules arrive as jsonb, a JSON string, or loose form values from the editor.
+export function parseRules(input: unknown): QuestionRules {
+  let raw: unknown = input;
+  if (typeof raw === 'string') {
+    try { raw = JSON.parse(raw); } catch { return {}; }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+
+  const src = raw as Record<string, unknown>;
+  const rules: QuestionRules = {};
+  for (const key of NUMERIC_RULES) {
+    const n = toNumber(src[key]);
+    if (n != null) rules[key] = n;
+  }
+  if (typeof src['pattern'] === 'string' && src['pattern'].trim()) {
+    rules.pattern = src['pattern'].trim();
+  }
+  if (typeof src['pattern_message'] === 'string' && src['pattern_message'].trim()) {
+    rules.pattern_message = src['pattern_message'].trim();
+  }
+  return rules;
+}
+
+// Editor-side sanity check: returns a message for rules that can never pass.
+export function describeRuleProblem(rules: QuestionRules): string | null {
+  const pairs: Array<[number | undefined, number | undefined, string]> = [
+    [rules.min_selections, rules.max_selections, 'selections'],
+    [rules.min_length, rules.max_length, 'length'],
+    [rules.min_value, rules.max_value, 'value'],
+  ];
+  for (const [min, max, label] of pairs) {
+    if (min != null && max != null && min > max) return `Minimum ${label} is greater than the maximum.`;
+  }
+  if (rules.pattern) {
+    try { new RegExp(rules.pattern); } catch { return 'Pattern is not a valid regular expression.'; }
+  }
+  return null;
+}
+
+export function isEmptyAnswer(value: unknown): boolean {
+  if (value == null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+/**
+ * Checks one answer against its question's required flag and rules.
+ * Returns null when the answer is acceptable (including an empty answer to an
+ * optional question). Shape checks (is it a known choice, is it a number) are
+ * left to the caller.
+ */
+export function checkAnswer(question: RuleQuestion, value: unknown): RuleViolation | null {
+  if (isEmptyAnswer(value)) {
+    return question.required
+      ? { code: 'required', message: 'This question requires an answer.' }
+      : null;
+  }
+
+  const rules = parseRules(question.validation);
+  const type = normalizeQuestionType(question.type);
+
+  if (type === 'checkbox') {
+    const count = Array.isArray(value) ? value.length : 1;
+    if (rules.min_selections != null && count < rules.min_selections) {
+      return { code: 'min_selections', message: `Select at least ${rules.min_selections} option${rules.min_selections === 1 ? '' : 's'}.` };
+    }
+    if (rules.max_selections != null && count > rules.max_selections) {
+      return { code: 'max_selections', message: `Select no more than ${rules.max_selections} option${rules.max_selections === 1 ? '' : 's'}.` };
+    }
+    return null;
+  }
+
+  if (type === 'rating') {
+    const n = Number(value);
+    if (rules.min_value != null && n < rules.min_value) {
+      return { code: 'min_value', message: `Rating must be at least ${rules.min_value}.` };
+    }
+    if (rules.max_value != null && n > rules.max_value) {
+      return { code: 'max_value', message: `Rating must be no more than ${rules.max_value}.` };
+    }
+    return null;
+  }
+
+  if (type === 'text' || type === 'textarea') {
+    const text = String(value).trim();
+    if (rules.min_length != null && text.length < rules.min_length) {
+      return { code: 'min_length', message: `Answer must be at least ${rules.min_length} characters.` };
+    }
+    if (rules.max_length != null && text.length > rules.max_length) {
+      return { code: 'max_length', message: `Answer must be no more than ${rules.max_length} characters.` };
+    }
+    if (rules.pattern) {
+      let re: RegExp | null = null;
+      try { re = new RegExp(`^(?:${rules.pattern})$`); } catch { re = null; }
+      // An unparseable pattern is an authoring mistake; don't block respondents on it.
+      if (re && !re.test(text)) {
+        return { code: 'pattern', message: rules.pattern_message || 'Answer is not in the expected format.' };
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,98 @@
+// src/lib/randomization.ts
+// Per-respondent shuffling of question and option order. Everything is driven
+// by a numeric seed so a refresh or a resumed draft shows the same order; the
+// order actually shown is recorded on each answer (answers.presented_order,
+// answers.presented_choices) for order-bias analysis.
+
+export type RandomizeSettings = {
+  randomize_questions?: boolean | null;
+  randomize_options?: boolean | null;
+};
+
+type OrderQuestion = {
+  id: string;
+  display_logic?: unknown;
+};
+
+type OrderCategory<Q extends OrderQuestion> = RandomizeSettings & {
+  id: string;
+  questions: Q[];
+};
+
+export function newSeed(): number {
+  return Math.floor(Math.random() * 0x7fffffff);
+}
+
+// mulberry32: small, fast and good enough for presentation order.
+export function seededRandom(seed: number): () => number {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fisher–Yates over the unpinned items only; pinned items keep their index
+ * (e.g. "None of the above" stays last).
+ */
+export function shuffleWithPins<T>(items: T[], isPinned: (item: T) => boolean, rand: () => number): T[] {
+  const free = items.filter(item => !isPinned(item));
+  for (let j = free.length - 1; j > 0; j--) {
+    const k = Math.floor(rand() * (j + 1));
+    [free[j], free[k]] = [free[k] as T, free[j] as T];
+  }
+  let next = 0;
+  return items.map(item => (isPinned(item) ? item : (free[next++] as T)));
+}
+
+// A category setting of null/undefined inherits the survey's.
+export function effectiveSettings(survey: RandomizeSettings, category: RandomizeSettings): Required<RandomizeSettings> {
+  return {
+    randomize_questions: !!(category.randomize_questions ?? survey.randomize_questions),
+    randomize_options: !!(category.randomize_options ?? survey.randomize_options),
+  };
+}
+
+// Questions whose display rule points at a question in the same category must
+// come after it, so such categories keep their authored order.
+function hasInternalLogic(questions: OrderQuestion[]): boolean {
+  const ids = new Set(questions.map(q => String(q.id)));
+  return questions.some(q => {
+    const raw = typeof q.display_logic === 'string' ? safeParse(q.display_logic) : q.display_logic;
+    const conditions = (raw as { conditions?: Array<{ question_id?: unknown }> } | null)?.conditions || [];
+    return conditions.some(c => ids.has(String(c?.question_id)));
+  });
+}
+
+function safeParse(s: string): unknown {
+  try { return JSON.parse(s); } catch { return null; }
+}
+
+/**
+ * Question order per category for one respondent. Category order is kept;
+ * each category uses its own stream derived from the seed so editing one
+ * category doesn't reshuffle the others.
+ */
+export function orderQuestions<Q extends OrderQuestion>(
+  survey: RandomizeSettings,
+  categories: OrderCategory<Q>[],
+  seed: number
+): OrderCategory<Q>[] {
+  return categories.map((cat, idx) => {
+    const { randomize_questions } = effectiveSettings(survey, cat);
+    if (!randomize_questions || hasInternalLogic(cat.questions)) return cat;
+    const rand = seededRandom(seed + idx * 7919);
+    return { ...cat, questions: shuffleWithPins(cat.questions, () => false, rand) };
+  });
+}
+
+// Option order for one question; `pinned` labels keep their position.
+export function orderOptions(options: string[], pinned: string[], questionIndex: number, seed: number): string[] {
+  const keep = new Set(pinned.map(p => String(p).trim()));
+  const rand = seededRandom(seed + 104729 + questionIndex * 31);
+  return shuffleWithPins(options, o => keep.has(String(o).trim()), rand);
+}
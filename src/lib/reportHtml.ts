@@ -0,0 +1,528 @@
+// src/lib/reportHtml.ts
+// The PDF report as HTML. buildHtmlReport lays out the enabled template
+// sections; reportDataFromScores turns a respondent's scores into what those
+// sections show, and sampleReportData makes stand-in data for the designer
+// preview when there is no respondent to show.
+import type { Benchmarks } from './benchmarks';
+import { fillMergeFields, type MergeContext } from './mergeFields';
+import type { ReportSection, ReportTemplate } from './reportTemplates';
+import { sanitizeHtml } from './sanitizeHtml';
+import type { ScoreRange } from './scoreRanges';
+import type { Answer, Category } from './scoring';
+import { chartSvg, type ChartDatum, type ChartKind } from './svgCharts';
+
+function escapeHtml(s: string): string {
+  return s
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+function pickRange<R extends { min_score?: number; max_score?: number }>(pct: number, ranges: R[]): R | null {
+  const n = Number(pct ?? 0);
+  for (const r of ranges || []) {
+    const min = Number(r?.min_score ?? 0);
+    const max = Number(r?.max_score ?? 100);
+    if (n >= min && n <= max) return r;
+  }
+  return null;
+}
+
+// An image from the `assets` bucket, or '' when it can't be resolved.
+function assetImageHtml(
+  path: string | null | undefined,
+  alt: string,
+  style: string,
+  assetUrl: ((path: string) => string) | undefined
+): string {
+  if (!path || !assetUrl) return '';
+  const url = assetUrl(path);
+  if (!/^https?:\/\//i.test(url)) return '';
+  return `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}" style="${style}" />`;
+}
+
+// score_ranges.action_items: a JSON array of strings (or its text form).
+export function actionItemsOf(value: unknown): string[] {
+  let items = value;
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(items) ? items.map(i => String(i ?? '').trim()).filter(Boolean) : [];
+}
+
+// A band's long-form content under its description: recommendations (merge
+// fields filled, then sanitised), its image, and the action items.
+function bandDetailsHtml(
+  range: ScoreRange | null | undefined,
+  merge: MergeContext,
+  assetUrl: ((path: string) => string) | undefined
+): string {
+  if (!range) return '';
+  let html = '';
+  if (range.recommendations && range.recommendations.trim()) {
+    html += `<div style="margin-top:8px;">${sanitizeHtml(fillMergeFields(range.recommendations, merge))}</div>`;
+  }
+  const img = assetImageHtml(range.image_path, '', 'max-width:100%; max-height:240px;', assetUrl);
+  if (img) html += `<div style="margin-top:8px;">${img}</div>`;
+  const items = actionItemsOf(range.action_items);
+  if (items.length) {
+    html += `<div style="margin-top:8px; font-weight:600;">Action items</div>
+            <ul style="margin:4px 0 0 18px; padding:0;">${items.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>`;
+  }
+  return html;
+}
+
+// Custom sections from the designer. Merge fields are filled (escaped) before
+// sanitising, so neither the template nor the merged values can add markup
+// beyond what sanitizeHtml allows.
+function customSectionHtml(
+  section: ReportSection,
+  merge: MergeContext,
+  assetUrl: ((path: string) => string) | undefined
+): string {
+  switch (section.type) {
+    case 'text':
+      return `
+  <section style="margin-top:16px;">${sanitizeHtml(fillMergeFields(section.html || '', merge))}</section>`;
+
+    case 'image': {
+      const img = assetImageHtml(section.path, section.alt || '', `width:${section.width ?? 100}%; max-width:100%;`, assetUrl);
+      return img ? `
+  <section style="margin-top:16px; text-align:center;">
+    ${img}
+  </section>` : '';
+    }
+
+    case 'pageBreak':
+      return `
+  <div class="page-break" style="page-break-after: always; break-after: page;"></div>`;
+
+    default:
+      return '';
+  }
+}
+
+const pct = (n: number) => `${Math.round(Number(n))}%`;
+
+// "Higher than N%" (of the compared responses) reads better than a bare rank
+function percentileText(p: number | null | undefined): string {
+  return p == null ? '–' : `Higher than ${p}%`;
+}
+
+// The respondent's scores next to the average, median and percentile rank of
+// the responses they are compared with.
+function benchmarksHtml(
+  benchmarks: Benchmarks | null,
+  categoryPercents: Record<string, number>,
+  totalPercent: number,
+  template: ReportTemplate
+): string {
+  const heading = `<h2 style="margin:0 0 8px 0; color: ${template.branding.primaryColor};">How you compare</h2>`;
+  if (!benchmarks || !benchmarks.count) {
+    return `
+  <section style="margin-top:16px;">
+    ${heading}
+    <div style="color:#666;">Not enough responses to compare with yet.</div>
+  </section>`;
+  }
+
+  const th = `padding:8px; border:1px solid #ddd; background:#f7f7f7; color: ${template.branding.primaryColor};`;
+  const td = 'padding:8px; border:1px solid #ddd; text-align:right;';
+  const row = (name: string, own: number, b: Benchmarks['overall'], strong = false) => b ? `
+        <tr${strong ? ' style="font-weight:700;"' : ''}>
+          <td style="padding:8px; border:1px solid #ddd;">${escapeHtml(name)}</td>
+          <td style="${td} color: ${template.branding.accentColor}; font-weight:600;">${pct(own)}</td>
+          <td style="${td}">${pct(b.average)}</td>
+          <td style="${td}">${pct(b.median)}</td>
+          <td style="${td}">${percentileText(b.percentile)}</td>
+        </tr>` : '';
+
+  const rows = Object.entries(categoryPercents)
+    .map(([name, own]) => row(name, Number(own), benchmarks.categories[name] || null))
+    .join('');
+  const who = benchmarks.cohort
+    ? `respondents with ${escapeHtml(benchmarks.cohort.key)} “${escapeHtml(benchmarks.cohort.value)}”`
+    : 'all respondents';
+
+  return `
+  <section style="margin-top:16px; page-break-inside: avoid;">
+    ${heading}
+    <div style="color:#555; margin-bottom:8px;">Compared with ${who} (${benchmarks.count} completed ${benchmarks.count === 1 ? 'response' : 'responses'}).</div>
+    <table>
+      <thead>
+        <tr>
+          <th style="text-align:left; ${th}">Category</th>
+          <th style="text-align:right; ${th}">You</th>
+          <th style="text-align:right; ${th}">Average</th>
+          <th style="text-align:right; ${th}">Median</th>
+          <th style="text-align:right; ${th}">Percentile</th>
+        </tr>
+      </thead>
+      <tbody>${rows}${row('Overall', totalPercent, benchmarks.overall, true)}</tbody>
+    </table>
+  </section>`;
+}
+
+export function buildHtmlReport(params: {
+  template: ReportTemplate;
+  surveyTitle: string;
+  generatedAt: string;
+  categoryPercents: Record<string, number>;
+  totalPercent: number;
+  totalRange?: any | null;
+  categoryRangesByTitle?: Record<string, any | null>;
+  categoryBandsByTitle?: Record<string, ScoreRange[]>;
+  categoryAverages?: Record<string, number>;
+  benchmarks?: Benchmarks | null;
+  userResponses?: Record<string, string>;
+  respondentEmail?: string | null;
+  assetUrl?: (path: string) => string;    // public URL for an `assets` bucket path
+}) {
+  const {
+    template,
+    surveyTitle,
+    generatedAt,
+    categoryPercents,
+    totalPercent,
+    totalRange,
+    categoryRangesByTitle = {},
+    categoryBandsByTitle = {},
+    categoryAverages = {},
+    benchmarks = null,
+    userResponses = {},
+    respondentEmail,
+    assetUrl,
+  } = params;
+
+  const merge: MergeContext = {
+    surveyTitle,
+    respondentEmail: respondentEmail ?? null,
+    generatedAt,
+    totalPercent,
+    totalBand: totalRange?.description ?? null,
+    categoryPercents,
+    categoryBands: Object.fromEntries(
+      Object.entries(categoryRangesByTitle).map(([title, r]) => [title, r?.description ?? null])
+    ),
+  };
+
+  // Category scores as SVG, coloured by each category's score range. The
+  // radar also shows the survey average and every band of the category.
+  const chartData: ChartDatum[] = Object.entries(categoryPercents).map(([name, pct]) => ({
+    label: name,
+    percent: Number(pct),
+    color: categoryRangesByTitle[name]?.color || template.branding.accentColor,
+    average: categoryAverages[name] ?? null,
+    bands: (categoryBandsByTitle[name] || []).map(r => ({
+      min: Number(r.min_score),
+      max: Number(r.max_score),
+      color: r.color || template.branding.accentColor,
+    })),
+  }));
+  const hasAverages = chartData.some(d => d.average != null);
+  const chartSection = (kind: ChartKind, title: string) => `
+  <section style="margin-top:16px; page-break-inside: avoid;">
+    ${title ? `<h2 style="margin:0 0 16px 0; color: ${template.branding.primaryColor};">${escapeHtml(title)}</h2>` : ''}
+    ${chartData.length
+      ? chartSvg(kind, chartData, { totalPercent: Number(totalPercent), accentColor: template.branding.accentColor, textColor: template.branding.primaryColor })
+      : '<div style="text-align: center; color: #666;">No data available</div>'}
+  </section>`;
+
+  const enabledSections = template.sections.filter(s => s.enabled);
+  
+  // Build sections based on template configuration
+  let sectionsHtml = '';
+
+  enabledSections.forEach(section => {
+    if (section.type === 'chart') {
+      sectionsHtml += chartSection(section.chart || 'donut', section.title || '');
+      return;
+    }
+    if (section.type) {
+      sectionsHtml += customSectionHtml(section, merge, assetUrl);
+      return;
+    }
+
+    switch (section.key) {
+      case 'cover':
+        sectionsHtml += `
+  <section style="page-break-inside: avoid; padding: 30px 0 10px 0;">
+    <h1 style="margin:0 0 6px 0; color: ${template.branding.primaryColor};">${escapeHtml(surveyTitle)}</h1>
+    <div style="color:#555;">${escapeHtml(generatedAt)}</div>
+    ${template.branding.logoUrl ? `<img src="${escapeHtml(template.branding.logoUrl)}" alt="Logo" style="max-height: 60px; margin-top: 10px;" />` : ''}
+  </section>`;
+        break;
+
+      case 'summary':
+        const totalDesc = totalRange?.description
+          ? `<div style="margin-top:8px; padding:8px 12px; border-left:4px solid ${totalRange?.color || template.branding.accentColor}; background:#f8f9fa;">${escapeHtml(totalRange.description)}</div>`
+          : '';
+        sectionsHtml += `
+  <section style="margin-top:12px;">
+    <h2 style="margin:0 0 8px 0; color: ${template.branding.primaryColor};">Summary</h2>
+    <div style="font-size:22px; font-weight:700; color: ${template.branding.accentColor};">${Number(totalPercent).toFixed(2)}%</div>
+    ${totalDesc}
+    ${bandDetailsHtml(totalRange, merge, assetUrl)}
+  </section>`;
+        break;
+
+      case 'donutChart':
+        sectionsHtml += chartSection(section.chart || 'donut', 'Score Overview');
+        break;
+
+      case 'radarChart':
+        sectionsHtml += chartSection('radar', hasAverages ? 'Compared with the survey average' : 'Category profile');
+        break;
+
+      case 'benchmarks':
+        sectionsHtml += benchmarksHtml(benchmarks, categoryPercents, totalPercent, template);
+        break;
+
+      case 'categories':
+        const catRows = Object.entries(categoryPercents)
+          .map(([name, pct]) => {
+            return `
+        <tr>
+          <td style="padding:8px; border:1px solid #ddd;">
+            <div style="font-weight:600;">${escapeHtml(name)}</div>
+          </td>
+          <td style="padding:8px; border:1px solid #ddd; text-align:right; color: ${template.branding.accentColor}; font-weight: 600;">
+            ${Number(pct).toFixed(2)}%
+          </td>
+        </tr>`;
+          })
+          .join('');
+
+        sectionsHtml += `
+  <section style="margin-top:16px;">
+    <h2 style="margin:0 0 8px 0; color: ${template.branding.primaryColor};">Category scores</h2>
+    <table>
+      <thead>
+        <tr>
+          <th style="text-align:left; padding:8px; border:1px solid #ddd; background:#f7f7f7; color: ${template.branding.primaryColor};">Category</th>
+          <th style="text-align:right; padding:8px; border:1px solid #ddd; background:#f7f7f7; color: ${template.branding.primaryColor};">Score</th>
+        </tr>
+      </thead>
+      <tbody>${catRows}</tbody>
+    </table>
+  </section>`;
+        break;
+
+      case 'categoryText':
+        const categoryTextRows = Object.entries(categoryPercents)
+          .map(([name, pct]) => {
+            const range = categoryRangesByTitle[name] || null;
+            const desc = range?.description ? escapeHtml(range.description).replace(/\n/g, '<br>') : 'No description available';
+            const color = range?.color || template.branding.accentColor;
+            const leftBar = `border-left:4px solid ${color}; background:#f8f9fa;`;
+            return `
+        <tr>
+          <td style="padding:8px; border:1px solid #ddd;">
+            <div style="font-weight:600; color: ${template.branding.primaryColor};">${escapeHtml(name)}</div>
+            <div style="${leftBar} padding:6px 10px; margin-top:6px;">${desc}</div>
+            ${bandDetailsHtml(range, merge, assetUrl)}
+          </td>
+          <td style="padding:8px; border:1px solid #ddd; text-align:right; color: ${template.branding.accentColor}; font-weight: 600;">
+            ${Number(pct).toFixed(2)}%
+          </td>
+        </tr>`;
+          })
+          .join('');
+
+        sectionsHtml += `
+  <section style="margin-top:16px;">
+    <h2 style="margin:0 0 8px 0; color: ${template.branding.primaryColor};">Category details</h2>
+    <table>
+      <thead>
+        <tr>
+          <th style="text-align:left; padding:8px; border:1px solid #ddd; background:#f7f7f7; color: ${template.branding.primaryColor};">Category</th>
+          <th style="text-align:right; padding:8px; border:1px solid #ddd; background:#f7f7f7; color: ${template.branding.primaryColor};">Score</th>
+        </tr>
+      </thead>
+      <tbody>${categoryTextRows}</tbody>
+    </table>
+  </section>`;
+        break;
+
+      case 'responses':
+        if (userResponses && Object.keys(userResponses).length > 0) {
+          const responseRows = Object.entries(userResponses)
+            .map(([qid, val]) => {
+              const v = Array.isArray(val) ? val.join(', ') : val == null ? '' : String(val);
+              return `
+        <tr>
+          <td style="padding:8px; border:1px solid #ddd;">${escapeHtml(qid)}</td>
+          <td style="padding:8px; border:1px solid #ddd;">${escapeHtml(v)}</td>
+        </tr>`;
+            })
+            .join('');
+
+          sectionsHtml += `
+  <section style="margin-top:16px;">
+    <h2 style="margin:0 0 8px 0; color: ${template.branding.primaryColor};">Your Responses</h2>
+    <table>
+      <thead>
+        <tr>
+          <th style="text-align:left; padding:8px; border:1px solid #ddd; background:#f7f7f7; color: ${template.branding.primaryColor};">Question</th>
+          <th style="text-align:left; padding:8px; border:1px solid #ddd; background:#f7f7f7; color: ${template.branding.primaryColor};">Answer</th>
+        </tr>
+      </thead>
+      <tbody>${responseRows}</tbody>
+    </table>
+  </section>`;
+        }
+        break;
+    }
+  });
+
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(surveyTitle)} — Report</title>
+  <style>
+    body { 
+      font-family: system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; 
+      color: ${template.branding.primaryColor}; 
+      padding: 0 ${template.page.margin.left}mm ${template.page.margin.bottom}mm ${template.page.margin.left}mm; 
+    }
+    h1, h2, h3 { line-height: 1.2; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { font-size: 14px; }
+    section { page-break-inside: avoid; }
+  </style>
+</head>
+<body>
+  ${sectionsHtml}
+</body>
+</html>`;
+}
+
+export type ReportData = {
+  categoryPercents: Record<string, number>;
+  totalPercent: number;
+  totalRange: ScoreRange | null;
+  categoryRangesByTitle: Record<string, ScoreRange | null>;
+  categoryBandsByTitle: Record<string, ScoreRange[]>;   // every band, for the radar
+  categoryAverages?: Record<string, number>;            // survey-wide, when known
+  benchmarks?: Benchmarks | null;                       // respondent vs cohort (benchmarks.ts)
+  userResponses: Record<string, string>;
+};
+
+// Band text per category and overall, plus the answers table keyed by prompt.
+export function reportDataFromScores(scored: {
+  categories: Category[];
+  ranges: ScoreRange[];
+  answers: Answer[];
+  categoryPercents: Record<string, number>;
+  totalPercent: number;
+  categoryAverages?: Record<string, number>;
+}): ReportData {
+  const { categoryPercents, totalPercent } = scored;
+  const catRanges = scored.ranges.filter(r => r.category_id != null);
+  const totRanges = scored.ranges.filter(r => r.category_id == null);
+
+  const titleToId = new Map(scored.categories.map(c => [c.title, c.id]));
+  const rangesByCatId: Record<string, ScoreRange[]> = {};
+  for (const r of catRanges) {
+    const cid = r.category_id;
+    if (!cid) continue;
+    (rangesByCatId[cid] ||= []).push(r);
+  }
+
+  const categoryRangesByTitle: Record<string, ScoreRange | null> = {};
+  const categoryBandsByTitle: Record<string, ScoreRange[]> = {};
+  for (const [title, pct] of Object.entries(categoryPercents)) {
+    const cid = titleToId.get(title);
+    const ranges = cid ? rangesByCatId[cid] || [] : [];
+    categoryRangesByTitle[title] = pickRange(pct, ranges);
+    categoryBandsByTitle[title] = [...ranges].sort((a, b) => Number(a.min_score) - Number(b.min_score));
+  }
+
+  const promptById = new Map(
+    scored.categories.flatMap(c => c.questions.map(q => [String(q.id), q.prompt || String(q.id)] as const))
+  );
+  const userResponses: Record<string, string> = {};
+  for (const a of scored.answers) {
+    const v = Array.isArray(a.value) ? a.value.join(', ') : a.value == null ? '' : String(a.value);
+    userResponses[promptById.get(String(a.question_id)) || String(a.question_id)] = v;
+  }
+
+  return {
+    categoryPercents,
+    totalPercent,
+    totalRange: pickRange(totalPercent, totRanges),
+    categoryRangesByTitle,
+    categoryBandsByTitle,
+    ...(scored.categoryAverages ? { categoryAverages: scored.categoryAverages } : {}),
+    userResponses,
+  };
+}
+
+const SAMPLE_PERCENTS = [72, 45, 88, 60, 30];
+const SAMPLE_AVERAGES = [61, 58, 70, 52, 47];
+
+const SAMPLE_CATEGORIES: Category[] = ['Leadership', 'Communication', 'Strategy'].map((title, i) => ({
+  id: `sample-${i + 1}`,
+  title,
+  questions: [{ id: `sample-q${i + 1}`, prompt: `Sample question about ${title.toLowerCase()}`, choices: ['Often', 'Sometimes', 'Rarely'] }],
+}));
+
+const sampleBands = (categoryId: string | null): ScoreRange[] => [
+  { id: `${categoryId ?? 'overall'}-low`, survey_id: 'sample', category_id: categoryId, min_score: 0, max_score: 49, color: '#f59e0b', description: 'Sample band text for a lower score.', recommendations: '<p>Sample <strong>recommendations</strong> for this band.</p>', action_items: ['Sample action item'] },
+  { id: `${categoryId ?? 'overall'}-high`, survey_id: 'sample', category_id: categoryId, min_score: 50, max_score: 100, color: '#10b981', description: 'Sample band text for a higher score.' },
+];
+
+function firstChoice(choices: unknown): string {
+  return Array.isArray(choices) && choices.length ? String(choices[0]) : 'Sample answer';
+}
+
+// Made-up scores for previewing a layout. With a survey's categories and
+// ranges the preview shows its real titles and band text; without, a
+// generic three-category survey.
+export function sampleReportData(categories: Category[] = [], ranges: ScoreRange[] = []): ReportData {
+  const cats = categories.length ? categories : SAMPLE_CATEGORIES;
+  const bands = categories.length ? ranges : [null, ...cats.map(c => c.id)].flatMap(sampleBands);
+
+  const categoryPercents: Record<string, number> = {};
+  const categoryAverages: Record<string, number> = {};
+  cats.forEach((c, i) => {
+    categoryPercents[c.title] = SAMPLE_PERCENTS[i % SAMPLE_PERCENTS.length] as number;
+    categoryAverages[c.title] = SAMPLE_AVERAGES[i % SAMPLE_AVERAGES.length] as number;
+  });
+  const values = Object.values(categoryPercents);
+  const totalPercent = values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  const sampleBenchmark = (own: number, average: number) => ({
+    average,
+    median: average - 2,
+    percentile: Math.max(1, Math.min(99, Math.round(50 + (own - average) * 1.5))),
+    count: 48,
+  });
+  const averageOfAverages = Object.values(categoryAverages).reduce((sum, v) => sum + v, 0) / values.length;
+
+  return {
+    ...reportDataFromScores({
+      categories: cats,
+      ranges: bands,
+      answers: cats.flatMap(c => c.questions.map(q => ({ question_id: q.id, value: firstChoice(q.choices) }))),
+      categoryPercents,
+      totalPercent,
+      categoryAverages,
+    }),
+    benchmarks: {
+      cohort: null,
+      count: 48,
+      categories: Object.fromEntries(
+        cats.map(c => [c.title, sampleBenchmark(categoryPercents[c.title] as number, categoryAverages[c.title] as number)])
+      ),
+      overall: sampleBenchmark(totalPercent, averageOfAverages),
+    },
+  };
+}
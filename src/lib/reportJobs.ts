@@ -0,0 +1,357 @@
+// src/lib/reportJobs.ts
+// Queued PDF report generation (`report_jobs`). A request only enqueues a
+// job; the worker claims due jobs and runs the stages — render and upload,
+// then email — recording each so a failure is retried from where it stopped,
+// after an exponential backoff, until max_attempts. Clients poll the job's
+// status instead of holding a request open while Chromium runs.
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+import { getWorkerUrl } from './baseUrl';
+import { loadBenchmarks } from './benchmarks';
+import { emailLocale, formatEmailDate, normalizeReportEmail, renderReportEmail } from './emailTemplates';
+import type { MailMessage } from './mailer';
+import { createOutboxMessage, deliverOutboxMessage, getOutboxMessage } from './outbox';
+import { buildHtmlReport, reportDataFromScores } from './reportHtml';
+import { issueReportLink, linkExpiresAt } from './reportLinks';
+import { renderPdf } from './reportPdf';
+import { resolveReportTemplate } from './reportTemplates';
+import { loadRespondentScores, loadSurveyAverages } from './results';
+
+// 'unverified' jobs wait for the double opt-in link (emailVerification.ts)
+export type ReportJobStatus = 'unverified' | 'queued' | 'rendering' | 'uploaded' | 'emailed' | 'failed';
+
+export type ReportJob = {
+  id: string;
+  survey_id: string;
+  respondent_id: string;
+  email: string;
+  status: ReportJobStatus;
+  attempts: number;
+  max_attempts: number;
+  next_attempt_at: string | null;
+  locked_at: string | null;
+  file_name: string | null;
+  serve_url: string | null;
+  email_message: string | null;
+  outbox_id?: string | null;
+  verify_token?: string | null;
+  verify_expires_at?: string | null;
+  verify_sent_at?: string | null;
+  verified_at?: string | null;
+  last_error: string | null;
+  created_at?: string;
+  updated_at?: string;
+};
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// 30s, 1m, 2m, 4m … capped at an hour
+export function backoffMs(attempt: number): number {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1));
+}
+
+// Nothing more will happen to the job without a new request
+export function isJobDone(job: Pick<ReportJob, 'status' | 'next_attempt_at'>): boolean {
+  return job.status === 'emailed' || job.status === 'failed' || (job.status === 'uploaded' && !job.next_attempt_at);
+}
+
+// What the status endpoint shows; internal bookkeeping stays server-side. The
+// report link is never included: anyone with the job id can poll, and the
+// link only goes to the requested address by email.
+export function jobStatusView(job: ReportJob) {
+  return {
+    id: job.id,
+    status: job.status,
+    done: isJobDone(job),
+    attempts: job.attempts,
+    emailMessage: job.email_message,
+    error: job.status === 'failed' ? job.last_error : null,
+    nextAttemptAt: job.next_attempt_at,
+  };
+}
+
+export async function enqueueReportJob(
+  supabase: SupabaseClient,
+  input: { surveyId: string; respondentId: string; email: string }
+): Promise<ReportJob> {
+  const { data, error } = await supabase
+    .from('report_jobs')
+    .insert({ survey_id: input.surveyId, respondent_id: input.respondentId, email: input.email })
+    .select()
+    .single();
+  if (error) throw error;
+  return data as ReportJob;
+}
+
+export async function getReportJob(supabase: SupabaseClient, jobId: string): Promise<ReportJob | null> {
+  const { data, error } = await supabase.from('report_jobs').select('*').eq('id', jobId).maybeSingle();
+  if (error) throw error;
+  return (data as ReportJob) || null;
+}
+
+// The next due job (or this one, if it is due), locked for the caller.
+export async function claimReportJob(supabase: SupabaseClient, jobId?: string | null): Promise<ReportJob | null> {
+  const { data, error } = await supabase.rpc('claim_report_job', { p_job_id: jobId ?? null });
+  if (error) throw error;
+  const rows = (Array.isArray(data) ? data : data ? [data] : []) as ReportJob[];
+  return rows[0] ?? null;
+}
+
+async function updateJob(supabase: SupabaseClient, jobId: string, patch: Partial<ReportJob>): Promise<ReportJob> {
+  const { data, error } = await supabase.from('report_jobs').update(patch).eq('id', jobId).select().single();
+  if (error) throw error;
+  return data as ReportJob;
+}
+
+// Renders the respondent's report and uploads it. Missing surveys or
+// responses won't appear on a retry, so they are returned as `error` rather
+// than thrown.
+async function renderAndUpload(
+  supabase: SupabaseClient,
+  job: ReportJob,
+  baseUrl: string
+): Promise<{ fileName: string; serveUrl: string } | { error: string }> {
+  const { data: survey, error: sErr } = await supabase
+    .from('surveys')
+    .select('id, title, report_template_id, benchmark_cohort_key')
+    .eq('id', job.survey_id)
+    .maybeSingle();
+  if (sErr) throw sErr;
+  if (!survey) return { error: 'Survey not found' };
+
+  // Scored server-side against the survey version the respondent answered
+  const scored = await loadRespondentScores(supabase, job.survey_id, job.respondent_id);
+  if (!scored) return { error: 'No completed response found for this respondent' };
+
+  const template = await resolveReportTemplate(supabase, survey.report_template_id);
+  const categoryAverages = await loadSurveyAverages(supabase, job.survey_id, scored.categories);
+  const benchmarks = await loadBenchmarks(supabase, {
+    surveyId: job.survey_id,
+    categories: scored.categories,
+    categoryPercents: scored.categoryPercents,
+    totalPercent: scored.totalPercent,
+    respondentId: job.respondent_id,
+    cohortKey: survey.benchmark_cohort_key,
+  });
+
+  const html = buildHtmlReport({
+    template,
+    surveyTitle: survey.title || 'Survey',
+    generatedAt: new Date().toLocaleString(),
+    ...reportDataFromScores({ ...scored, categoryAverages }),
+    benchmarks,
+    respondentEmail: job.email,
+    assetUrl: path => supabase.storage.from('assets').getPublicUrl(path).data.publicUrl,
+  });
+  const pdfBuffer = await renderPdf(html, template);
+
+  const bucket = process.env['SUPABASE_REPORTS_BUCKET'] || 'survey-reports';
+  // Random so the object name reveals nothing; report_jobs maps it back
+  const fileName = `report-${uuidv4()}.pdf`;
+  const { error: uploadErr } = await supabase.storage
+    .from(bucket)
+    .upload(fileName, pdfBuffer, { contentType: 'application/pdf', upsert: false, cacheControl: '0' });
+  if (uploadErr) throw new Error(`PDF upload failed: ${uploadErr.message}`);
+
+  const { url: serveUrl } = await issueReportLink(supabase, baseUrl, { fileName, respondentId: job.respondent_id });
+
+  // Save the URL on the respondent, and the address once it has been confirmed
+  // (best-effort). Anyone can request a report for any address, so an
+  // unconfirmed one never replaces the respondent's email.
+  const { error: updErr } = await supabase
+    .from('respondents')
+    .update(job.verified_at ? { report_url: serveUrl, email: job.email } : { report_url: serveUrl })
+    .eq('id', job.respondent_id);
+  if (updErr) {
+    // eslint-disable-next-line no-console
+    console.warn('Could not save report_url to respondent:', updErr.message);
+  }
+
+  return { fileName, serveUrl };
+}
+
+// The survey's report email (emailTemplates.ts) for an uploaded job, with the
+// PDF attached when the survey asks for it.
+async function reportEmail(supabase: SupabaseClient, job: ReportJob): Promise<MailMessage> {
+  const { data: survey, error: sErr } = await supabase
+    .from('surveys')
+    .select('title, email_locale, report_email')
+    .eq('id', job.survey_id)
+    .maybeSingle();
+  if (sErr) throw sErr;
+  const locale = emailLocale(survey?.email_locale);
+  const settings = normalizeReportEmail(survey?.report_email);
+
+  const scored = await loadRespondentScores(supabase, job.survey_id, job.respondent_id);
+  const data = scored ? reportDataFromScores(scored) : null;
+  const expires = job.serve_url ? linkExpiresAt(job.serve_url) : null;
+  const { subject, html } = renderReportEmail(settings, locale, {
+    surveyTitle: survey?.title || 'Survey',
+    respondentEmail: job.email,
+    generatedAt: formatEmailDate(job.created_at || new Date(), locale),
+    totalPercent: data?.totalPercent ?? 0,
+    totalBand: data?.totalRange?.description ?? null,
+    categoryPercents: data?.categoryPercents ?? {},
+    categoryBands: Object.fromEntries(
+      Object.entries(data?.categoryRangesByTitle ?? {}).map(([title, r]) => [title, r?.description ?? null])
+    ),
+    reportUrl: job.serve_url,
+    reportExpires: expires ? formatEmailDate(expires, locale) : null,
+  });
+
+  if (!settings.attachPdf || !job.file_name) return { to: job.email, subject, html };
+
+  const bucket = process.env['SUPABASE_REPORTS_BUCKET'] || 'survey-reports';
+  const { data: file, error: dErr } = await supabase.storage.from(bucket).download(job.file_name);
+  if (dErr || !file) throw new Error(`Could not attach the PDF: ${dErr?.message || 'not found'}`);
+  return {
+    to: job.email,
+    subject,
+    html,
+    attachments: [{ filename: 'report.pdf', content: Buffer.from(await file.arrayBuffer()), contentType: 'application/pdf' }],
+  };
+}
+
+/**
+ * Runs the remaining stages of a claimed job and records the outcome: the
+ * next status, or a retry time (or 'failed' once attempts run out) when a
+ * stage throws.
+ */
+export async function processReportJob(supabase: SupabaseClient, claimed: ReportJob, baseUrl: string): Promise<ReportJob> {
+  let job = claimed;
+  try {
+    if (job.status === 'rendering' || !job.file_name) {
+      const rendered = await renderAndUpload(supabase, job, baseUrl);
+      if ('error' in rendered) {
+        return await updateJob(supabase, job.id, {
+          status: 'failed',
+          next_attempt_at: null,
+          locked_at: null,
+          last_error: rendered.error,
+        });
+      }
+      job = await updateJob(supabase, job.id, {
+        status: 'uploaded',
+        file_name: rendered.fileName,
+        serve_url: rendered.serveUrl,
+        last_error: null,
+      });
+    }
+
+    // Retries reuse the job's outbox row, so the log shows one message and its attempts
+    const message = await reportEmail(supabase, job);
+    let outbox = job.outbox_id ? await getOutboxMessage(supabase, job.outbox_id) : null;
+    if (!outbox) {
+      outbox = await createOutboxMessage(supabase, message, {
+        template: 'report',
+        surveyId: job.survey_id,
+        respondentId: job.respondent_id,
+        reportJobId: job.id,
+      });
+      job = await updateJob(supabase, job.id, { outbox_id: outbox.id });
+    }
+    const mail = await deliverOutboxMessage(supabase, outbox, message);
+    if (!mail.sent && !mail.skipped) throw new Error(mail.message);
+
+    return await updateJob(supabase, job.id, {
+      status: mail.sent ? 'emailed' : 'uploaded',
+      email_message: mail.message,
+      next_attempt_at: null,
+      locked_at: null,
+      last_error: null,
+    });
+  } catch (err: any) {
+    const message = err?.message || String(err);
+    // eslint-disable-next-line no-console
+    console.error(`[reportJobs] Job ${job.id} attempt ${job.attempts} failed:`, message);
+    const exhausted = job.attempts >= job.max_attempts;
+    return updateJob(supabase, job.id, {
+      // A render that didn't finish starts over; an upload only needs the email
+      status: exhausted ? 'failed' : job.status === 'rendering' ? 'queued' : job.status,
+      next_attempt_at: exhausted ? null : new Date(Date.now() + backoffMs(job.attempts)).toISOString(),
+      locked_at: null,
+      last_error: message,
+    });
+  }
+}
+
+/**
+ * Sends the respondent's latest report again, as a new outbox message with a
+ * fresh download link. A report that failed before it was uploaded is queued
+ * again from the start; one still in progress is left alone. Returns null
+ * when they never requested one.
+ */
+export async function resendReport(
+  supabase: SupabaseClient,
+  baseUrl: string,
+  respondentId: string
+): Promise<ReportJob | null> {
+  const { data, error } = await supabase
+    .from('report_jobs')
+    .select('*')
+    .eq('respondent_id', respondentId)
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  const latest = (data?.[0] as ReportJob | undefined) ?? null;
+  if (!latest) return null;
+
+  if (!latest.file_name) {
+    // Still on its way: nothing to resend yet
+    if (latest.status !== 'failed') return latest;
+    return enqueueReportJob(supabase, { surveyId: latest.survey_id, respondentId, email: latest.email });
+  }
+
+  const { url } = await issueReportLink(supabase, baseUrl, { fileName: latest.file_name, respondentId });
+  const { error: updErr } = await supabase.from('respondents').update({ report_url: url }).eq('id', respondentId);
+  if (updErr) throw updErr;
+  return updateJob(supabase, latest.id, {
+    status: 'uploaded',
+    serve_url: url,
+    outbox_id: null,
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    locked_at: null,
+    last_error: null,
+  });
+}
+
+// Claims and processes due jobs one at a time: just `jobId` when given,
+// otherwise up to `limit` of the oldest due.
+export async function runDueReportJobs(
+  supabase: SupabaseClient,
+  baseUrl: string,
+  opts: { jobId?: string | null; limit?: number } = {}
+): Promise<ReportJob[]> {
+  const limit = opts.jobId ? 1 : Math.max(1, opts.limit ?? 3);
+  const processed: ReportJob[] = [];
+  while (processed.length < limit) {
+    const job = await claimReportJob(supabase, opts.jobId);
+    if (!job) break;
+    processed.push(await processReportJob(supabase, job, baseUrl));
+  }
+  return processed;
+}
+
+// Starts the worker in its own request so the caller can answer right away.
+// The worker keeps running after this gives up waiting; if the kick is lost,
+// the next scheduled run or status poll picks the job up. The URL comes from
+// configuration only (getWorkerUrl), never from the request, since the kick
+// carries CRON_SECRET.
+export async function kickReportWorker(jobId: string): Promise<void> {
+  const secret = process.env['CRON_SECRET'];
+  try {
+    await fetch(getWorkerUrl(), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(secret ? { Authorization: `Bearer ${secret}` } : {}),
+      },
+      body: JSON.stringify({ jobId }),
+      signal: AbortSignal.timeout(1500),
+    });
+  } catch {
+    // Timed out or unreachable: the job stays queued
+  }
+}
@@ -0,0 +1,151 @@
+// src/lib/reportLinks.ts
+// Signed, expiring download links for stored PDF reports. A link carries
+// `token=<payload>.<signature>`: the payload names the file, the respondent's
+// link version and an expiry; the HMAC also covers the respondent id, which is
+// looked up from the file's report job rather than put in the URL. Bumping
+// respondents.report_link_version revokes every link issued before.
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import type { SupabaseClient } from '@supabase/supabase-js';
+
+type LinkPayload = { f: string; v: number; exp: number };
+
+export type ReportLinkLookup =
+  | { state: 'valid'; fileName: string; respondentId: string }
+  | { state: 'invalid' | 'expired' | 'revoked'; fileName: null; respondentId: null };
+
+const DEFAULT_TTL_DAYS = 14;
+
+// REPORT_LINK_TTL_DAYS controls how long an emailed link keeps working.
+export function reportLinkTtlMs(): number {
+  const days = Number(process.env['REPORT_LINK_TTL_DAYS']);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_TTL_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+// REPORT_LINK_SECRET signs the links; the service role key (also server-only)
+// stands in when it isn't set.
+function linkSecret(): string {
+  const secret = process.env['REPORT_LINK_SECRET'] || process.env['SUPABASE_SERVICE_ROLE_KEY'];
+  if (!secret) throw new Error('REPORT_LINK_SECRET is not set');
+  return secret;
+}
+
+function signature(respondentId: string, encodedPayload: string): string {
+  return createHmac('sha256', linkSecret()).update(`${respondentId}.${encodedPayload}`).digest('base64url');
+}
+
+export function signReportToken(input: {
+  fileName: string;
+  respondentId: string;
+  version: number;
+  expiresAt: Date;
+}): string {
+  const payload: LinkPayload = { f: input.fileName, v: input.version, exp: Math.floor(input.expiresAt.getTime() / 1000) };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${signature(input.respondentId, encoded)}`;
+}
+
+// The payload of a well-formed token, before its signature is checked.
+function readToken(token: unknown): { encoded: string; sig: string; payload: LinkPayload } | null {
+  if (typeof token !== 'string' || token.length > 2048) return null;
+  const [encoded, sig, extra] = token.split('.');
+  if (!encoded || !sig || extra !== undefined) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (typeof payload?.f !== 'string' || !Number.isInteger(payload.v) || !Number.isFinite(payload.exp)) return null;
+    return { encoded, sig, payload };
+  } catch {
+    return null;
+  }
+}
+
+function signatureMatches(expected: string, actual: string): boolean {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+async function linkVersion(supabase: SupabaseClient, respondentId: string): Promise<number | null> {
+  const { data, error } = await supabase
+    .from('respondents')
+    .select('report_link_version')
+    .eq('id', respondentId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  return data.report_link_version ?? 1;
+}
+
+/**
+ * Checks a token against the file's owner and their current link version.
+ * Tampered or unknown tokens are 'invalid'; a valid signature past its expiry
+ * is 'expired', and one from before a revoke is 'revoked'.
+ */
+export async function lookupReportLink(supabase: SupabaseClient, token: unknown): Promise<ReportLinkLookup> {
+  const none = { fileName: null, respondentId: null } as const;
+  const read = readToken(token);
+  if (!read) return { state: 'invalid', ...none };
+
+  const { data: job, error } = await supabase
+    .from('report_jobs')
+    .select('respondent_id')
+    .eq('file_name', read.payload.f)
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  if (!job || !signatureMatches(signature(job.respondent_id, read.encoded), read.sig)) {
+    return { state: 'invalid', ...none };
+  }
+
+  if (read.payload.exp * 1000 <= Date.now()) return { state: 'expired', ...none };
+  if ((await linkVersion(supabase, job.respondent_id)) !== read.payload.v) return { state: 'revoked', ...none };
+
+  return { state: 'valid', fileName: read.payload.f, respondentId: job.respondent_id };
+}
+
+// When a link from reportLinkUrl stops working, read from its (unverified) token.
+export function linkExpiresAt(url: string): Date | null {
+  const read = readToken(new URL(url).searchParams.get('token'));
+  return read ? new Date(read.payload.exp * 1000) : null;
+}
+
+export function reportLinkUrl(baseUrl: string, token: string): string {
+  return `${baseUrl}/api/reports/serve?token=${encodeURIComponent(token)}`;
+}
+
+// A link to `fileName` under the respondent's current link version.
+export async function issueReportLink(
+  supabase: SupabaseClient,
+  baseUrl: string,
+  input: { fileName: string; respondentId: string }
+): Promise<{ url: string; expiresAt: string }> {
+  const version = (await linkVersion(supabase, input.respondentId)) ?? 1;
+  const expiresAt = new Date(Date.now() + reportLinkTtlMs());
+  const token = signReportToken({ ...input, version, expiresAt });
+  return { url: reportLinkUrl(baseUrl, token), expiresAt: expiresAt.toISOString() };
+}
+
+// Invalidates every link issued to the respondent so far; returns false when
+// the respondent doesn't exist.
+export async function revokeReportLinks(supabase: SupabaseClient, respondentId: string): Promise<boolean> {
+  const version = await linkVersion(supabase, respondentId);
+  if (version === null) return false;
+  const { error } = await supabase
+    .from('respondents')
+    .update({ report_link_version: version + 1, report_url: null })
+    .eq('id', respondentId);
+  if (error) throw error;
+  return true;
+}
+
+// The respondent's most recent uploaded report, if any.
+export async function latestReportFile(supabase: SupabaseClient, respondentId: string): Promise<string | null> {
+  const { data, error } = await supabase
+    .from('report_jobs')
+    .select('file_name, created_at')
+    .eq('respondent_id', respondentId)
+    .not('file_name', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0]?.file_name ?? null;
+}
@@ -0,0 +1,87 @@
+// src/lib/reportPdf.ts
+// Renders report HTML to a PDF with headless Chrome, sized and margined by the
+// report template. Shared by /api/reports/generate and /api/reports/preview.
+import fs from 'node:fs';
+import puppeteerCore from 'puppeteer-core';
+import chromium from '@sparticuz/chromium';
+import type { ReportTemplate } from './reportTemplates';
+
+
+function findLocalChromeExecutable(): string | null {
+  const candidates = [
+    process.env['PUPPETEER_EXECUTABLE_PATH'],
+    'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+    'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+    'C:\\Program Files\\Microsoft\\Edge\\Application\\msedge.exe',
+    '/usr/bin/google-chrome',
+    '/usr/bin/chromium',
+    '/usr/bin/chromium-browser',
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
+  ].filter(Boolean) as string[];
+
+  for (const p of candidates) {
+    try {
+      if (p && fs.existsSync(p)) return p;
+    } catch {
+      // ignore
+    }
+  }
+  return null;
+}
+
+async function launchBrowser() {
+  // 1) Local full Puppeteer (if available)
+  try {
+    const puppeteer = await import('puppeteer');
+    // eslint-disable-next-line no-console
+    console.log('[reportPdf] Using full puppeteer');
+    return await puppeteer.default.launch({
+      headless: true,
+    });
+  } catch {
+    // ignore — continue to next option
+  }
+
+  // 2) puppeteer-core + local Chrome/Edge
+  const localExe = findLocalChromeExecutable();
+  if (localExe) {
+    // eslint-disable-next-line no-console
+    console.log('[reportPdf] Using puppeteer-core with local Chrome/Edge at', localExe);
+    return await puppeteerCore.launch({
+      executablePath: localExe,
+      headless: true,
+    });
+  }
+
+  // 3) Last resort: serverless chromium
+  const executablePath = await chromium.executablePath();
+  // eslint-disable-next-line no-console
+  console.log('[reportPdf] Using @sparticuz/chromium at', executablePath);
+  return await puppeteerCore.launch({
+    args: chromium.args,
+    executablePath,
+    headless: true,
+  });
+}
+
+export async function renderPdf(html: string, template: ReportTemplate) {
+  const browser = await launchBrowser();
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'networkidle0' });
+    return await page.pdf({
+      format: template.page.size,
+      landscape: template.page.orientation === 'landscape',
+      printBackground: true,
+      margin: {
+        top: `${template.page.margin.top}mm`,
+        right: `${template.page.margin.right}mm`,
+        bottom: `${template.page.margin.bottom}mm`,
+        left: `${template.page.margin.left}mm`,
+      },
+    });
+  } finally {
+    await browser.close();
+  }
+}
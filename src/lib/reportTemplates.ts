@@ -0,0 +1,255 @@
+// src/lib/reportTemplates.ts
+// PDF report layouts saved from the report designer (`report_templates`).
+// A survey's report uses the template assigned to it (surveys.report_template_id),
+// else the template marked as the default, else DEFAULT_TEMPLATE. Stored JSON is
+// always passed through normalizeTemplate, so older or hand-edited rows still
+// render with every setting present.
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { CHART_KINDS, safeColor, type ChartKind } from './svgCharts';
+
+// Built-in sections are { key, enabled }, plus the chart kind for
+// `donutChart`. Custom sections added in the designer have a `custom-…` key
+// and a type: rich text (HTML with merge fields, sanitised when rendered), an
+// image from the `assets` bucket, a chart of the category scores, or a page
+// break.
+export type CustomSectionType = 'text' | 'image' | 'chart' | 'pageBreak';
+
+export type ReportSection = {
+  key: string;
+  enabled: boolean;
+  type?: CustomSectionType;
+  html?: string;     // text
+  path?: string;     // image: object path in the `assets` bucket
+  alt?: string;      // image
+  width?: number;    // image: % of the content width
+  chart?: ChartKind; // chart and the built-in donutChart
+  title?: string;    // chart heading
+};
+
+export type ReportTemplate = {
+  name: string;
+  page: {
+    size: 'A4' | 'Letter';
+    orientation: 'portrait' | 'landscape';
+    margin: { top: number; right: number; bottom: number; left: number }; // mm
+  };
+  branding: {
+    logoUrl: string;
+    primaryColor: string;
+    accentColor: string;
+  };
+  sections: ReportSection[];
+};
+
+export type ReportTemplateRow = {
+  id: string;
+  name: string;
+  template: unknown;
+  is_default: boolean;
+  created_at?: string;
+  updated_at?: string;
+};
+
+export const DEFAULT_TEMPLATE: ReportTemplate = {
+  name: 'Default Template',
+  page: {
+    size: 'A4',
+    orientation: 'portrait',
+    margin: { top: 18, right: 14, bottom: 18, left: 14 },
+  },
+  branding: {
+    logoUrl: '',
+    primaryColor: '#111827',
+    accentColor: '#4f46e5',
+  },
+  sections: [
+    { key: 'cover',        enabled: true },
+    { key: 'summary',      enabled: true },
+    { key: 'donutChart',   enabled: true, chart: 'donut' },
+    { key: 'radarChart',   enabled: false },
+    { key: 'benchmarks',   enabled: false },
+    { key: 'categories',   enabled: true },
+    { key: 'categoryText', enabled: true },
+    { key: 'responses',    enabled: false },
+  ],
+};
+
+const MARGIN_MAX = 50;
+const MAX_CUSTOM_SECTIONS = 50;
+const MAX_HTML_LENGTH = 20000;
+const CUSTOM_KEY = /^custom-[A-Za-z0-9_-]{1,40}$/;
+const CUSTOM_TYPES: CustomSectionType[] = ['text', 'image', 'chart', 'pageBreak'];
+
+function margin(value: unknown, fallback: number): number {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(0, Math.min(MARGIN_MAX, n)) : fallback;
+}
+
+function text(value: unknown, fallback: string): string {
+  return typeof value === 'string' ? value : fallback;
+}
+
+export function isCustomSection(section: { key?: unknown }): boolean {
+  return typeof section?.key === 'string' && CUSTOM_KEY.test(section.key);
+}
+
+// Object paths only: no URLs, no leading slash, no parent segments.
+function assetPath(value: unknown): string {
+  if (typeof value !== 'string') return '';
+  const p = value.trim();
+  return p && !p.startsWith('/') && !p.includes('..') && !/^[a-z]+:/i.test(p) ? p.slice(0, 500) : '';
+}
+
+function chartKind(value: unknown): ChartKind {
+  return CHART_KINDS.includes(value as ChartKind) ? (value as ChartKind) : 'donut';
+}
+
+function customSection(s: Record<string, any>): ReportSection | null {
+  if (!CUSTOM_TYPES.includes(s['type'])) return null;
+  const section: ReportSection = { key: s['key'], enabled: !!s['enabled'], type: s['type'] };
+  if (section.type === 'text') {
+    section.html = text(s['html'], '').slice(0, MAX_HTML_LENGTH);
+  } else if (section.type === 'image') {
+    section.path = assetPath(s['path']);
+    section.alt = text(s['alt'], '').slice(0, 300);
+    const width = Number(s['width']);
+    section.width = Number.isFinite(width) ? Math.max(10, Math.min(100, Math.round(width))) : 100;
+  } else if (section.type === 'chart') {
+    section.chart = chartKind(s['chart']);
+    section.title = text(s['title'], '').slice(0, 200);
+  }
+  return section;
+}
+
+// Fills in anything missing from DEFAULT_TEMPLATE. Sections keep their saved
+// order; custom sections are validated, unknown keys are dropped, and
+// built-in sections added since the template was saved are appended with
+// their default on/off state.
+export function normalizeTemplate(incoming: unknown): ReportTemplate {
+  if (!incoming || typeof incoming !== 'object') return DEFAULT_TEMPLATE;
+  const t = incoming as Record<string, any>;
+  const page = t['page'] && typeof t['page'] === 'object' ? t['page'] : {};
+  const m = page.margin && typeof page.margin === 'object' ? page.margin : {};
+  const branding = t['branding'] && typeof t['branding'] === 'object' ? t['branding'] : {};
+  const d = DEFAULT_TEMPLATE;
+
+  const known = new Map(d.sections.map(s => [s.key, s]));
+  const sections: ReportSection[] = [];
+  let customCount = 0;
+  for (const s of Array.isArray(t['sections']) ? t['sections'] : []) {
+    if (!s || sections.some(x => x.key === s.key)) continue;
+    if (known.has(s.key)) {
+      const section: ReportSection = { key: s.key, enabled: !!s.enabled };
+      if (s.key === 'donutChart') section.chart = chartKind(s.chart);
+      sections.push(section);
+    } else if (isCustomSection(s) && customCount < MAX_CUSTOM_SECTIONS) {
+      const custom = customSection(s);
+      if (custom) {
+        sections.push(custom);
+        customCount += 1;
+      }
+    }
+  }
+  for (const s of d.sections) {
+    if (!sections.some(x => x.key === s.key)) sections.push({ ...s });
+  }
+
+  return {
+    name: text(t['name'], d.name),
+    page: {
+      size: page.size === 'Letter' ? 'Letter' : 'A4',
+      orientation: page.orientation === 'landscape' ? 'landscape' : 'portrait',
+      margin: {
+        top: margin(m.top, d.page.margin.top),
+        right: margin(m.right, d.page.margin.right),
+        bottom: margin(m.bottom, d.page.margin.bottom),
+        left: margin(m.left, d.page.margin.left),
+      },
+    },
+    branding: {
+      logoUrl: text(branding.logoUrl, d.branding.logoUrl),
+      // Both end up in style attributes (reportHtml.ts).
+      primaryColor: safeColor(text(branding.primaryColor, d.branding.primaryColor), d.branding.primaryColor),
+      accentColor: safeColor(text(branding.accentColor, d.branding.accentColor), d.branding.accentColor),
+    },
+    sections,
+  };
+}
+
+function fromRow(row: ReportTemplateRow): ReportTemplate {
+  return { ...normalizeTemplate(row.template), name: row.name };
+}
+
+export async function listReportTemplates(supabase: SupabaseClient): Promise<ReportTemplateRow[]> {
+  const { data, error } = await supabase
+    .from('report_templates')
+    .select('id, name, template, is_default, created_at, updated_at')
+    .order('name', { ascending: true });
+  if (error) throw error;
+  return (data || []) as ReportTemplateRow[];
+}
+
+export async function getReportTemplate(
+  supabase: SupabaseClient,
+  templateId: string
+): Promise<ReportTemplateRow | null> {
+  const { data, error } = await supabase
+    .from('report_templates')
+    .select('id, name, template, is_default, created_at, updated_at')
+    .eq('id', templateId)
+    .maybeSingle();
+  if (error) throw error;
+  return (data as ReportTemplateRow) || null;
+}
+
+// The layout a survey's reports are rendered with: its assigned template,
+// else the default template, else the built-in layout.
+export async function resolveReportTemplate(
+  supabase: SupabaseClient,
+  assignedTemplateId: string | null | undefined
+): Promise<ReportTemplate> {
+  if (assignedTemplateId) {
+    const assigned = await getReportTemplate(supabase, assignedTemplateId);
+    if (assigned) return fromRow(assigned);
+  }
+
+  const { data, error } = await supabase
+    .from('report_templates')
+    .select('id, name, template, is_default')
+    .eq('is_default', true)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? fromRow(data as ReportTemplateRow) : DEFAULT_TEMPLATE;
+}
+
+export type TemplateInput = {
+  name?: string;
+  template?: ReportTemplate;
+  isDefault?: boolean;
+};
+
+// Validates a create/update body from the designer. `partial` allows any
+// field to be left out (PUT); a new template needs at least a name.
+export function readTemplateInput(
+  body: unknown,
+  partial: boolean
+): { input: TemplateInput; error?: undefined } | { input?: undefined; error: string } {
+  const b = (body && typeof body === 'object' ? body : {}) as Record<string, unknown>;
+  const input: TemplateInput = {};
+
+  if (b['name'] !== undefined || !partial) {
+    const name = typeof b['name'] === 'string' ? b['name'].trim() : '';
+    if (!name) return { error: 'Template name is required' };
+    if (name.length > 200) return { error: 'Template name must be 200 characters or fewer' };
+    input.name = name;
+  }
+  if (b['template'] !== undefined) {
+    if (!b['template'] || typeof b['template'] !== 'object') return { error: 'template must be an object' };
+    input.template = normalizeTemplate(b['template']);
+  }
+  if (b['isDefault'] !== undefined) {
+    if (typeof b['isDefault'] !== 'boolean') return { error: 'isDefault must be true or false' };
+    input.isDefault = b['isDefault'];
+  }
+  return { input };
+}
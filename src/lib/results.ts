@@ -0,0 +1,158 @@
+// src/lib/results.ts
+// The stored, authoritative score for a completed response (`results` table).
+// Built once at submission time; pages and reports read it instead of rescoring.
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { computeScores, pickRange, type Answer } from './scoring';
+import type { ScoreRange } from './scoreRanges';
+import { loadSurveyStructure } from './snapshots';
+import type { SurveyCategory } from './surveyData';
+
+export type CategoryResult = {
+  category_id: string;
+  title: string;
+  score: number;
+  max: number;
+  percent: number;
+  band_id: string | null;
+};
+
+export type OverallResult = {
+  score: number;
+  max: number;
+  percent: number;
+  band_id: string | null;
+};
+
+export type ResultRow = {
+  per_category: CategoryResult[];
+  overall: OverallResult;
+  completed_count: number;
+  scorable_count: number;
+};
+
+export function buildResult(
+  categories: SurveyCategory[],
+  answers: Answer[],
+  ranges: ScoreRange[]
+): ResultRow {
+  const { totalPercent, categoryDetails } = computeScores(categories, answers);
+
+  const per_category = categoryDetails.map(d => {
+    const catRanges = ranges.filter(r => r.category_id === d.categoryId);
+    return {
+      category_id: d.categoryId,
+      title: d.title,
+      score: d.score,
+      max: d.max,
+      percent: d.percent,
+      band_id: pickRange(d.percent, catRanges)?.id ?? null,
+    };
+  });
+
+  const overallRanges = ranges.filter(r => r.category_id == null);
+
+  return {
+    per_category,
+    overall: {
+      score: Number(per_category.reduce((sum, c) => sum + c.score, 0).toFixed(4)),
+      max: per_category.reduce((sum, c) => sum + c.max, 0),
+      percent: totalPercent,
+      band_id: pickRange(totalPercent, overallRanges)?.id ?? null,
+    },
+    completed_count: categoryDetails.reduce((sum, d) => sum + d.answered, 0),
+    scorable_count: categoryDetails.reduce((sum, d) => sum + d.scorable, 0),
+  };
+}
+
+// Percent-per-title view used by the results page, charts and the PDF.
+export function resultPercents(result: Pick<ResultRow, 'per_category' | 'overall'>) {
+  const categoryPercents: Record<string, number> = {};
+  (result.per_category || []).forEach(c => (categoryPercents[c.title] = Number(c.percent)));
+  return { categoryPercents, totalPercent: Number(result.overall?.percent ?? 0) };
+}
+
+export async function loadResultForResponse(
+  supabase: SupabaseClient,
+  responseId: string
+): Promise<(ResultRow & { id: string; respondent_id: string }) | null> {
+  const { data, error } = await supabase
+    .from('results')
+    .select('*')
+    .eq('response_id', responseId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+// Scores for a respondent's latest response, read and computed server-side.
+// Uses the stored results row when there is one; older responses are rescored.
+// Categories and ranges come from the snapshot the response was taken against.
+export async function loadRespondentScores(
+  supabase: SupabaseClient,
+  surveyId: string,
+  respondentId: string
+) {
+  const { data: response, error: rErr } = await supabase
+    .from('responses')
+    .select('id, snapshot_id')
+    .eq('survey_id', surveyId)
+    .eq('respondent_id', respondentId)
+    .not('completed_at', 'is', null)   // skip unfinished drafts
+    .order('completed_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (rErr) throw rErr;
+  if (!response) return null;
+
+  const { categories, ranges, snapshotId, version } = await loadSurveyStructure(
+    supabase,
+    surveyId,
+    response.snapshot_id
+  );
+
+  const { data: answers, error: aErr } = await supabase
+    .from('answers')
+    .select('question_id, value')
+    .eq('response_id', response.id);
+  if (aErr) throw aErr;
+
+  const stored = await loadResultForResponse(supabase, response.id);
+  const { categoryPercents, totalPercent } = stored
+    ? resultPercents(stored)
+    : computeScores(categories, (answers || []) as Answer[]);
+
+  return {
+    responseId: response.id as string,
+    snapshotId,
+    version,
+    categories,
+    ranges,
+    answers: (answers || []) as Answer[],
+    categoryPercents,
+    totalPercent,
+  };
+}
+
+// Average stored percent per category over every completed response to the
+// survey, keyed by the titles in `categories`. Results are matched by
+// category id, so renamed categories still line up; categories nobody has
+// scored yet are left out. The averaging happens in the database
+// (survey_category_averages in survey_schema.sql).
+export async function loadSurveyAverages(
+  supabase: SupabaseClient,
+  surveyId: string,
+  categories: Array<{ id: string; title: string }>
+): Promise<Record<string, number>> {
+  const { data, error } = await supabase.rpc('survey_category_averages', { p_survey_id: surveyId });
+  if (error) throw error;
+
+  const byId = new Map(
+    ((data || []) as Array<{ category_id: string; average: number | string }>).map(r => [r.category_id, Number(r.average)])
+  );
+  const averages: Record<string, number> = {};
+  for (const c of categories) {
+    const average = byId.get(c.id);
+    if (average != null && Number.isFinite(average)) averages[c.title] = Number(average.toFixed(2));
+  }
+  return averages;
+}
@@ -0,0 +1,156 @@
+// src/lib/sanitizeHtml.ts
+// Allowlist sanitizer for admin-written HTML in reports: custom template
+// sections and score-range recommendations. Only simple formatting tags
+// survive; attributes are limited per tag, links and images must be http(s)
+// (links may also be mailto:), inline styles are limited to a few
+// layout/typography properties, and script-like elements are dropped together
+// with their contents. Unclosed tags are closed so a section can't swallow
+// the ones after it.
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'div', 'span', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'small',
+  'h1', 'h2', 'h3', 'h4', 'ul', 'ol', 'li', 'blockquote', 'a', 'img',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td',
+]);
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Removed along with everything inside them
+const DROP_WITH_CONTENT = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template',
+  'textarea', 'select', 'svg', 'math', 'head', 'title', 'frameset', 'frame',
+]);
+
+const GLOBAL_ATTRS = new Set(['style', 'title']);
+const TAG_ATTRS: Record<string, Set<string>> = {
+  a: new Set(['href']),
+  img: new Set(['src', 'alt', 'width', 'height']),
+  td: new Set(['colspan', 'rowspan', 'align']),
+  th: new Set(['colspan', 'rowspan', 'align']),
+  p: new Set(['align']),
+  div: new Set(['align']),
+};
+
+const STYLE_PROPS = new Set([
+  'color', 'background-color', 'text-align', 'font-size', 'font-weight', 'font-style',
+  'text-decoration', 'line-height', 'width', 'max-width', 'height',
+  'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'border', 'border-top', 'border-right', 'border-bottom', 'border-left', 'border-radius',
+  'page-break-before', 'page-break-after', 'break-before', 'break-after',
+]);
+
+const TOKEN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTR = /([^\s"'=<>`/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function escapeText(s: string): string {
+  return s.replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
+
+function escapeAttr(s: string): string {
+  return s
+    .replaceAll('&', '&amp;')
+    .replaceAll('"', '&quot;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;');
+}
+
+// Browsers decode entities in attribute values before using them, so URL
+// checks have to look at the decoded value.
+function decodeEntities(s: string): string {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|#39);?/gi, (m, e: string) => {
+    const k = e.toLowerCase();
+    if (k.startsWith('#x')) return String.fromCodePoint(parseInt(k.slice(2), 16) || 0xfffd);
+    if (k.startsWith('#')) return String.fromCodePoint(parseInt(k.slice(1), 10) || 0xfffd);
+    return ({ amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" } as Record<string, string>)[k] ?? m;
+  });
+}
+
+function safeUrl(value: string, allowMailto: boolean): string | null {
+  // eslint-disable-next-line no-control-regex
+  const v = decodeEntities(value).replace(/[\u0000- ]/g, '');
+  if (/^https?:\/\//i.test(v)) return v;
+  if (allowMailto && /^mailto:/i.test(v)) return v;
+  return null;
+}
+
+function safeStyle(value: string): string | null {
+  const decls: string[] = [];
+  for (const decl of decodeEntities(value).split(';')) {
+    const i = decl.indexOf(':');
+    if (i < 0) continue;
+    const prop = decl.slice(0, i).trim().toLowerCase();
+    const val = decl.slice(i + 1).trim();
+    if (!STYLE_PROPS.has(prop) || !val) continue;
+    if (/url\s*\(|expression\s*\(|[\\<>{}]|@import|javascript:/i.test(val)) continue;
+    decls.push(`${prop}: ${val}`);
+  }
+  return decls.length ? decls.join('; ') : null;
+}
+
+function sanitizeAttrs(tag: string, raw: string): string {
+  const allowed = TAG_ATTRS[tag];
+  let out = '';
+  for (const m of raw.matchAll(ATTR)) {
+    const name = (m[1] || '').toLowerCase();
+    if (!GLOBAL_ATTRS.has(name) && !allowed?.has(name)) continue;
+    let value: string | null = m[2] ?? m[3] ?? m[4] ?? '';
+
+    if (name === 'href') value = safeUrl(value, true);
+    else if (name === 'src') value = safeUrl(value, false);
+    else if (name === 'style') value = safeStyle(value);
+    else value = decodeEntities(value);
+
+    if (value != null) out += ` ${name}="${escapeAttr(value)}"`;
+  }
+  if (tag === 'a' && out.includes(' href=')) out += ' rel="noopener noreferrer"';
+  return out;
+}
+
+export function sanitizeHtml(html: string): string {
+  const input = String(html ?? '');
+  const open: string[] = [];
+  let out = '';
+  let last = 0;
+
+  TOKEN.lastIndex = 0;
+  let m: RegExpExecArray | null;
+  while ((m = TOKEN.exec(input))) {
+    out += escapeText(input.slice(last, m.index));
+    last = TOKEN.lastIndex;
+
+    const tagName = m[2];
+    if (!tagName) continue; // comment
+    const tag = tagName.toLowerCase();
+    const closing = m[1] === '/';
+
+    if (DROP_WITH_CONTENT.has(tag)) {
+      if (closing) continue;
+      const end = input.toLowerCase().indexOf(`</${tag}`, last);
+      if (end < 0) {
+        last = input.length;
+        break;
+      }
+      const gt = input.indexOf('>', end);
+      last = gt < 0 ? input.length : gt + 1;
+      TOKEN.lastIndex = last;
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(tag)) continue;
+
+    if (closing) {
+      const at = open.lastIndexOf(tag);
+      if (at < 0) continue;
+      while (open.length > at) out += `</${open.pop()}>`;
+      continue;
+    }
+
+    const attrs = sanitizeAttrs(tag, m[3] || '');
+    if (tag === 'img' && !attrs.includes(' src=')) continue;
+    out += `<${tag}${attrs}>`;
+    if (!VOID_TAGS.has(tag)) open.push(tag);
+  }
+  out += escapeText(input.slice(last));
+  while (open.length) out += `</${open.pop()}>`;
+  return out;
+}
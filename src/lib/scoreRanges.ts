@@ -9,6 +9,9 @@ export type ScoreRange = {
   max_score: number;
   color: string | null;
   description: string | null;
+  recommendations?: string | null;   // HTML, sanitised when the report is rendered
+  image_path?: string | null;        // object path in the `assets` bucket
+  action_items?: unknown;            // JSON array of strings
 };
 
 const supabase =
@@ -2,6 +2,7 @@
 // Pure scoring helpers that don't depend on question_options.
 // They use question.choice_scores (array) to derive per-question min/max
 // and normalize each answer to 0..1, then average to 0..100 per category.
+import { answerValueMap, visibleQuestionIds } from './displayLogic';
 
 export type Question = {
   id: string;
@@ -12,12 +13,14 @@ export type Question = {
   choices?: unknown;           // labels (array or JSON string or PG "{...}" string)
   choice_scores?: unknown;     // scores (array or JSON string or PG "{...}" string)
   max_score?: number | null;   // optional legacy
+  display_logic?: unknown;     // show-if rule, see displayLogic.ts
 };
 
 export type Category = {
   id: string;
   title: string;
   weight?: number | null;
+  display_logic?: unknown;
   questions: Question[];
 };
 
@@ -27,23 +30,42 @@ export type Answer = {
   value?: unknown;             // labels (string or array)
 };
 
+export type CategoryDetail = {
+  categoryId: string;
+  title: string;
+  score: number;               // sum of normalized (0..1) question scores, weighted
+  max: number;                 // best possible value of score
+  percent: number;
+  answered: number;            // scorable questions with an answer
+  scorable: number;            // scorable questions in the category
+};
+
 export type ComputeOpts = {
   treatMissingAsZero?: boolean;
   useQuestionWeights?: boolean;
   useCategoryWeights?: boolean;
 };
 
-export function pickRange(
+export function pickRange<R extends { min_score: number; max_score: number }>(
   percent: number,
-  ranges: Array<{ min_score: number; max_score: number; description: string; color?: string }>
-) {
+  ranges: R[]
+): R | null {
   const p = Math.round(percent);
   return ranges?.find(r => p >= r.min_score && p <= r.max_score) || null;
 }
 
 // --- Utilities ---
 
-function parseArrayish(input: unknown): string[] {
+// The survey creator saves 'single' | 'multi' | 'scale'; the editor saves
+// 'radio' | 'checkbox' | 'rating'. Everything downstream uses the editor names.
+const TYPE_ALIASES: Record<string, string> = { single: 'radio', multi: 'checkbox', scale: 'rating' };
+
+export function normalizeQuestionType(type: unknown): string {
+  const t = String(type || '').trim().toLowerCase();
+  return TYPE_ALIASES[t] || t;
+}
+
+export function parseArrayish(input: unknown): string[] {
   if (input == null) return [];
   if (Array.isArray(input)) return input.map(String);
 
@@ -107,7 +129,7 @@ function resolveRawScore(q: Question, a?: Answer): number {
   const labels = parseArrayish(q.choices);
   const scores = parseNumberArrayish(q.choice_scores);
 
-  const type = (q.type || '').toLowerCase();
+  const type = normalizeQuestionType(q.type);
 
   if (type === 'checkbox') {
     const selected = asArrayOfStrings(a.value);
@@ -169,25 +191,37 @@ export function computeScores(
   categories: Category[],
   answers: Answer[],
   opts: ComputeOpts = { treatMissingAsZero: true, useQuestionWeights: false, useCategoryWeights: false }
-): { categoryPercents: Record<string, number>; totalPercent: number } {
+): { categoryPercents: Record<string, number>; totalPercent: number; categoryDetails: CategoryDetail[] } {
   const ansMap = new Map<string, Answer>();
   answers.forEach(a => ansMap.set(a.question_id, a));
 
+  // Questions hidden by display logic are neither scored nor counted as missing
+  const visible = visibleQuestionIds(categories, answerValueMap(answers));
+
   const categoryPercents: Record<string, number> = {};
+  const categoryDetails: CategoryDetail[] = [];
   let totalAccum = 0;
   let totalWeight = 0;
 
   for (const cat of categories) {
+    const questions = (cat.questions || []).filter(q => q && visible.has(String(q.id)));
+    // A category whose questions were all skipped drops out of the total entirely
+    if (cat.questions?.length && !questions.length) continue;
+
     let catAccum = 0;
     let catWeight = 0;
+    let answered = 0;
+    let scorable = 0;
 
     const catW = opts.useCategoryWeights && typeof cat.weight === 'number' && cat.weight > 0 ? cat.weight : 1;
 
-    for (const q of cat.questions || []) {
-      if (!q || q.scorable === false) continue;
+    for (const q of questions) {
+      if (q.scorable === false) continue;
 
       const a = ansMap.get(q.id);
       const { min, max } = questionMinMax(q);
+      scorable += 1;
+      if (a) answered += 1;
 
       // If no answer and we don't want to count missing as zero, skip it
       if (!a && !opts.treatMissingAsZero) continue;
@@ -203,10 +237,19 @@ export function computeScores(
 
     const catPct = catWeight > 0 ? (catAccum / catWeight) * 100 : 0;
     categoryPercents[cat.title] = Number(catPct.toFixed(2));
+    categoryDetails.push({
+      categoryId: cat.id,
+      title: cat.title,
+      score: Number(catAccum.toFixed(4)),
+      max: catWeight,
+      percent: categoryPercents[cat.title] ?? 0,
+      answered,
+      scorable,
+    });
     totalAccum += catPct * catW;
     totalWeight += catW;
   }
 
   const totalPercent = totalWeight > 0 ? Number((totalAccum / totalWeight).toFixed(2)) : 0;
-  return { categoryPercents, totalPercent };
+  return { categoryPercents, totalPercent, categoryDetails };
 }
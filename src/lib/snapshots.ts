@@ -0,0 +1,131 @@
+// src/lib/snapshots.ts
+// Immutable copies of a survey's structure (`survey_snapshots`). Publishing
+// writes one per version; every response records the snapshot it was taken
+// against, and scoring/reporting read that snapshot rather than the live
+// tables so editing a survey never changes historic results.
+import type { SupabaseClient } from '@supabase/supabase-js';
+import type { ScoreRange } from './scoreRanges';
+import { loadScoreRanges, loadSurveyCategories, type SurveyCategory } from './surveyData';
+
+export type SnapshotSurvey = {
+  id: string;
+  title: string;
+  description?: string | null;
+  randomize_questions?: boolean | null;
+  randomize_options?: boolean | null;
+};
+
+export type SurveySnapshot = {
+  survey: SnapshotSurvey;
+  categories: SurveyCategory[];
+  score_ranges: ScoreRange[];
+};
+
+export type SnapshotRow = {
+  id: string;
+  survey_id: string;
+  version: number;
+  snapshot: SurveySnapshot;
+  created_at?: string;
+};
+
+// What scoring needs for one response: the structure plus where it came from.
+export type SurveyStructure = {
+  snapshotId: string | null;  // null: never published since versioning, read live
+  version: number | null;
+  survey: SnapshotSurvey | null;
+  categories: SurveyCategory[];
+  ranges: ScoreRange[];
+};
+
+// Reads the live survey into the shape stored in survey_snapshots.snapshot.
+export async function buildSnapshot(supabase: SupabaseClient, surveyId: string): Promise<SurveySnapshot> {
+  const { data: survey, error } = await supabase
+    .from('surveys')
+    .select('id, title, description, randomize_questions, randomize_options')
+    .eq('id', surveyId)
+    .single();
+  if (error || !survey) throw error || new Error('Survey not found');
+
+  const [categories, score_ranges] = await Promise.all([
+    loadSurveyCategories(supabase, surveyId),
+    loadScoreRanges(supabase, surveyId),
+  ]);
+
+  return { survey: survey as SnapshotSurvey, categories, score_ranges };
+}
+
+/**
+ * A survey's snapshot: the given one when `snapshotId` is set (and belongs to
+ * this survey), otherwise the latest published version.
+ */
+export async function loadSnapshot(
+  supabase: SupabaseClient,
+  surveyId: string,
+  snapshotId?: string | null
+): Promise<SnapshotRow | null> {
+  let query = supabase
+    .from('survey_snapshots')
+    .select('id, survey_id, version, snapshot, created_at')
+    .eq('survey_id', surveyId);
+  query = snapshotId
+    ? query.eq('id', snapshotId)
+    : query.order('version', { ascending: false }).limit(1);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw error;
+  return (data as SnapshotRow | null) ?? null;
+}
+
+export async function listSnapshots(supabase: SupabaseClient, surveyId: string): Promise<SnapshotRow[]> {
+  const { data, error } = await supabase
+    .from('survey_snapshots')
+    .select('id, survey_id, version, snapshot, created_at')
+    .eq('survey_id', surveyId)
+    .order('version', { ascending: false });
+  if (error) throw error;
+  return (data || []) as SnapshotRow[];
+}
+
+/**
+ * Structure to score against: the requested snapshot, else the latest one.
+ * Surveys published before versioning have no snapshot yet, so they fall
+ * back to the live tables.
+ */
+export async function loadSurveyStructure(
+  supabase: SupabaseClient,
+  surveyId: string,
+  snapshotId?: string | null
+): Promise<SurveyStructure> {
+  const row =
+    (snapshotId ? await loadSnapshot(supabase, surveyId, snapshotId) : null) ||
+    (await loadSnapshot(supabase, surveyId));
+  if (row) return structureFromSnapshot(row);
+
+  const [categories, ranges] = await Promise.all([
+    loadSurveyCategories(supabase, surveyId),
+    loadScoreRanges(supabase, surveyId),
+  ]);
+  return { snapshotId: null, version: null, survey: null, categories, ranges };
+}
+
+export function structureFromSnapshot(row: SnapshotRow): SurveyStructure {
+  return {
+    snapshotId: row.id,
+    version: row.version,
+    survey: row.snapshot?.survey ?? null,
+    categories: row.snapshot?.categories || [],
+    ranges: row.snapshot?.score_ranges || [],
+  };
+}
+
+// The {categories: {[category_id]: ranges}, total: ranges} shape the pages use.
+export function groupRanges(ranges: ScoreRange[]) {
+  const categories: Record<string, ScoreRange[]> = {};
+  const total: ScoreRange[] = [];
+  ranges.forEach(r => {
+    if (r.category_id == null) total.push(r);
+    else (categories[r.category_id] ||= []).push(r);
+  });
+  return { categories, total };
+}
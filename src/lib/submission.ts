@@ -0,0 +1,148 @@
+// src/lib/submission.ts
+// Validates a respondent's submitted answers against the survey's questions
+// before anything is written. Errors are structured so the take page can
+// point at the offending question.
+import { answerValueMap, visibleQuestionIds } from './displayLogic';
+import { checkAnswer, isEmptyAnswer } from './questionRules';
+import { normalizeQuestionType, parseArrayish } from './scoring';
+import type { SurveyCategory, SurveyQuestion } from './surveyData';
+
+export type SubmittedAnswer = {
+  question_id: string;
+  value: unknown;
+  presented_order?: number;       // 1-based position the question was shown at
+  presented_choices?: string[];   // option order shown, when options were shuffled
+};
+
+export type SubmissionError = {
+  question_id: string | null;
+  code: string;
+  message: string;
+};
+
+export type SubmissionResult = {
+  ok: boolean;
+  errors: SubmissionError[];
+  answers: SubmittedAnswer[];   // cleaned answers, safe to persist
+};
+
+const SINGLE_CHOICE_TYPES = new Set(['radio', 'select']);
+
+function checkValue(q: SurveyQuestion, value: unknown): SubmissionError | null {
+  const type = normalizeQuestionType(q.type);
+  const labels = parseArrayish(q.choices).map(l => l.trim());
+
+  if (SINGLE_CHOICE_TYPES.has(type)) {
+    if (typeof value !== 'string' || !labels.includes(value.trim())) {
+      return { question_id: q.id, code: 'invalid_choice', message: 'Answer is not one of the available choices.' };
+    }
+    return null;
+  }
+
+  if (type === 'checkbox') {
+    const picked = Array.isArray(value) ? value : [value];
+    const bad = picked.some(v => typeof v !== 'string' || !labels.includes(v.trim()));
+    if (bad) {
+      return { question_id: q.id, code: 'invalid_choice', message: 'One or more selections are not available choices.' };
+    }
+    return null;
+  }
+
+  if (type === 'rating') {
+    const n = Number(value);
+    if (!Number.isFinite(n)) {
+      return { question_id: q.id, code: 'invalid_rating', message: 'Rating must be a number.' };
+    }
+    return null;
+  }
+
+  if (typeof value !== 'string') {
+    return { question_id: q.id, code: 'invalid_text', message: 'Answer must be text.' };
+  }
+  return null;
+}
+
+// Presentation metadata is for analysis only: anything malformed is dropped
+// rather than failing the respondent's submission.
+function presentationFields(q: SurveyQuestion, entry: Record<string, unknown>) {
+  const out: Pick<SubmittedAnswer, 'presented_order' | 'presented_choices'> = {};
+  const order = entry['presented_order'];
+  if (typeof order === 'number' && Number.isInteger(order) && order >= 1) {
+    out.presented_order = order;
+  }
+  const shown = entry['presented_choices'];
+  if (Array.isArray(shown) && shown.every(v => typeof v === 'string')) {
+    const labels = parseArrayish(q.choices).map(l => l.trim());
+    const trimmed = (shown as string[]).map(v => v.trim());
+    const isPermutation = trimmed.length === labels.length && [...trimmed].sort().join('\u0000') === [...labels].sort().join('\u0000');
+    if (isPermutation) out.presented_choices = trimmed;
+  }
+  return out;
+}
+
+export function validateSubmission(categories: SurveyCategory[], input: unknown): SubmissionResult {
+  if (!Array.isArray(input)) {
+    return {
+      ok: false,
+      errors: [{ question_id: null, code: 'invalid_payload', message: 'answers must be an array.' }],
+      answers: [],
+    };
+  }
+
+  const questions = new Map<string, SurveyQuestion>();
+  categories.forEach(c => (c.questions || []).forEach(q => questions.set(String(q.id), q)));
+
+  const errors: SubmissionError[] = [];
+  const answers: SubmittedAnswer[] = [];
+  const seen = new Set<string>();
+
+  for (const entry of input) {
+    const qid = entry && typeof entry === 'object' ? (entry as any).question_id : null;
+    if (typeof qid !== 'string' || !qid) {
+      errors.push({ question_id: null, code: 'invalid_answer', message: 'Each answer needs a question_id.' });
+      continue;
+    }
+
+    const q = questions.get(qid);
+    if (!q) {
+      errors.push({ question_id: qid, code: 'unknown_question', message: 'Question does not belong to this survey.' });
+      continue;
+    }
+    if (seen.has(qid)) {
+      errors.push({ question_id: qid, code: 'duplicate_answer', message: 'Question was answered more than once.' });
+      continue;
+    }
+    seen.add(qid);
+
+    const value = (entry as any).value;
+    if (isEmptyAnswer(value)) continue;
+
+    const err = checkValue(q, value);
+    if (err) {
+      errors.push(err);
+      continue;
+    }
+    const violation = checkAnswer(q, value);
+    if (violation) {
+      errors.push({ question_id: qid, ...violation });
+      continue;
+    }
+    answers.push({ question_id: qid, value, ...presentationFields(q, entry as Record<string, unknown>) });
+  }
+
+  // Answers to questions the respondent's own answers hid (e.g. they changed
+  // an earlier answer) are dropped, and those questions can't be required.
+  const visible = visibleQuestionIds(categories, answerValueMap(answers));
+  const kept = answers.filter(a => visible.has(a.question_id));
+  const keptErrors = errors.filter(e => e.question_id == null || !questions.has(e.question_id) || visible.has(e.question_id));
+
+  // Required questions that were left out or submitted empty
+  const answered = new Set(kept.map(a => a.question_id));
+  questions.forEach((q, qid) => {
+    if (!visible.has(qid) || answered.has(qid) || keptErrors.some(e => e.question_id === qid)) return;
+    const violation = checkAnswer(q, null);
+    if (violation) keptErrors.push({ question_id: qid, ...violation });
+  });
+
+  return { ok: keptErrors.length === 0, errors: keptErrors, answers: kept };
+}
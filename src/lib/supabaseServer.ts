@@ -0,0 +1,18 @@
+// src/lib/supabaseServer.ts
+// Server-side Supabase client shared by the API routes.
+// Prefers the service role key so writes don't depend on anon-key table grants.
+import { createClient, type SupabaseClient } from '@supabase/supabase-js';
+
+let client: SupabaseClient | null = null;
+
+export function getServerSupabase(): SupabaseClient {
+  if (client) return client;
+
+  const url = process.env['NEXT_PUBLIC_SUPABASE_URL'];
+  const key =
+    process.env['SUPABASE_SERVICE_ROLE_KEY'] || process.env['NEXT_PUBLIC_SUPABASE_ANON_KEY'];
+  if (!url || !key) throw new Error('Supabase not initialised');
+
+  client = createClient(url, key);
+  return client;
+}
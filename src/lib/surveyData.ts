@@ -0,0 +1,52 @@
+// src/lib/surveyData.ts
+// Loaders that read a survey's structure into the shapes used by scoring.ts.
+import type { SupabaseClient } from '@supabase/supabase-js';
+import type { Category, Question } from './scoring';
+import type { ScoreRange } from './scoreRanges';
+
+export type SurveyQuestion = Question & {
+  category_id: string;
+  required?: boolean | null;
+  validation?: unknown;   // see questionRules.ts
+  order?: number | null;
+};
+
+export type SurveyCategory = Omit<Category, 'questions'> & {
+  order?: number | null;
+  questions: SurveyQuestion[];
+};
+
+function byOrder(a: { order?: number | null }, b: { order?: number | null }) {
+  return Number(a.order ?? 0) - Number(b.order ?? 0);
+}
+
+// Categories (ordered) with their questions (ordered) for one survey.
+export async function loadSurveyCategories(
+  supabase: SupabaseClient,
+  surveyId: string
+): Promise<SurveyCategory[]> {
+  const { data, error } = await supabase
+    .from('categories')
+    .select('*, questions(*)')
+    .eq('survey_id', surveyId)
+    .order('order', { ascending: true });
+  if (error) throw error;
+
+  return ((data || []) as SurveyCategory[])
+    .map(c => ({ ...c, questions: [...(c.questions || [])].sort(byOrder) }))
+    .sort(byOrder);
+}
+
+// All score ranges for a survey; category_id null marks the overall ranges.
+export async function loadScoreRanges(
+  supabase: SupabaseClient,
+  surveyId: string
+): Promise<ScoreRange[]> {
+  const { data, error } = await supabase
+    .from('score_ranges')
+    .select('*')
+    .eq('survey_id', surveyId)
+    .order('min_score', { ascending: true });
+  if (error) throw error;
+  return (data || []) as ScoreRange[];
+}
@@ -0,0 +1,267 @@
+// src/lib/svgCharts.ts
+// Charts for PDF reports as plain SVG strings. Chart.js needs a canvas and a
+// running page, which Puppeteer's setContent render doesn't give us, so the
+// report draws its own: a donut styled like src/components/DonutChart.js,
+// horizontal bars, and a radar that can compare against the survey average
+// and show each category's score bands. All sizes are in SVG user units; the
+// SVGs scale to the width of their container. The results and analytics pages
+// show the same radar (src/components/RadarChart.js).
+
+export type ChartKind = 'donut' | 'bar' | 'radar';
+
+export const CHART_KINDS: ChartKind[] = ['donut', 'bar', 'radar'];
+
+export type ChartBand = {
+  min: number;       // 0–100
+  max: number;
+  color: string;
+};
+
+export type ChartDatum = {
+  label: string;
+  percent: number;   // 0–100
+  color: string;     // band colour for this category
+  average?: number | null;  // radar: survey-wide average for comparison
+  bands?: ChartBand[];      // radar: the category's score ranges
+};
+
+export type ChartOptions = {
+  totalPercent?: number;   // donut centre
+  accentColor?: string;    // radar outline and fallbacks
+  textColor?: string;
+  seriesLabel?: string;    // radar legend, when there is an average
+  averageLabel?: string;
+};
+
+// Same per-slice opacity and legend markers as the on-screen DonutChart
+const OPACITY_LEVELS = [1.0, 0.7, 0.4, 0.9, 0.6];
+const PATTERN_ICONS = ['●', '◐', '○', '◑', '◒'];
+
+const FONT = 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif';
+
+function escapeXml(s: string): string {
+  return s
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+// Colours end up in attributes; anything that isn't a plain colour value is
+// replaced rather than escaped.
+export function safeColor(c: string | null | undefined, fallback: string): string {
+  return typeof c === 'string' && /^(#[0-9a-f]{3,8}|[a-z]+|rgba?\([\d\s.,%]+\))$/i.test(c.trim()) ? c.trim() : fallback;
+}
+
+function clampPercent(n: number): number {
+  const x = Number(n);
+  return Number.isFinite(x) ? Math.max(0, Math.min(100, x)) : 0;
+}
+
+function shortLabel(label: string, max: number): string {
+  return label.length > max ? `${label.substring(0, max - 3)}...` : label;
+}
+
+const r2 = (n: number) => Math.round(n * 100) / 100;
+
+function polar(cx: number, cy: number, r: number, angle: number): [number, number] {
+  // angle 0 = 12 o'clock, clockwise
+  return [r2(cx + r * Math.sin(angle)), r2(cy - r * Math.cos(angle))];
+}
+
+function annularSector(cx: number, cy: number, rOuter: number, rInner: number, start: number, end: number): string {
+  const large = end - start > Math.PI ? 1 : 0;
+  const [x1, y1] = polar(cx, cy, rOuter, start);
+  const [x2, y2] = polar(cx, cy, rOuter, end);
+  const [x3, y3] = polar(cx, cy, rInner, end);
+  const [x4, y4] = polar(cx, cy, rInner, start);
+  return `M ${x1} ${y1} A ${rOuter} ${rOuter} 0 ${large} 1 ${x2} ${y2} L ${x3} ${y3} A ${rInner} ${rInner} 0 ${large} 0 ${x4} ${y4} Z`;
+}
+
+function svgOpen(width: number, height: number, label: string): string {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" style="max-width:${width}px; display:block; margin:0 auto;" role="img" aria-label="${escapeXml(label)}" font-family="${FONT}">`;
+}
+
+/**
+ * Donut of category percentages (each slice proportional to its share of the
+ * sum, as Chart.js draws it) with the total in the middle and a legend below.
+ */
+export function donutChartSvg(data: ChartDatum[], opts: ChartOptions = {}): string {
+  const size = 300;
+  const cx = size / 2;
+  const cy = size / 2;
+  const rOuter = size * 0.45;
+  const rInner = rOuter * 0.6;
+  const text = safeColor(opts.textColor, '#111827');
+  const legendTop = size + 10;
+  const height = legendTop + data.length * 26 + 6;
+
+  const values = data.map(d => clampPercent(d.percent));
+  const sum = values.reduce((a, b) => a + b, 0);
+  const gap = data.length > 1 ? 0.02 : 0;
+
+  let slices = '';
+  if (sum <= 0) {
+    slices = `<circle cx="${cx}" cy="${cy}" r="${r2((rOuter + rInner) / 2)}" fill="none" stroke="#e5e7eb" stroke-width="${r2(rOuter - rInner)}" />`;
+  } else {
+    let angle = 0;
+    data.forEach((d, i) => {
+      const share = (values[i] as number) / sum;
+      if (share <= 0) return;
+      const color = safeColor(d.color, '#6c757d');
+      const opacity = OPACITY_LEVELS[i % OPACITY_LEVELS.length];
+      const start = angle + gap / 2;
+      // A lone full slice is drawn as two halves: an SVG arc can't close on itself
+      const end = angle + share * 2 * Math.PI - gap / 2;
+      const paths = share >= 0.999
+        ? [annularSector(cx, cy, rOuter, rInner, 0, Math.PI), annularSector(cx, cy, rOuter, rInner, Math.PI, 2 * Math.PI)]
+        : [annularSector(cx, cy, rOuter, rInner, start, end)];
+      for (const p of paths) {
+        slices += `<path d="${p}" fill="${color}" fill-opacity="${opacity}" stroke="#000" stroke-width="2" stroke-linejoin="round" />`;
+      }
+      angle += share * 2 * Math.PI;
+    });
+  }
+
+  const total = opts.totalPercent ?? (values.length ? sum / values.length : 0);
+  const centre = `
+    <text x="${cx}" y="${cy - 10}" text-anchor="middle" font-size="16" fill="#666">Total</text>
+    <text x="${cx}" y="${cy + 22}" text-anchor="middle" font-size="30" font-weight="700" fill="${text}">${Math.round(clampPercent(total))}%</text>`;
+
+  const legend = data
+    .map((d, i) => {
+      const y = legendTop + i * 26;
+      const color = safeColor(d.color, '#6c757d');
+      const opacity = OPACITY_LEVELS[i % OPACITY_LEVELS.length];
+      const icon = PATTERN_ICONS[i % PATTERN_ICONS.length];
+      return `
+    <rect x="40" y="${y}" width="18" height="18" rx="4" fill="${color}" fill-opacity="${opacity}" stroke="#000" stroke-width="1.5" />
+    <text x="66" y="${y + 14}" font-size="14" font-weight="600" fill="${text}">${icon} ${escapeXml(shortLabel(d.label, 28))} ${Math.round(clampPercent(d.percent))}%</text>`;
+    })
+    .join('');
+
+  return `${svgOpen(size, height, 'Category scores donut chart')}${slices}${centre}${legend}
+</svg>`;
+}
+
+/**
+ * One horizontal bar per category on a 0–100% scale.
+ */
+export function barChartSvg(data: ChartDatum[], opts: ChartOptions = {}): string {
+  const width = 560;
+  const labelWidth = 170;
+  const valueWidth = 56;
+  const rowHeight = 34;
+  const top = 10;
+  const trackX = labelWidth;
+  const trackWidth = width - labelWidth - valueWidth;
+  const height = top + Math.max(1, data.length) * rowHeight + 22;
+  const text = safeColor(opts.textColor, '#111827');
+
+  let grid = '';
+  for (const tick of [0, 25, 50, 75, 100]) {
+    const x = r2(trackX + (trackWidth * tick) / 100);
+    grid += `<line x1="${x}" y1="${top}" x2="${x}" y2="${height - 20}" stroke="#e5e7eb" stroke-width="1" />`;
+    grid += `<text x="${x}" y="${height - 6}" text-anchor="middle" font-size="11" fill="#6b7280">${tick}%</text>`;
+  }
+
+  const bars = data
+    .map((d, i) => {
+      const y = top + i * rowHeight;
+      const pct = clampPercent(d.percent);
+      const color = safeColor(d.color, safeColor(opts.accentColor, '#4f46e5'));
+      return `
+    <text x="${labelWidth - 10}" y="${y + rowHeight / 2 + 5}" text-anchor="end" font-size="13" fill="${text}">${escapeXml(shortLabel(d.label, 24))}</text>
+    <rect x="${trackX}" y="${y + 8}" width="${trackWidth}" height="${rowHeight - 16}" rx="4" fill="#f3f4f6" />
+    <rect x="${trackX}" y="${y + 8}" width="${r2((trackWidth * pct) / 100)}" height="${rowHeight - 16}" rx="4" fill="${color}" />
+    <text x="${width - valueWidth + 8}" y="${y + rowHeight / 2 + 5}" font-size="13" font-weight="600" fill="${text}">${Math.round(pct)}%</text>`;
+    })
+    .join('');
+
+  return `${svgOpen(width, height, 'Category scores bar chart')}${grid}${bars}
+</svg>`;
+}
+
+/**
+ * Category percentages on one axis each, with rings at 25/50/75/100%. When
+ * given, the survey average is drawn as a dashed outline and each axis is
+ * shaded by the category's bands. Needs at least three categories to form an
+ * area; with fewer it draws bars.
+ */
+export function radarChartSvg(data: ChartDatum[], opts: ChartOptions = {}): string {
+  if (data.length < 3) return barChartSvg(data, opts);
+
+  const width = 460;
+  const cx = width / 2;
+  const cy = 200;
+  const radius = 140;
+  const n = data.length;
+  const accent = safeColor(opts.accentColor, '#4f46e5');
+  const text = safeColor(opts.textColor, '#111827');
+  const hasAverage = data.some(d => d.average != null && Number.isFinite(Number(d.average)));
+  const height = hasAverage ? 430 : 400;
+  const angleOf = (i: number) => (2 * Math.PI * i) / n;
+  const at = (i: number, pct: number) => polar(cx, cy, (radius * clampPercent(pct)) / 100, angleOf(i));
+  const ring = (pct: number) => data.map((_, i) => at(i, pct).join(',')).join(' ');
+
+  let grid = '';
+  for (const pct of [25, 50, 75, 100]) {
+    grid += `<polygon points="${ring(pct)}" fill="none" stroke="#e5e7eb" stroke-width="1" />`;
+    const [, ly] = at(0, pct);
+    grid += `<text x="${cx + 4}" y="${ly - 3}" font-size="10" fill="#9ca3af">${pct}%</text>`;
+  }
+  data.forEach((_, i) => {
+    const [x, y] = at(i, 100);
+    grid += `<line x1="${cx}" y1="${cy}" x2="${x}" y2="${y}" stroke="#e5e7eb" stroke-width="1" />`;
+  });
+
+  // Each axis is shaded by the category's bands, with a tick where one starts
+  let bands = '';
+  data.forEach((d, i) => {
+    for (const b of d.bands || []) {
+      const [x1, y1] = at(i, b.min);
+      const [x2, y2] = at(i, b.max);
+      const color = safeColor(b.color, '#9ca3af');
+      bands += `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${color}" stroke-opacity="0.35" stroke-width="6" />`;
+      if (clampPercent(b.min) > 0) bands += `<circle cx="${x1}" cy="${y1}" r="2.5" fill="${color}" />`;
+    }
+  });
+
+  const average = hasAverage
+    ? `<polygon points="${data.map((d, i) => at(i, Number(d.average ?? 0)).join(',')).join(' ')}" fill="none" stroke="#6b7280" stroke-width="2" stroke-dasharray="6 4" stroke-linejoin="round" />`
+    : '';
+
+  const points = data.map((d, i) => at(i, d.percent));
+  const area = `<polygon points="${points.map(p => p.join(',')).join(' ')}" fill="${accent}" fill-opacity="0.2" stroke="${accent}" stroke-width="2" stroke-linejoin="round" />`;
+  const dots = points
+    .map(([x, y], i) => `<circle cx="${x}" cy="${y}" r="4.5" fill="${safeColor(data[i]?.color, accent)}" stroke="#fff" stroke-width="1.5" />`)
+    .join('');
+
+  const labels = data
+    .map((d, i) => {
+      const [x, y] = polar(cx, cy, radius + 18, angleOf(i));
+      const anchor = Math.abs(x - cx) < 1 ? 'middle' : x > cx ? 'start' : 'end';
+      const dy = y < cy - radius / 2 ? -2 : y > cy + radius / 2 ? 12 : 4;
+      return `<text x="${x}" y="${r2(y + dy)}" text-anchor="${anchor}" font-size="12" fill="${text}">${escapeXml(shortLabel(d.label, 22))} <tspan font-weight="600">${Math.round(clampPercent(d.percent))}%</tspan></text>`;
+    })
+    .join('');
+
+  const legendY = height - 18;
+  const legend = hasAverage
+    ? `
+    <line x1="${cx - 150}" y1="${legendY}" x2="${cx - 126}" y2="${legendY}" stroke="${accent}" stroke-width="3" />
+    <text x="${cx - 120}" y="${legendY + 4}" font-size="12" fill="${text}">${escapeXml(opts.seriesLabel || 'Your score')}</text>
+    <line x1="${cx + 10}" y1="${legendY}" x2="${cx + 34}" y2="${legendY}" stroke="#6b7280" stroke-width="2" stroke-dasharray="6 4" />
+    <text x="${cx + 40}" y="${legendY + 4}" font-size="12" fill="${text}">${escapeXml(opts.averageLabel || 'Survey average')}</text>`
+    : '';
+
+  return `${svgOpen(width, height, 'Category scores radar chart')}${grid}${bands}${average}${area}${dots}${labels}${legend}
+</svg>`;
+}
+
+export function chartSvg(kind: ChartKind, data: ChartDatum[], opts: ChartOptions = {}): string {
+  if (kind === 'bar') return barChartSvg(data, opts);
+  if (kind === 'radar') return radarChartSvg(data, opts);
+  return donutChartSvg(data, opts);
+}
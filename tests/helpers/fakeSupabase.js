@@ -0,0 +1,289 @@
+// In-memory stand-in for the parts of the Supabase client the API routes use.
+// Rows live in `tables`; writes are applied to them and recorded in `writes`.
+
+// Column defaults from docs/survey_schema.sql that the code relies on
+const COLUMN_DEFAULTS = {
+  report_jobs: () => ({
+    status: 'queued',
+    attempts: 0,
+    max_attempts: 5,
+    next_attempt_at: new Date().toISOString(),
+    locked_at: null,
+    file_name: null,
+    serve_url: null,
+    email_message: null,
+    last_error: null,
+  }),
+};
+
+function matches(row, filters) {
+  return filters.every(f => f(row));
+}
+
+function createQuery(db, table) {
+  const filters = [];
+  let op = 'select';
+  let payload = null;
+  let orderBy = null;
+  let limit = null;
+
+  const rows = () => (db.tables[table] ||= []);
+
+  const run = () => {
+    if (op === 'insert' || op === 'upsert') {
+      const list = (Array.isArray(payload) ? payload : [payload]).map(r => ({
+        id: r.id || `${table}-${rows().length + 1}`,
+        ...COLUMN_DEFAULTS[table]?.(),
+        ...r,
+      }));
+      rows().push(...list);
+      db.writes.push({ table, op, rows: list });
+      return { data: list, error: null };
+    }
+
+    let selected = rows().filter(r => matches(r, filters));
+
+    if (op === 'update') {
+      selected.forEach(r => Object.assign(r, payload));
+      db.writes.push({ table, op, rows: selected, patch: payload });
+      return { data: selected, error: null };
+    }
+    if (op === 'delete') {
+      db.tables[table] = rows().filter(r => !selected.includes(r));
+      db.writes.push({ table, op, rows: selected });
+      return { data: selected, error: null };
+    }
+
+    if (orderBy) {
+      const { col, ascending } = orderBy;
+      selected = [...selected].sort((a, b) => (a[col] > b[col] ? 1 : a[col] < b[col] ? -1 : 0) * (ascending ? 1 : -1));
+    }
+    if (limit != null) selected = selected.slice(0, limit);
+    return { data: selected, error: null, count: selected.length };
+  };
+
+  const q = {
+    select: () => q,
+    insert: p => ((op = 'insert'), (payload = p), q),
+    upsert: p => ((op = 'upsert'), (payload = p), q),
+    update: p => ((op = 'update'), (payload = p), q),
+    delete: () => ((op = 'delete'), q),
+    eq: (col, v) => (filters.push(r => r[col] === v), q),
+    neq: (col, v) => (filters.push(r => r[col] !== v), q),
+    is: (col, v) => (filters.push(r => (r[col] ?? null) === v), q),
+    not: (col, operator, v) => (filters.push(r => (r[col] ?? null) !== v), q),
+    in: (col, vs) => (filters.push(r => vs.includes(r[col])), q),
+    gt: (col, v) => (filters.push(r => r[col] > v), q),
+    gte: (col, v) => (filters.push(r => r[col] >= v), q),
+    lt: (col, v) => (filters.push(r => r[col] < v), q),
+    lte: (col, v) => (filters.push(r => r[col] <= v), q),
+    order: (col, opts = {}) => ((orderBy = { col, ascending: opts.ascending !== false }), q),
+    limit: n => ((limit = n), q),
+    single: async () => {
+      const { data } = run();
+      return data.length === 1 ? { data: data[0], error: null } : { data: null, error: { message: 'Row not found' } };
+    },
+    maybeSingle: async () => {
+      const { data } = run();
+      return { data: data[0] || null, error: null };
+    },
+    then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+  };
+  return q;
+}
+
+// claim_report_job from docs/survey_schema.sql, minus the row locking
+function claimReportJob({ p_job_id }, db) {
+  const now = Date.now();
+  const due = (db.tables.report_jobs || [])
+    .filter(j => j.next_attempt_at && new Date(j.next_attempt_at).getTime() <= now)
+    .filter(j => ['queued', 'rendering', 'uploaded'].includes(j.status))
+    .filter(j => !j.locked_at || new Date(j.locked_at).getTime() < now - 10 * 60 * 1000)
+    .filter(j => !p_job_id || j.id === p_job_id)
+    .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at));
+  const job = due[0];
+  if (!job) return { data: [], error: null };
+  Object.assign(job, {
+    status: job.status === 'queued' ? 'rendering' : job.status,
+    attempts: job.attempts + 1,
+    locked_at: new Date(now).toISOString(),
+  });
+  return { data: [{ ...job }], error: null };
+}
+
+// Completed responses to a survey joined with their results rows
+function completedResults(db, surveyId) {
+  const completed = new Set(
+    (db.tables.responses || []).filter(r => r.survey_id === surveyId && r.completed_at != null).map(r => r.id)
+  );
+  return (db.tables.results || []).filter(r => completed.has(r.response_id));
+}
+
+// survey_category_averages from docs/survey_schema.sql
+function surveyCategoryAverages({ p_survey_id }, db) {
+  const scores = {};
+  for (const row of completedResults(db, p_survey_id)) {
+    for (const c of row.per_category || []) (scores[c.category_id] ||= []).push(Number(c.percent || 0));
+  }
+  const data = Object.entries(scores).map(([category_id, values]) => ({
+    category_id,
+    average: values.reduce((a, b) => a + b, 0) / values.length,
+    responses: values.length,
+  }));
+  return { data, error: null };
+}
+
+// survey_benchmarks from docs/survey_schema.sql
+function surveyBenchmarks({ p_survey_id, p_own = {}, p_respondent_id, p_cohort_key, p_min_cohort_size = 5 }, db) {
+  const metaById = new Map((db.tables.respondents || []).map(r => [r.id, r.meta]));
+  const valueOf = (meta, plainOnly) => {
+    const v = meta?.[p_cohort_key];
+    if (v == null || (plainOnly && typeof v === 'object')) return null;
+    return (typeof v === 'object' ? JSON.stringify(v) : String(v)).trim() || null;
+  };
+  const responseById = new Map((db.tables.responses || []).map(r => [r.id, r]));
+  const inCohort = (responseId, value) => valueOf(metaById.get(responseById.get(responseId)?.respondent_id), false) === value;
+
+  let cohort = null;
+  const respondent = (db.tables.respondents || []).find(r => r.id === p_respondent_id && r.survey_id === p_survey_id);
+  if (p_cohort_key && respondent) {
+    const value = valueOf(respondent.meta, true);
+    const size = (db.tables.responses || []).filter(
+      r => r.survey_id === p_survey_id && r.completed_at != null && inCohort(r.id, value)
+    ).length;
+    if (value != null && size >= p_min_cohort_size) cohort = value;
+  }
+
+  const compared = completedResults(db, p_survey_id).filter(r => cohort == null || inCohort(r.response_id, cohort));
+  const scores = {};
+  for (const row of compared) {
+    for (const c of row.per_category || []) (scores[c.category_id] ||= []).push(Number(c.percent || 0));
+    if (row.overall?.percent != null) (scores.overall ||= []).push(Number(row.overall.percent));
+  }
+
+  const stats = {};
+  for (const [key, values] of Object.entries(scores)) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = (sorted.length - 1) / 2;
+    const own = p_own[key];
+    stats[key] = {
+      count: values.length,
+      average: values.reduce((a, b) => a + b, 0) / values.length,
+      median: (sorted[Math.floor(mid)] + sorted[Math.ceil(mid)]) / 2,
+      below: own == null ? 0 : values.filter(v => v < own).length,
+      equal: own == null ? 0 : values.filter(v => v === own).length,
+    };
+  }
+  return {
+    data: { cohort: cohort == null ? null : { key: p_cohort_key, value: cohort }, count: compared.length, scores: stats },
+    error: null,
+  };
+}
+
+// delete_survey from docs/survey_schema.sql
+function deleteSurvey({ p_survey_id }, db) {
+  const { tables } = db;
+  if (!(tables.surveys || []).some(s => s.id === p_survey_id)) return { data: false, error: null };
+  if ((tables.respondents || []).some(r => r.survey_id === p_survey_id)) {
+    return { data: null, error: { message: 'survey_has_responses' } };
+  }
+  const categoryIds = (tables.categories || []).filter(c => c.survey_id === p_survey_id).map(c => c.id);
+  for (const table of ['survey_snapshots', 'score_ranges', 'report_assets', 'categories']) {
+    if (tables[table]) tables[table] = tables[table].filter(r => r.survey_id !== p_survey_id);
+  }
+  if (tables.questions) tables.questions = tables.questions.filter(q => !categoryIds.includes(q.category_id));
+  tables.surveys = tables.surveys.filter(s => s.id !== p_survey_id);
+  return { data: true, error: null };
+}
+
+// data_subject_matches from docs/survey_schema.sql
+function dataSubjectMatches({ p_email }, db) {
+  const email = String(p_email).toLowerCase();
+  const matching = (table, col) =>
+    (db.tables[table] || []).filter(r => typeof r[col] === 'string' && r[col].toLowerCase() === email);
+  const outbox = matching('email_outbox', 'recipient');
+  const ids = [
+    ...matching('respondents', 'email').map(r => r.id),
+    ...matching('report_jobs', 'email').map(j => j.respondent_id),
+    ...outbox.map(e => e.respondent_id),
+  ].filter(id => id != null);
+  return { data: { respondent_ids: [...new Set(ids)], outbox_ids: outbox.map(e => e.id) }, error: null };
+}
+
+// Access tokens auth.getUser knows: one admin (adminAuth.ts) and one signed-in non-admin
+const ADMIN_TOKEN = 'admin-token';
+const USER_TOKEN = 'user-token';
+const AUTH_USERS = () => ({
+  [ADMIN_TOKEN]: { id: 'admin-1', email: 'admin@example.com', app_metadata: { role: 'admin' } },
+  [USER_TOKEN]: { id: 'user-1', email: 'user@example.com', app_metadata: {} },
+});
+
+function createFakeSupabase(tables = {}) {
+  const db = {
+    tables,
+    writes: [],
+    uploads: [],
+    rpcCalls: [],
+    rpcHandlers: {
+      claim_report_job: claimReportJob,
+      survey_category_averages: surveyCategoryAverages,
+      survey_benchmarks: surveyBenchmarks,
+      data_subject_matches: dataSubjectMatches,
+      delete_survey: deleteSurvey,
+    },
+    authUsers: AUTH_USERS(),
+  };
+
+  db.client = {
+    from: table => createQuery(db, table),
+    rpc: async (name, args) => {
+      db.rpcCalls.push({ name, args });
+      const fn = db.rpcHandlers[name];
+      return fn ? fn(args, db) : { data: null, error: { message: `No rpc handler for ${name}` } };
+    },
+    auth: {
+      getUser: async token => {
+        const user = db.authUsers[token];
+        return user ? { data: { user }, error: null } : { data: { user: null }, error: { message: 'invalid JWT' } };
+      },
+    },
+    storage: {
+      from: bucket => ({
+        upload: async (path, body, opts) => {
+          db.uploads.push({ bucket, path, body, opts });
+          return { data: { path }, error: null };
+        },
+        download: async path => {
+          const hit = db.uploads.find(u => u.bucket === bucket && u.path === path);
+          return hit
+            ? { data: new Blob([hit.body]), error: null }
+            : { data: null, error: { message: 'Object not found' } };
+        },
+        remove: async paths => {
+          db.uploads = db.uploads.filter(u => !(u.bucket === bucket && paths.includes(u.path)));
+          return { data: paths, error: null };
+        },
+        getPublicUrl: path => ({ data: { publicUrl: `https://assets.example/${bucket}/${path}` } }),
+      }),
+    },
+  };
+
+  return db;
+}
+
+// The server client is memoised per process, so tests hand it a proxy that
+// always talks to whichever fake the current test installed.
+function proxyClient(getDb) {
+  return {
+    from: (...args) => getDb().client.from(...args),
+    rpc: (...args) => getDb().client.rpc(...args),
+    get auth() {
+      return getDb().client.auth;
+    },
+    get storage() {
+      return getDb().client.storage;
+    },
+  };
+}
+
+module.exports = { ADMIN_TOKEN, USER_TOKEN, createFakeSupabase, proxyClient };
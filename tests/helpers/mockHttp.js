@@ -0,0 +1,66 @@
+// Minimal NextApiRequest / NextApiResponse doubles for calling route handlers directly.
+
+function createReq({ method = 'GET', body = undefined, query = {}, headers = {} } = {}) {
+  return {
+    method,
+    body,
+    query,
+    headers: { host: 'localhost:3000', ...headers },
+  };
+}
+
+function createRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    ended: false,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      res.body = payload;
+      res.ended = true;
+      return res;
+    },
+    send(payload) {
+      res.body = payload;
+      res.ended = true;
+      return res;
+    },
+    end(payload) {
+      if (payload !== undefined) res.body = payload;
+      res.ended = true;
+      return res;
+    },
+  };
+  return res;
+}
+
+// A fetch that calls route handlers in-process, keyed by path, e.g. so a
+// route that kicks /api/reports/worker runs the worker before it returns.
+function createRouteFetch(routes) {
+  return jest.fn(async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const handler = routes[pathname];
+    const res = createRes();
+    if (!handler) return { ok: false, status: 404, json: async () => ({}) };
+    await handler(
+      createReq({
+        method: init.method || 'GET',
+        headers: Object.fromEntries(Object.entries(init.headers || {}).map(([k, v]) => [k.toLowerCase(), v])),
+        query: Object.fromEntries(searchParams),
+        body: init.body ? JSON.parse(init.body) : undefined,
+      }),
+      res
+    );
+    return { ok: res.statusCode < 400, status: res.statusCode, json: async () => res.body };
+  });
+}
+
+module.exports = { createReq, createRes, createRouteFetch };
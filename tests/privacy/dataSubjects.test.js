@@ -0,0 +1,205 @@
+const { ADMIN_TOKEN, USER_TOKEN, createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const lookup = require('../../pages/api/data-subjects').default;
+const exportData = require('../../pages/api/data-subjects/export').default;
+const erase = require('../../pages/api/data-subjects/erase').default;
+
+const createMockTables = () => ({
+  surveys: [
+    { id: 's1', title: 'Leadership check' },
+    { id: 's2', title: 'Team pulse' }
+  ],
+  // q2 was a text question when r1 answered; it has since been changed, and
+  // q3 has been removed
+  questions: [
+    { id: 'q1', prompt: 'Do you delegate?', type: 'radio' },
+    { id: 'q2', prompt: 'Anything else?', type: 'radio' }
+  ],
+  survey_snapshots: [
+    {
+      id: 'sn1',
+      survey_id: 's1',
+      version: 1,
+      snapshot: {
+        survey: { id: 's1', title: 'Leadership check' },
+        categories: [
+          {
+            id: 'cat1',
+            title: 'Leadership',
+            questions: [
+              { id: 'q1', category_id: 'cat1', prompt: 'Do you delegate?', type: 'radio' },
+              { id: 'q2', category_id: 'cat1', prompt: 'Anything else?', type: 'text' },
+              { id: 'q3', category_id: 'cat1', prompt: 'How often do you meet?', type: 'dropdown' }
+            ]
+          }
+        ],
+        score_ranges: []
+      }
+    }
+  ],
+  respondents: [
+    // Asked for a report: email stored on the respondent
+    { id: 'r1', survey_id: 's1', email: 'Person@Example.com', meta: { utm_source: 'mail' }, consent: true, consent_timestamp: '2025-08-01T00:00:00Z', report_url: 'https://app/serve?token=x' },
+    // Only asked for a resume link: the address is in the outbox alone
+    { id: 'r2', survey_id: 's2', email: null, meta: null, consent: false },
+    { id: 'r3', survey_id: 's1', email: 'someone.else@example.com', meta: null, consent: true }
+  ],
+  responses: [
+    { id: 'resp1', survey_id: 's1', respondent_id: 'r1', snapshot_id: 'sn1', completed_at: '2025-08-01T00:00:00Z', resume_token: 'a'.repeat(32) },
+    { id: 'resp2', survey_id: 's2', respondent_id: 'r2', completed_at: null, resume_token: 'b'.repeat(32), draft_answers: { q2: 'Call me on 555-0100' } },
+    { id: 'resp3', survey_id: 's1', respondent_id: 'r3', snapshot_id: 'sn1', completed_at: '2025-08-02T00:00:00Z' }
+  ],
+  answers: [
+    { id: 'a1', respondent_id: 'r1', response_id: 'resp1', question_id: 'q1', value: 'Yes' },
+    { id: 'a2', respondent_id: 'r1', response_id: 'resp1', question_id: 'q2', value: 'My manager is Sam' },
+    { id: 'a3', respondent_id: 'r3', response_id: 'resp3', question_id: 'q1', value: 'No' }
+  ],
+  results: [
+    { id: 'res1', respondent_id: 'r1', response_id: 'resp1', overall: { percent: 100 } },
+    { id: 'res3', respondent_id: 'r3', response_id: 'resp3', overall: { percent: 0 } }
+  ],
+  report_jobs: [
+    { id: 'j1', survey_id: 's1', respondent_id: 'r1', email: 'person@example.com', status: 'emailed', file_name: 'report-1.pdf', verify_token: 'c'.repeat(32) },
+    { id: 'j3', survey_id: 's1', respondent_id: 'r3', email: 'someone.else@example.com', status: 'emailed', file_name: 'report-3.pdf' }
+  ],
+  email_outbox: [
+    { id: 'e1', survey_id: 's1', respondent_id: 'r1', report_job_id: 'j1', recipient: 'person@example.com', template: 'report', status: 'sent' },
+    { id: 'e2', survey_id: 's2', respondent_id: 'r2', report_job_id: null, recipient: 'PERSON@example.com', template: 'resume', status: 'sent' },
+    { id: 'e3', survey_id: 's1', respondent_id: 'r3', report_job_id: 'j3', recipient: 'someone.else@example.com', template: 'report', status: 'sent' }
+  ]
+});
+
+const call = async (handler, opts, token = ADMIN_TOKEN) => {
+  const res = createRes();
+  const headers = { 'content-type': 'application/json', ...(token && { authorization: `Bearer ${token}` }) };
+  await handler(createReq({ headers, ...opts }), res);
+  return res;
+};
+
+const ids = rows => rows.map(r => r.id);
+
+describe('Data-subject requests', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+    mockDb.current.uploads.push(
+      { bucket: 'survey-reports', path: 'report-1.pdf', body: Buffer.from('%PDF-1.4 one') },
+      { bucket: 'survey-reports', path: 'report-3.pdf', body: Buffer.from('%PDF-1.4 three') }
+    );
+  });
+
+  test('Lookup finds every respondent the address was used for, ignoring case', async () => {
+    const res = await call(lookup, { method: 'GET', query: { email: ' person@EXAMPLE.com ' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.respondents).toEqual([
+      expect.objectContaining({ respondentId: 'r1', surveyTitle: 'Leadership check', consent: true, completed: true, reports: 1 }),
+      expect.objectContaining({ respondentId: 'r2', surveyTitle: 'Team pulse', consent: false, completed: false, reports: 0 })
+    ]);
+
+    expect((await call(lookup, { method: 'GET', query: { email: 'not-an-email' } })).statusCode).toBe(400);
+    expect((await call(lookup, { method: 'GET', query: { email: 'person%@example.com' } })).body.respondents).toEqual([]);
+    expect((await call(lookup, { method: 'GET', query: { email: '*@example.com' } })).body.respondents).toEqual([]);
+  });
+
+  test('Export includes answers, results, emails and the PDFs, but no tokens', async () => {
+    const res = await call(exportData, { method: 'GET', query: { email: 'person@example.com' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="data-export-\d{4}-\d{2}-\d{2}\.json"$/);
+    const [first, second] = res.body.respondents;
+    expect(first.survey).toEqual({ id: 's1', title: 'Leadership check' });
+    expect(first.answers.map(a => [a.question, a.value])).toEqual([
+      ['Do you delegate?', 'Yes'],
+      ['Anything else?', 'My manager is Sam']
+    ]);
+    expect(ids(first.results)).toEqual(['res1']);
+    expect(ids(first.emails)).toEqual(['e1']);
+    expect(first.responses[0]).not.toHaveProperty('resume_token');
+    expect(first.reportJobs[0]).not.toHaveProperty('verify_token');
+    expect(ids(second.emails)).toEqual(['e2']);
+    expect(second.responses[0].draft_answers).toEqual({ q2: 'Call me on 555-0100' });
+    expect(res.body.files).toEqual([
+      { respondentId: 'r1', fileName: 'report-1.pdf', contentType: 'application/pdf', base64: Buffer.from('%PDF-1.4 one').toString('base64') }
+    ]);
+
+    expect((await call(exportData, { method: 'GET', query: { email: 'nobody@example.com' } })).statusCode).toBe(404);
+  });
+
+  test('Delete removes their rows and PDFs and leaves everyone else alone', async () => {
+    const res = await call(erase, { method: 'POST', body: { email: 'person@example.com', mode: 'delete' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.summary).toEqual({ respondents: 2, responses: 2, answers: 2, results: 1, reportJobs: 1, emails: 2, files: 1 });
+    const { tables, uploads } = mockDb.current;
+    expect(ids(tables.respondents)).toEqual(['r3']);
+    expect(ids(tables.responses)).toEqual(['resp3']);
+    expect(ids(tables.answers)).toEqual(['a3']);
+    expect(ids(tables.results)).toEqual(['res3']);
+    expect(ids(tables.report_jobs)).toEqual(['j3']);
+    expect(ids(tables.email_outbox)).toEqual(['e3']);
+    expect(uploads.map(u => u.path)).toEqual(['report-3.pdf']);
+
+    const again = await call(erase, { method: 'POST', body: { email: 'person@example.com', mode: 'delete' } });
+    expect(again.statusCode).toBe(404);
+  });
+
+  test('Wildcard characters in the address match only themselves', async () => {
+    const res = await call(erase, { method: 'POST', body: { email: '*@example.com', mode: 'delete' } });
+
+    expect(res.statusCode).toBe(404);
+    expect(ids(mockDb.current.tables.respondents)).toEqual(['r1', 'r2', 'r3']);
+    expect(mockDb.current.rpcCalls).toEqual([{ name: 'data_subject_matches', args: { p_email: '*@example.com' } }]);
+  });
+
+  test('Anonymise keeps scored answers and results without anything identifying', async () => {
+    mockDb.current.tables.answers.push(
+      { id: 'a4', respondent_id: 'r1', response_id: 'resp1', question_id: 'q3', value: 'Weekly' },
+      { id: 'a5', respondent_id: 'r1', response_id: 'resp1', question_id: 'q-unknown', value: 'Sam again' }
+    );
+    const res = await call(erase, { method: 'POST', body: { email: 'person@example.com', mode: 'anonymize' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.summary).toEqual({ respondents: 2, responses: 0, answers: 2, results: 0, reportJobs: 1, emails: 2, files: 1 });
+    const { tables, uploads } = mockDb.current;
+    expect(tables.respondents[0]).toEqual(expect.objectContaining({ id: 'r1', email: null, meta: null, report_url: null }));
+    // Types come from the snapshot r1 answered on: q2 was free text, q3 a
+    // dropdown since removed from the live survey, and q-unknown isn't in it
+    expect(tables.answers.map(a => [a.id, a.value])).toEqual([['a1', 'Yes'], ['a2', null], ['a3', 'No'], ['a4', 'Weekly'], ['a5', null]]);
+    expect(tables.responses[1]).toEqual(expect.objectContaining({ resume_token: null, draft_answers: null }));
+    expect(ids(tables.results)).toEqual(['res1', 'res3']);
+    expect(ids(tables.report_jobs)).toEqual(['j3']);
+    expect(ids(tables.email_outbox)).toEqual(['e3']);
+    expect(uploads.map(u => u.path)).toEqual(['report-3.pdf']);
+
+    const after = await call(lookup, { method: 'GET', query: { email: 'person@example.com' } });
+    expect(after.body.respondents).toEqual([]);
+  });
+
+  test('Only admins can look up, export or erase', async () => {
+    const statuses = [
+      (await call(lookup, { method: 'GET', query: { email: 'person@example.com' } }, null)).statusCode,
+      (await call(exportData, { method: 'GET', query: { email: 'person@example.com' } }, 'stale')).statusCode,
+      (await call(erase, { method: 'POST', body: { email: 'person@example.com', mode: 'delete' } }, USER_TOKEN)).statusCode
+    ];
+
+    expect(statuses).toEqual([401, 401, 403]);
+    expect(mockDb.current.tables.respondents).toHaveLength(3);
+    expect(mockDb.current.uploads).toHaveLength(2);
+  });
+
+  test('Erasing needs a valid address and mode', async () => {
+    expect((await call(erase, { method: 'POST', body: { email: 'person@example.com', mode: 'shred' } })).statusCode).toBe(400);
+    expect((await call(erase, { method: 'GET' })).statusCode).toBe(405);
+    expect(mockDb.current.tables.respondents).toHaveLength(3);
+  });
+});
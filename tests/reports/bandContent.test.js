@@ -0,0 +1,97 @@
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes, createRouteFetch } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+const mockRendered = [];
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+const mockBrowser = {
+  newPage: async () => ({
+    setContent: async html => mockRendered.push(html),
+    pdf: async () => Buffer.from('%PDF-1.4'),
+  }),
+  close: async () => {},
+};
+jest.mock('puppeteer', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('puppeteer-core', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('@sparticuz/chromium', () => ({ __esModule: true, default: { args: [], executablePath: async () => '' } }));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const generate = require('../../pages/api/reports/generate').default;
+const worker = require('../../pages/api/reports/worker').default;
+
+const band = (id, categoryId, extra) => ({
+  id,
+  survey_id: 's1',
+  category_id: categoryId,
+  min_score: 0,
+  max_score: 100,
+  color: '#0000aa',
+  description: `${id} description`,
+  ...extra
+});
+
+const createMockTables = () => ({
+  surveys: [{ id: 's1', title: 'Leadership check' }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Delegation',
+      order: 1,
+      questions: [{ id: 'q1', prompt: 'Do you delegate?', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 }]
+    }
+  ],
+  score_ranges: [
+    band('overall', null, { recommendations: '<p>You scored {{overall.percent}}%.</p>', action_items: '["Share the results"]' }),
+    band('delegation', 'cat1', {
+      recommendations: '<h3>Next steps</h3><img src="x" onerror="alert(1)"><p>Hand off <em>one</em> task a week.</p>',
+      image_path: 'surveys/s1/bands/delegation.png',
+      action_items: ['List recurring tasks', '  ', 'Pick <one> to delegate']
+    })
+  ],
+  respondents: [{ id: 'r1', survey_id: 's1' }],
+  responses: [{ id: 'resp1', survey_id: 's1', respondent_id: 'r1', completed_at: '2025-08-01T00:00:00Z' }],
+  answers: [{ question_id: 'q1', response_id: 'resp1', value: 'Yes' }],
+  results: [],
+  report_templates: []
+});
+
+describe('Band narrative content in reports', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+    mockRendered.length = 0;
+    global.fetch = createRouteFetch({ '/api/reports/worker': worker });
+  });
+
+  test('Recommendations, images and action items render under their band', async () => {
+    const res = createRes();
+    await generate(
+      createReq({
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: { surveyId: 's1', respondentId: 'r1', email: 'someone@example.com' }
+      }),
+      res
+    );
+
+    expect(res.statusCode).toBe(202);
+    const html = mockRendered[0];
+
+    // Overall band in the summary
+    expect(html).toContain('<p>You scored 100%.</p>');
+    expect(html).toContain('<li>Share the results</li>');
+
+    // Category band in the category details, sanitised
+    expect(html).toContain('<h3>Next steps</h3><p>Hand off <em>one</em> task a week.</p>');
+    expect(html).not.toContain('onerror');
+    expect(html).toContain('src="https://assets.example/assets/surveys/s1/bands/delegation.png"');
+    expect(html).toContain('<li>List recurring tasks</li><li>Pick &lt;one&gt; to delegate</li>');
+    expect(html.indexOf('delegation description')).toBeLessThan(html.indexOf('Next steps'));
+  });
+});
@@ -0,0 +1,129 @@
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes, createRouteFetch } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+const mockRendered = [];
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+const mockBrowser = {
+  newPage: async () => ({
+    setContent: async html => mockRendered.push(html),
+    pdf: async () => Buffer.from('%PDF-1.4'),
+  }),
+  close: async () => {},
+};
+jest.mock('puppeteer', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('puppeteer-core', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('@sparticuz/chromium', () => ({ __esModule: true, default: { args: [], executablePath: async () => '' } }));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const generate = require('../../pages/api/reports/generate').default;
+const worker = require('../../pages/api/reports/worker').default;
+const { sanitizeHtml } = require('../../src/lib/sanitizeHtml');
+const { fillMergeFields } = require('../../src/lib/mergeFields');
+const { normalizeTemplate } = require('../../src/lib/reportTemplates');
+
+const customTemplate = () => ({
+  sections: [
+    { key: 'cover', enabled: false },
+    {
+      key: 'custom-intro',
+      type: 'text',
+      enabled: true,
+      html: '<h2 onclick="x()">Hello {{respondent.email}}</h2><p>{{category.Team Work.percent}}% · {{overall.band}}</p><script>alert(1)</script>'
+    },
+    { key: 'custom-break', type: 'pageBreak', enabled: true },
+    { key: 'custom-logo', type: 'image', enabled: true, path: 'surveys/s1/report-images/a.png', alt: 'Chart', width: 50 }
+  ]
+});
+
+const createMockTables = () => ({
+  surveys: [{ id: 's1', title: 'Team check', report_template_id: 'tpl1' }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Team Work',
+      order: 1,
+      questions: [{ id: 'q1', prompt: 'Do you share?', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 }]
+    }
+  ],
+  score_ranges: [{ id: 'b1', survey_id: 's1', category_id: null, min_score: 0, max_score: 100, color: '#00aa00', description: 'Solid <foundation>' }],
+  respondents: [{ id: 'r1', survey_id: 's1' }],
+  responses: [{ id: 'resp1', survey_id: 's1', respondent_id: 'r1', completed_at: '2025-08-01T00:00:00Z' }],
+  answers: [{ question_id: 'q1', response_id: 'resp1', value: 'Yes' }],
+  results: [],
+  report_templates: [{ id: 'tpl1', name: 'Custom', is_default: false, template: customTemplate() }]
+});
+
+describe('Custom report sections', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+    mockRendered.length = 0;
+    global.fetch = createRouteFetch({ '/api/reports/worker': worker });
+  });
+
+  test('Sanitising keeps formatting and strips scripts, handlers and unsafe URLs', () => {
+    expect(sanitizeHtml('<p style="color: red; background: url(x)">Hi <b>there</b></p>')).toBe('<p style="color: red">Hi <b>there</b></p>');
+    expect(sanitizeHtml('<img src="x" onerror="alert(1)"><a href="jav&#x61;script:alert(1)">x</a>')).toBe('<a>x</a>');
+    expect(sanitizeHtml('<a href="https://example.com">ok</a>')).toBe('<a href="https://example.com" rel="noopener noreferrer">ok</a>');
+    expect(sanitizeHtml('<div><script>document.write("<p>")</script><iframe src="//x"></iframe>text')).toBe('<div>text</div>');
+    expect(sanitizeHtml('a < b </em> <!-- note --> c')).toBe('a &lt; b   c');
+  });
+
+  test('Merge fields are filled and escaped', () => {
+    const ctx = {
+      surveyTitle: 'Q&A',
+      respondentEmail: '<x@y.z>',
+      generatedAt: 'today',
+      totalPercent: 66.6,
+      totalBand: 'Good',
+      categoryPercents: { 'v1.2 Skills': 40.4 },
+      categoryBands: { 'v1.2 Skills': 'Developing' }
+    };
+
+    expect(fillMergeFields('{{survey.title}} {{ respondent.email }} {{overall.percent}} {{overall.band}}', ctx)).toBe(
+      'Q&amp;A &lt;x@y.z&gt; 67 Good'
+    );
+    expect(fillMergeFields('{{category.v1.2 Skills.percent}} {{category.v1.2 Skills.band}} [{{nope}}]', ctx)).toBe('40 Developing []');
+  });
+
+  test('Custom sections keep their place; invalid ones are dropped', () => {
+    const t = normalizeTemplate({
+      sections: [
+        { key: 'custom-a', type: 'image', enabled: true, path: 'https://evil.example/x.png', width: 500 },
+        { key: 'custom-b', type: 'video', enabled: true },
+        { key: 'summary', enabled: true }
+      ]
+    });
+
+    expect(t.sections[0]).toEqual({ key: 'custom-a', type: 'image', enabled: true, path: '', alt: '', width: 100 });
+    expect(t.sections[1].key).toBe('summary');
+    expect(t.sections.some(s => s.key === 'custom-b')).toBe(false);
+  });
+
+  test('Generated reports render custom sections with merge fields, sanitised', async () => {
+    const req = createReq({
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: { surveyId: 's1', respondentId: 'r1', email: 'me@example.com' }
+    });
+    const res = createRes();
+    await generate(req, res);
+
+    expect(res.statusCode).toBe(202);
+    const html = mockRendered[0];
+    expect(html).toContain('<h2>Hello me@example.com</h2>');
+    expect(html).toContain('<p>100% · Solid &lt;foundation&gt;</p>');
+    expect(html).not.toContain('onclick');
+    expect(html).not.toContain('alert(1)');
+    expect(html).toContain('class="page-break"');
+    expect(html).toContain('src="https://assets.example/assets/surveys/s1/report-images/a.png" alt="Chart" style="width:50%;');
+    expect(html.indexOf('Hello')).toBeLessThan(html.indexOf('class="page-break"'));
+  });
+});
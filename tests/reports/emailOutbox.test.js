@@ -0,0 +1,184 @@
+const { ADMIN_TOKEN, USER_TOKEN, createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes, createRouteFetch } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+const mockSendMail = jest.fn();
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+jest.mock('../../src/lib/mailer', () => ({ sendMail: (...args) => mockSendMail(...args) }));
+
+const mockBrowser = {
+  newPage: async () => ({ setContent: async () => {}, pdf: async () => Buffer.from('%PDF-1.4') }),
+  close: async () => {},
+};
+jest.mock('puppeteer', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('puppeteer-core', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('@sparticuz/chromium', () => ({ __esModule: true, default: { args: [], executablePath: async () => '' } }));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const generate = require('../../pages/api/reports/generate').default;
+const worker = require('../../pages/api/reports/worker').default;
+const resend = require('../../pages/api/respondents/[id]/resend-report').default;
+const emailLog = require('../../pages/api/surveys/[id]/emails').default;
+const resumeEmail = require('../../pages/api/responses/drafts/[token]/email').default;
+const { runDueReportJobs } = require('../../src/lib/reportJobs');
+
+const RESUME_TOKEN = 'a'.repeat(32);
+
+const createMockTables = () => ({
+  surveys: [{ id: 's1', title: 'Leadership check' }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Leadership',
+      order: 1,
+      questions: [{ id: 'q1', prompt: 'Do you delegate?', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 }]
+    }
+  ],
+  score_ranges: [],
+  respondents: [{ id: 'r1', survey_id: 's1' }, { id: 'r2', survey_id: 's1' }],
+  responses: [
+    { id: 'resp1', survey_id: 's1', respondent_id: 'r1', completed_at: '2025-08-01T00:00:00Z' },
+    { id: 'resp2', survey_id: 's1', respondent_id: 'r2', completed_at: null, resume_token: RESUME_TOKEN, expires_at: '2999-01-01T00:00:00Z' }
+  ],
+  answers: [{ question_id: 'q1', response_id: 'resp1', value: 'Yes' }],
+  results: [],
+  report_jobs: [],
+  email_outbox: []
+});
+
+const call = async (handler, opts) => {
+  const res = createRes();
+  await handler(createReq({ headers: { 'content-type': 'application/json' }, ...opts }), res);
+  return res;
+};
+
+const asAdmin = { authorization: `Bearer ${ADMIN_TOKEN}` };
+
+const postGenerate = () =>
+  call(generate, { method: 'POST', body: { surveyId: 's1', respondentId: 'r1', email: 'someone@example.com' } });
+
+describe('Email outbox', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+    mockSendMail.mockReset().mockResolvedValue({ sent: true, message: 'Email sent.' });
+    global.fetch = createRouteFetch({ '/api/reports/worker': worker });
+  });
+
+  test('Report emails are recorded, and retries reuse the same outbox row', async () => {
+    mockSendMail.mockResolvedValueOnce({ sent: false, message: 'Email failed: connection refused' });
+
+    await postGenerate();
+    const job = mockDb.current.tables.report_jobs[0];
+    const [row] = mockDb.current.tables.email_outbox;
+    expect(row).toEqual(
+      expect.objectContaining({
+        survey_id: 's1',
+        respondent_id: 'r1',
+        report_job_id: job.id,
+        recipient: 'someone@example.com',
+        template: 'report',
+        subject: 'Your report for Leadership check',
+        status: 'failed',
+        attempts: 1,
+        error: 'Email failed: connection refused'
+      })
+    );
+    expect(job.outbox_id).toBe(row.id);
+
+    job.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+    await runDueReportJobs(mockDb.current.client, 'http://localhost:3000');
+
+    expect(mockDb.current.tables.email_outbox).toHaveLength(1);
+    expect(row).toEqual(expect.objectContaining({ status: 'sent', attempts: 2, error: null }));
+    expect(row.sent_at).toEqual(expect.any(String));
+  });
+
+  test('Resending emails the latest report again with a fresh link as a new message', async () => {
+    await postGenerate();
+
+    const res = await call(resend, { method: 'POST', query: { id: 'r1' }, headers: { ...asAdmin, host: 'admin.internal' } });
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body.jobId).toBe(mockDb.current.tables.report_jobs[0].id);
+    expect(mockDb.current.tables.report_jobs).toHaveLength(1);
+    expect(mockDb.current.tables.report_jobs[0]).toEqual(expect.objectContaining({ status: 'emailed', attempts: 1 }));
+    expect(mockDb.current.tables.email_outbox.map(e => e.status)).toEqual(['sent', 'sent']);
+    expect(mockSendMail).toHaveBeenCalledTimes(2);
+    const { serve_url } = mockDb.current.tables.report_jobs[0];
+    expect(mockDb.current.tables.respondents[0].report_url).toBe(serve_url);
+    expect(mockSendMail.mock.calls[1][0].html).toContain(serve_url);
+    expect(serve_url).toMatch(/^http:\/\/localhost:3000\//);
+  });
+
+  test('A report that failed before upload is queued again; no request at all is 404', async () => {
+    mockDb.current.tables.report_jobs.push({
+      id: 'j-failed', survey_id: 's1', respondent_id: 'r1', email: 'someone@example.com', status: 'failed',
+      attempts: 5, max_attempts: 5, next_attempt_at: null, locked_at: null, file_name: null, created_at: '2025-08-01T00:00:00Z'
+    });
+
+    const res = await call(resend, { method: 'POST', query: { id: 'r1' }, headers: asAdmin });
+    expect(res.statusCode).toBe(202);
+    expect(res.body.jobId).not.toBe('j-failed');
+    expect(mockDb.current.tables.report_jobs.find(j => j.id === res.body.jobId).status).toBe('emailed');
+
+    expect((await call(resend, { method: 'POST', query: { id: 'r2' }, headers: asAdmin })).statusCode).toBe(404);
+    expect((await call(resend, { method: 'GET', query: { id: 'r1' }, headers: asAdmin })).statusCode).toBe(405);
+  });
+
+  test('Resume-link emails are recorded too, and the log lists a survey\'s emails', async () => {
+    mockSendMail.mockResolvedValueOnce({ sent: false, skipped: true, message: 'Email skipped: no mail transport configured.' });
+
+    const sent = await call(resumeEmail, { method: 'POST', query: { token: RESUME_TOKEN }, body: { email: 'later@example.com' } });
+    expect(sent.body).toEqual({ emailSent: false, emailMessage: 'Email skipped: no mail transport configured.' });
+
+    const log = await call(emailLog, { method: 'GET', query: { id: 's1' }, headers: asAdmin });
+    expect(log.statusCode).toBe(200);
+    expect(log.body.emails).toEqual([
+      expect.objectContaining({
+        respondentId: 'r2',
+        recipient: 'later@example.com',
+        template: 'resume',
+        subject: 'Continue Leadership check',
+        status: 'skipped',
+        attempts: 1,
+        error: 'Email skipped: no mail transport configured.'
+      })
+    ]);
+  });
+
+  test('The resume link points at the configured site, whatever the request headers say', async () => {
+    process.env.NEXT_PUBLIC_SITE_URL = 'https://surveys.example';
+    try {
+      await call(resumeEmail, {
+        method: 'POST',
+        query: { token: RESUME_TOKEN },
+        headers: { 'content-type': 'application/json', origin: 'https://attacker.example', host: 'attacker.example' },
+        body: { email: 'victim@example.com' }
+      });
+    } finally {
+      delete process.env.NEXT_PUBLIC_SITE_URL;
+    }
+
+    const [msg] = mockSendMail.mock.calls[0];
+    expect(msg.html).toContain(`https://surveys.example/surveys/take/s1?resume=${RESUME_TOKEN}`);
+    expect(msg.html).not.toContain('attacker.example');
+  });
+
+  test('Only admins can read the email log or resend reports', async () => {
+    await postGenerate();
+    const sentBefore = mockSendMail.mock.calls.length;
+
+    const log = await call(emailLog, { method: 'GET', query: { id: 's1' } });
+    const resent = await call(resend, { method: 'POST', query: { id: 'r1' }, headers: { authorization: `Bearer ${USER_TOKEN}` } });
+
+    expect([log.statusCode, resent.statusCode]).toEqual([401, 403]);
+    expect(log.body).not.toHaveProperty('emails');
+    expect(mockSendMail.mock.calls).toHaveLength(sentBefore);
+  });
+});
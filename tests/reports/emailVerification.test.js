@@ -0,0 +1,176 @@
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes, createRouteFetch } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+const mockSendMail = jest.fn();
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+jest.mock('../../src/lib/mailer', () => ({ sendMail: (...args) => mockSendMail(...args) }));
+
+const mockRenders = { count: 0 };
+const mockBrowser = {
+  newPage: async () => ({
+    setContent: async () => {},
+    pdf: async () => {
+      mockRenders.count += 1;
+      return Buffer.from('%PDF-1.4');
+    }
+  }),
+  close: async () => {},
+};
+jest.mock('puppeteer', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('puppeteer-core', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('@sparticuz/chromium', () => ({ __esModule: true, default: { args: [], executablePath: async () => '' } }));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const generate = require('../../pages/api/reports/generate').default;
+const worker = require('../../pages/api/reports/worker').default;
+const verify = require('../../pages/api/reports/verify').default;
+
+const createMockTables = require_email_verification => ({
+  surveys: [{ id: 's1', title: 'Leadership check', email_locale: 'en', require_email_verification }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Leadership',
+      order: 1,
+      questions: [{ id: 'q1', prompt: 'Do you delegate?', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 }]
+    }
+  ],
+  score_ranges: [],
+  respondents: [{ id: 'r1', survey_id: 's1' }],
+  responses: [{ id: 'resp1', survey_id: 's1', respondent_id: 'r1', completed_at: '2025-08-01T00:00:00Z' }],
+  answers: [{ question_id: 'q1', response_id: 'resp1', value: 'Yes' }],
+  results: [],
+  report_jobs: [],
+  email_outbox: []
+});
+
+const call = async (handler, opts) => {
+  const res = createRes();
+  await handler(createReq({ headers: { 'content-type': 'application/json' }, ...opts }), res);
+  return res;
+};
+
+const postGenerate = (email = 'someone@example.com') =>
+  call(generate, { method: 'POST', body: { surveyId: 's1', respondentId: 'r1', email } });
+
+describe('Email verification', () => {
+  beforeEach(() => {
+    mockRenders.count = 0;
+    mockSendMail.mockReset().mockResolvedValue({ sent: true, message: 'Email sent.' });
+    global.fetch = createRouteFetch({ '/api/reports/worker': worker });
+  });
+
+  test('Unconfirmed addresses get a verification email instead of a report', async () => {
+    mockDb.current = createFakeSupabase(createMockTables(true));
+
+    const res = await postGenerate();
+
+    expect(res.statusCode).toBe(202);
+    expect(res.body.status).toBe('unverified');
+    const [job] = mockDb.current.tables.report_jobs;
+    expect(job).toEqual(expect.objectContaining({ status: 'unverified', next_attempt_at: null }));
+    expect(job.verified_at).toBeUndefined();
+    expect(mockRenders.count).toBe(0);
+    expect(mockDb.current.tables.email_outbox).toEqual([
+      expect.objectContaining({ template: 'verify', recipient: 'someone@example.com', report_job_id: job.id, status: 'sent' })
+    ]);
+    const [msg] = mockSendMail.mock.calls[0];
+    expect(msg.subject).toBe('Confirm your email for Leadership check');
+    expect(msg.html).toContain(`/surveys/verify-email?token=${job.verify_token}`);
+
+    // Asking again straight away reuses the job without another email
+    const again = await postGenerate();
+    expect(again.body.jobId).toBe(job.id);
+    expect(mockSendMail).toHaveBeenCalledTimes(1);
+  });
+
+  test('The verification link points at the configured site, whatever the request headers say', async () => {
+    mockDb.current = createFakeSupabase(createMockTables(true));
+    process.env.NEXT_PUBLIC_SITE_URL = 'https://surveys.example';
+    try {
+      await call(generate, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', origin: 'https://attacker.example', host: 'attacker.example' },
+        body: { surveyId: 's1', respondentId: 'r1', email: 'someone@example.com' }
+      });
+    } finally {
+      delete process.env.NEXT_PUBLIC_SITE_URL;
+    }
+
+    const [job] = mockDb.current.tables.report_jobs;
+    const [msg] = mockSendMail.mock.calls[0];
+    expect(msg.html).toContain(`https://surveys.example/surveys/verify-email?token=${job.verify_token}`);
+    expect(msg.html).not.toContain('attacker.example');
+  });
+
+  test('Confirming records consent and sends the report; later requests go straight through', async () => {
+    mockDb.current = createFakeSupabase(createMockTables(true));
+    await postGenerate();
+    const [job] = mockDb.current.tables.report_jobs;
+
+    const shown = await call(verify, { method: 'GET', query: { token: job.verify_token } });
+    expect(shown.body).toEqual({ state: 'pending', email: 'someone@example.com', surveyTitle: 'Leadership check' });
+    expect(job.status).toBe('unverified');
+
+    const confirmed = await call(verify, { method: 'POST', body: { token: job.verify_token } });
+    expect(confirmed.statusCode).toBe(200);
+    expect(confirmed.body.jobId).toBe(job.id);
+    expect(job.status).toBe('emailed');
+    expect(job.verified_at).toEqual(expect.any(String));
+    expect(mockDb.current.tables.respondents[0]).toEqual(
+      expect.objectContaining({ email: 'someone@example.com', consent: true, consent_timestamp: expect.any(String) })
+    );
+
+    // Following the link twice is harmless
+    expect((await call(verify, { method: 'POST', body: { token: job.verify_token } })).statusCode).toBe(200);
+    expect(mockRenders.count).toBe(1);
+
+    const next = await postGenerate('Someone@Example.com');
+    expect(mockDb.current.tables.report_jobs.find(j => j.id === next.body.jobId).status).toBe('emailed');
+    expect(mockDb.current.tables.email_outbox.map(e => e.template)).toEqual(['verify', 'report', 'report']);
+  });
+
+  test('A new address needs confirming again and replaces the pending request', async () => {
+    mockDb.current = createFakeSupabase(createMockTables(true));
+    await postGenerate();
+    const [first] = mockDb.current.tables.report_jobs;
+
+    await postGenerate('other@example.com');
+
+    expect(first.status).toBe('failed');
+    expect(mockDb.current.tables.report_jobs[1]).toEqual(
+      expect.objectContaining({ status: 'unverified', email: 'other@example.com' })
+    );
+    expect((await call(verify, { method: 'POST', body: { token: first.verify_token } })).statusCode).toBe(410);
+  });
+
+  test('Expired links are 410 and unknown ones 404', async () => {
+    mockDb.current = createFakeSupabase(createMockTables(true));
+    await postGenerate();
+    const [job] = mockDb.current.tables.report_jobs;
+    job.verify_expires_at = new Date(Date.now() - 1000).toISOString();
+
+    expect((await call(verify, { method: 'POST', body: { token: job.verify_token } })).statusCode).toBe(410);
+    expect(job.status).toBe('unverified');
+    expect((await call(verify, { method: 'GET', query: { token: 'b'.repeat(32) } })).statusCode).toBe(404);
+    expect((await call(verify, { method: 'GET', query: { token: 'nope' } })).statusCode).toBe(404);
+    expect((await call(verify, { method: 'DELETE' })).statusCode).toBe(405);
+  });
+
+  test('Surveys without verification send reports as before', async () => {
+    mockDb.current = createFakeSupabase(createMockTables(false));
+
+    const res = await postGenerate();
+
+    expect(res.statusCode).toBe(202);
+    expect(mockDb.current.tables.report_jobs[0].status).toBe('emailed');
+    expect(mockDb.current.tables.email_outbox.map(e => e.template)).toEqual(['report']);
+  });
+});
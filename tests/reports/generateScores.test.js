@@ -0,0 +1,106 @@
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes, createRouteFetch } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+const mockRendered = [];
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+const mockBrowser = {
+  newPage: async () => ({
+    setContent: async html => mockRendered.push(html),
+    pdf: async () => Buffer.from('%PDF-1.4'),
+  }),
+  close: async () => {},
+};
+jest.mock('puppeteer', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('puppeteer-core', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('@sparticuz/chromium', () => ({ __esModule: true, default: { args: [], executablePath: async () => '' } }));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const handler = require('../../pages/api/reports/generate').default;
+const worker = require('../../pages/api/reports/worker').default;
+
+// One category, two questions; the respondent answered "No" to both (0%).
+const createMockTables = () => ({
+  surveys: [{ id: 's1', title: 'Leadership check' }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Leadership',
+      order: 1,
+      questions: [
+        { id: 'q1', prompt: 'Do you delegate?', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 },
+        { id: 'q2', prompt: 'Do you coach?', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 2 }
+      ]
+    }
+  ],
+  score_ranges: [],
+  respondents: [{ id: 'r1', survey_id: 's1' }],
+  responses: [{ id: 'resp1', survey_id: 's1', respondent_id: 'r1', completed_at: '2025-08-01T00:00:00Z' }],
+  answers: [
+    { question_id: 'q1', response_id: 'resp1', value: 'No' },
+    { question_id: 'q2', response_id: 'resp1', value: 'No' }
+  ],
+  results: []
+});
+
+const postGenerate = async body => {
+  const req = createReq({ method: 'POST', headers: { 'content-type': 'application/json' }, body });
+  const res = createRes();
+  await handler(req, res);
+  return res;
+};
+
+describe('Report generation scoring', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+    mockRendered.length = 0;
+    global.fetch = createRouteFetch({ '/api/reports/worker': worker });
+  });
+
+  test('Tampered categoryScores do not reach the PDF', async () => {
+    const res = await postGenerate({
+      surveyId: 's1',
+      respondentId: 'r1',
+      email: 'someone@example.com',
+      categoryScores: { Leadership: 97.5, Injected: 100 },
+      userResponses: { q1: '<script>alert(1)</script>' }
+    });
+
+    expect(res.statusCode).toBe(202);
+    expect(mockRendered).toHaveLength(1);
+
+    const html = mockRendered[0];
+    expect(html).toContain('0.00%');
+    expect(html).not.toContain('97.5');
+    expect(html).not.toContain('Injected');
+    expect(html).not.toContain('<script>');
+  });
+
+  test('Stored results take precedence over rescoring', async () => {
+    mockDb.current.tables.results.push({
+      response_id: 'resp1',
+      respondent_id: 'r1',
+      per_category: [{ category_id: 'cat1', title: 'Leadership', percent: 50 }],
+      overall: { percent: 50 }
+    });
+
+    const res = await postGenerate({ surveyId: 's1', respondentId: 'r1', email: 'someone@example.com' });
+
+    expect(res.statusCode).toBe(202);
+    expect(mockRendered[0]).toContain('50.00%');
+  });
+
+  test('Unknown respondents get a 404 and no PDF', async () => {
+    const res = await postGenerate({ surveyId: 's1', respondentId: 'nobody', email: 'someone@example.com' });
+
+    expect(res.statusCode).toBe(404);
+    expect(mockRendered).toHaveLength(0);
+  });
+});
@@ -0,0 +1,171 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes, createRouteFetch } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+const mockBrowser = {
+  newPage: async () => ({ setContent: async () => {}, pdf: async () => Buffer.from('%PDF-1.4') }),
+  close: async () => {},
+};
+jest.mock('puppeteer', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('puppeteer-core', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('@sparticuz/chromium', () => ({ __esModule: true, default: { args: [], executablePath: async () => '' } }));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const generate = require('../../pages/api/reports/generate').default;
+const worker = require('../../pages/api/reports/worker').default;
+const { fileTransport, httpTransport, sendMail } = require('../../src/lib/mailer');
+const { normalizeReportEmail, renderReportEmail } = require('../../src/lib/emailTemplates');
+
+const ctx = {
+  surveyTitle: 'Salt & Pepper',
+  respondentEmail: 'someone@example.com',
+  generatedAt: '1 August 2025',
+  totalPercent: 72.4,
+  totalBand: 'Strong',
+  categoryPercents: { Focus: 60 },
+  categoryBands: { Focus: 'Good' },
+  reportUrl: 'https://app.example/api/reports/serve?token=abc.def',
+  reportExpires: '15 août 2025',
+};
+
+const createMockTables = report_email => ({
+  surveys: [{ id: 's1', title: 'Leadership check', email_locale: 'de', report_email }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Leadership',
+      order: 1,
+      questions: [{ id: 'q1', prompt: 'Do you delegate?', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 }]
+    }
+  ],
+  score_ranges: [],
+  respondents: [{ id: 'r1', survey_id: 's1' }],
+  responses: [{ id: 'resp1', survey_id: 's1', respondent_id: 'r1', completed_at: '2025-08-01T00:00:00Z' }],
+  answers: [{ question_id: 'q1', response_id: 'resp1', value: 'Yes' }],
+  results: [],
+  report_jobs: []
+});
+
+const readOutbox = dir =>
+  fs
+    .readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+
+describe('Report emails', () => {
+  let outbox;
+
+  beforeEach(() => {
+    outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_OUTBOX_DIR = outbox;
+    global.fetch = createRouteFetch({ '/api/reports/worker': worker });
+  });
+
+  afterEach(() => {
+    fs.rmSync(outbox, { recursive: true, force: true });
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.MAIL_OUTBOX_DIR;
+  });
+
+  test('Built-in wording follows the survey language; subjects stay plain text', () => {
+    const fr = renderReportEmail(normalizeReportEmail(null), 'fr', ctx);
+    expect(fr.subject).toBe('Votre rapport pour Salt & Pepper');
+    expect(fr.html).toContain('Votre rapport PDF est prêt');
+    expect(fr.html).toContain('<a href="https://app.example/api/reports/serve?token=abc.def"');
+    expect(fr.html).toContain('jusqu’au 15 août 2025');
+
+    const attached = renderReportEmail(normalizeReportEmail({ attachPdf: true }), 'en', ctx);
+    expect(attached.html).toContain('is attached');
+    expect(attached.html).not.toContain('report.url');
+  });
+
+  test('Survey templates fill merge fields and are sanitised', () => {
+    const settings = normalizeReportEmail({
+      subject: '{{survey.title}}:\r\n {{overall.percent}}%',
+      body: '<p onclick="x()">You scored {{overall.percent}}% ({{category.Focus.band}}).</p><script>alert(1)</script>',
+    });
+
+    const mail = renderReportEmail(settings, 'en', ctx);
+    expect(mail.subject).toBe('Salt & Pepper: 72%');
+    expect(mail.html).toBe('<p>You scored 72% (Good).</p>');
+  });
+
+  test('The file transport writes each message and its attachments to the outbox', async () => {
+    const status = await sendMail({
+      to: 'someone@example.com',
+      subject: 'Hello',
+      html: '<p>Hi</p>',
+      attachments: [{ filename: 'report.pdf', content: Buffer.from('%PDF-1.4'), contentType: 'application/pdf' }],
+    });
+
+    expect(status).toEqual({ sent: true, message: 'Email written to the outbox.' });
+    const [msg] = readOutbox(outbox);
+    expect(msg).toEqual(expect.objectContaining({ to: 'someone@example.com', subject: 'Hello', from: 'no-reply@example.com' }));
+    expect(fs.readFileSync(path.join(outbox, msg.attachments[0].file), 'utf8')).toBe('%PDF-1.4');
+    expect(fileTransport(outbox).name).toBe('file');
+  });
+
+  test('The HTTP transport posts JSON with base64 attachments and reports failures', async () => {
+    process.env.MAIL_HTTP_URL = 'https://mail.example/send';
+    process.env.MAIL_HTTP_API_KEY = 'key-123';
+    const posted = [];
+    global.fetch = jest.fn(async (url, init) => {
+      posted.push({ url, init });
+      return { ok: posted.length === 1, status: posted.length === 1 ? 202 : 503 };
+    });
+    const msg = {
+      to: 'someone@example.com',
+      subject: 'Hello',
+      html: '<p>Hi</p>',
+      attachments: [{ filename: 'report.pdf', content: Buffer.from('%PDF-1.4'), contentType: 'application/pdf' }],
+    };
+
+    expect((await sendMail(msg, httpTransport())).sent).toBe(true);
+    expect(posted[0].url).toBe('https://mail.example/send');
+    expect(posted[0].init.headers.Authorization).toBe('Bearer key-123');
+    expect(JSON.parse(posted[0].init.body).attachments[0]).toEqual({
+      filename: 'report.pdf',
+      contentType: 'application/pdf',
+      content: Buffer.from('%PDF-1.4').toString('base64'),
+    });
+
+    expect(await sendMail(msg, httpTransport())).toEqual({ sent: false, message: 'Email failed: Email provider responded 503' });
+    expect(await sendMail(msg, null)).toEqual(expect.objectContaining({ sent: false, skipped: true }));
+
+    delete process.env.MAIL_HTTP_URL;
+    delete process.env.MAIL_HTTP_API_KEY;
+  });
+
+  test("Queued reports are emailed with the survey's template and the PDF attached", async () => {
+    mockDb.current = createFakeSupabase(createMockTables({ subject: 'Ergebnis: {{overall.percent}}%', body: '', attachPdf: true }));
+
+    const res = createRes();
+    await generate(
+      createReq({
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: { surveyId: 's1', respondentId: 'r1', email: 'someone@example.com' }
+      }),
+      res
+    );
+
+    expect(res.statusCode).toBe(202);
+    expect(mockDb.current.tables.report_jobs[0].status).toBe('emailed');
+    const [msg] = readOutbox(outbox);
+    expect(msg.subject).toBe('Ergebnis: 100%');
+    expect(msg.html).toContain('Im Anhang finden Sie Ihren PDF-Bericht zu Leadership check.');
+    expect(msg.attachments).toEqual([expect.objectContaining({ filename: 'report.pdf', contentType: 'application/pdf', size: 8 })]);
+  });
+});
@@ -0,0 +1,202 @@
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes, createRouteFetch } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+const mockRendered = [];
+const mockPdf = { fail: false };
+const mockSendMail = jest.fn();
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+jest.mock('../../src/lib/mailer', () => ({ sendMail: (...args) => mockSendMail(...args) }));
+
+const mockBrowser = {
+  newPage: async () => ({
+    setContent: async html => mockRendered.push(html),
+    pdf: async () => {
+      if (mockPdf.fail) throw new Error('Chromium crashed');
+      return Buffer.from('%PDF-1.4');
+    },
+  }),
+  close: async () => {},
+};
+jest.mock('puppeteer', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('puppeteer-core', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('@sparticuz/chromium', () => ({ __esModule: true, default: { args: [], executablePath: async () => '' } }));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const generate = require('../../pages/api/reports/generate').default;
+const worker = require('../../pages/api/reports/worker').default;
+const jobStatus = require('../../pages/api/reports/jobs/[id]').default;
+const { backoffMs, enqueueReportJob, runDueReportJobs } = require('../../src/lib/reportJobs');
+
+const createMockTables = () => ({
+  surveys: [{ id: 's1', title: 'Leadership check' }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Leadership',
+      order: 1,
+      questions: [{ id: 'q1', prompt: 'Do you delegate?', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 }]
+    }
+  ],
+  score_ranges: [],
+  respondents: [{ id: 'r1', survey_id: 's1' }, { id: 'r2', survey_id: 's1' }],
+  responses: [{ id: 'resp1', survey_id: 's1', respondent_id: 'r1', completed_at: '2025-08-01T00:00:00Z' }],
+  answers: [{ question_id: 'q1', response_id: 'resp1', value: 'Yes' }],
+  results: [],
+  report_jobs: []
+});
+
+const call = async (handler, opts) => {
+  const res = createRes();
+  await handler(createReq({ headers: { 'content-type': 'application/json' }, ...opts }), res);
+  return res;
+};
+
+const postGenerate = () =>
+  call(generate, { method: 'POST', body: { surveyId: 's1', respondentId: 'r1', email: 'someone@example.com' } });
+
+const getStatus = id => call(jobStatus, { method: 'GET', query: { id } });
+
+// Makes a job waiting on its backoff due now
+const makeDue = job => (job.next_attempt_at = new Date(Date.now() - 1000).toISOString());
+
+describe('Report jobs', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+    mockRendered.length = 0;
+    mockPdf.fail = false;
+    mockSendMail.mockReset().mockResolvedValue({ sent: true, message: 'Email sent.' });
+    delete process.env.CRON_SECRET;
+    global.fetch = createRouteFetch({ '/api/reports/worker': worker });
+  });
+
+  test('Backoff doubles from 30 seconds up to an hour', () => {
+    expect([1, 2, 3, 4].map(backoffMs)).toEqual([30000, 60000, 120000, 240000]);
+    expect(backoffMs(20)).toBe(60 * 60 * 1000);
+  });
+
+  test('Generate queues a job that the worker renders, uploads and emails', async () => {
+    mockDb.current.tables.respondents[0].email = 'owner@example.com';
+    const res = await postGenerate();
+
+    expect(res.statusCode).toBe(202);
+    const { jobId, statusUrl } = res.body;
+    expect(statusUrl).toBe(`/api/reports/jobs/${jobId}`);
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:3000/api/reports/worker', expect.objectContaining({ method: 'POST' }));
+    expect(mockRendered).toHaveLength(1);
+    expect(mockDb.current.uploads).toHaveLength(1);
+
+    const { job } = (await getStatus(jobId)).body;
+    expect(job).toEqual(expect.objectContaining({ status: 'emailed', done: true, attempts: 1, emailMessage: 'Email sent.', error: null }));
+    // The link goes out by email only; whoever knows the job id doesn't get it
+    expect(job).not.toHaveProperty('serveUrl');
+    const [stored] = mockDb.current.tables.report_jobs;
+    expect(stored.serve_url).toMatch(/^http:\/\/localhost:3000\/api\/reports\/serve\?token=[\w-]+\.[\w-]+$/);
+    expect(stored.file_name).toMatch(/^report-[0-9a-f-]{36}\.pdf$/);
+    expect(mockDb.current.tables.respondents[0].report_url).toBe(stored.serve_url);
+    // Unconfirmed, so the requested address doesn't replace the respondent's
+    expect(mockDb.current.tables.respondents[0].email).toBe('owner@example.com');
+  });
+
+  test('Without a mail transport the job finishes at uploaded', async () => {
+    mockSendMail.mockResolvedValue({ sent: false, skipped: true, message: 'Email skipped: MAIL_HOST not set.' });
+
+    const { jobId } = (await postGenerate()).body;
+
+    const { job } = (await getStatus(jobId)).body;
+    expect(job).toEqual(expect.objectContaining({ status: 'uploaded', done: true, nextAttemptAt: null }));
+  });
+
+  test('A failed email is retried without rendering the PDF again', async () => {
+    mockSendMail.mockResolvedValueOnce({ sent: false, message: 'Email failed: connection refused' });
+
+    const { jobId } = (await postGenerate()).body;
+    const row = mockDb.current.tables.report_jobs[0];
+    expect(row).toEqual(expect.objectContaining({ status: 'uploaded', last_error: 'Email failed: connection refused', locked_at: null }));
+    expect(new Date(row.next_attempt_at).getTime()).toBeGreaterThan(Date.now() + 25 * 1000);
+
+    // Not due yet: the worker leaves it alone
+    expect(await runDueReportJobs(mockDb.current.client, 'http://localhost:3000')).toEqual([]);
+
+    makeDue(row);
+    await getStatus(jobId);
+    expect(row).toEqual(expect.objectContaining({ status: 'emailed', attempts: 2, last_error: null }));
+    expect(mockRendered).toHaveLength(1);
+    expect(mockDb.current.uploads).toHaveLength(1);
+    expect(mockSendMail).toHaveBeenCalledTimes(2);
+  });
+
+  test('A failing render is re-queued with backoff, then fails after max_attempts', async () => {
+    mockPdf.fail = true;
+
+    const { jobId } = (await postGenerate()).body;
+    const row = mockDb.current.tables.report_jobs[0];
+    expect(row).toEqual(expect.objectContaining({ status: 'queued', attempts: 1, last_error: 'Chromium crashed' }));
+    expect((await getStatus(jobId)).body.job).toEqual(expect.objectContaining({ done: false, error: null }));
+
+    for (let attempt = 2; attempt <= 5; attempt++) {
+      makeDue(row);
+      await runDueReportJobs(mockDb.current.client, 'http://localhost:3000');
+    }
+
+    expect(row).toEqual(expect.objectContaining({ status: 'failed', attempts: 5, next_attempt_at: null }));
+    expect((await getStatus(jobId)).body.job).toEqual(expect.objectContaining({ done: true, error: 'Chromium crashed' }));
+    expect(mockSendMail).not.toHaveBeenCalled();
+  });
+
+  test('Jobs whose response is gone fail without retrying', async () => {
+    const job = await enqueueReportJob(mockDb.current.client, { surveyId: 's1', respondentId: 'r2', email: 'x@example.com' });
+
+    const [processed] = await runDueReportJobs(mockDb.current.client, 'http://localhost:3000', { jobId: job.id });
+
+    expect(processed).toEqual(expect.objectContaining({ status: 'failed', attempts: 1, next_attempt_at: null }));
+    expect(processed.last_error).toBe('No completed response found for this respondent');
+  });
+
+  test('Unknown jobs are 404 and respondents without a response are not queued', async () => {
+    expect((await getStatus('nope')).statusCode).toBe(404);
+    expect((await call(jobStatus, { method: 'POST', query: { id: 'nope' } })).statusCode).toBe(405);
+
+    const res = await call(generate, { method: 'POST', body: { surveyId: 's1', respondentId: 'r2', email: 'x@example.com' } });
+    expect(res.statusCode).toBe(404);
+    expect(mockDb.current.tables.report_jobs).toHaveLength(0);
+  });
+
+  test('The worker requires CRON_SECRET when it is set', async () => {
+    process.env.CRON_SECRET = 'shh';
+    await enqueueReportJob(mockDb.current.client, { surveyId: 's1', respondentId: 'r1', email: 'someone@example.com' });
+
+    expect((await call(worker, { method: 'GET' })).statusCode).toBe(401);
+    expect((await call(worker, { method: 'GET', headers: { authorization: 'Bearer nope' } })).statusCode).toBe(401);
+
+    const res = await call(worker, { method: 'GET', headers: { authorization: 'Bearer shh' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.processed).toEqual([{ id: 'report_jobs-1', status: 'emailed' }]);
+  });
+
+  test('The worker secret only goes to the configured worker URL, whatever the request headers say', async () => {
+    process.env.CRON_SECRET = 'shh';
+    const headers = { 'content-type': 'application/json', origin: 'https://attacker.example', host: 'attacker.example' };
+    const body = { surveyId: 's1', respondentId: 'r1', email: 'someone@example.com' };
+
+    expect((await call(generate, { method: 'POST', headers, body })).statusCode).toBe(202);
+    process.env.WORKER_URL = 'http://internal.test/api/reports/worker';
+    try {
+      await call(generate, { method: 'POST', headers, body });
+    } finally {
+      delete process.env.WORKER_URL;
+    }
+
+    const kicks = global.fetch.mock.calls.map(([url, init]) => [url, init.headers.Authorization]);
+    expect(kicks).toEqual([
+      ['http://localhost:3000/api/reports/worker', 'Bearer shh'],
+      ['http://internal.test/api/reports/worker', 'Bearer shh']
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+const { ADMIN_TOKEN, USER_TOKEN, createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+process.env.REPORT_LINK_SECRET = 'link-secret';
+
+const serve = require('../../pages/api/reports/serve').default;
+const reportLink = require('../../pages/api/respondents/[id]/report-link').default;
+const { issueReportLink, signReportToken } = require('../../src/lib/reportLinks');
+
+const FILE = 'report-0b7c8a52-8d0e-4a34-9a57-1f3f5c0f6d11.pdf';
+
+const createMockTables = () => ({
+  respondents: [
+    { id: 'r1', survey_id: 's1', report_link_version: 1 },
+    { id: 'r2', survey_id: 's1', report_link_version: 1 }
+  ],
+  report_jobs: [
+    { id: 'j1', survey_id: 's1', respondent_id: 'r1', status: 'emailed', file_name: FILE, created_at: '2025-08-01T00:00:00Z' }
+  ]
+});
+
+const call = async (handler, opts) => {
+  const res = createRes();
+  await handler(createReq(opts), res);
+  return res;
+};
+
+const asAdmin = { authorization: `Bearer ${ADMIN_TOKEN}` };
+
+const tokenOf = url => new URL(url).searchParams.get('token');
+
+const download = token => call(serve, { method: 'GET', query: { token } });
+
+describe('Signed report links', () => {
+  beforeEach(async () => {
+    mockDb.current = createFakeSupabase(createMockTables());
+    await mockDb.current.client.storage.from('survey-reports').upload(FILE, Buffer.from('%PDF-1.4'));
+  });
+
+  test('A signed link serves the PDF', async () => {
+    const { url, expiresAt } = await issueReportLink(mockDb.current.client, 'https://app.example', { fileName: FILE, respondentId: 'r1' });
+
+    expect(url).not.toContain('r1');
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now() + 13 * 24 * 60 * 60 * 1000);
+
+    const res = await download(tokenOf(url));
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.toString()).toBe('%PDF-1.4');
+  });
+
+  test('Bare file names, tampered tokens and tokens for another respondent are 403', async () => {
+    expect((await call(serve, { method: 'GET', query: { fileName: FILE } })).statusCode).toBe(403);
+    expect((await download('not-a-token')).statusCode).toBe(403);
+
+    const expiresAt = new Date(Date.now() + 60 * 1000);
+    const good = signReportToken({ fileName: FILE, respondentId: 'r1', version: 1, expiresAt });
+    const [payload, sig] = good.split('.');
+    const flipped = `${payload}.${sig[0] === 'A' ? 'B' : 'A'}${sig.slice(1)}`;
+    expect((await download(flipped)).statusCode).toBe(403);
+
+    // Signed for r2, but the file belongs to r1
+    expect((await download(signReportToken({ fileName: FILE, respondentId: 'r2', version: 1, expiresAt }))).statusCode).toBe(403);
+
+    process.env.REPORT_LINK_SECRET = 'other-secret';
+    const forged = signReportToken({ fileName: FILE, respondentId: 'r1', version: 1, expiresAt });
+    process.env.REPORT_LINK_SECRET = 'link-secret';
+    expect((await download(forged)).statusCode).toBe(403);
+  });
+
+  test('Expired links are 410', async () => {
+    const token = signReportToken({ fileName: FILE, respondentId: 'r1', version: 1, expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await download(token);
+    expect(res.statusCode).toBe(410);
+  });
+
+  test('Admins can revoke links and issue a new one', async () => {
+    const { url: old } = await issueReportLink(mockDb.current.client, 'https://app.example', { fileName: FILE, respondentId: 'r1' });
+
+    const regenerated = await call(reportLink, { method: 'POST', query: { id: 'r1' }, headers: asAdmin });
+    expect(regenerated.statusCode).toBe(200);
+    expect(mockDb.current.tables.respondents[0]).toEqual(expect.objectContaining({ report_link_version: 2, report_url: regenerated.body.url }));
+    expect((await download(tokenOf(old))).statusCode).toBe(403);
+    expect((await download(tokenOf(regenerated.body.url))).statusCode).toBe(200);
+
+    const revoked = await call(reportLink, { method: 'DELETE', query: { id: 'r1' }, headers: asAdmin });
+    expect(revoked.statusCode).toBe(204);
+    expect(mockDb.current.tables.respondents[0].report_url).toBeNull();
+    expect((await download(tokenOf(regenerated.body.url))).statusCode).toBe(403);
+  });
+
+  test('Respondents without a report are 404', async () => {
+    expect((await call(reportLink, { method: 'POST', query: { id: 'r2' }, headers: asAdmin })).statusCode).toBe(404);
+    expect((await call(reportLink, { method: 'DELETE', query: { id: 'nope' }, headers: asAdmin })).statusCode).toBe(404);
+    expect((await call(reportLink, { method: 'GET', query: { id: 'r1' }, headers: asAdmin })).statusCode).toBe(405);
+    expect(mockDb.current.tables.respondents[1].report_link_version).toBe(1);
+  });
+
+  test('Only admins can issue or revoke links', async () => {
+    const anonymous = await call(reportLink, { method: 'POST', query: { id: 'r1' } });
+    const user = await call(reportLink, { method: 'DELETE', query: { id: 'r1' }, headers: { authorization: `Bearer ${USER_TOKEN}` } });
+
+    expect([anonymous.statusCode, user.statusCode]).toEqual([401, 403]);
+    expect(anonymous.body).not.toHaveProperty('url');
+    expect(mockDb.current.tables.respondents[0].report_link_version).toBe(1);
+  });
+});
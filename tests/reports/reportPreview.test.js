@@ -0,0 +1,104 @@
+const { ADMIN_TOKEN, USER_TOKEN, createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+const mockRendered = [];
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+const mockBrowser = {
+  newPage: async () => ({
+    setContent: async html => mockRendered.push(html),
+    pdf: async () => Buffer.from('%PDF-1.4'),
+  }),
+  close: async () => {},
+};
+jest.mock('puppeteer', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('puppeteer-core', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('@sparticuz/chromium', () => ({ __esModule: true, default: { args: [], executablePath: async () => '' } }));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const preview = require('../../pages/api/reports/preview').default;
+
+const createMockTables = () => ({
+  surveys: [{ id: 's1', title: 'Leadership check', report_template_id: null }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Delegation',
+      order: 1,
+      questions: [{ id: 'q1', prompt: 'Do you delegate?', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 }]
+    }
+  ],
+  score_ranges: [
+    { id: 'band1', survey_id: 's1', category_id: 'cat1', min_score: 0, max_score: 100, color: '#0000aa', description: 'Delegation band text' }
+  ],
+  respondents: [{ id: 'r1', survey_id: 's1' }],
+  responses: [{ id: 'resp1', survey_id: 's1', respondent_id: 'r1', completed_at: '2025-08-01T00:00:00Z' }],
+  answers: [{ question_id: 'q1', response_id: 'resp1', value: 'No' }],
+  results: [],
+  report_templates: []
+});
+
+const postPreview = async (body, token = ADMIN_TOKEN) => {
+  const res = createRes();
+  const headers = { 'content-type': 'application/json', ...(token && { authorization: `Bearer ${token}` }) };
+  await preview(createReq({ method: 'POST', headers, body }), res);
+  return res;
+};
+
+describe('Report preview', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+    mockRendered.length = 0;
+  });
+
+  test('Without a survey the unsaved template is rendered with sample data', async () => {
+    const res = await postPreview({
+      template: { page: { orientation: 'landscape' }, branding: { primaryColor: '#336699' } }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toContain('text/html');
+    expect(res.body).toContain('#336699');
+    expect(res.body).toContain('Sample survey');
+    expect(res.body).toContain('Sample band text');
+    expect(res.body).toContain('width: 297mm');
+    expect(mockRendered).toHaveLength(0);
+  });
+
+  test('With a survey the preview uses its categories and band text, or a respondent\'s real scores', async () => {
+    const sample = await postPreview({ surveyId: 's1' });
+    expect(sample.body).toContain('Delegation band text');
+    expect(sample.body).not.toContain('0.00%');
+
+    const real = await postPreview({ surveyId: 's1', respondentId: 'r1' });
+    expect(real.body).toContain('0.00%');
+
+    const missing = await postPreview({ surveyId: 's1', respondentId: 'nobody' });
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('A PDF can be requested instead of HTML', async () => {
+    const res = await postPreview({ format: 'pdf' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.toString()).toBe('%PDF-1.4');
+    expect(mockRendered).toHaveLength(1);
+    expect(mockDb.current.uploads).toEqual([]);
+  });
+
+  test('Only admins can preview', async () => {
+    const anonymous = await postPreview({ surveyId: 's1', respondentId: 'r1', format: 'pdf' }, null);
+    const user = await postPreview({ surveyId: 's1', respondentId: 'r1', format: 'pdf' }, USER_TOKEN);
+
+    expect([anonymous.statusCode, user.statusCode]).toEqual([401, 403]);
+    expect(mockRendered).toHaveLength(0);
+  });
+});
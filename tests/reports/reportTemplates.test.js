@@ -0,0 +1,159 @@
+const { ADMIN_TOKEN, USER_TOKEN, createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes, createRouteFetch } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+const mockRendered = [];
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+const mockBrowser = {
+  newPage: async () => ({
+    setContent: async html => mockRendered.push(html),
+    pdf: async () => Buffer.from('%PDF-1.4'),
+  }),
+  close: async () => {},
+};
+jest.mock('puppeteer', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('puppeteer-core', () => ({ __esModule: true, default: { launch: async () => mockBrowser } }));
+jest.mock('@sparticuz/chromium', () => ({ __esModule: true, default: { args: [], executablePath: async () => '' } }));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const generate = require('../../pages/api/reports/generate').default;
+const worker = require('../../pages/api/reports/worker').default;
+const templatesIndex = require('../../pages/api/reports/templates').default;
+const templateById = require('../../pages/api/reports/templates/[id]').default;
+const surveyTemplate = require('../../pages/api/surveys/[id]/report-template').default;
+const { normalizeTemplate } = require('../../src/lib/reportTemplates');
+
+const layout = (primaryColor, sections) => ({ branding: { primaryColor }, sections });
+
+const createMockTables = () => ({
+  surveys: [{ id: 's1', title: 'Leadership check', report_template_id: null }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Leadership',
+      order: 1,
+      questions: [{ id: 'q1', prompt: 'Do you delegate?', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 }]
+    }
+  ],
+  score_ranges: [],
+  respondents: [{ id: 'r1', survey_id: 's1' }],
+  responses: [{ id: 'resp1', survey_id: 's1', respondent_id: 'r1', completed_at: '2025-08-01T00:00:00Z' }],
+  answers: [{ question_id: 'q1', response_id: 'resp1', value: 'Yes' }],
+  results: [],
+  report_templates: [
+    { id: 'tplDefault', name: 'House style', is_default: true, template: layout('#123456', [{ key: 'cover', enabled: true }]) },
+    { id: 'tplSurvey', name: 'Leadership layout', is_default: false, template: layout('#abcdef', [{ key: 'summary', enabled: true }]) }
+  ]
+});
+
+const call = async (handler, opts) => {
+  const res = createRes();
+  await handler(createReq({ headers: { 'content-type': 'application/json' }, ...opts }), res);
+  return res;
+};
+
+const asAdmin = (handler, opts) =>
+  call(handler, { ...opts, headers: { 'content-type': 'application/json', authorization: `Bearer ${ADMIN_TOKEN}` } });
+
+const postGenerate = body => call(generate, { method: 'POST', body });
+
+describe('Report templates', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+    mockDb.current.rpcHandlers.set_default_report_template = ({ p_template_id }, db) => {
+      db.tables.report_templates.forEach(t => (t.is_default = t.id === p_template_id));
+      return { data: null, error: null };
+    };
+    mockRendered.length = 0;
+    global.fetch = createRouteFetch({ '/api/reports/worker': worker });
+  });
+
+  test('Stored templates are normalised against the built-in layout', () => {
+    const t = normalizeTemplate({
+      page: { size: 'Tabloid', margin: { top: 500, left: 'x' } },
+      sections: [{ key: 'responses', enabled: 1 }, { key: 'bogus', enabled: true }, { key: 'cover', enabled: false }]
+    });
+
+    expect(t.page).toEqual({ size: 'A4', orientation: 'portrait', margin: { top: 50, right: 14, bottom: 18, left: 14 } });
+    expect(t.sections.map(s => s.key)).toEqual(['responses', 'cover', 'summary', 'donutChart', 'radarChart', 'benchmarks', 'categories', 'categoryText']);
+    expect(t.sections.slice(0, 2)).toEqual([{ key: 'responses', enabled: true }, { key: 'cover', enabled: false }]);
+  });
+
+  test('Branding colours that are not plain colour values fall back to the defaults', () => {
+    const t = normalizeTemplate({ branding: { primaryColor: 'red;"><script>alert(1)</script>', accentColor: ' #123456 ' } });
+
+    expect(t.branding.primaryColor).toBe(normalizeTemplate({}).branding.primaryColor);
+    expect(t.branding.accentColor).toBe('#123456');
+  });
+
+  test('Reports use the survey template, else the default, and ignore a template in the body', async () => {
+    const injected = { branding: { primaryColor: '#ff0000' }, sections: [{ key: 'responses', enabled: true }] };
+
+    await postGenerate({ surveyId: 's1', respondentId: 'r1', email: 'someone@example.com', template: injected });
+    expect(mockRendered[0]).toContain('#123456');
+    expect(mockRendered[0]).not.toContain('#ff0000');
+
+    mockDb.current.tables.surveys[0].report_template_id = 'tplSurvey';
+    await postGenerate({ surveyId: 's1', respondentId: 'r1', email: 'someone@example.com', template: injected });
+    expect(mockRendered[1]).toContain('#abcdef');
+    expect(mockRendered[1]).not.toContain('Your Responses');
+  });
+
+  test('Templates can be created, made the default and deleted', async () => {
+    expect((await asAdmin(templatesIndex, { method: 'POST', body: { name: '  ' } })).statusCode).toBe(400);
+
+    const created = await asAdmin(templatesIndex, {
+      method: 'POST',
+      body: { name: 'Board pack', template: layout('#222222', []), isDefault: true }
+    });
+    expect(created.statusCode).toBe(201);
+    const { id } = created.body.template;
+    expect(created.body.template.template.page.size).toBe('A4');
+    expect(mockDb.current.tables.report_templates.filter(t => t.is_default).map(t => t.id)).toEqual([id]);
+
+    const renamed = await asAdmin(templateById, { method: 'PUT', query: { id }, body: { name: 'Board pack v2' } });
+    expect(renamed.body.template.name).toBe('Board pack v2');
+
+    const removed = await asAdmin(templateById, { method: 'DELETE', query: { id } });
+    expect(removed.statusCode).toBe(204);
+    expect((await asAdmin(templateById, { method: 'GET', query: { id } })).statusCode).toBe(404);
+  });
+
+  test('Surveys can be assigned a template or put back on the default', async () => {
+    const unknown = await asAdmin(surveyTemplate, { method: 'PUT', query: { id: 's1' }, body: { templateId: 'nope' } });
+    expect(unknown.statusCode).toBe(404);
+
+    await asAdmin(surveyTemplate, { method: 'PUT', query: { id: 's1' }, body: { templateId: 'tplSurvey' } });
+    const assigned = await asAdmin(surveyTemplate, { method: 'GET', query: { id: 's1' } });
+    expect(assigned.body.templateId).toBe('tplSurvey');
+    expect(assigned.body.template.name).toBe('Leadership layout');
+
+    await asAdmin(surveyTemplate, { method: 'PUT', query: { id: 's1' }, body: { templateId: null } });
+    const cleared = await asAdmin(surveyTemplate, { method: 'GET', query: { id: 's1' } });
+    expect(cleared.body).toEqual(expect.objectContaining({ templateId: null }));
+    expect(cleared.body.template.name).toBe('House style');
+  });
+
+  test('Only admins can manage templates or assign them', async () => {
+    const user = { 'content-type': 'application/json', authorization: `Bearer ${USER_TOKEN}` };
+    const statuses = [
+      (await call(templatesIndex, { method: 'GET' })).statusCode,
+      (await call(templatesIndex, { method: 'POST', body: { name: 'Phish', isDefault: true } })).statusCode,
+      (await call(templateById, { method: 'PUT', query: { id: 'tplSurvey' }, headers: user, body: { name: 'Phish' } })).statusCode,
+      (await call(templateById, { method: 'DELETE', query: { id: 'tplSurvey' }, headers: user })).statusCode,
+      (await call(surveyTemplate, { method: 'PUT', query: { id: 's1' }, headers: user, body: { templateId: 'tplSurvey' } })).statusCode
+    ];
+
+    expect(statuses).toEqual([401, 401, 403, 403, 403]);
+    expect(mockDb.current.tables.report_templates.map(t => t.name)).not.toContain('Phish');
+    expect(mockDb.current.tables.surveys[0].report_template_id).toBeNull();
+    expect(mockDb.current.rpcCalls).toEqual([]);
+  });
+});
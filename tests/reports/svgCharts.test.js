@@ -0,0 +1,86 @@
+const { donutChartSvg, barChartSvg, radarChartSvg } = require('../../src/lib/svgCharts');
+const { buildHtmlReport } = require('../../src/lib/reportHtml');
+const { normalizeTemplate } = require('../../src/lib/reportTemplates');
+
+const data = [
+  { label: 'Leadership', percent: 72, color: '#22c55e' },
+  { label: 'Communication & <Trust>', percent: 45, color: '#f59e0b' },
+  { label: 'Strategy', percent: 88, color: '#22c55e' }
+];
+
+describe('SVG report charts', () => {
+  test('Donut draws a slice per category in its band colour with the total in the middle', () => {
+    const svg = donutChartSvg(data, { totalPercent: 68.4 });
+
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+    expect(svg.match(/<path /g)).toHaveLength(3);
+    expect(svg).toContain('fill="#f59e0b" fill-opacity="0.7"');
+    expect(svg).toContain('>68%</text>');
+    expect(svg).toContain('Communication &amp; &lt;Trust&gt; 45%');
+    expect(svg).not.toContain('<Trust>');
+  });
+
+  test('Donut handles a single category and all-zero scores', () => {
+    expect(donutChartSvg([data[0]]).match(/<path /g)).toHaveLength(2);
+    const empty = donutChartSvg(data.map(d => ({ ...d, percent: 0 })), { totalPercent: 0 });
+    expect(empty).not.toContain('<path ');
+    expect(empty).toContain('<circle');
+  });
+
+  test('Bars are scaled to 0–100% and unsafe colours are replaced', () => {
+    const svg = barChartSvg([{ label: 'A', percent: 150, color: '"><script>' }], { accentColor: '#123456' });
+
+    expect(svg).toContain('fill="#123456"');
+    expect(svg).not.toContain('<script>');
+    expect(svg).toContain('>100%</text>');
+  });
+
+  test('Radar needs three categories; fewer fall back to bars', () => {
+    expect(radarChartSvg(data)).toContain('aria-label="Category scores radar chart"');
+    expect(radarChartSvg(data.slice(0, 2))).toContain('aria-label="Category scores bar chart"');
+  });
+
+  test('Radar overlays the survey average and shades each axis by its bands', () => {
+    const withAverage = data.map((d, i) => ({
+      ...d,
+      average: [60, 50, 70][i],
+      bands: [{ min: 0, max: 49, color: '#ef4444' }, { min: 50, max: 100, color: '#22c55e' }]
+    }));
+    const svg = radarChartSvg(withAverage, { seriesLabel: 'You', averageLabel: 'Everyone' });
+
+    expect(svg).toContain('stroke-dasharray="6 4"');
+    expect(svg.match(/stroke="#ef4444" stroke-opacity/g)).toHaveLength(3);
+    expect(svg).toContain('>You</text>');
+    expect(svg).toContain('>Everyone</text>');
+    expect(radarChartSvg(data)).not.toContain('stroke-dasharray');
+  });
+
+  test('Reports render the chart chosen for each section', () => {
+    const template = normalizeTemplate({
+      sections: [
+        { key: 'donutChart', enabled: true, chart: 'radar' },
+        { key: 'custom-bars', type: 'chart', enabled: true, chart: 'bar', title: 'At a glance' },
+        { key: 'custom-bad', type: 'chart', enabled: true, chart: 'pie' }
+      ]
+    });
+    expect(template.sections.find(s => s.key === 'custom-bad').chart).toBe('donut');
+
+    const html = buildHtmlReport({
+      template,
+      surveyTitle: 'Team check',
+      generatedAt: 'today',
+      categoryPercents: { Leadership: 72, Communication: 45, Strategy: 88 },
+      totalPercent: 68,
+      categoryRangesByTitle: { Leadership: { color: '#22c55e' } }
+    });
+
+    const radar = html.indexOf('radar chart');
+    const bar = html.indexOf('bar chart');
+    const donut = html.indexOf('donut chart');
+    expect(radar).toBeGreaterThan(-1);
+    expect(bar).toBeGreaterThan(radar);
+    expect(donut).toBeGreaterThan(bar);
+    expect(html).toContain('At a glance</h2>');
+    expect(html).toContain('fill="#22c55e"');
+  });
+});
@@ -0,0 +1,100 @@
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const submitResponse = require('../../pages/api/responses').default;
+const startDraft = require('../../pages/api/responses/drafts').default;
+const { surveyAvailability } = require('../../src/lib/availability');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+const createMockTables = (survey = {}) => ({
+  surveys: [{ id: 's1', title: 'Leadership check', status: 'published', version: 1, ...survey }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Leadership',
+      order: 1,
+      questions: [{ id: 'q1', category_id: 'cat1', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 }]
+    }
+  ],
+  score_ranges: [],
+  responses: []
+});
+
+const call = async (handler, body) => {
+  const res = createRes();
+  await handler(createReq({ method: 'POST', headers: { 'content-type': 'application/json' }, body }), res);
+  return res;
+};
+
+const answers = [{ question_id: 'q1', value: 'Yes' }];
+
+describe('Survey windows and quotas', () => {
+  test('Availability follows the window and the quota', () => {
+    const at = (offset) => new Date(NOW.getTime() + offset).toISOString();
+
+    expect(surveyAvailability({}, 0, NOW)).toEqual({ state: 'open', message: '', remaining: null });
+    expect(surveyAvailability({ opens_at: at(DAY) }, 0, NOW).state).toBe('not_open');
+    expect(surveyAvailability({ opens_at: at(-DAY), closes_at: at(DAY) }, 0, NOW).state).toBe('open');
+    expect(surveyAvailability({ closes_at: at(-1) }, 0, NOW).state).toBe('closed');
+    expect(surveyAvailability({ max_responses: 3 }, 2, NOW)).toEqual({ state: 'open', message: '', remaining: 1 });
+    expect(surveyAvailability({ max_responses: 3 }, 3, NOW).state).toBe('full');
+  });
+
+  test('Submissions after the closing time are refused', async () => {
+    mockDb.current = createFakeSupabase(createMockTables({ closes_at: new Date(Date.now() - DAY).toISOString() }));
+
+    const res = await call(submitResponse, { surveyId: 's1', answers });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.state).toBe('closed');
+    expect(mockDb.current.rpcCalls).toEqual([]);
+  });
+
+  test('Submissions over the quota are refused, but drafts do not count', async () => {
+    const tables = createMockTables({ max_responses: 2 });
+    tables.responses.push(
+      { id: 'r1', survey_id: 's1', completed_at: '2026-01-01T00:00:00Z' },
+      { id: 'r2', survey_id: 's1', completed_at: null }
+    );
+    mockDb.current = createFakeSupabase(tables);
+    mockDb.current.rpcHandlers.submit_survey_response = () => ({ data: [{ respondent_id: 'x', response_id: 'r3' }], error: null });
+
+    expect((await call(submitResponse, { surveyId: 's1', answers })).statusCode).toBe(201);
+
+    tables.responses.push({ id: 'r3', survey_id: 's1', completed_at: '2026-01-02T00:00:00Z' });
+    const full = await call(submitResponse, { surveyId: 's1', answers });
+    expect(full.statusCode).toBe(409);
+    expect(full.body.state).toBe('full');
+  });
+
+  test('A quota filled by a concurrent submission is reported as full', async () => {
+    mockDb.current = createFakeSupabase(createMockTables({ max_responses: 1 }));
+    mockDb.current.rpcHandlers.submit_survey_response = () => ({ data: null, error: { message: 'survey_full' } });
+
+    const res = await call(submitResponse, { surveyId: 's1', answers });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.state).toBe('full');
+  });
+
+  test('Drafts cannot be started before the survey opens', async () => {
+    mockDb.current = createFakeSupabase(createMockTables({ opens_at: new Date(Date.now() + DAY).toISOString() }));
+
+    const res = await call(startDraft, { surveyId: 's1', answers: {} });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.state).toBe('not_open');
+  });
+});
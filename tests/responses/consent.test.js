@@ -0,0 +1,94 @@
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const startDraft = require('../../pages/api/responses/drafts').default;
+const draftByToken = require('../../pages/api/responses/drafts/[token]').default;
+const submitResponse = require('../../pages/api/responses').default;
+
+const TOKEN = 'a'.repeat(32);
+
+const createMockTables = consent_required => ({
+  surveys: [{ id: 's1', title: 'Leadership check', status: 'published', version: 1, consent_required }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Leadership',
+      order: 1,
+      questions: [{ id: 'q1', category_id: 'cat1', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 }]
+    }
+  ],
+  score_ranges: [],
+  respondents: [{ id: 'r1', survey_id: 's1', consent: true, consent_timestamp: '2025-08-01T00:00:00Z' }],
+  responses: [
+    {
+      id: 'draft1',
+      survey_id: 's1',
+      respondent_id: 'r1',
+      resume_token: TOKEN,
+      draft_answers: {},
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      completed_at: null
+    }
+  ]
+});
+
+const call = async (handler, opts) => {
+  const res = createRes();
+  await handler(createReq({ headers: { 'content-type': 'application/json' }, ...opts }), res);
+  return res;
+};
+
+const submit = body => call(submitResponse, { method: 'POST', body: { surveyId: 's1', answers: [{ question_id: 'q1', value: 'Yes' }], ...body } });
+
+describe('Consent step', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables(true));
+    mockDb.current.rpcHandlers.submit_survey_response = () => ({ data: [{ respondent_id: 'r2', response_id: 'resp2' }], error: null });
+    mockDb.current.rpcHandlers.start_survey_draft = () => ({ data: [{ respondent_id: 'r3', response_id: 'draft3' }], error: null });
+  });
+
+  test('Surveys with a consent step reject submissions and drafts without it', async () => {
+    const res = await submit({});
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error).toBe('Consent is required to take this survey');
+
+    const draft = await call(startDraft, { method: 'POST', body: { surveyId: 's1', answers: {}, consent: 'yes' } });
+    expect(draft.statusCode).toBe(422);
+    expect(mockDb.current.rpcCalls).toEqual([]);
+  });
+
+  test('Consent is passed on to be recorded with the respondent', async () => {
+    expect((await submit({ consent: true })).statusCode).toBe(201);
+    expect((await call(startDraft, { method: 'POST', body: { surveyId: 's1', answers: {}, consent: true } })).statusCode).toBe(201);
+
+    expect(mockDb.current.rpcCalls.map(c => [c.name, c.args.p_consent])).toEqual([
+      ['submit_survey_response', true],
+      ['start_survey_draft', true]
+    ]);
+  });
+
+  test('Surveys without a consent step accept responses as before', async () => {
+    mockDb.current.tables.surveys[0].consent_required = false;
+
+    expect((await submit({})).statusCode).toBe(201);
+    expect(mockDb.current.rpcCalls[0].args.p_consent).toBe(false);
+  });
+
+  test('Resumed drafts say whether consent was already given', async () => {
+    const res = await call(draftByToken, { method: 'GET', query: { token: TOKEN } });
+    expect(res.body.consent).toBe(true);
+
+    mockDb.current.tables.respondents[0].consent = false;
+    expect((await call(draftByToken, { method: 'GET', query: { token: TOKEN } })).body.consent).toBe(false);
+  });
+});
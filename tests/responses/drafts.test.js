@@ -0,0 +1,137 @@
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+process.env.DRAFT_TTL_HOURS = '48';
+
+const startDraft = require('../../pages/api/responses/drafts').default;
+const draftByToken = require('../../pages/api/responses/drafts/[token]').default;
+const submitResponse = require('../../pages/api/responses').default;
+
+const TOKEN = 'a'.repeat(32);
+const HOUR = 60 * 60 * 1000;
+
+const createMockTables = () => ({
+  surveys: [{ id: 's1', title: 'Leadership check', status: 'published', version: 2 }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Leadership',
+      order: 1,
+      questions: [
+        { id: 'q1', category_id: 'cat1', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 },
+        { id: 'q2', category_id: 'cat1', type: 'text', scorable: false, order: 2 }
+      ]
+    }
+  ],
+  score_ranges: [],
+  responses: [
+    {
+      id: 'draft1',
+      survey_id: 's1',
+      respondent_id: 'r1',
+      resume_token: TOKEN,
+      draft_answers: { q1: 'Yes' },
+      draft_position: 1,
+      expires_at: new Date(Date.now() + HOUR).toISOString(),
+      completed_at: null
+    }
+  ]
+});
+
+const call = async (handler, opts) => {
+  const res = createRes();
+  await handler(createReq({ headers: { 'content-type': 'application/json' }, ...opts }), res);
+  return res;
+};
+
+describe('Save-and-resume drafts', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+    mockDb.current.rpcHandlers.start_survey_draft = () => ({ data: [{ respondent_id: 'r2', response_id: 'draft2' }], error: null });
+    mockDb.current.rpcHandlers.submit_survey_response = () => ({ data: [{ respondent_id: 'r1', response_id: 'draft1' }], error: null });
+  });
+
+  test('Starting a draft issues a token and keeps only known questions', async () => {
+    const before = Date.now();
+    const res = await call(startDraft, {
+      method: 'POST',
+      body: { surveyId: 's1', answers: { q1: 'No', other: 'x' }, position: 1 }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+
+    const { args } = mockDb.current.rpcCalls[0];
+    expect(args).toEqual(expect.objectContaining({
+      p_survey_id: 's1',
+      p_survey_version: 2,
+      p_resume_token: res.body.token,
+      p_answers: { q1: 'No' },
+      p_position: 1
+    }));
+    const ttl = new Date(args.p_expires_at).getTime() - before;
+    expect(ttl).toBeGreaterThanOrEqual(48 * HOUR - 1000);
+    expect(ttl).toBeLessThanOrEqual(48 * HOUR + 1000);
+  });
+
+  test('An active draft is restored', async () => {
+    const res = await call(draftByToken, { method: 'GET', query: { token: TOKEN } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({ surveyId: 's1', answers: { q1: 'Yes' }, position: 1 }));
+  });
+
+  test('Expired and submitted drafts answer 410', async () => {
+    mockDb.current.tables.responses[0].expires_at = new Date(Date.now() - HOUR).toISOString();
+    const expired = await call(draftByToken, { method: 'GET', query: { token: TOKEN } });
+    expect(expired.statusCode).toBe(410);
+    expect(expired.body.state).toBe('expired');
+
+    mockDb.current.tables.responses[0].completed_at = new Date().toISOString();
+    const done = await call(draftByToken, { method: 'GET', query: { token: TOKEN } });
+    expect(done.statusCode).toBe(410);
+    expect(done.body.state).toBe('completed');
+  });
+
+  test('Saving progress updates the draft and extends its expiry', async () => {
+    const oldExpiry = mockDb.current.tables.responses[0].expires_at;
+    const res = await call(draftByToken, {
+      method: 'PUT',
+      query: { token: TOKEN },
+      body: { answers: { q1: 'No', q2: 'Notes' }, position: 2 }
+    });
+
+    expect(res.statusCode).toBe(200);
+    const row = mockDb.current.tables.responses[0];
+    expect(row.draft_answers).toEqual({ q1: 'No', q2: 'Notes' });
+    expect(row.draft_position).toBe(2);
+    expect(new Date(row.expires_at).getTime()).toBeGreaterThan(new Date(oldExpiry).getTime());
+  });
+
+  test('Unknown or malformed tokens are 404', async () => {
+    const unknown = await call(draftByToken, { method: 'GET', query: { token: 'b'.repeat(32) } });
+    const malformed = await call(draftByToken, { method: 'GET', query: { token: 'nope' } });
+
+    expect(unknown.statusCode).toBe(404);
+    expect(malformed.statusCode).toBe(404);
+  });
+
+  test('Submitting with a resume token completes that draft', async () => {
+    const res = await call(submitResponse, {
+      method: 'POST',
+      body: { surveyId: 's1', answers: [{ question_id: 'q1', value: 'Yes' }], resumeToken: TOKEN }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(mockDb.current.rpcCalls[0].args.p_resume_token).toBe(TOKEN);
+  });
+});
@@ -0,0 +1,82 @@
+const { orderOptions, orderQuestions, shuffleWithPins, seededRandom } = require('../../src/lib/randomization');
+const { validateSubmission } = require('../../src/lib/submission');
+
+const createMockCategories = () => [
+  {
+    id: 'cat1',
+    title: 'Category 1',
+    questions: [
+      { id: 'q1', category_id: 'cat1', type: 'radio', choices: ['A', 'B', 'C', 'None of the above'], choice_scores: [1, 2, 3, 0] },
+      { id: 'q2', category_id: 'cat1', type: 'text', scorable: false },
+      { id: 'q3', category_id: 'cat1', type: 'text', scorable: false },
+      { id: 'q4', category_id: 'cat1', type: 'text', scorable: false }
+    ]
+  }
+];
+
+describe('Randomization', () => {
+  test('The same seed always gives the same order', () => {
+    const options = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+    expect(orderOptions(options, [], 0, 42)).toEqual(orderOptions(options, [], 0, 42));
+    expect([...orderOptions(options, [], 0, 42)].sort()).toEqual(options);
+  });
+
+  test('Pinned options keep their position', () => {
+    const options = ['A', 'B', 'C', 'D', 'None of the above'];
+    for (let seed = 1; seed <= 20; seed++) {
+      expect(orderOptions(options, ['None of the above'], 0, seed)[4]).toBe('None of the above');
+    }
+  });
+
+  test('Shuffling actually moves unpinned items for some seeds', () => {
+    const items = [1, 2, 3, 4, 5, 6];
+    const orders = new Set();
+    for (let seed = 1; seed <= 10; seed++) {
+      orders.add(shuffleWithPins(items, () => false, seededRandom(seed)).join());
+    }
+    expect(orders.size).toBeGreaterThan(1);
+  });
+
+  test('Category settings override the survey and logic-linked categories stay fixed', () => {
+    const cats = [
+      { id: 'c1', randomize_questions: false, questions: [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }] },
+      {
+        id: 'c2',
+        randomize_questions: null,
+        questions: [
+          { id: 'e' },
+          { id: 'f', display_logic: { conditions: [{ question_id: 'e', operator: 'answered' }] } },
+          { id: 'g' },
+          { id: 'h' }
+        ]
+      }
+    ];
+    for (let seed = 1; seed <= 10; seed++) {
+      const ordered = orderQuestions({ randomize_questions: true }, cats, seed);
+      expect(ordered[0].questions.map(q => q.id)).toEqual(['a', 'b', 'c', 'd']);
+      expect(ordered[1].questions.map(q => q.id)).toEqual(['e', 'f', 'g', 'h']);
+    }
+  });
+
+  test('Presented order and option order are kept on submitted answers', () => {
+    const result = validateSubmission(createMockCategories(), [
+      { question_id: 'q1', value: 'B', presented_order: 3, presented_choices: ['C', 'A', 'B', 'None of the above'] },
+      { question_id: 'q2', value: 'Text', presented_order: 1 }
+    ]);
+
+    expect(result.answers).toEqual([
+      { question_id: 'q1', value: 'B', presented_order: 3, presented_choices: ['C', 'A', 'B', 'None of the above'] },
+      { question_id: 'q2', value: 'Text', presented_order: 1 }
+    ]);
+  });
+
+  test('Malformed presentation data is dropped without failing the submission', () => {
+    const result = validateSubmission(createMockCategories(), [
+      { question_id: 'q1', value: 'B', presented_order: -1, presented_choices: ['A', 'B', 'Z'] }
+    ]);
+
+    expect(result.ok).toBe(true);
+    expect(result.answers).toEqual([{ question_id: 'q1', value: 'B' }]);
+  });
+});
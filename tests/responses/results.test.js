@@ -0,0 +1,93 @@
+const { buildResult, loadSurveyAverages } = require('../../src/lib/results');
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+
+const createMockCategories = () => [
+  {
+    id: 'cat1',
+    title: 'Category 1',
+    questions: [
+      { id: 'q1', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0] },
+      { id: 'q2', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0] }
+    ]
+  },
+  {
+    id: 'cat2',
+    title: 'Category 2',
+    questions: [
+      { id: 'q3', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0] },
+      { id: 'q4', type: 'text', scorable: false }
+    ]
+  }
+];
+
+const createMockRanges = () => [
+  { id: 'c1-low', category_id: 'cat1', min_score: 0, max_score: 49 },
+  { id: 'c1-high', category_id: 'cat1', min_score: 50, max_score: 100 },
+  { id: 'all-low', category_id: null, min_score: 0, max_score: 74 },
+  { id: 'all-high', category_id: null, min_score: 75, max_score: 100 }
+];
+
+describe('Result rows', () => {
+  test('Per-category and overall percents carry their matched band', () => {
+    const result = buildResult(createMockCategories(), [
+      { question_id: 'q1', value: 'Yes' },
+      { question_id: 'q2', value: 'No' },
+      { question_id: 'q3', value: 'Yes' }
+    ], createMockRanges());
+
+    expect(result.per_category).toEqual([
+      { category_id: 'cat1', title: 'Category 1', score: 1, max: 2, percent: 50, band_id: 'c1-high' },
+      { category_id: 'cat2', title: 'Category 2', score: 1, max: 1, percent: 100, band_id: null }
+    ]);
+    expect(result.overall).toEqual({ score: 2, max: 3, percent: 75, band_id: 'all-high' });
+  });
+
+  test('Creator type aliases score like the editor types', () => {
+    const categories = [{
+      id: 'cat1',
+      title: 'Category 1',
+      questions: [
+        { id: 'm1', type: 'multi', choices: ['A', 'B', 'C'], choice_scores: [0, 1, 2] },
+        { id: 's1', type: 'scale', max_score: 5 }
+      ]
+    }];
+    const result = buildResult(categories, [
+      { question_id: 'm1', value: ['C'] },
+      { question_id: 's1', value: 5 }
+    ], []);
+
+    expect(result.per_category[0].percent).toBe(100);
+  });
+
+  test('Counts only scorable questions', () => {
+    const result = buildResult(createMockCategories(), [
+      { question_id: 'q1', value: 'Yes' },
+      { question_id: 'q4', value: 'Free text' }
+    ], []);
+
+    expect(result.completed_count).toBe(1);
+    expect(result.scorable_count).toBe(3);
+  });
+
+  test('Survey averages use completed responses only, matched by category id', async () => {
+    const db = createFakeSupabase({
+      responses: [
+        { id: 'r1', survey_id: 's1', completed_at: '2025-08-01T00:00:00Z' },
+        { id: 'r2', survey_id: 's1', completed_at: '2025-08-02T00:00:00Z' },
+        { id: 'r3', survey_id: 's1', completed_at: null },
+        { id: 'r4', survey_id: 's2', completed_at: '2025-08-02T00:00:00Z' }
+      ],
+      results: [
+        { response_id: 'r1', per_category: [{ category_id: 'cat1', title: 'Old name', percent: 40 }] },
+        { response_id: 'r2', per_category: [{ category_id: 'cat1', title: 'Category 1', percent: 81 }] },
+        { response_id: 'r3', per_category: [{ category_id: 'cat1', title: 'Category 1', percent: 0 }] },
+        { response_id: 'r4', per_category: [{ category_id: 'cat1', title: 'Category 1', percent: 0 }] }
+      ]
+    });
+
+    const averages = await loadSurveyAverages(db.client, 's1', createMockCategories());
+
+    expect(averages).toEqual({ 'Category 1': 60.5 });
+    expect(db.rpcCalls).toEqual([{ name: 'survey_category_averages', args: { p_survey_id: 's1' } }]);
+  });
+});
@@ -0,0 +1,90 @@
+const { visibleQuestionIds } = require('../../src/lib/displayLogic');
+const { computeScores } = require('../../src/lib/scoring');
+const { validateSubmission } = require('../../src/lib/submission');
+
+// q2 only shows when q1 is "Yes"; q3 only when q2 was answered 4+;
+// the "Team" category only shows when q1 is "Yes".
+const createMockCategories = () => [
+  {
+    id: 'cat1',
+    title: 'Leadership',
+    questions: [
+      { id: 'q1', category_id: 'cat1', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0] },
+      {
+        id: 'q2',
+        category_id: 'cat1',
+        type: 'rating',
+        max_score: 5,
+        required: true,
+        display_logic: { match: 'all', conditions: [{ question_id: 'q1', operator: 'in', values: ['Yes'] }] }
+      },
+      {
+        id: 'q3',
+        category_id: 'cat1',
+        type: 'radio',
+        choices: ['Yes', 'No'],
+        choice_scores: [1, 0],
+        display_logic: JSON.stringify({ conditions: [{ question_id: 'q2', operator: 'gte', values: [4] }] })
+      }
+    ]
+  },
+  {
+    id: 'cat2',
+    title: 'Team',
+    display_logic: { match: 'any', conditions: [{ question_id: 'q1', operator: 'in', values: ['Yes'] }] },
+    questions: [
+      { id: 'q4', category_id: 'cat2', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], required: true }
+    ]
+  }
+];
+
+describe('Skip logic', () => {
+  test('Hiding a question also hides questions that depend on it', () => {
+    const visible = visibleQuestionIds(createMockCategories(), { q1: 'No', q2: 5 });
+
+    expect([...visible]).toEqual(['q1']);
+  });
+
+  test('Conditions reveal questions and categories', () => {
+    const visible = visibleQuestionIds(createMockCategories(), { q1: 'Yes', q2: 4 });
+
+    expect([...visible]).toEqual(['q1', 'q2', 'q3', 'q4']);
+  });
+
+  test('Hidden questions and categories are not scored as missing zeros', () => {
+    const { categoryPercents, totalPercent } = computeScores(createMockCategories(), [
+      { question_id: 'q1', value: 'Yes' },
+      { question_id: 'q2', value: 5 },
+      { question_id: 'q3', value: 'Yes' },
+      { question_id: 'q4', value: 'Yes' }
+    ]);
+    expect(categoryPercents).toEqual({ Leadership: 100, Team: 100 });
+    expect(totalPercent).toBe(100);
+
+    const skipped = computeScores(createMockCategories(), [{ question_id: 'q1', value: 'Yes' }, { question_id: 'q2', value: 1 }]);
+    // q3 hidden (q2 < 4); Team still shown with q4 unanswered
+    expect(skipped.categoryDetails.find(d => d.categoryId === 'cat1').scorable).toBe(2);
+
+    const allNo = computeScores(createMockCategories(), [{ question_id: 'q1', value: 'No' }]);
+    expect(allNo.categoryPercents).toEqual({ Leadership: 0 });
+  });
+
+  test('Submission ignores hidden questions for required checks and drops their answers', () => {
+    const result = validateSubmission(createMockCategories(), [
+      { question_id: 'q1', value: 'No' },
+      { question_id: 'q3', value: 'Yes' }
+    ]);
+
+    expect(result.ok).toBe(true);
+    expect(result.answers).toEqual([{ question_id: 'q1', value: 'No' }]);
+  });
+
+  test('Shown required questions are still enforced', () => {
+    const result = validateSubmission(createMockCategories(), [{ question_id: 'q1', value: 'Yes' }]);
+
+    expect(result.errors.map(e => [e.question_id, e.code])).toEqual([
+      ['q2', 'required'],
+      ['q4', 'required']
+    ]);
+  });
+});
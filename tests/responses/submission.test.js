@@ -0,0 +1,129 @@
+const { validateSubmission } = require('../../src/lib/submission');
+
+const createMockCategories = () => [
+  {
+    id: 'cat1',
+    title: 'Category 1',
+    questions: [
+      { id: 'q1', category_id: 'cat1', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0] },
+      { id: 'q2', category_id: 'cat1', type: 'checkbox', choices: '{"A","B","C"}', choice_scores: '{1,2,3}' }
+    ]
+  },
+  {
+    id: 'cat2',
+    title: 'Category 2',
+    questions: [
+      { id: 'q3', category_id: 'cat2', type: 'rating', max_score: 5 },
+      { id: 'q4', category_id: 'cat2', type: 'text', scorable: false }
+    ]
+  }
+];
+
+describe('Submission validation', () => {
+  test('Valid answers pass and are returned for persisting', () => {
+    const result = validateSubmission(createMockCategories(), [
+      { question_id: 'q1', value: 'Yes' },
+      { question_id: 'q2', value: ['A', 'C'] },
+      { question_id: 'q3', value: '4' },
+      { question_id: 'q4', value: 'Free text' }
+    ]);
+
+    expect(result.ok).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.answers).toHaveLength(4);
+  });
+
+  test('Non-array payload is rejected', () => {
+    const result = validateSubmission(createMockCategories(), { q1: 'Yes' });
+
+    expect(result.ok).toBe(false);
+    expect(result.errors[0].code).toBe('invalid_payload');
+  });
+
+  test('Questions from another survey are rejected', () => {
+    const result = validateSubmission(createMockCategories(), [
+      { question_id: 'other', value: 'Yes' }
+    ]);
+
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual([
+      expect.objectContaining({ question_id: 'other', code: 'unknown_question' })
+    ]);
+  });
+
+  test('Choices that are not offered are rejected', () => {
+    const result = validateSubmission(createMockCategories(), [
+      { question_id: 'q1', value: 'Maybe' },
+      { question_id: 'q2', value: ['A', 'Z'] }
+    ]);
+
+    expect(result.errors.map(e => e.code)).toEqual(['invalid_choice', 'invalid_choice']);
+  });
+
+  test('Duplicate answers are rejected', () => {
+    const result = validateSubmission(createMockCategories(), [
+      { question_id: 'q1', value: 'Yes' },
+      { question_id: 'q1', value: 'No' }
+    ]);
+
+    expect(result.errors).toEqual([
+      expect.objectContaining({ question_id: 'q1', code: 'duplicate_answer' })
+    ]);
+  });
+
+  test('Empty values are dropped rather than stored', () => {
+    const result = validateSubmission(createMockCategories(), [
+      { question_id: 'q1', value: null },
+      { question_id: 'q4', value: '   ' }
+    ]);
+
+    expect(result.ok).toBe(true);
+    expect(result.answers).toEqual([]);
+  });
+
+  test('Required questions left unanswered are reported', () => {
+    const categories = createMockCategories();
+    categories[0].questions[0].required = true;
+    categories[1].questions[1].required = true;
+
+    const result = validateSubmission(categories, [
+      { question_id: 'q4', value: '  ' }
+    ]);
+
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual([
+      expect.objectContaining({ question_id: 'q1', code: 'required' }),
+      expect.objectContaining({ question_id: 'q4', code: 'required' })
+    ]);
+  });
+
+  test('Validation rules are re-checked with structured errors', () => {
+    const categories = createMockCategories();
+    categories[0].questions[1].validation = { min_selections: 2, max_selections: 2 };
+    categories[1].questions[0].validation = { min_value: 2, max_value: 4 };
+    categories[1].questions[1].validation = JSON.stringify({ pattern: '[A-Z]{2}\\d{2}', pattern_message: 'Use a code like AB12.' });
+
+    const result = validateSubmission(categories, [
+      { question_id: 'q2', value: ['A'] },
+      { question_id: 'q3', value: 5 },
+      { question_id: 'q4', value: 'ab12' }
+    ]);
+
+    expect(result.errors).toEqual([
+      { question_id: 'q2', code: 'min_selections', message: 'Select at least 2 options.' },
+      { question_id: 'q3', code: 'max_value', message: 'Rating must be no more than 4.' },
+      { question_id: 'q4', code: 'pattern', message: 'Use a code like AB12.' }
+    ]);
+  });
+
+  test('Answers within the rules pass', () => {
+    const categories = createMockCategories();
+    categories[1].questions[1].validation = { min_length: 3, max_length: 10, pattern: '[A-Z]{2}\\d{2}' };
+
+    const result = validateSubmission(categories, [
+      { question_id: 'q4', value: 'AB12' }
+    ]);
+
+    expect(result.ok).toBe(true);
+  });
+});
@@ -0,0 +1,146 @@
+const { ADMIN_TOKEN, createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const publishSurvey = require('../../pages/api/surveys/[id]/publish').default;
+const submitResponse = require('../../pages/api/responses').default;
+const { loadRespondentScores } = require('../../src/lib/results');
+const { getServerSupabase } = require('../../src/lib/supabaseServer');
+
+const TOKEN = 'a'.repeat(32);
+
+const question = (scores) => ({
+  id: 'q1',
+  category_id: 'cat1',
+  type: 'radio',
+  prompt: 'Do you delegate?',
+  choices: ['Yes', 'No'],
+  choice_scores: scores,
+  max_score: 1,
+  order: 1
+});
+
+// v1 scored "Yes" as 1; the live survey has since been edited so "Yes" scores 0
+const createMockTables = () => ({
+  surveys: [{ id: 's1', title: 'Leadership check', status: 'published', version: 2 }],
+  categories: [{ id: 'cat1', survey_id: 's1', title: 'Leadership', order: 1, questions: [question([0, 1])] }],
+  score_ranges: [],
+  survey_snapshots: [
+    {
+      id: 'snap1',
+      survey_id: 's1',
+      version: 1,
+      snapshot: {
+        survey: { id: 's1', title: 'Leadership check' },
+        categories: [{ id: 'cat1', survey_id: 's1', title: 'Leadership', order: 1, questions: [question([1, 0])] }],
+        score_ranges: []
+      }
+    },
+    {
+      id: 'snap2',
+      survey_id: 's1',
+      version: 2,
+      snapshot: {
+        survey: { id: 's1', title: 'Leadership check' },
+        categories: [{ id: 'cat1', survey_id: 's1', title: 'Leadership', order: 1, questions: [question([0, 1])] }],
+        score_ranges: []
+      }
+    }
+  ],
+  responses: [],
+  answers: [],
+  results: []
+});
+
+const call = async (handler, opts) => {
+  const res = createRes();
+  await handler(createReq({ headers: { 'content-type': 'application/json' }, ...opts }), res);
+  return res;
+};
+
+describe('Survey versioning', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+    mockDb.current.rpcHandlers.submit_survey_response = () => ({ data: [{ respondent_id: 'r1', response_id: 'resp1' }], error: null });
+    mockDb.current.rpcHandlers.publish_survey = () => ({ data: [{ snapshot_id: 'snap3', version: 3 }], error: null });
+  });
+
+  test('Publishing snapshots the live questions and score ranges', async () => {
+    mockDb.current.tables.score_ranges.push(
+      { id: 'band1', survey_id: 's1', category_id: null, min_score: 0, max_score: 100 },
+      { id: 'band2', survey_id: 's1', category_id: 'cat1', min_score: 0, max_score: 100 }
+    );
+
+    const res = await call(publishSurvey, { method: 'POST', query: { id: 's1' }, headers: { authorization: `Bearer ${ADMIN_TOKEN}` } });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toEqual({ snapshotId: 'snap3', version: 3 });
+    const { args } = mockDb.current.rpcCalls[0];
+    expect(args.p_survey_id).toBe('s1');
+    expect(args.p_snapshot.categories[0].questions[0].choice_scores).toEqual([0, 1]);
+    expect(args.p_snapshot.score_ranges.map(r => r.id)).toEqual(['band1', 'band2']);
+  });
+
+  test('Publishing an unknown survey is 404', async () => {
+    const res = await call(publishSurvey, { method: 'POST', query: { id: 'nope' }, headers: { authorization: `Bearer ${ADMIN_TOKEN}` } });
+
+    expect(res.statusCode).toBe(404);
+    expect(mockDb.current.rpcCalls).toEqual([]);
+  });
+
+  test('New responses are scored against and bound to the latest snapshot', async () => {
+    const res = await call(submitResponse, {
+      method: 'POST',
+      body: { surveyId: 's1', answers: [{ question_id: 'q1', value: 'No' }] }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.totalPercent).toBe(100);
+    expect(mockDb.current.rpcCalls[0].args).toEqual(
+      expect.objectContaining({ p_snapshot_id: 'snap2', p_survey_version: 2 })
+    );
+  });
+
+  test('A draft started on an older version is scored against that version', async () => {
+    mockDb.current.tables.responses.push({
+      id: 'draft1',
+      survey_id: 's1',
+      respondent_id: 'r1',
+      snapshot_id: 'snap1',
+      resume_token: TOKEN,
+      draft_answers: {},
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      completed_at: null
+    });
+
+    const res = await call(submitResponse, {
+      method: 'POST',
+      body: { surveyId: 's1', answers: [{ question_id: 'q1', value: 'Yes' }], resumeToken: TOKEN, snapshotId: 'snap2' }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.totalPercent).toBe(100);
+    expect(mockDb.current.rpcCalls[0].args).toEqual(
+      expect.objectContaining({ p_snapshot_id: 'snap1', p_survey_version: 1 })
+    );
+  });
+
+  test('Older responses are rescored with their own snapshot, not the edited survey', async () => {
+    const { tables } = mockDb.current;
+    tables.responses.push({ id: 'old1', survey_id: 's1', respondent_id: 'r9', snapshot_id: 'snap1', completed_at: '2026-01-01T00:00:00Z' });
+    tables.answers.push({ id: 'a1', response_id: 'old1', question_id: 'q1', value: 'Yes' });
+
+    const scored = await loadRespondentScores(getServerSupabase(), 's1', 'r9');
+
+    expect(scored.version).toBe(1);
+    expect(scored.totalPercent).toBe(100);
+  });
+});
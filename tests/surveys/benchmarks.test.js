@@ -0,0 +1,129 @@
+const { createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const handler = require('../../pages/api/surveys/[id]/benchmarks').default;
+const { toBenchmark } = require('../../src/lib/benchmarks');
+const { buildHtmlReport } = require('../../src/lib/reportHtml');
+const { normalizeTemplate } = require('../../src/lib/reportTemplates');
+
+// r1–r5 are on team A, r6–r7 on team B; each scored `percent` on Focus
+const SCORES = [
+  ['r1', 'A', 60],
+  ['r2', 'A', 20],
+  ['r3', 'A', 40],
+  ['r4', 'A', 60],
+  ['r5', 'A', 80],
+  ['r6', 'B', 100],
+  ['r7', 'B', 100]
+];
+
+const createMockTables = () => ({
+  surveys: [{ id: 's1', title: 'Focus check', benchmark_cohort_key: 'team' }],
+  categories: [
+    {
+      id: 'cat1',
+      survey_id: 's1',
+      title: 'Focus',
+      order: 1,
+      questions: [{ id: 'q1', type: 'radio', choices: ['Yes', 'No'], choice_scores: [1, 0], order: 1 }]
+    }
+  ],
+  score_ranges: [],
+  respondents: SCORES.map(([id, team]) => ({ id, survey_id: 's1', meta: { team } })),
+  responses: [
+    ...SCORES.map(([id]) => ({ id: `resp-${id}`, survey_id: 's1', respondent_id: id, completed_at: '2025-08-01T00:00:00Z' })),
+    { id: 'resp-draft', survey_id: 's1', respondent_id: 'r8', completed_at: null }
+  ],
+  answers: [],
+  results: [
+    ...SCORES.map(([id, , percent]) => ({
+      response_id: `resp-${id}`,
+      respondent_id: id,
+      per_category: [{ category_id: 'cat1', title: 'Focus', percent }],
+      overall: { percent }
+    })),
+    { response_id: 'resp-draft', per_category: [{ category_id: 'cat1', title: 'Focus', percent: 0 }], overall: { percent: 0 } }
+  ]
+});
+
+const getBenchmarks = async query => {
+  const res = createRes();
+  await handler(createReq({ method: 'GET', query: { id: 's1', ...query } }), res);
+  return res;
+};
+
+describe('Benchmarks', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+  });
+
+  test('Percentile rank counts ties half', () => {
+    // [20, 40, 60, 60, 80] against an own score of 60
+    expect(toBenchmark({ count: 5, average: 52, median: 60, below: 2, equal: 2 }, 60)).toEqual({ average: 52, median: 60, percentile: 60, count: 5 });
+    expect(toBenchmark({ count: 2, average: 20, median: 20, below: 0, equal: 0 }, null)).toEqual({ average: 20, median: 20, percentile: null, count: 2 });
+  });
+
+  test('Respondents are compared within their cohort', async () => {
+    const res = await getBenchmarks({ respondentId: 'r1' });
+
+    expect(res.statusCode).toBe(200);
+    const { benchmarks } = res.body;
+    expect(benchmarks.cohort).toEqual({ key: 'team', value: 'A' });
+    expect(benchmarks.count).toBe(5);
+    expect(benchmarks.categories.Focus).toEqual({ average: 52, median: 60, percentile: 60, count: 5 });
+    expect(mockDb.current.rpcCalls).toEqual([
+      {
+        name: 'survey_benchmarks',
+        args: { p_survey_id: 's1', p_own: { cat1: 60, overall: 60 }, p_respondent_id: 'r1', p_cohort_key: 'team', p_min_cohort_size: 5 }
+      }
+    ]);
+  });
+
+  test('Cohorts smaller than the minimum fall back to the whole survey', async () => {
+    const res = await getBenchmarks({ respondentId: 'r6' });
+
+    const { benchmarks } = res.body;
+    expect(benchmarks.cohort).toBeNull();
+    expect(benchmarks.count).toBe(7);
+    expect(benchmarks.categories.Focus).toEqual({ average: 65.71, median: 60, percentile: 86, count: 7 });
+  });
+
+  test('Unknown respondents are 404 and only GET is allowed', async () => {
+    expect((await getBenchmarks({ respondentId: 'nope' })).statusCode).toBe(404);
+
+    const res = createRes();
+    await handler(createReq({ method: 'POST', query: { id: 's1' } }), res);
+    expect(res.statusCode).toBe(405);
+    expect(res.headers['allow']).toBe('GET');
+  });
+
+  test('The PDF section lists each category against the cohort', () => {
+    const html = buildHtmlReport({
+      template: normalizeTemplate({ sections: [{ key: 'benchmarks', enabled: true }] }),
+      surveyTitle: 'Focus check',
+      generatedAt: 'today',
+      categoryPercents: { Focus: 60 },
+      totalPercent: 60,
+      benchmarks: {
+        cohort: { key: 'team', value: 'A <&>' },
+        count: 5,
+        categories: { Focus: { average: 52, median: 60, percentile: 60, count: 5 } },
+        overall: { average: 52, median: 60, percentile: 60, count: 5 }
+      }
+    });
+
+    expect(html).toContain('How you compare');
+    expect(html).toContain('respondents with team “A &lt;&amp;&gt;” (5 completed responses)');
+    expect(html).toContain('Higher than 60%');
+    expect(html).toContain('>52%</td>');
+  });
+});
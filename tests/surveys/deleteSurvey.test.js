@@ -0,0 +1,90 @@
+const { ADMIN_TOKEN, USER_TOKEN, createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const deleteSurvey = require('../../pages/api/surveys/[id]/index').default;
+
+// s1 is published and nobody has taken it yet; s2 has a respondent
+const createMockTables = () => ({
+  surveys: [
+    { id: 's1', title: 'Leadership check', status: 'published', version: 1 },
+    { id: 's2', title: 'Team pulse', status: 'published', version: 1 }
+  ],
+  categories: [
+    { id: 'cat1', survey_id: 's1', title: 'Leadership', order: 1 },
+    { id: 'cat2', survey_id: 's2', title: 'Team', order: 1 }
+  ],
+  questions: [
+    { id: 'q1', category_id: 'cat1', type: 'radio', prompt: 'Do you delegate?', order: 1 },
+    { id: 'q2', category_id: 'cat2', type: 'radio', prompt: 'Do you meet weekly?', order: 1 }
+  ],
+  score_ranges: [
+    { id: 'band1', survey_id: 's1', category_id: null, min_score: 0, max_score: 100 },
+    { id: 'band2', survey_id: 's2', category_id: null, min_score: 0, max_score: 100 }
+  ],
+  survey_snapshots: [
+    { id: 'snap1', survey_id: 's1', version: 1, snapshot: {} },
+    { id: 'snap2', survey_id: 's2', version: 1, snapshot: {} }
+  ],
+  report_assets: [],
+  respondents: [{ id: 'r1', survey_id: 's2', survey_version: 1 }]
+});
+
+const ids = rows => rows.map(r => r.id);
+
+const call = async (id, token = ADMIN_TOKEN) => {
+  const res = createRes();
+  await deleteSurvey(
+    createReq({ method: 'DELETE', query: { id }, headers: token ? { authorization: `Bearer ${token}` } : {} }),
+    res
+  );
+  return res;
+};
+
+describe('Deleting a survey', () => {
+  beforeEach(() => {
+    mockDb.current = createFakeSupabase(createMockTables());
+  });
+
+  test('A published survey goes with its snapshots, ranges, questions and categories', async () => {
+    const res = await call('s1');
+
+    expect(res.statusCode).toBe(204);
+    const { tables, rpcCalls } = mockDb.current;
+    expect(rpcCalls).toEqual([{ name: 'delete_survey', args: { p_survey_id: 's1' } }]);
+    expect(ids(tables.surveys)).toEqual(['s2']);
+    expect(ids(tables.categories)).toEqual(['cat2']);
+    expect(ids(tables.questions)).toEqual(['q2']);
+    expect(ids(tables.score_ranges)).toEqual(['band2']);
+    expect(ids(tables.survey_snapshots)).toEqual(['snap2']);
+  });
+
+  test('A survey with responses is kept', async () => {
+    const res = await call('s2');
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.error).toMatch(/Archive it instead/);
+    const { tables } = mockDb.current;
+    expect(ids(tables.surveys)).toEqual(['s1', 's2']);
+    expect(ids(tables.questions)).toEqual(['q1', 'q2']);
+    expect(ids(tables.survey_snapshots)).toEqual(['snap1', 'snap2']);
+  });
+
+  test('An unknown survey is 404', async () => {
+    expect((await call('nope')).statusCode).toBe(404);
+  });
+
+  test('Only admins can delete', async () => {
+    expect([(await call('s1', null)).statusCode, (await call('s1', USER_TOKEN)).statusCode]).toEqual([401, 403]);
+    expect(ids(mockDb.current.tables.surveys)).toEqual(['s1', 's2']);
+    expect(mockDb.current.rpcCalls).toEqual([]);
+  });
+});
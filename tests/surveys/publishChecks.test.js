@@ -0,0 +1,93 @@
+const { ADMIN_TOKEN, USER_TOKEN, createFakeSupabase } = require('../helpers/fakeSupabase');
+const { createReq, createRes } = require('../helpers/mockHttp');
+
+const mockDb = { current: null };
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => require('../helpers/fakeSupabase').proxyClient(() => mockDb.current),
+}));
+
+process.env.NEXT_PUBLIC_SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-key';
+
+const publishSurvey = require('../../pages/api/surveys/[id]/publish').default;
+const { checkSurveyForPublish, coverageGaps } = require('../../src/lib/publishChecks');
+
+const createMockCategories = () => [
+  {
+    id: 'cat1',
+    title: 'Leadership',
+    questions: [
+      { id: 'q1', category_id: 'cat1', type: 'radio', prompt: 'Do you delegate?', choices: ['Yes', 'No'], choice_scores: [1, 0] },
+      { id: 'q2', category_id: 'cat1', type: 'text', prompt: 'Anything else?', scorable: false }
+    ]
+  }
+];
+
+const fullRanges = () => [
+  { category_id: null, min_score: 0, max_score: 49 },
+  { category_id: null, min_score: 50, max_score: 100 },
+  { category_id: 'cat1', min_score: 0, max_score: 100 }
+];
+
+const call = async (handler, opts) => {
+  const res = createRes();
+  await handler(createReq(opts), res);
+  return res;
+};
+
+describe('Pre-publish checks', () => {
+  test('A complete survey has no problems', () => {
+    expect(checkSurveyForPublish(createMockCategories(), fullRanges())).toEqual([]);
+  });
+
+  test('Gaps are reported in whole percents', () => {
+    expect(coverageGaps([{ min_score: 0, max_score: 49 }, { min_score: 50, max_score: 100 }])).toEqual([]);
+    expect(coverageGaps([{ min_score: 10, max_score: 40 }, { min_score: 60, max_score: 99 }])).toEqual([
+      { from: 0, to: 9 },
+      { from: 41, to: 59 },
+      { from: 100, to: 100 }
+    ]);
+    expect(coverageGaps([])).toEqual([{ from: 0, to: 100 }]);
+  });
+
+  test('Mismatched choices and scores, empty categories and range gaps are listed', () => {
+    const categories = createMockCategories();
+    categories[0].questions[0].choice_scores = '{1}';
+    categories.push({ id: 'cat2', title: 'Team', questions: [] });
+
+    const problems = checkSurveyForPublish(categories, fullRanges().slice(1));
+
+    expect(problems.map(p => p.code)).toEqual(['choice_scores_mismatch', 'empty_category', 'range_gap']);
+    expect(problems[0].message).toBe('"Leadership", question 1 ("Do you delegate?") has 2 choice(s) but 1 score(s).');
+    expect(problems[2].message).toBe('Overall score ranges do not cover 0–49%.');
+  });
+
+  test('Publishing is blocked while checks fail, including missing images', async () => {
+    const categories = createMockCategories();
+    categories[0].questions[0].image_path = 'surveys/s1/missing.png';
+    mockDb.current = createFakeSupabase({
+      surveys: [{ id: 's1', title: 'Leadership check', status: 'draft' }],
+      categories: categories.map(c => ({ ...c, survey_id: 's1', order: 1 })),
+      score_ranges: fullRanges().map((r, i) => ({ id: `band${i}`, survey_id: 's1', ...r }))
+    });
+
+    const res = await call(publishSurvey, { method: 'POST', query: { id: 's1' }, headers: { authorization: `Bearer ${ADMIN_TOKEN}` } });
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.problems.map(p => [p.code, p.question_id])).toEqual([['image_missing', 'q1']]);
+    expect(mockDb.current.rpcCalls).toEqual([]);
+  });
+
+  test('Only admins can publish', async () => {
+    mockDb.current = createFakeSupabase({ surveys: [{ id: 's1', title: 'Leadership check', status: 'draft' }] });
+
+    const anonymous = await call(publishSurvey, { method: 'POST', query: { id: 's1' } });
+    const expired = await call(publishSurvey, { method: 'POST', query: { id: 's1' }, headers: { authorization: 'Bearer stale' } });
+    const user = await call(publishSurvey, { method: 'POST', query: { id: 's1' }, headers: { authorization: `Bearer ${USER_TOKEN}` } });
+
+    expect([anonymous.statusCode, expired.statusCode, user.statusCode]).toEqual([401, 401, 403]);
+    expect(mockDb.current.rpcCalls).toEqual([]);
+    expect(mockDb.current.tables.surveys[0].status).toBe('draft');
+  });
+});